@@ -0,0 +1,231 @@
+/**
+ * Actions Module
+ * One-click action links for absence alerts: "Mark as work-from-home",
+ * "Apply leave", "Snooze this day" and "I've already handled it". Links carry
+ * a signed, expiring token and are handled by the status server. Handled and
+ * snoozed days stop being re-alerted; WFH and leave are queued and submitted
+ * to HRMS on the next check.
+ */
+import crypto from 'crypto';
+import { config, parseDuration } from './config.js';
+import { loadState, saveState } from './state.js';
+import { AuthError, RateLimitError } from './errors.js';
+import { REQUEST_TYPES, prepareRequest, submitRequest, trackRequest } from './requests.js';
+import { CATEGORIES } from './rules.js';
+import { DAY_MS } from './utils.js';
+
+export const ACTIONS = {
+    WFH: 'wfh',
+    LEAVE: 'leave',
+    SNOOZE: 'snooze',
+    HANDLED: 'handled',
+};
+
+/**
+ * Error for a missing, tampered or expired action token
+ */
+export class ActionTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ActionTokenError';
+    }
+}
+
+/**
+ * @typedef {Object} ActionPayload
+ * @property {string} action - One of ACTIONS
+ * @property {string} date - YYYY-MM-DD
+ * @property {string | null} profile - Profile the day belongs to
+ * @property {number} expiresAt - Epoch milliseconds
+ */
+
+/**
+ * Signs a token body
+ * @param {string} body
+ * @returns {string}
+ */
+function sign(body) {
+    return crypto.createHmac('sha256', config.actions.secret).update(body).digest('base64url');
+}
+
+/**
+ * Whether action links can be added to alerts
+ * @returns {boolean}
+ */
+export function actionLinksEnabled() {
+    return Boolean(config.actions.baseUrl && config.actions.secret);
+}
+
+/**
+ * Creates a signed, expiring token for an action on a day
+ * @param {{ action: string, date: string, profile?: string | null }} payload
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function createActionToken({ action, date, profile = null }, now = new Date()) {
+    const expiresAt = now.getTime() + parseDuration(config.actions.linkTtl);
+    const body = Buffer.from(JSON.stringify({ a: action, d: date, p: profile, e: expiresAt })).toString('base64url');
+    return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verifies an action token
+ * @param {string} token
+ * @param {Date} [now]
+ * @returns {ActionPayload}
+ * @throws {ActionTokenError}
+ */
+export function verifyActionToken(token, now = new Date()) {
+    if (!config.actions.secret) {
+        throw new ActionTokenError('Action links are not enabled');
+    }
+
+    const [body, signature = ''] = String(token).split('.');
+    const expected = Buffer.from(sign(body || ''));
+    const actual = Buffer.from(signature);
+    if (!body || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new ActionTokenError('This link is not valid');
+    }
+
+    const { a: action, d: date, p: profile, e: expiresAt } = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    if (!Object.values(ACTIONS).includes(action)) {
+        throw new ActionTokenError('This link is not valid');
+    }
+    if (now.getTime() > expiresAt) {
+        throw new ActionTokenError('This link has expired');
+    }
+
+    return { action, date, profile, expiresAt };
+}
+
+/**
+ * Builds the action links for a flagged day in the active profile.
+ * WFH and leave links are only offered when they can be submitted.
+ * @param {string} date
+ * @param {Date} [now]
+ * @returns {Array<{ action: string, label: string, url: string }>}
+ */
+export function buildActionLinks(date, now = new Date()) {
+    const actions = [
+        config.hrms.regularizationEndpoint && { action: ACTIONS.WFH, label: 'Mark as work-from-home' },
+        config.hrms.leaveEndpoint && config.actions.leaveType && { action: ACTIONS.LEAVE, label: `Apply ${config.actions.leaveType}` },
+        { action: ACTIONS.SNOOZE, label: `Snooze ${config.actions.snoozeDays} day(s)` },
+        { action: ACTIONS.HANDLED, label: "I've already handled it" },
+    ].filter(Boolean);
+
+    const baseUrl = config.actions.baseUrl.replace(/\/+$/, '');
+    return actions.map(({ action, label }) => ({
+        action,
+        label,
+        url: `${baseUrl}/actions/${createActionToken({ action, date: date.slice(0, 10), profile: config.profileName }, now)}`,
+    }));
+}
+
+/**
+ * Finds the alert state key of a day; HRMS may send timestamps ("2026-01-05T00:00:00")
+ * @param {Object} state
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string | undefined}
+ */
+function findAlertKey(state, date) {
+    return Object.keys(state.absences).find(key => key.slice(0, 10) === date);
+}
+
+/**
+ * Describes an action for the confirmation page
+ * @param {ActionPayload} payload
+ * @returns {string}
+ */
+export function describeAction({ action, date }) {
+    switch (action) {
+        case ACTIONS.WFH:
+            return `Submit a work-from-home regularization for ${date}`;
+        case ACTIONS.LEAVE:
+            return `Apply for ${config.actions.leaveType || 'leave'} on ${date}`;
+        case ACTIONS.SNOOZE:
+            return `Snooze alerts for ${date} for ${config.actions.snoozeDays} day(s)`;
+        default:
+            return `Mark ${date} as already handled`;
+    }
+}
+
+/**
+ * Carries out an action against the active profile's alert state
+ * @param {ActionPayload} payload - From verifyActionToken()
+ * @param {Date} [now]
+ * @returns {string} Outcome shown to the user
+ */
+export function applyAction({ action, date }, now = new Date()) {
+    const state = loadState();
+    const key = findAlertKey(state, date);
+    const entry = state.absences[key];
+    if (!entry) {
+        return `${date} is no longer flagged; nothing to do.`;
+    }
+
+    if (action === ACTIONS.SNOOZE) {
+        const until = new Date(now.getTime() + config.actions.snoozeDays * DAY_MS);
+        state.absences[key] = { ...entry, snoozedUntil: until.toISOString() };
+        saveState(state);
+        return `Alerts for ${date} are snoozed until ${until.toISOString().slice(0, 10)}.`;
+    }
+
+    if (action === ACTIONS.WFH || action === ACTIONS.LEAVE) {
+        const type = action === ACTIONS.WFH ? REQUEST_TYPES.REGULARIZATION : REQUEST_TYPES.LEAVE;
+        const alreadyQueued = state.queue.some(item => item.type === type && item.options.date === date);
+        if (alreadyQueued || state.requests[date]?.type === type) {
+            return `A ${type} request for ${date} is already on its way.`;
+        }
+        if (entry.category !== CATEGORIES.ACTIONABLE) {
+            return `${date} is ${entry.status.toLowerCase()}; nothing to submit.`;
+        }
+
+        const options = type === REQUEST_TYPES.REGULARIZATION
+            ? { date, reason: config.actions.wfhReason }
+            : { date, leaveType: config.actions.leaveType, reason: '' };
+        state.queue.push({ type, options, queuedAt: now.toISOString() });
+        state.absences[key] = { ...entry, acknowledgedAt: now.toISOString() };
+        saveState(state);
+        return `Queued: the ${type} request for ${date} is submitted to HRMS on the next check.`;
+    }
+
+    state.absences[key] = { ...entry, acknowledgedAt: now.toISOString() };
+    saveState(state);
+    return `${date} is marked as handled; it won't be alerted again unless it resolves and comes back.`;
+}
+
+/**
+ * Submits the WFH and leave requests queued from action links. Requests that
+ * HRMS certainly did not receive (auth, rate limit) stay queued; any other
+ * failure drops the request and un-acknowledges the day so it is alerted again.
+ * @returns {Promise<{ submitted: Array<{ type: string, date: string }>, failed: Array<{ type: string, date: string, error: string }> }>}
+ */
+export async function submitQueuedRequests() {
+    const state = loadState();
+    const outcome = { submitted: [], failed: [] };
+    if (state.queue.length === 0) {
+        return outcome;
+    }
+
+    const remaining = [];
+    for (const item of state.queue) {
+        const date = item.options.date;
+        try {
+            const request = prepareRequest(item.type, item.options);
+            await submitRequest(request);
+            trackRequest(state, request);
+            outcome.submitted.push({ type: item.type, date });
+        } catch (error) {
+            if (error instanceof AuthError || error instanceof RateLimitError) {
+                remaining.push(item);
+                continue;
+            }
+            delete state.absences[findAlertKey(state, date)];
+            outcome.failed.push({ type: item.type, date, error: error.message });
+        }
+    }
+
+    state.queue = remaining;
+    saveState(state);
+    return outcome;
+}
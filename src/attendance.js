@@ -1,15 +1,8 @@
-import { config } from './config.js';
-import { getAuthHeaders, getCookieHeader } from './auth.js';
+import { hrmsGet } from './hrms-client.js';
+import { assertAttendanceSummary } from './schema.js';
 import { formatDate, isDateInRange, getDateRange } from './utils.js';
-
-// Tag types from the HRMS system
-const TAG_TYPES = {
-    PRESENT: 1,
-    ABSENT: 3,
-    WEEKLY_OFF: 5,
-    HOLIDAY: 7,
-    LEAVE: 9,
-};
+import { TAG_TYPES, classifyDay, isAlertCategory } from './rules.js';
+import { recordMonth } from './history.js';
 
 /**
  * Fetches monthly attendance summary from HRMS API
@@ -17,30 +10,17 @@ const TAG_TYPES = {
  * @param {number} year - Year (e.g., 2025)
  * @returns {Promise<Object>}
  */
-async function fetchMonthlyAttendance(month, year) {
-    const currentDate = formatDate(new Date());
-    const url = new URL(
-        `${config.hrms.baseUrl}${config.hrms.apiPath}/attendance-management/dashboard/attendance-summary/get-monthly-attendance-summary`
-    );
-
-    url.searchParams.set('month', month.toString());
-    url.searchParams.set('year', year.toString());
-    url.searchParams.set('currentCalendarDate', currentDate);
-
-    const response = await fetch(url.toString(), {
-        method: 'GET',
-        headers: {
-            ...getAuthHeaders(),
-            'Cookie': getCookieHeader(),
-        },
+export async function fetchMonthlyAttendance(month, year) {
+    const data = await hrmsGet('/attendance-management/dashboard/attendance-summary/get-monthly-attendance-summary', {
+        month: month.toString(),
+        year: year.toString(),
+        currentCalendarDate: formatDate(new Date()),
     });
 
-    if (!response.ok) {
-        const text = await response.text();
-        throw new Error(`Failed to fetch attendance: ${response.status} - ${text}`);
-    }
+    // Fail loudly on a renamed or missing field instead of reporting an all-clear
+    assertAttendanceSummary(data, `attendance-${year}-${String(month).padStart(2, '0')}`);
 
-    return response.json();
+    return data;
 }
 
 /**
@@ -50,7 +30,7 @@ async function fetchMonthlyAttendance(month, year) {
  * @param {Date} endDate - End of date range
  * @returns {Array<{date: string, status: string}>}
  */
-function extractAbsentDays(data, startDate, endDate) {
+export function extractAbsentDays(data, startDate, endDate) {
     const absentDays = [];
 
     if (!data?.Data?.DailyAttendanceSummary) {
@@ -81,15 +61,51 @@ function extractAbsentDays(data, startDate, endDate) {
 }
 
 /**
- * Checks attendance for the current salary period and returns absent days
- * @returns {Promise<{absentDays: Array<{date: string, status: string}>, totalAbsent: number, summary: Object}>}
+ * Classifies every day in the range using the attendance rules
+ * @param {Object} data - API response data
+ * @param {Date} startDate - Start of date range
+ * @param {Date} endDate - End of date range
+ * @returns {Array<{date: string, status: string, category: string, tags: Array<{tagType: number, tagName: string}>}>}
+ *   tags: the raw HRMS statuses, as archived by history.js
  */
-export async function checkAttendance() {
-    const { months, startDate, endDate } = getDateRange();
+export function classifyDays(data, startDate, endDate) {
+    const days = [];
+
+    if (!data?.Data?.DailyAttendanceSummary) {
+        return days;
+    }
+
+    for (const day of data.Data.DailyAttendanceSummary) {
+        const date = day.ShiftDetails?.Date;
+
+        if (!date || !isDateInRange(date, startDate, endDate)) {
+            continue;
+        }
+
+        const statuses = day.DailyAttendanceStatus || [];
+        days.push({
+            date,
+            ...classifyDay(statuses),
+            tags: statuses.map(s => ({ tagType: s.TagType, tagName: s.TagName })),
+        });
+    }
+
+    return days;
+}
+
+/**
+ * Checks attendance for a salary period and returns absent and flagged days
+ * @param {{ period?: string, from?: string, to?: string }} [range] - See getDateRange(); defaults to the current salary period
+ * @returns {Promise<{absentDays: Array<{date: string, status: string}>, totalAbsent: number, days: Array<{date: string, status: string, category: string, tags: Array<Object>}>, flaggedDays: Array<{date: string, status: string, category: string}>, summary: Object, statusChanges: Array<import('./history.js').StatusChange>, startDate: Date, endDate: Date}>}
+ */
+export async function checkAttendance(range = {}) {
+    const { months, startDate, endDate } = getDateRange(range);
 
     console.log(`📅 Checking salary period: ${formatDate(startDate)} to ${formatDate(endDate)}`);
 
     const allAbsentDays = [];
+    const allDays = [];
+    const statusChanges = [];
     let totalAbsentCount = 0;
     const monthlySummaries = [];
 
@@ -121,6 +137,14 @@ export async function checkAttendance() {
             // Extract specific absent days within our range
             const absentDays = extractAbsentDays(data, startDate, endDate);
             allAbsentDays.push(...absentDays);
+            allDays.push(...classifyDays(data, startDate, endDate));
+
+            // Archive the month for reports; a broken archive must not fail the check
+            try {
+                statusChanges.push(...recordMonth(month, year, data));
+            } catch (error) {
+                console.error(`   ⚠️  Could not archive ${month}/${year}:`, error.message);
+            }
 
         } catch (error) {
             console.error(`   ❌ Error fetching ${month}/${year}:`, error.message);
@@ -131,6 +155,11 @@ export async function checkAttendance() {
     return {
         absentDays: allAbsentDays,
         totalAbsent: allAbsentDays.length,
+        days: allDays,
+        flaggedDays: allDays.filter(day => isAlertCategory(day.category)),
         summary: monthlySummaries,
+        statusChanges,
+        startDate,
+        endDate,
     };
 }
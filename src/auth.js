@@ -19,5 +19,6 @@ export function getAuthHeaders() {
  * @returns {string}
  */
 export function getCookieHeader() {
-    return `hr_atk=${config.hrms.accessToken}; XSRF-TOKEN=${config.hrms.xsrfToken}; hr_mid=${config.hrms.mappingId}`;
+    const names = config.hrms.cookies;
+    return `${names.accessToken}=${config.hrms.accessToken}; ${names.xsrfToken}=${config.hrms.xsrfToken}; ${names.mappingId}=${config.hrms.mappingId}`;
 }
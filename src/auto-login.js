@@ -0,0 +1,347 @@
+/**
+ * Auto Login Module
+ * Signs in to Peeplynx HR again without a person at the keyboard: drives the
+ * Microsoft SSO pages in a headless browser with SSO_USERNAME, SSO_PASSWORD
+ * and a TOTP code from SSO_TOTP_SECRET, then saves a fresh session file.
+ * Used when the session can no longer be refreshed; on a challenge it cannot
+ * answer (push approval, SMS, CAPTCHA, ...) it gives up with a screenshot of
+ * the page, and the usual session-expired alert goes out.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config, parseDuration } from './config.js';
+import { findTokenCookies, getHrmsUrl, launchBrowser, saveBrowserSession } from './browser-session.js';
+import { LoginError } from './errors.js';
+import { loadState, saveState } from './state.js';
+import { formatDisplayDateTime } from './utils.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+
+// A code about to roll over may expire before Microsoft checks it
+const MIN_CODE_SECONDS_LEFT = 5;
+
+// Microsoft sign-in page elements
+const SELECTORS = {
+    email: 'input[name="loginfmt"]',
+    password: 'input[name="passwd"]',
+    totp: 'input[name="otc"]',
+    otherMethod: '#signInAnotherWay',
+    appCodeMethod: 'div[data-value="PhoneAppOTP"]',
+    staySignedIn: '#KmsiCheckboxField',
+    next: '#idSIButton9',
+    verify: '#idSubmit_SAOTCC_Continue',
+    error: ['#usernameError', '#passwordError', '#idSpan_SAOTCC_Error_OTC', '#idTD_Error'],
+};
+
+// Checked in this order; hidden inputs of other steps stay in the page
+const STEP_ORDER = ['totp', 'appCodeMethod', 'otherMethod', 'password', 'email', 'staySignedIn'];
+
+// The same page showing up again after this many submissions means it was not accepted
+const MAX_STEP_ATTEMPTS = 2;
+
+/**
+ * Decodes an RFC 4648 base32 string (spaces, dashes and padding are ignored)
+ * @param {string} value
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+export function decodeBase32(value) {
+    const clean = value.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`"${char}" is not a base32 character`);
+        }
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = bits.match(/.{8}/g) || [];
+    return Buffer.from(bytes.map(byte => parseInt(byte, 2)));
+}
+
+/**
+ * Generates a time-based one-time password (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {{ time?: number, digits?: number }} [options] - time: Unix time in milliseconds
+ * @returns {string}
+ */
+export function generateTotp(secret, { time = Date.now(), digits = 6 } = {}) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / TOTP_PERIOD_SECONDS)));
+
+    const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+    return String(code).padStart(digits, '0');
+}
+
+/**
+ * Checks if the automated login is turned on
+ * @returns {boolean}
+ */
+export function isAutoLoginEnabled() {
+    return config.autoLogin.enabled;
+}
+
+/**
+ * Validates the automated login settings
+ * @returns {string[]} Problems found
+ */
+export function validateAutoLogin() {
+    if (!config.autoLogin.enabled) {
+        return [];
+    }
+
+    const errors = [];
+    if (!config.autoLogin.username) {
+        errors.push('SSO_USERNAME is required for AUTO_LOGIN');
+    }
+    if (!config.autoLogin.password) {
+        errors.push('SSO_PASSWORD is required for AUTO_LOGIN');
+    }
+    if (!config.autoLogin.totpSecret) {
+        errors.push('SSO_TOTP_SECRET is required for AUTO_LOGIN');
+    } else {
+        try {
+            if (decodeBase32(config.autoLogin.totpSecret).length === 0) {
+                errors.push('SSO_TOTP_SECRET is empty');
+            }
+        } catch (error) {
+            errors.push(`SSO_TOTP_SECRET must be the base32 secret key: ${error.message}`);
+        }
+    }
+    if (!(parseDuration(config.autoLogin.retryAfter) >= 0)) {
+        errors.push('AUTO_LOGIN_RETRY_AFTER must be a duration like "12h" or "1d"');
+    }
+    if (!Number.isInteger(config.autoLogin.timeoutMs) || config.autoLogin.timeoutMs <= 0) {
+        errors.push('AUTO_LOGIN_TIMEOUT_MS must be a positive number of milliseconds');
+    }
+
+    return errors;
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns the first visible element matching one of the selectors
+ * @param {import('puppeteer').Page} page
+ * @param {string | string[]} selectors
+ * @returns {Promise<import('puppeteer').ElementHandle | null>}
+ */
+async function findVisible(page, selectors) {
+    for (const selector of [].concat(selectors)) {
+        const element = await page.$(selector);
+        if (element && await element.isVisible()) {
+            return element;
+        }
+    }
+    return null;
+}
+
+/**
+ * Works out which sign-in page is showing
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<string | null>} Key of STEP_ACTIONS, or null for an unknown page
+ */
+async function detectStep(page) {
+    for (const step of STEP_ORDER) {
+        if (await findVisible(page, SELECTORS[step])) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Replaces the value of an input
+ * @param {import('puppeteer').Page} page
+ * @param {string} selector
+ * @param {string} value
+ */
+async function fillInput(page, selector, value) {
+    await page.$eval(selector, input => { input.value = ''; });
+    await page.type(selector, value);
+}
+
+/**
+ * What to do on each sign-in page
+ * @type {Record<string, (page: import('puppeteer').Page, credentials: { username: string, password: string, totpSecret: string }) => Promise<void>>}
+ */
+const STEP_ACTIONS = {
+    email: async (page, { username }) => {
+        await fillInput(page, SELECTORS.email, username);
+        await page.click(SELECTORS.next);
+    },
+    password: async (page, { password }) => {
+        await fillInput(page, SELECTORS.password, password);
+        await page.click(SELECTORS.next);
+    },
+    // "Approve sign in request" (push) and similar pages offer other methods
+    otherMethod: page => page.click(SELECTORS.otherMethod),
+    appCodeMethod: page => page.click(SELECTORS.appCodeMethod),
+    totp: async (page, { totpSecret }) => {
+        const secondsLeft = TOTP_PERIOD_SECONDS - (Date.now() / 1000) % TOTP_PERIOD_SECONDS;
+        if (secondsLeft < MIN_CODE_SECONDS_LEFT) {
+            await sleep(secondsLeft * 1000);
+        }
+        await fillInput(page, SELECTORS.totp, generateTotp(totpSecret));
+        await page.click(SELECTORS.verify);
+    },
+    // "Stay signed in?" - yes, so the session can be refreshed for longer
+    staySignedIn: page => page.click(SELECTORS.next),
+};
+
+/**
+ * Drives the Microsoft sign-in pages until HRMS has issued an access token
+ * @param {import('puppeteer').Page} page - Showing the start of the sign-in
+ * @param {{ username: string, password: string, totpSecret: string }} credentials
+ * @param {{ timeoutMs?: number, stepTimeoutMs?: number, pollMs?: number }} [options]
+ *   timeoutMs: for the whole sign-in; stepTimeoutMs: how long a page may take to
+ *   move on after a submission, and to give up on a page none of the steps handle
+ * @returns {Promise<void>}
+ * @throws {LoginError}
+ */
+export async function signIn(page, credentials, { timeoutMs = config.autoLogin.timeoutMs, stepTimeoutMs = 15000, pollMs = 500 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    const attempts = {};
+    let lastStep = null;
+    let unknownSince = null;
+
+    while (true) {
+        if (findTokenCookies(await page.cookies()).accessToken) {
+            return;
+        }
+
+        const error = await findVisible(page, SELECTORS.error);
+        if (error) {
+            const text = (await error.evaluate(element => element.textContent)).trim();
+            throw new LoginError(`Sign-in rejected: ${text}`, { step: lastStep });
+        }
+
+        const step = await detectStep(page);
+        if (step) {
+            unknownSince = null;
+            attempts[step] = (attempts[step] || 0) + 1;
+            if (attempts[step] > MAX_STEP_ATTEMPTS) {
+                throw new LoginError(`The ${step} page did not accept the submitted value`, { step });
+            }
+
+            console.log(`   🤖 Sign-in page: ${step}`);
+            await STEP_ACTIONS[step](page, credentials);
+            lastStep = step;
+
+            // Let the page move on (or show an error) before looking at it again
+            const settleBy = Math.min(deadline, Date.now() + stepTimeoutMs);
+            while (Date.now() < settleBy && await detectStep(page) === step && !await findVisible(page, SELECTORS.error)) {
+                await sleep(pollMs);
+            }
+            continue;
+        } else {
+            unknownSince ??= Date.now();
+            if (Date.now() - unknownSince >= stepTimeoutMs) {
+                throw new LoginError('Unsupported sign-in challenge (e.g. push approval, SMS code or CAPTCHA)', { step: lastStep });
+            }
+        }
+
+        if (Date.now() >= deadline) {
+            throw new LoginError(`Sign-in did not finish within ${timeoutMs} ms`, { step: lastStep });
+        }
+        await sleep(pollMs);
+    }
+}
+
+/**
+ * Saves a screenshot of the page the login stopped at
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<string | null>} File path, or null if it could not be taken
+ */
+async function saveScreenshot(page) {
+    try {
+        fs.mkdirSync(config.autoLogin.screenshotDir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(config.autoLogin.screenshotDir, `auto-login-${config.profileName || 'default'}-${stamp}.png`);
+        await page.screenshot({ path: file, fullPage: true });
+        return file;
+    } catch (error) {
+        console.error('⚠️  Could not save login screenshot:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Signs in headlessly and saves the new session to the active session file
+ * @returns {Promise<void>}
+ * @throws {LoginError} With a screenshot of the page it stopped at
+ */
+export async function autoLogin() {
+    const { username, password, totpSecret } = config.autoLogin;
+    console.log(`🤖 Signing in as ${username} in a headless browser...`);
+
+    const browser = await launchBrowser();
+    try {
+        const page = await browser.newPage();
+        try {
+            await page.goto(getHrmsUrl(), { waitUntil: 'networkidle2', timeout: 60000 });
+            await signIn(page, { username, password, totpSecret });
+
+            // Let HRMS finish setting its cookies
+            await sleep(1000);
+            saveBrowserSession(await page.cookies(), new Date().toISOString());
+        } catch (error) {
+            const screenshot = await saveScreenshot(page);
+            if (error instanceof LoginError) {
+                error.screenshot = screenshot;
+                throw error;
+            }
+            throw new LoginError(`Automated login failed: ${error.message}`, { cause: error, screenshot });
+        }
+    } finally {
+        await browser.close();
+    }
+
+    console.log(`✅ Signed in again, session saved to ${config.session.file}`);
+}
+
+/**
+ * Signs in again unless a recent attempt failed. Failures are remembered in
+ * the alert state so wrong credentials are not retried on every check.
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether a new session was saved (false while waiting to retry)
+ * @throws {LoginError}
+ */
+export async function relogin(now = new Date()) {
+    const state = loadState();
+    const tracking = state.session || {};
+
+    if (tracking.autoLoginFailedAt) {
+        const retryAt = new Date(new Date(tracking.autoLoginFailedAt).getTime() + parseDuration(config.autoLogin.retryAfter));
+        if (retryAt > now) {
+            console.log(`🤖 Automated login failed at ${formatDisplayDateTime(new Date(tracking.autoLoginFailedAt))}, next attempt after ${formatDisplayDateTime(retryAt)}`);
+            return false;
+        }
+    }
+
+    try {
+        await autoLogin();
+        delete tracking.autoLoginFailedAt;
+        return true;
+    } catch (error) {
+        tracking.autoLoginFailedAt = now.toISOString();
+        throw error;
+    } finally {
+        state.session = tracking;
+        saveState(state);
+    }
+}
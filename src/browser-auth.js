@@ -1,46 +1,157 @@
 /**
  * Browser Auth Module
- * Extracts authentication tokens using session.json with optimized browser usage.
+ * Extracts authentication tokens using the session file (session.json by default)
+ * with optimized browser usage.
  * Only launches browser when tokens need refreshing.
  */
-import puppeteer from 'puppeteer';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { isEncryptedSession, readSession } from './session-store.js';
+import { findTokenCookies, getHrmsUrl, launchBrowser, saveBrowserSession } from './browser-session.js';
+import { DAY_MS } from './utils.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SESSION_FILE = path.join(__dirname, '..', 'session.json');
-const HRMS_URL = 'https://hrms.pitsolutions.com/';
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000; // 5 minutes buffer
+
+// Tokens from the last successful extraction per session file, reused across daemon runs
+const memoryTokens = new Map();
 
 /**
- * Detects if running on ARM architecture and returns system Chromium path
+ * Decodes the expiry time of the access token JWT
+ * @param {string} accessToken
+ * @returns {Date | null} null if the token cannot be decoded
  */
-function getSystemChromiumPath() {
-    const arch = process.arch;
-    const platform = process.platform;
-
-    if (platform === 'linux' && (arch === 'arm64' || arch === 'arm')) {
-        const possiblePaths = [
-            '/snap/bin/chromium',
-            '/usr/bin/chromium',
-            '/usr/bin/chromium-browser',
-        ];
-
-        for (const chromePath of possiblePaths) {
-            if (fs.existsSync(chromePath)) {
-                return chromePath;
-            }
-        }
+export function getTokenExpiry(accessToken) {
+    try {
+        const payload = JSON.parse(Buffer.from(accessToken.split('.')[1], 'base64').toString());
+        return new Date(payload.exp * 1000);
+    } catch (e) {
+        return null;
     }
+}
 
-    return undefined;
+/**
+ * Checks if an access token is valid for at least the expiry buffer
+ * @param {string} accessToken
+ * @returns {boolean}
+ */
+function isTokenFresh(accessToken) {
+    const expires = getTokenExpiry(accessToken);
+    return expires !== null && expires.getTime() - EXPIRY_BUFFER_MS > Date.now();
 }
 
 /**
  * Checks if a session file exists
  */
 export function hasSession() {
-    return fs.existsSync(SESSION_FILE);
+    return fs.existsSync(config.session.file);
+}
+
+/**
+ * Estimates when the browser session itself (not just the access token) can
+ * no longer be refreshed, so a fresh interactive login becomes necessary.
+ * The earliest of these wins:
+ *   - cookie: expiry of SESSION_COOKIE_NAMES (min), or else of the longest-lived
+ *     persistent cookie, which is normally the refresh/SSO cookie
+ *   - max-age: sessionStartedAt + SESSION_MAX_AGE_DAYS
+ *   - observed: sessionStartedAt + how long the previous session lasted
+ * @param {{ cookies?: Array, sessionStartedAt?: string, exportedAt?: string }} sessionData
+ * @param {number | null} [observedLifetimeMs]
+ * @returns {{ expiresAt: Date, source: 'cookie' | 'max-age' | 'observed' } | null}
+ */
+export function estimateSessionExpiry(sessionData, observedLifetimeMs = null) {
+    const candidates = [];
+    const watched = config.session.cookieNames;
+    // Short-lived tokens that are re-issued on every refresh, not the session itself
+    const tokenCookies = [config.hrms.cookies.accessToken, config.hrms.cookies.xsrfToken];
+
+    const persistent = (sessionData.cookies || []).filter(c =>
+        c.expires > 0 && (watched.length > 0 ? watched.includes(c.name) : !tokenCookies.includes(c.name))
+    );
+    if (persistent.length > 0) {
+        const times = persistent.map(c => c.expires * 1000);
+        const expiresAt = watched.length > 0 ? Math.min(...times) : Math.max(...times);
+        candidates.push({ expiresAt: new Date(expiresAt), source: 'cookie' });
+    }
+
+    const startedAt = Date.parse(sessionData.sessionStartedAt || sessionData.exportedAt);
+    if (!Number.isNaN(startedAt)) {
+        if (config.session.maxAgeDays > 0) {
+            candidates.push({ expiresAt: new Date(startedAt + config.session.maxAgeDays * DAY_MS), source: 'max-age' });
+        }
+        if (observedLifetimeMs > 0) {
+            candidates.push({ expiresAt: new Date(startedAt + observedLifetimeMs), source: 'observed' });
+        }
+    }
+
+    candidates.sort((a, b) => a.expiresAt - b.expiresAt);
+    return candidates[0] || null;
+}
+
+/**
+ * Reads the session file, decrypted
+ * @param {string} [file] - Defaults to the active session file
+ * @returns {Object | null} null if missing, unreadable or not decryptable
+ */
+export function readSessionFile(file = config.session.file) {
+    try {
+        return readSession(file);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Describes a session file without launching a browser
+ * @param {string} [file] - Defaults to the active session file
+ * @param {number | null} [observedLifetimeMs] - How long the previous session lasted, if known
+ * @returns {{ file: string, exists: boolean, encrypted: boolean, private: boolean, error: string | null, cookies: number, exportedAt: string | null, sessionStartedAt: string | null, tokenExpiresAt: string | null, tokenValid: boolean, sessionExpiresAt: string | null, sessionExpirySource: string | null }}
+ *   private: readable by the owner only; error: why an existing file cannot be used
+ */
+export function getSessionInfo(file = config.session.file, observedLifetimeMs = null) {
+    const info = {
+        file,
+        exists: fs.existsSync(file),
+        encrypted: false,
+        private: false,
+        error: null,
+        cookies: 0,
+        exportedAt: null,
+        sessionStartedAt: null,
+        tokenExpiresAt: null,
+        tokenValid: false,
+        sessionExpiresAt: null,
+        sessionExpirySource: null,
+    };
+    if (!info.exists) {
+        return info;
+    }
+
+    // Unreadable session file - report it as present but unusable.
+    // Reading first migrates a plaintext file, so describe the file afterwards
+    let sessionData;
+    try {
+        sessionData = readSession(file);
+        info.encrypted = isEncryptedSession(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        info.private = process.platform === 'win32' || (fs.statSync(file).mode & 0o077) === 0;
+    } catch (error) {
+        info.error = error.message;
+        return info;
+    }
+
+    const accessCookie = findTokenCookies(sessionData.cookies).accessToken;
+    const expires = accessCookie ? getTokenExpiry(accessCookie.value) : null;
+    const sessionExpiry = estimateSessionExpiry(sessionData, observedLifetimeMs);
+
+    info.cookies = sessionData.cookies?.length || 0;
+    info.exportedAt = sessionData.exportedAt || null;
+    info.sessionStartedAt = sessionData.sessionStartedAt || sessionData.exportedAt || null;
+    info.tokenExpiresAt = expires ? expires.toISOString() : null;
+    info.tokenValid = accessCookie ? isTokenFresh(accessCookie.value) : false;
+    info.sessionExpiresAt = sessionExpiry ? sessionExpiry.expiresAt.toISOString() : null;
+    info.sessionExpirySource = sessionExpiry ? sessionExpiry.source : null;
+
+    return info;
 }
 
 /**
@@ -48,88 +159,96 @@ export function hasSession() {
  * Returns tokens if valid, null if expired or missing
  */
 function getValidTokensFromFile() {
-    if (!fs.existsSync(SESSION_FILE)) {
+    if (!fs.existsSync(config.session.file)) {
         return null;
     }
 
     try {
-        const sessionData = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf-8'));
+        const sessionData = readSession();
         const cookies = sessionData.cookies;
 
-        const hrAtk = cookies.find(c => c.name === 'hr_atk');
-        const xsrf = cookies.find(c => c.name === 'XSRF-TOKEN');
-        const hrMid = cookies.find(c => c.name === 'hr_mid');
+        const { accessToken: accessCookie, xsrfToken: xsrfCookie, mappingId: mappingCookie } = findTokenCookies(cookies);
 
-        if (!hrAtk || !xsrf) {
+        if (!accessCookie || !xsrfCookie) {
             return null;
         }
 
         // Check if token is expired (with 5 min buffer)
-        try {
-            const payload = JSON.parse(Buffer.from(hrAtk.value.split('.')[1], 'base64').toString());
-            const expires = new Date(payload.exp * 1000);
-            const buffer = 5 * 60 * 1000; // 5 minutes buffer
-
-            if (expires.getTime() - buffer > Date.now()) {
-                // Token still valid - no need to launch browser
-                return {
-                    accessToken: hrAtk.value,
-                    xsrfToken: xsrf.value,
-                    mappingId: hrMid?.value || 'P4D9T6HA',
-                    cookies: sessionData.cookies,
-                };
-            }
-        } catch (e) {
-            // Can't decode token, need to refresh
+        if (isTokenFresh(accessCookie.value)) {
+            // Token still valid - no need to launch browser
+            return {
+                accessToken: accessCookie.value,
+                xsrfToken: xsrfCookie.value,
+                mappingId: mappingCookie?.value || null,
+                cookies: sessionData.cookies,
+                sessionStartedAt: sessionData.sessionStartedAt || sessionData.exportedAt,
+            };
         }
 
-        return { needsRefresh: true, cookies: sessionData.cookies };
+        return {
+            needsRefresh: true,
+            cookies: sessionData.cookies,
+            sessionStartedAt: sessionData.sessionStartedAt || sessionData.exportedAt,
+        };
     } catch (error) {
+        console.error(`❌ ${path.basename(config.session.file)}: ${error.message}`);
         return null;
     }
 }
 
 /**
  * Extracts tokens, using browser only when needed
+ * @param {{ forceRefresh?: boolean }} [options]
+ *   forceRefresh: ignore cached tokens (e.g. after the API rejected them with 401)
+ * @returns {Promise<{ accessToken: string, xsrfToken: string, mappingId: string } | null>}
  */
-export async function extractTokensFromBrowser() {
+export async function extractTokensFromBrowser({ forceRefresh = false } = {}) {
     if (!hasSession()) {
-        console.error('❌ No session.json found.');
+        console.error(`❌ No ${path.basename(config.session.file)} found.`);
         console.log('');
         console.log('💡 On your local machine:');
         console.log('   1. npm run login');
-        console.log('   2. npm run export');
+        console.log('   2. npm run export -- --encrypt');
         console.log('   3. scp session.json to this server');
+        console.log('💡 Then on this server:');
+        console.log(`   npm run import -- <copied file>   (installs it as ${config.session.file})`);
         return null;
     }
 
+    if (forceRefresh) {
+        memoryTokens.delete(config.session.file);
+    }
+
+    // Reuse tokens from a previous run in this process (daemon mode)
+    const remembered = memoryTokens.get(config.session.file);
+    if (remembered && isTokenFresh(remembered.accessToken)) {
+        console.log('✅ Using in-memory tokens (still valid)');
+        return remembered;
+    }
+
     // Check if existing tokens are still valid
     const cached = getValidTokensFromFile();
 
-    if (cached && !cached.needsRefresh) {
+    if (cached && !cached.needsRefresh && !forceRefresh) {
         console.log('✅ Using cached tokens (still valid)');
-        return {
+        const tokens = {
             accessToken: cached.accessToken,
             xsrfToken: cached.xsrfToken,
             mappingId: cached.mappingId,
         };
+        memoryTokens.set(config.session.file, tokens);
+        return tokens;
+    }
+
+    if (!cached) {
+        console.error(`❌ Could not read ${path.basename(config.session.file)}. Re-export from local machine.`);
+        return null;
     }
 
     // Tokens expired or need refresh - launch browser
     console.log('🌐 Refreshing tokens via browser...');
 
-    const executablePath = getSystemChromiumPath();
-
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        executablePath,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled',
-            '--disable-gpu',
-        ],
-    });
+    const browser = await launchBrowser();
 
     try {
         const page = await browser.newPage();
@@ -148,40 +267,35 @@ export async function extractTokensFromBrowser() {
         await page.setCookie(...cookiesToSet);
 
         // Navigate to HRMS - browser will refresh tokens
-        await page.goto(HRMS_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+        await page.goto(getHrmsUrl(), { waitUntil: 'networkidle2', timeout: 60000 });
 
         // Brief wait for token refresh
         await new Promise(resolve => setTimeout(resolve, 1000));
 
         // Extract refreshed cookies
         const cookies = await page.cookies();
-        const hrAtk = cookies.find(c => c.name === 'hr_atk');
-        const xsrf = cookies.find(c => c.name === 'XSRF-TOKEN');
-        const hrMid = cookies.find(c => c.name === 'hr_mid');
+        const { accessToken: accessCookie, xsrfToken: xsrfCookie, mappingId: mappingCookie } = findTokenCookies(cookies);
 
         await browser.close();
 
-        if (!hrAtk || !xsrf) {
+        if (!accessCookie || !xsrfCookie) {
             console.error('❌ Session expired. Re-export from local machine.');
             return null;
         }
 
-        // Save refreshed cookies
-        const updatedCookies = cookies.filter(c =>
-            c.domain.includes('pitsolutions.com') || c.domain.includes('hrms')
-        );
-        fs.writeFileSync(SESSION_FILE, JSON.stringify({
-            exportedAt: new Date().toISOString(),
-            cookies: updatedCookies,
-        }, null, 2));
+        // Save refreshed cookies, keeping the original login time so the
+        // session lifetime can be tracked
+        saveBrowserSession(cookies, cached.sessionStartedAt);
 
         console.log('✅ Tokens refreshed and saved');
 
-        return {
-            accessToken: hrAtk.value,
-            xsrfToken: xsrf.value,
-            mappingId: hrMid?.value || 'P4D9T6HA',
+        const tokens = {
+            accessToken: accessCookie.value,
+            xsrfToken: xsrfCookie.value,
+            mappingId: mappingCookie?.value || null,
         };
+        memoryTokens.set(config.session.file, tokens);
+        return tokens;
 
     } catch (error) {
         await browser.close();
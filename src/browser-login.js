@@ -1,53 +1,19 @@
-#!/usr/bin/env node
 /**
  * Browser Login Module
  * Opens a browser for interactive login to Peeplynx HR with Microsoft SSO.
  * Saves the session (cookies, localStorage) to a persistent profile.
+ * Run with "hrms-notifier login"; with --headless it signs in with the
+ * AUTO_LOGIN credentials instead and writes the session file directly (no
+ * export needed).
  */
-import puppeteer from 'puppeteer';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const USER_DATA_DIR = path.join(__dirname, '..', '.browser-session');
-const HRMS_URL = 'https://hrms.pitsolutions.com/';
-
-/**
- * Detects if running on ARM architecture and returns system Chromium path if available
- * @returns {string | undefined}
- */
-function getSystemChromiumPath() {
-    const arch = process.arch;
-    const platform = process.platform;
-
-    // On ARM Linux, Puppeteer's bundled Chrome doesn't work
-    if (platform === 'linux' && (arch === 'arm64' || arch === 'arm')) {
-        const possiblePaths = [
-            '/snap/bin/chromium',           // Snap version (Ubuntu)
-            '/usr/bin/chromium',             // Direct binary
-            '/usr/bin/chromium-browser',     // May be wrapper on Ubuntu
-        ];
-
-        for (const chromePath of possiblePaths) {
-            if (fs.existsSync(chromePath)) {
-                console.log(`🔧 ARM detected, using system Chromium: ${chromePath}`);
-                return chromePath;
-            }
-        }
-
-        console.error('⚠️  ARM architecture detected but no system Chromium found.');
-        console.error('   Install Chromium: sudo snap install chromium');
-    }
-
-    return undefined; // Use Puppeteer's bundled Chrome
-}
+import { config } from './config.js';
+import { autoLogin, validateAutoLogin } from './auto-login.js';
+import { USER_DATA_DIR, findTokenCookies, getHrmsUrl, launchBrowser } from './browser-session.js';
 
 /**
  * Opens browser for interactive login
  */
-async function login() {
+export async function login() {
     console.log('');
     console.log('╔═══════════════════════════════════════════╗');
     console.log('║      Peeplynx HR Browser Login            ║');
@@ -57,35 +23,17 @@ async function login() {
     console.log('📂 Session directory:', USER_DATA_DIR);
     console.log('');
 
-    // Ensure session directory exists
-    if (!fs.existsSync(USER_DATA_DIR)) {
-        fs.mkdirSync(USER_DATA_DIR, { recursive: true });
-    }
-
     console.log('🌐 Opening browser...');
     console.log('   Please complete the Microsoft login with 2FA.');
     console.log('   The browser will close automatically once logged in.');
     console.log('');
 
-    const executablePath = getSystemChromiumPath();
-
-    const browser = await puppeteer.launch({
-        headless: false, // Visible browser for login
-        userDataDir: USER_DATA_DIR,
-        executablePath, // Uses system Chromium on ARM, bundled on x86
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled',
-            '--disable-gpu', // Helps on headless Linux servers
-        ],
-        defaultViewport: null, // Use full window size
-    });
+    const browser = await launchBrowser({ visible: true, persistent: true });
 
     const page = await browser.newPage();
 
     // Navigate to HRMS
-    await page.goto(HRMS_URL, { waitUntil: 'networkidle2' });
+    await page.goto(getHrmsUrl(), { waitUntil: 'networkidle2' });
 
     // Wait for successful login by checking for dashboard elements
     console.log('⏳ Waiting for login to complete...');
@@ -109,17 +57,16 @@ async function login() {
 
         // Extract and display token info
         const cookies = await page.cookies();
-        const hrAtk = cookies.find(c => c.name === 'hr_atk');
-        const xsrf = cookies.find(c => c.name === 'XSRF-TOKEN');
+        const { accessToken: accessCookie, xsrfToken: xsrfCookie } = findTokenCookies(cookies);
 
-        if (hrAtk && xsrf) {
+        if (accessCookie && xsrfCookie) {
             console.log('📝 Tokens captured:');
-            console.log(`   hr_atk: ${hrAtk.value.substring(0, 50)}...`);
-            console.log(`   XSRF-TOKEN: ${xsrf.value.substring(0, 50)}...`);
+            console.log(`   ${accessCookie.name}: ${accessCookie.value.substring(0, 50)}...`);
+            console.log(`   ${xsrfCookie.name}: ${xsrfCookie.value.substring(0, 50)}...`);
 
             // Decode JWT to show expiry
             try {
-                const payload = JSON.parse(Buffer.from(hrAtk.value.split('.')[1], 'base64').toString());
+                const payload = JSON.parse(Buffer.from(accessCookie.value.split('.')[1], 'base64').toString());
                 console.log(`   Token expires: ${new Date(payload.exp * 1000).toLocaleString()}`);
             } catch (e) {
                 // Ignore decode errors
@@ -139,4 +86,31 @@ async function login() {
     await browser.close();
 }
 
-login().catch(console.error);
+/**
+ * Signs in without a visible browser using SSO_USERNAME, SSO_PASSWORD and SSO_TOTP_SECRET
+ */
+export async function headlessLogin() {
+    console.log('');
+    console.log('╔═══════════════════════════════════════════╗');
+    console.log('║      Peeplynx HR Headless Login           ║');
+    console.log('╚═══════════════════════════════════════════╝');
+    console.log('');
+
+    config.autoLogin.enabled = true;
+    const errors = validateAutoLogin();
+    if (errors.length > 0) {
+        console.error('❌ Configuration errors:');
+        errors.forEach(err => console.error(`   • ${err}`));
+        process.exit(1);
+    }
+
+    try {
+        await autoLogin();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error.screenshot) {
+            console.error(`   Screenshot: ${error.screenshot}`);
+        }
+        process.exit(1);
+    }
+}
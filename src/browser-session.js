@@ -0,0 +1,148 @@
+/**
+ * Browser Session Module
+ * Launches the browser and turns its cookies into session files. Shared by
+ * the interactive login, the session export, token refreshes and automated
+ * logins, so every command finds Chromium and the HRMS site the same way.
+ */
+import puppeteer from 'puppeteer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { writeSession } from './session-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Persistent profile of the interactive login, read again by the export
+export const USER_DATA_DIR = path.join(__dirname, '..', '.browser-session');
+
+const BROWSER_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-gpu', // Helps on headless Linux servers
+];
+
+/**
+ * Returns the HRMS start page the browser signs in to
+ * @returns {string}
+ */
+export function getHrmsUrl() {
+    return `${config.hrms.baseUrl}/`;
+}
+
+/**
+ * Detects if running on ARM architecture and returns system Chromium path if available
+ * @returns {string | undefined} undefined to use Puppeteer's bundled Chrome
+ */
+export function getSystemChromiumPath() {
+    const arch = process.arch;
+    const platform = process.platform;
+
+    // On ARM Linux, Puppeteer's bundled Chrome doesn't work
+    if (platform === 'linux' && (arch === 'arm64' || arch === 'arm')) {
+        const possiblePaths = [
+            '/snap/bin/chromium',           // Snap version (Ubuntu)
+            '/usr/bin/chromium',             // Direct binary
+            '/usr/bin/chromium-browser',     // May be wrapper on Ubuntu
+        ];
+
+        for (const chromePath of possiblePaths) {
+            if (fs.existsSync(chromePath)) {
+                return chromePath;
+            }
+        }
+
+        console.error('⚠️  ARM architecture detected but no system Chromium found.');
+        console.error('   Install Chromium: sudo snap install chromium');
+    }
+
+    return undefined;
+}
+
+/**
+ * Launches the browser
+ * @param {{ visible?: boolean, persistent?: boolean }} [options]
+ *   visible: show the window (interactive login); persistent: use the saved
+ *   login profile (USER_DATA_DIR) instead of a throwaway one
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+export function launchBrowser({ visible = false, persistent = false } = {}) {
+    if (persistent) {
+        fs.mkdirSync(USER_DATA_DIR, { recursive: true });
+    }
+
+    return puppeteer.launch({
+        headless: visible ? false : 'new',
+        userDataDir: persistent ? USER_DATA_DIR : undefined,
+        executablePath: getSystemChromiumPath(),
+        args: BROWSER_ARGS,
+        defaultViewport: visible ? null : undefined, // Use full window size
+    });
+}
+
+/**
+ * Checks if the interactive login has left a browser profile to export
+ * @returns {boolean}
+ */
+export function hasBrowserProfile() {
+    return fs.existsSync(path.join(USER_DATA_DIR, 'Default'));
+}
+
+/**
+ * Returns the domains whose cookies belong to the HRMS session:
+ * SESSION_COOKIE_DOMAINS, or else the parent domain of the tenant
+ * (hrms.example.com -> example.com), where its sign-in cookies are set
+ * @returns {string[]}
+ */
+export function getCookieDomains() {
+    if (config.session.cookieDomains.length > 0) {
+        return config.session.cookieDomains.map(domain => domain.replace(/^\./, ''));
+    }
+
+    const host = new URL(config.hrms.baseUrl).hostname;
+    const labels = host.split('.');
+    return [labels.length > 2 && !/^[\d.]+$/.test(host) ? labels.slice(1).join('.') : host];
+}
+
+/**
+ * Keeps the cookies that belong to HRMS
+ * @param {Array<Object>} cookies - From page.cookies()
+ * @returns {Array<Object>}
+ */
+export function filterHrmsCookies(cookies) {
+    const domains = getCookieDomains();
+    return cookies.filter(c => {
+        const domain = c.domain.replace(/^\./, '').toLowerCase();
+        return domains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+    });
+}
+
+/**
+ * Finds the token cookies among the session cookies, by the names the tenant
+ * uses (HRMS_ACCESS_TOKEN_COOKIE, HRMS_XSRF_COOKIE, HRMS_MAPPING_ID_COOKIE)
+ * @param {Array<Object>} [cookies]
+ * @returns {{ accessToken?: Object, xsrfToken?: Object, mappingId?: Object }}
+ */
+export function findTokenCookies(cookies = []) {
+    const names = config.hrms.cookies;
+    const find = name => cookies.find(c => c.name === name);
+    return { accessToken: find(names.accessToken), xsrfToken: find(names.xsrfToken), mappingId: find(names.mappingId) };
+}
+
+/**
+ * Saves the HRMS cookies of a browser page as a session file
+ * @param {Array<Object>} cookies - From page.cookies()
+ * @param {string} sessionStartedAt - When the user last logged in
+ * @param {string} [file] - Defaults to the active session file
+ * @returns {number} Cookies saved
+ */
+export function saveBrowserSession(cookies, sessionStartedAt, file = config.session.file) {
+    const hrmsCookies = filterHrmsCookies(cookies);
+    writeSession({
+        exportedAt: new Date().toISOString(),
+        sessionStartedAt,
+        cookies: hrmsCookies,
+    }, file);
+    return hrmsCookies.length;
+}
@@ -0,0 +1,43 @@
+/**
+ * Email channel (SMTP via nodemailer)
+ */
+import nodemailer from 'nodemailer';
+import { config } from '../config.js';
+
+export const name = 'email';
+
+/**
+ * Creates the email transporter
+ * @returns {nodemailer.Transporter}
+ */
+function createTransporter() {
+    return nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: config.email.secure,
+        auth: {
+            user: config.email.user,
+            pass: config.email.pass,
+        },
+    });
+}
+
+/**
+ * Sends a notification as an email
+ * @param {import('./index.js').Notification} message
+ * @returns {Promise<string>}
+ */
+export async function send(message) {
+    const transporter = createTransporter();
+
+    await transporter.sendMail({
+        from: `"Peeplynx HR Notifier" <${config.email.user}>`,
+        to: config.email.notifyEmail,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments,
+    });
+
+    return `sent to ${config.email.notifyEmail}`;
+}
@@ -0,0 +1,31 @@
+/**
+ * Gotify channel (self-hosted push server)
+ */
+import { config } from '../config.js';
+import { postJson } from './http.js';
+
+export const name = 'gotify';
+
+const PRIORITIES = {
+    info: 2,
+    success: 2,
+    warning: 5,
+    error: 8,
+};
+
+/**
+ * Pushes a notification to the configured Gotify server
+ * @param {import('./index.js').Notification} message
+ * @returns {Promise<string>}
+ */
+export async function send(message) {
+    const { url, token } = config.notify.gotify;
+
+    await postJson(`${url.replace(/\/+$/, '')}/message`, {
+        title: message.subject,
+        message: message.text,
+        priority: PRIORITIES[message.severity] || PRIORITIES.info,
+    }, { 'X-Gotify-Key': token });
+
+    return 'pushed to server';
+}
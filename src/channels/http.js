@@ -0,0 +1,31 @@
+/**
+ * Shared HTTP helper for webhook-based channels
+ */
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * POSTs a JSON body and throws if the endpoint does not answer with 2xx
+ * @param {string} url
+ * @param {Object} body
+ * @param {Record<string, string>} [headers]
+ * @returns {Promise<Response>}
+ */
+export async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers,
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`${response.status} - ${text}`);
+    }
+
+    return response;
+}
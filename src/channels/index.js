@@ -0,0 +1,68 @@
+/**
+ * Notification Channels
+ * Every notification is built once as a channel-neutral message and delivered
+ * through each channel enabled in NOTIFY_CHANNELS.
+ */
+import { config } from '../config.js';
+import * as email from './email.js';
+import * as slack from './slack.js';
+import * as teams from './teams.js';
+import * as webhook from './webhook.js';
+import * as ntfy from './ntfy.js';
+import * as gotify from './gotify.js';
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} type - absence, reminder, resolved, session, error, test
+ * @property {'info' | 'success' | 'warning' | 'error'} severity
+ * @property {string} subject - Short title (email subject / card title)
+ * @property {string} text - Plain-text body, used by chat and push channels
+ * @property {string} [html] - HTML body, used by email
+ * @property {Array<{ filename: string, content: string, contentType: string }>} [attachments] - Files attached to emails
+ * @property {Object} [data] - Structured payload for the generic webhook
+ */
+
+export const CHANNELS = {
+    [email.name]: email,
+    [slack.name]: slack,
+    [teams.name]: teams,
+    [webhook.name]: webhook,
+    [ntfy.name]: ntfy,
+    [gotify.name]: gotify,
+};
+
+/**
+ * Delivers a notification through every enabled channel.
+ * A failing channel does not stop the others; an error is thrown only when
+ * no channel could deliver the message.
+ * @param {Notification} message
+ * @returns {Promise<string[]>} Names of the channels that delivered the message
+ */
+export async function dispatch(message) {
+    const delivered = [];
+    const failures = [];
+
+    // Tell recipients of shared channels which employee this is about
+    if (config.profileName) {
+        message = { ...message, subject: `[${config.profileName}] ${message.subject}` };
+    }
+
+    for (const channelName of config.notify.channels) {
+        const channel = CHANNELS[channelName];
+
+        try {
+            const detail = await channel.send(message);
+            delivered.push(channelName);
+            console.log(`   📣 ${channelName}: ${detail}`);
+        } catch (error) {
+            failures.push(`${channelName}: ${error.message}`);
+            console.error(`   ⚠️  ${channelName} failed: ${error.message}`);
+        }
+    }
+
+    if (delivered.length === 0) {
+        throw new Error(`No notification channel succeeded (${failures.join('; ') || 'none enabled'})`);
+    }
+
+    return delivered;
+}
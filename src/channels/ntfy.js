@@ -0,0 +1,35 @@
+/**
+ * ntfy channel (https://ntfy.sh or self-hosted)
+ * Uses JSON publishing so titles may contain emoji.
+ */
+import { config } from '../config.js';
+import { postJson } from './http.js';
+
+export const name = 'ntfy';
+
+const PRIORITIES = {
+    info: 3,
+    success: 3,
+    warning: 4,
+    error: 5,
+};
+
+/**
+ * Publishes a notification to the configured ntfy topic
+ * @param {import('./index.js').Notification} message
+ * @returns {Promise<string>}
+ */
+export async function send(message) {
+    const { url, topic, token } = config.notify.ntfy;
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+
+    await postJson(url, {
+        topic,
+        title: message.subject,
+        message: message.text,
+        priority: PRIORITIES[message.severity] || PRIORITIES.info,
+        click: config.hrms.baseUrl,
+    }, headers);
+
+    return `published to topic ${topic}`;
+}
@@ -0,0 +1,75 @@
+/**
+ * Slack channel (incoming webhook)
+ */
+import { config } from '../config.js';
+import { postJson } from './http.js';
+
+export const name = 'slack';
+
+// Slack rejects a message whose header or section text is longer than these
+const HEADER_LIMIT = 150;
+const SECTION_LIMIT = 3000;
+
+/**
+ * Escapes the characters Slack reads as markup in mrkdwn text
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMrkdwn(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Shortens text to a length limit, dropping whole lines from the end and
+ * saying how many were left out; a single line too long is cut with "…"
+ * @param {string} text
+ * @param {number} limit
+ * @returns {string}
+ */
+function truncate(text, limit) {
+    if (text.length <= limit) {
+        return text;
+    }
+
+    const lines = text.split('\n');
+    for (let kept = lines.length - 1; kept > 0; kept--) {
+        const shown = `${lines.slice(0, kept).join('\n')}\n…and ${lines.length - kept} more`;
+        if (shown.length <= limit) {
+            return shown;
+        }
+    }
+    // Without leaving half an &amp; entity behind
+    return `${text.slice(0, limit - 1).replace(/&[a-z]*$/, '')}…`;
+}
+
+/**
+ * Builds the webhook payload of a notification
+ * @param {import('./index.js').Notification} message
+ * @returns {Object}
+ */
+export function buildPayload(message) {
+    return {
+        text: message.subject,
+        blocks: [
+            {
+                type: 'header',
+                text: { type: 'plain_text', text: truncate(message.subject, HEADER_LIMIT), emoji: true },
+            },
+            {
+                type: 'section',
+                text: { type: 'mrkdwn', text: truncate(escapeMrkdwn(message.text), SECTION_LIMIT) },
+            },
+        ],
+    };
+}
+
+/**
+ * Posts a notification to a Slack incoming webhook
+ * @param {import('./index.js').Notification} message
+ * @returns {Promise<string>}
+ */
+export async function send(message) {
+    await postJson(config.notify.slack.webhookUrl, buildPayload(message));
+
+    return 'posted to webhook';
+}
@@ -0,0 +1,60 @@
+/**
+ * Microsoft Teams channel (incoming webhook / Workflows webhook)
+ * Posts an Adaptive Card, which both connector and Workflows webhooks accept.
+ */
+import { config } from '../config.js';
+import { postJson } from './http.js';
+
+export const name = 'teams';
+
+const SEVERITY_COLORS = {
+    info: 'Default',
+    success: 'Good',
+    warning: 'Warning',
+    error: 'Attention',
+};
+
+/**
+ * Posts a notification to a Teams webhook
+ * @param {import('./index.js').Notification} message
+ * @returns {Promise<string>}
+ */
+export async function send(message) {
+    await postJson(config.notify.teams.webhookUrl, {
+        type: 'message',
+        attachments: [
+            {
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                content: {
+                    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                    type: 'AdaptiveCard',
+                    version: '1.4',
+                    body: [
+                        {
+                            type: 'TextBlock',
+                            text: message.subject,
+                            weight: 'Bolder',
+                            size: 'Medium',
+                            color: SEVERITY_COLORS[message.severity] || SEVERITY_COLORS.info,
+                            wrap: true,
+                        },
+                        {
+                            type: 'TextBlock',
+                            text: message.text,
+                            wrap: true,
+                        },
+                    ],
+                    actions: [
+                        {
+                            type: 'Action.OpenUrl',
+                            title: 'Open Peeplynx HR',
+                            url: config.hrms.baseUrl,
+                        },
+                    ],
+                },
+            },
+        ],
+    });
+
+    return 'posted to webhook';
+}
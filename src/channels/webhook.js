@@ -0,0 +1,30 @@
+/**
+ * Generic JSON webhook channel
+ * Posts the full notification, including structured data, for custom integrations.
+ */
+import { config } from '../config.js';
+import { postJson } from './http.js';
+
+export const name = 'webhook';
+
+/**
+ * Posts a notification as JSON to the configured URL
+ * @param {import('./index.js').Notification} message
+ * @returns {Promise<string>}
+ */
+export async function send(message) {
+    const headers = config.notify.webhook.authHeader
+        ? { Authorization: config.notify.webhook.authHeader }
+        : {};
+
+    await postJson(config.notify.webhook.url, {
+        type: message.type,
+        severity: message.severity,
+        subject: message.subject,
+        text: message.text,
+        data: message.data || null,
+        sentAt: new Date().toISOString(),
+    }, headers);
+
+    return `posted to ${new URL(config.notify.webhook.url).host}`;
+}
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * hrms-notifier CLI
+ * Single entry point for every command: hrms-notifier <command> [options].
+ * Run "hrms-notifier --help" for the list of commands. --config <file> and
+ * --set <setting>=<value> apply to every command.
+ */
+import { runCommand } from './commands/index.js';
+import { stripConfigFlags } from './config-file.js';
+
+// --config and --set were applied when the configuration loaded
+runCommand(stripConfigFlags(process.argv.slice(2))).catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
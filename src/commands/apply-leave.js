@@ -0,0 +1,37 @@
+/**
+ * apply-leave command
+ * Applies for leave.
+ */
+import { runSubmitRequest } from '../submit-request.js';
+import { EXIT_CODES } from '../exit-codes.js';
+
+export const name = 'apply-leave';
+
+export const summary = 'Apply for leave';
+
+export const usage = `Usage: hrms-notifier apply-leave <date> --type "..." [options]
+
+Applies for leave through the HRMS API and tracks the request, so later
+checks show the days as pending. Needs HRMS_LEAVE_ENDPOINT.
+
+Options:
+  --type <name>     Leave type as HRMS names it, e.g. "Casual Leave" (required)
+  --to <date>       Last day of a multi-day leave (YYYY-MM-DD)
+  --half-day        Apply for half a day
+  --reason <text>   Reason shown to the approver
+  --profile <name>  Submit for this profile
+  --dry-run         Show the request without sending it
+  --force           Submit again for a day already submitted
+  -h, --help        Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    try {
+        await runSubmitRequest(name, args);
+    } catch (error) {
+        console.error('❌ Request failed:', error.message);
+        process.exit(EXIT_CODES.ERROR);
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * check command
+ * Checks attendance once and sends the alerts that are due.
+ */
+import { main } from '../index.js';
+
+export const name = 'check';
+
+export const summary = 'Check attendance once and notify about flagged days';
+
+export const usage = `Usage: hrms-notifier check [options]
+
+Checks the salary period containing today (or the one given) and sends
+alerts for newly flagged, still unresolved and resolved days.
+
+Options:
+  --test                 Check without sending notifications
+  --period <period>      current, previous or YYYY-MM (period ending in that month)
+  --from <date>          Start of a custom range (YYYY-MM-DD, with --to)
+  --to <date>            End of a custom range (YYYY-MM-DD)
+  --profile <name>       Check a single profile
+  --output <format>      Print json, ndjson or csv to stdout with stable exit codes
+  --output-file <file>   Write the --output to a file instead
+  --digest               Send the attendance digest right away
+  --ics <file>           Write the period as an iCalendar file
+  --dump-payload         Save every HRMS response for troubleshooting
+  -h, --help             Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    await main(args);
+}
@@ -0,0 +1,36 @@
+/**
+ * config commands
+ * Configuration tools.
+ */
+import { getConfigFile } from '../config.js';
+import { validateSetup } from '../index.js';
+import { EXIT_CODES } from '../exit-codes.js';
+
+export const name = 'config';
+
+export const summary = 'Configuration tools';
+
+export const subcommands = {
+    validate: {
+        name: 'validate',
+        summary: 'Check the config file, .env, profiles and templates without contacting HRMS',
+        usage: `Usage: hrms-notifier config validate
+
+Validates the config file (--config, CONFIG_FILE or hrms-notifier.yml), the
+environment (.env), the profiles file (every profile), the notification
+templates and the daemon schedule, and lists every problem found. Does not
+sign in to HRMS or send anything.
+
+Exits with ${EXIT_CODES.CONFIG} when the configuration is invalid.
+
+Options:
+  -h, --help  Show this help`,
+        run: () => {
+            const { file } = getConfigFile();
+            console.log(file ? `📄 Config file: ${file}` : '📄 No config file; using the environment and defaults');
+            if (!validateSetup({ schedule: true })) {
+                process.exit(EXIT_CODES.CONFIG);
+            }
+        },
+    },
+};
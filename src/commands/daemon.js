@@ -0,0 +1,26 @@
+/**
+ * daemon command
+ * Keeps running and checks on the configured schedule.
+ */
+import { main } from '../index.js';
+
+export const name = 'daemon';
+
+export const summary = 'Keep running and check on the CHECK_SCHEDULE cron schedule';
+
+export const usage = `Usage: hrms-notifier daemon [--test]
+
+Validates the configuration once, then checks attendance on the
+CHECK_SCHEDULE cron schedule (SCHEDULE_TIMEZONE) until SIGTERM or SIGINT.
+With PUNCH_SCHEDULE set, today's punches are also checked on that schedule.
+
+Options:
+  --test      Check without sending notifications
+  -h, --help  Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    await main(['--daemon', ...args]);
+}
@@ -0,0 +1,26 @@
+/**
+ * export command
+ * Writes the session of the browser profile to the session file.
+ */
+import { exportSession } from '../export-session.js';
+
+export const name = 'export';
+
+export const summary = 'Export the browser login to a portable session file';
+
+export const usage = `Usage: hrms-notifier export [--encrypt]
+
+Reads the cookies of the browser profile left by "hrms-notifier login" and
+writes them to SESSION_FILE, to be copied to the server and imported there.
+
+Options:
+  --encrypt   Require encryption with SESSION_PASSPHRASE or SESSION_KEY_FILE
+              (files are encrypted whenever either is set)
+  -h, --help  Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    await exportSession({ encrypt: args.includes('--encrypt') });
+}
@@ -0,0 +1,87 @@
+/**
+ * holidays command
+ * Lists the organization's holidays from the HRMS holiday calendar and the
+ * long weekends they make.
+ */
+import { config } from '../config.js';
+import { EXIT_CODES, getExitCode } from '../exit-codes.js';
+import { getErrorType } from '../errors.js';
+import { LONG_WEEKEND_DAYS, getOffStretch, listHolidays, loadHolidayCalendar, refreshHolidayCalendar, validateHolidays } from '../holidays.js';
+import { authenticate, selectProfile } from '../submit-request.js';
+import { formatDate, formatDisplayDate, formatDisplayDateTime, formatDisplayRange, getArgValue, getToday, parseLocalDate } from '../utils.js';
+
+export const name = 'holidays';
+
+export const summary = 'Show the holiday calendar and the long weekends ahead';
+
+export const usage = `Usage: hrms-notifier holidays [options]
+
+Lists the upcoming holidays of the HRMS holiday calendar, marking the ones
+that make a long weekend with the weekly offs around them. The calendar is
+read from the monthly attendance summaries (plus HRMS_HOLIDAY_ENDPOINT when
+set), saved to HOLIDAY_CALENDAR_FILE and kept up to date by regular checks;
+it is fetched here only when none is saved yet or with --refresh.
+
+Options:
+  --refresh         Fetch the calendar from HRMS now
+  --days <n>        Only show the next n days
+  --profile <name>  Use this profile's session
+  -h, --help        Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    const profileProblem = selectProfile(getArgValue(args, 'profile'));
+    if (profileProblem) {
+        console.error(`❌ ${profileProblem}`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const days = getArgValue(args, 'days');
+    const errors = validateHolidays();
+    if (days !== undefined && !/^\d+$/.test(days)) {
+        errors.push('--days must be a whole number of days');
+    }
+    if (errors.length > 0) {
+        console.error('❌ Configuration errors:');
+        errors.forEach(error => console.error(`   • ${error}`));
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    let calendar = loadHolidayCalendar();
+    if (!calendar || args.includes('--refresh')) {
+        if (!await authenticate()) {
+            process.exit(EXIT_CODES.AUTH);
+        }
+        try {
+            calendar = await refreshHolidayCalendar({ force: true });
+            console.log(`💾 Holiday calendar saved to ${config.holidays.file}`);
+        } catch (error) {
+            console.error(`❌ Could not fetch the holiday calendar: ${error.message}`);
+            process.exit(getExitCode([{ ok: false, errorType: getErrorType(error) }]));
+        }
+    }
+
+    const today = getToday();
+    const until = days === undefined
+        ? '9999-12-31'
+        : formatDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + Number(days)));
+    const holidays = listHolidays(calendar, formatDate(today), until);
+
+    const updatedAt = formatDisplayDateTime(new Date(calendar.updatedAt), { dateStyle: 'medium', timeStyle: 'short' });
+    console.log(`🎉 Holiday calendar${config.profileName ? ` (${config.profileName})` : ''}, updated ${updatedAt}`);
+
+    if (holidays.length === 0) {
+        console.log(`   No holidays ahead${days === undefined ? ` (the calendar runs to ${calendar.to})` : ` in the next ${days} day(s)`}`);
+        return;
+    }
+
+    for (const holiday of holidays) {
+        const stretch = getOffStretch(holiday.date, calendar);
+        const longWeekend = stretch.days >= LONG_WEEKEND_DAYS
+            ? ` 🏝️  ${stretch.days} days off (${formatDisplayRange(parseLocalDate(stretch.start), parseLocalDate(stretch.end))})`
+            : '';
+        console.log(`   • ${formatDisplayDate(holiday.date)} - ${holiday.name || 'Holiday'}${longWeekend}`);
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * import command
+ * Installs a session file exported on another machine.
+ */
+import { importSession } from '../import-session.js';
+
+export const name = 'import';
+
+export const summary = 'Install a session file exported on another machine';
+
+export const usage = `Usage: hrms-notifier import <file> [--delete]
+
+Decrypts an exported session file (with SESSION_PASSPHRASE or
+SESSION_KEY_FILE) and installs it as SESSION_FILE, encrypted when either is
+set and readable by the owner only in any case.
+
+Options:
+  --delete    Remove <file> after importing it
+  -h, --help  Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export function run(args) {
+    importSession(args);
+}
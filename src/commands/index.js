@@ -0,0 +1,230 @@
+/**
+ * CLI Commands
+ * Every command of the hrms-notifier CLI. A command module exports its name,
+ * a one-line summary, the usage text shown by --help and run(args); a group
+ * (session, notify, config) exports subcommands of the same shape instead.
+ */
+import { EXIT_CODES } from '../exit-codes.js';
+import * as login from './login.js';
+import * as exportSession from './export.js';
+import * as importSession from './import.js';
+import * as check from './check.js';
+import * as punch from './punch.js';
+import * as holidays from './holidays.js';
+import * as daemon from './daemon.js';
+import * as serve from './serve.js';
+import * as status from './status.js';
+import * as session from './session.js';
+import * as notify from './notify.js';
+import * as configCommand from './config.js';
+import * as report from './report.js';
+import * as regularize from './regularize.js';
+import * as applyLeave from './apply-leave.js';
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name
+ * @property {string} summary - One line for the command list
+ * @property {string} [usage] - Full --help text
+ * @property {(args: string[]) => Promise<void> | void} [run]
+ * @property {Record<string, Command>} [subcommands] - For command groups
+ */
+
+export const COMMANDS = {
+    [login.name]: login,
+    [exportSession.name]: exportSession,
+    [importSession.name]: importSession,
+    [check.name]: check,
+    [punch.name]: punch,
+    [holidays.name]: holidays,
+    [daemon.name]: daemon,
+    [serve.name]: serve,
+    [status.name]: status,
+    [session.name]: session,
+    [notify.name]: notify,
+    [configCommand.name]: configCommand,
+    [report.name]: report,
+    [regularize.name]: regularize,
+    [applyLeave.name]: applyLeave,
+};
+
+/**
+ * Checks if help was asked for
+ * @param {string[]} args
+ * @returns {boolean}
+ */
+function wantsHelp(args) {
+    return args.includes('--help') || args.includes('-h');
+}
+
+/**
+ * Lists commands with their summaries
+ * @param {Record<string, Command>} commands
+ * @param {string} prefix - Prepended to each name (e.g. the group name)
+ * @returns {Array<[string, string]>} Name and summary pairs
+ */
+function listCommands(commands, prefix = '') {
+    return Object.values(commands).map(command => [`${prefix}${command.name}`, command.summary]);
+}
+
+/**
+ * Formats name and summary pairs as aligned lines
+ * @param {Array<[string, string]>} entries
+ * @returns {string[]}
+ */
+function formatList(entries) {
+    const width = Math.max(...entries.map(([label]) => label.length));
+    return entries.map(([label, text]) => `  ${label.padEnd(width)}  ${text}`);
+}
+
+/**
+ * Builds the top-level help text
+ * @returns {string}
+ */
+export function formatHelp() {
+    const entries = Object.values(COMMANDS).flatMap(command => (command.subcommands
+        ? listCommands(command.subcommands, `${command.name} `)
+        : listCommands({ [command.name]: command })));
+
+    return [
+        'Usage: hrms-notifier <command> [options]',
+        '',
+        'Peeplynx HR attendance notifier',
+        '',
+        'Commands:',
+        ...formatList(entries),
+        '',
+        'Options for every command:',
+        ...formatList([
+            ['--config <file>', 'Read settings from this YAML or JSON file (default: hrms-notifier.yml)'],
+            ['--set <setting>=<value>', 'Override one setting, e.g. --set hrms.baseUrl=https://hrms.example.com'],
+        ]),
+        '',
+        'Run "hrms-notifier <command> --help" for the options of a command.',
+    ].join('\n');
+}
+
+/**
+ * Builds the help text of a command group
+ * @param {Command} group
+ * @returns {string}
+ */
+function formatGroupHelp(group) {
+    return [
+        `Usage: hrms-notifier ${group.name} <command> [options]`,
+        '',
+        group.summary,
+        '',
+        'Commands:',
+        ...formatList(listCommands(group.subcommands, `${group.name} `)),
+    ].join('\n');
+}
+
+/**
+ * Reports a usage error and exits
+ * @param {string} message
+ * @param {string} help - Shown below the message
+ */
+function usageError(message, help) {
+    console.error(`❌ ${message}`);
+    console.error('');
+    console.error(help);
+    process.exit(EXIT_CODES.CONFIG);
+}
+
+/**
+ * Lists the options described in the usage text of a command
+ * @param {string} usage
+ * @returns {Map<string, boolean>} Each option, and whether it takes a value
+ */
+function getUsageOptions(usage) {
+    const options = new Map();
+    for (const [, short, long, value] of usage.matchAll(/^ {2}(?:(-\w), )?(--[\w-]+)( \S+)?(?: {2,}|$)/gm)) {
+        options.set(long, Boolean(value));
+        if (short) {
+            options.set(short, false);
+        }
+    }
+    return options;
+}
+
+/**
+ * Finds the first argument that looks like an option but is not one of the command's
+ * @param {Command} command
+ * @param {string[]} args
+ * @returns {string | null}
+ */
+function findUnknownOption(command, args) {
+    const options = getUsageOptions(command.usage);
+    for (let index = 0; index < args.length; index++) {
+        const [option] = args[index].split('=');
+        if (!option.startsWith('-')) {
+            continue;
+        }
+        if (!options.has(option)) {
+            return args[index];
+        }
+        // Skip the value, which may itself start with "-"
+        if (options.get(option) && option === args[index]) {
+            index++;
+        }
+    }
+    return null;
+}
+
+/**
+ * Runs the command named by the arguments
+ * @param {string[]} argv - Command line arguments, without node and the script
+ * @returns {Promise<void>}
+ */
+export async function runCommand(argv) {
+    let [name, ...args] = argv;
+
+    // "hrms-notifier help <command>" is the same as "hrms-notifier <command> --help"
+    if (name === 'help' && args.length > 0) {
+        [name, ...args] = [...args, '--help'];
+    }
+    if (!name || name === 'help' || name === '--help' || name === '-h') {
+        console.log(formatHelp());
+        return;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        usageError(`Unknown command "${name}"`, formatHelp());
+    }
+
+    if (command.subcommands) {
+        const [subName, ...subArgs] = args;
+        const subcommand = command.subcommands[subName];
+        if (!subcommand) {
+            if (!subName || wantsHelp([subName])) {
+                console.log(formatGroupHelp(command));
+                return;
+            }
+            usageError(`Unknown command "${name} ${subName}"`, formatGroupHelp(command));
+        }
+        return runOrHelp(subcommand, subArgs);
+    }
+
+    return runOrHelp(command, args);
+}
+
+/**
+ * Shows the usage of a command when asked for, otherwise runs it; options
+ * its usage does not list are a usage error rather than silently ignored
+ * @param {Command} command
+ * @param {string[]} args
+ * @returns {Promise<void>}
+ */
+async function runOrHelp(command, args) {
+    if (wantsHelp(args)) {
+        console.log(command.usage);
+        return;
+    }
+    const unknown = command.usage && findUnknownOption(command, args);
+    if (unknown) {
+        usageError(`Unknown option "${unknown}"`, command.usage);
+    }
+    await command.run(args);
+}
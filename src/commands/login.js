@@ -0,0 +1,26 @@
+/**
+ * login command
+ * Signs in to HRMS and keeps the browser profile for "export".
+ */
+import { headlessLogin, login } from '../browser-login.js';
+
+export const name = 'login';
+
+export const summary = 'Sign in to HRMS in a browser window (or headlessly)';
+
+export const usage = `Usage: hrms-notifier login [--headless]
+
+Opens a browser window for the Microsoft SSO login with 2FA and keeps the
+signed-in browser profile in .browser-session/ for "hrms-notifier export".
+
+Options:
+  --headless  Sign in without a window using SSO_USERNAME, SSO_PASSWORD and
+              SSO_TOTP_SECRET, and write the session file directly
+  -h, --help  Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    await (args.includes('--headless') ? headlessLogin() : login());
+}
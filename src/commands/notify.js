@@ -0,0 +1,25 @@
+/**
+ * notify commands
+ * Notification channel tools.
+ */
+import { main } from '../index.js';
+
+export const name = 'notify';
+
+export const summary = 'Notification channel tools';
+
+export const subcommands = {
+    test: {
+        name: 'test',
+        summary: 'Send a test notification to every enabled channel',
+        usage: `Usage: hrms-notifier notify test [--profile <name>]
+
+Signs in to HRMS, validates the configuration and sends a test notification
+through every channel in NOTIFY_CHANNELS.
+
+Options:
+  --profile <name>  Send for a single profile only
+  -h, --help        Show this help`,
+        run: args => main(['--test-email', ...args]),
+    },
+};
@@ -0,0 +1,28 @@
+/**
+ * punch command
+ * Checks today's punches once and sends the "forgot to punch" reminders that are due.
+ */
+import { main } from '../index.js';
+
+export const name = 'punch';
+
+export const summary = 'Check today\'s punches and remind about a missing punch-in or punch-out';
+
+export const usage = `Usage: hrms-notifier punch [options]
+
+Reads today's attendance entry and sends a reminder when no punch-in is
+recorded by PUNCH_IN_BY on a working day, or no punch-out PUNCH_OUT_GRACE
+after the shift ends. Each reminder is sent once per day. The daemon runs
+this on the PUNCH_SCHEDULE cron schedule.
+
+Options:
+  --test            Check without sending reminders
+  --profile <name>  Check a single profile
+  -h, --help        Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    await main(['--punch', ...args]);
+}
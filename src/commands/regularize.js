@@ -0,0 +1,36 @@
+/**
+ * regularize command
+ * Submits an attendance regularization.
+ */
+import { runSubmitRequest } from '../submit-request.js';
+import { EXIT_CODES } from '../exit-codes.js';
+
+export const name = 'regularize';
+
+export const summary = 'Submit an attendance regularization';
+
+export const usage = `Usage: hrms-notifier regularize <date> --reason "..." [options]
+
+Regularizes a day through the HRMS API and tracks the request, so later
+checks show the day as pending. Needs HRMS_REGULARIZATION_ENDPOINT.
+
+Options:
+  --reason <text>   Reason shown to the approver (required)
+  --in <HH:MM>      Punch-in time
+  --out <HH:MM>     Punch-out time
+  --profile <name>  Submit for this profile
+  --dry-run         Show the request without sending it
+  --force           Submit again for a day already submitted
+  -h, --help        Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    try {
+        await runSubmitRequest(name, args);
+    } catch (error) {
+        console.error('❌ Request failed:', error.message);
+        process.exit(EXIT_CODES.ERROR);
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * report command
+ * Attendance trends from the local history archive.
+ */
+import { runReport } from '../report.js';
+
+export const name = 'report';
+
+export const summary = 'Show attendance trends from the local history archive';
+
+export const usage = `Usage: hrms-notifier report [options]
+
+Summarizes HISTORY_FILE offline: absences per salary period, payable days per
+month, absences by day of week and days that changed status after the fact.
+
+Options:
+  --periods <n>      Number of salary periods to include (default: 6)
+  --profile <name>   Report on a single profile
+  --output json      Print the report as JSON
+  -h, --help         Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    try {
+        await runReport(args);
+    } catch (error) {
+        console.error('❌ Report failed:', error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * serve command
+ * Runs the daemon together with the status dashboard and JSON API.
+ */
+import { main } from '../index.js';
+
+export const name = 'serve';
+
+export const summary = 'Run the daemon plus the status dashboard and JSON API';
+
+export const usage = `Usage: hrms-notifier serve [--no-schedule] [--test]
+
+Starts the status server on STATUS_HOST:STATUS_PORT (token: STATUS_TOKEN)
+and checks attendance on the CHECK_SCHEDULE cron schedule.
+
+Options:
+  --no-schedule  Only serve; run checks when triggered over HTTP
+  --test         Check without sending notifications
+  -h, --help     Show this help`;
+
+/**
+ * @param {string[]} args
+ */
+export async function run(args) {
+    const flags = args.filter(arg => arg !== '--no-schedule');
+    await main([...(args.includes('--no-schedule') ? [] : ['--daemon']), '--serve', ...flags]);
+}
@@ -0,0 +1,103 @@
+/**
+ * session commands
+ * Inspects session files without launching a browser.
+ */
+import { getSessionInfo } from '../browser-auth.js';
+import { EXIT_CODES } from '../exit-codes.js';
+import { mapProfiles } from '../profiles.js';
+import { loadState } from '../state.js';
+import { getArgValue, formatDisplayDateTime } from '../utils.js';
+
+export const name = 'session';
+
+export const summary = 'Session file tools';
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string | null} value
+ * @returns {string}
+ */
+function formatTime(value) {
+    return value ? formatDisplayDateTime(new Date(value)) : 'unknown';
+}
+
+/**
+ * Prints the session details of one profile
+ * @param {ReturnType<typeof getSessionInfo>} info
+ */
+function printSessionInfo(info) {
+    console.log(`🔐 ${info.file}`);
+    if (!info.exists) {
+        console.log('   ❌ Missing. Run "hrms-notifier login" and "export" here, or "import" an exported file.');
+        return;
+    }
+    if (info.error) {
+        console.log(`   ❌ Unusable: ${info.error}`);
+        return;
+    }
+
+    console.log(`   ${info.encrypted ? '🔒 Encrypted' : '⚠️  Not encrypted'}, ${info.private ? 'readable by its owner only' : 'readable by other users'}`);
+    console.log(`   🍪 ${info.cookies} cookies, exported ${formatTime(info.exportedAt)}`);
+    console.log(`   👤 Logged in ${formatTime(info.sessionStartedAt)}`);
+    console.log(info.tokenValid
+        ? `   ✅ Access token valid until ${formatTime(info.tokenExpiresAt)}`
+        : `   🔄 Access token expired ${formatTime(info.tokenExpiresAt)} (refreshed on the next check)`);
+    console.log(info.sessionExpiresAt
+        ? `   ⏳ Session expected to expire ${formatTime(info.sessionExpiresAt)} (${info.sessionExpirySource})`
+        : '   ⏳ Session expiry unknown');
+}
+
+export const subcommands = {
+    info: {
+        name: 'info',
+        summary: 'Show the session file: encryption, token and expected expiry',
+        usage: `Usage: hrms-notifier session info [--profile <name>] [--output json]
+
+Describes the session file (SESSION_FILE, or each profile's sessionFile):
+whether it is encrypted and private, when the login happened, whether the
+access token is still valid and when the session is expected to need a new
+login. Does not launch a browser or contact HRMS.
+
+Exits with ${EXIT_CODES.AUTH} when a session file is missing or cannot be read.
+
+Options:
+  --profile <name>  Show a single profile
+  --output json     Print the details as JSON
+  -h, --help        Show this help`,
+        run: args => {
+            const outputFormat = getArgValue(args, 'output');
+            if (outputFormat && outputFormat !== 'json') {
+                console.error(`❌ Unknown --output format "${outputFormat}" (use json)`);
+                process.exit(EXIT_CODES.CONFIG);
+            }
+            // Keep notes such as a session file migration out of the JSON
+            if (outputFormat) {
+                console.log = console.error;
+            }
+
+            let sessions;
+            try {
+                sessions = mapProfiles(getArgValue(args, 'profile'), () =>
+                    getSessionInfo(undefined, loadState().session?.observedLifetimeMs));
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(EXIT_CODES.CONFIG);
+            }
+
+            if (outputFormat) {
+                process.stdout.write(JSON.stringify({ sessions }, null, 2) + '\n');
+            } else {
+                sessions.forEach(info => {
+                    if (info.profile) {
+                        console.log(`👤 ${info.profile}`);
+                    }
+                    printSessionInfo(info);
+                });
+            }
+
+            if (sessions.some(info => !info.exists || info.error)) {
+                process.exit(EXIT_CODES.AUTH);
+            }
+        },
+    },
+};
@@ -0,0 +1,144 @@
+/**
+ * status command
+ * Summarizes what the notifier knows without contacting HRMS: the session,
+ * open flagged days, tracked requests and when the next check is due.
+ */
+import { config } from '../config.js';
+import { getSessionInfo } from '../browser-auth.js';
+import { getNextScheduledCheck } from '../daemon.js';
+import { EXIT_CODES } from '../exit-codes.js';
+import { loadHistory } from '../history.js';
+import { mapProfiles } from '../profiles.js';
+import { loadState } from '../state.js';
+import { getArgValue, formatDisplayDate, formatDisplayDateTime } from '../utils.js';
+
+export const name = 'status';
+
+export const summary = 'Show the session, open flagged days and the next check';
+
+export const usage = `Usage: hrms-notifier status [--profile <name>] [--output json]
+
+Shows, from the local files only, for each profile: the session, the last
+successful sign-in, the last attendance recorded, flagged days that are still
+open, submitted requests HRMS does not show yet and queued actions. Also
+shows when the next scheduled check (CHECK_SCHEDULE) is due.
+
+Options:
+  --profile <name>  Show a single profile
+  --output json     Print the status as JSON
+  -h, --help        Show this help`;
+
+/**
+ * Collects the status of the active configuration
+ * @returns {Object}
+ */
+function collectStatus() {
+    const state = loadState();
+    const history = loadHistory();
+    const latest = history.reduce((last, record) => (!last || record.recordedAt > last ? record.recordedAt : last), null);
+
+    return {
+        session: getSessionInfo(undefined, state.session?.observedLifetimeMs),
+        lastSignInAt: state.session?.lastValidAt || null,
+        lastRecordedAt: latest,
+        openDays: Object.entries(state.absences)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, entry]) => ({ date, ...entry })),
+        pendingRequests: Object.entries(state.requests)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, entry]) => ({ date, ...entry })),
+        queuedActions: state.queue,
+    };
+}
+
+/**
+ * Formats an ISO timestamp for display
+ * @param {string | null} value
+ * @returns {string}
+ */
+function formatTime(value) {
+    return value ? formatDisplayDateTime(new Date(value)) : 'never';
+}
+
+/**
+ * Prints the status of one profile
+ * @param {ReturnType<typeof collectStatus>} status
+ */
+function printStatus(status) {
+    const { session } = status;
+    if (!session.exists) {
+        console.log(`   🔐 Session: missing (${session.file})`);
+    } else if (session.error) {
+        console.log(`   🔐 Session: unusable (${session.error})`);
+    } else {
+        const expiry = session.sessionExpiresAt ? `, expected to expire ${formatTime(session.sessionExpiresAt)}` : '';
+        console.log(`   🔐 Session: ${session.tokenValid ? 'token valid' : 'token needs a refresh'}${expiry}`);
+    }
+    console.log(`   ✅ Last successful sign-in: ${formatTime(status.lastSignInAt)}`);
+    console.log(`   📚 Last attendance recorded: ${formatTime(status.lastRecordedAt)}`);
+
+    if (status.openDays.length === 0) {
+        console.log('   🎉 No open flagged days');
+    } else {
+        console.log(`   ⚠️  ${status.openDays.length} open flagged day(s):`);
+        status.openDays.forEach(day => {
+            const note = day.acknowledgedAt ? ', acknowledged'
+                : day.snoozedUntil ? `, snoozed until ${formatTime(day.snoozedUntil)}` : '';
+            console.log(`      • ${formatDisplayDate(day.date)}: ${day.status} (alerted ${day.alertCount}x${note})`);
+        });
+    }
+
+    if (status.pendingRequests.length > 0) {
+        console.log(`   📝 ${status.pendingRequests.length} submitted request(s) awaiting HRMS:`);
+        status.pendingRequests.forEach(request => {
+            console.log(`      • ${formatDisplayDate(request.date)}: ${request.type} (submitted ${request.submittedAt.slice(0, 10)})`);
+        });
+    }
+    if (status.queuedActions.length > 0) {
+        console.log(`   📬 ${status.queuedActions.length} action(s) queued for the next check`);
+    }
+}
+
+/**
+ * @param {string[]} args
+ */
+export function run(args) {
+    const outputFormat = getArgValue(args, 'output');
+    if (outputFormat && outputFormat !== 'json') {
+        console.error(`❌ Unknown --output format "${outputFormat}" (use json)`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+    // Keep notes such as a session file migration out of the JSON
+    if (outputFormat) {
+        console.log = console.error;
+    }
+
+    let profiles;
+    try {
+        profiles = mapProfiles(getArgValue(args, 'profile'), collectStatus);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const nextCheckAt = getNextScheduledCheck();
+    const schedule = {
+        cron: config.schedule.cron,
+        timezone: config.schedule.timezone,
+        nextCheckAt: nextCheckAt ? nextCheckAt.toISOString() : null,
+    };
+
+    if (outputFormat) {
+        process.stdout.write(JSON.stringify({ generatedAt: new Date().toISOString(), schedule, profiles }, null, 2) + '\n');
+        return;
+    }
+
+    profiles.forEach(status => {
+        console.log(status.profile ? `👤 ${status.profile}` : '📋 Status');
+        printStatus(status);
+        console.log('');
+    });
+    console.log(nextCheckAt
+        ? `🕒 Next scheduled check: ${formatDisplayDateTime(nextCheckAt)} (${schedule.cron}, ${schedule.timezone})`
+        : `🕒 No scheduled check in the next month (${schedule.cron})`);
+}
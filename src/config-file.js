@@ -0,0 +1,316 @@
+/**
+ * Config File Module
+ * Layers settings from a YAML or JSON file (hrms-notifier.yml by default, or
+ * CONFIG_FILE / --config) and --set flags over the built-in defaults.
+ * Precedence, lowest first: defaults, config file, environment (.env), --set.
+ * Secrets (passwords, passphrases, signing keys) are left to the environment.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseDocument } from 'yaml';
+
+// Looked for in the working directory when neither CONFIG_FILE nor --config is given
+export const DEFAULT_FILES = ['hrms-notifier.yml', 'hrms-notifier.yaml', 'hrms-notifier.json'];
+
+/**
+ * @typedef {'string' | 'url' | 'path' | 'integer' | 'number' | 'boolean' | 'list' | 'integers'} SettingType
+ */
+
+/**
+ * Settings a config file may set, by their path in the config object, with
+ * the environment variable that overrides them
+ * @type {Record<string, { env: string, type: SettingType, lowercase?: boolean }>}
+ */
+export const SETTINGS = {
+    'hrms.baseUrl': { env: 'HRMS_BASE_URL', type: 'url' },
+    'hrms.apiPath': { env: 'HRMS_API_PATH', type: 'string' },
+    'hrms.mappingId': { env: 'HRMS_MAPPING_ID', type: 'string' },
+    'hrms.cookies.accessToken': { env: 'HRMS_ACCESS_TOKEN_COOKIE', type: 'string' },
+    'hrms.cookies.xsrfToken': { env: 'HRMS_XSRF_COOKIE', type: 'string' },
+    'hrms.cookies.mappingId': { env: 'HRMS_MAPPING_ID_COOKIE', type: 'string' },
+    'hrms.timeoutMs': { env: 'HRMS_TIMEOUT_MS', type: 'integer' },
+    'hrms.retries': { env: 'HRMS_RETRIES', type: 'integer' },
+    'hrms.retryDelayMs': { env: 'HRMS_RETRY_DELAY_MS', type: 'integer' },
+    'hrms.regularizationEndpoint': { env: 'HRMS_REGULARIZATION_ENDPOINT', type: 'string' },
+    'hrms.leaveEndpoint': { env: 'HRMS_LEAVE_ENDPOINT', type: 'string' },
+    'hrms.leaveBalanceEndpoint': { env: 'HRMS_LEAVE_BALANCE_ENDPOINT', type: 'string' },
+    'hrms.holidayEndpoint': { env: 'HRMS_HOLIDAY_ENDPOINT', type: 'string' },
+    'session.file': { env: 'SESSION_FILE', type: 'path' },
+    'session.keyFile': { env: 'SESSION_KEY_FILE', type: 'path' },
+    'session.warnBefore': { env: 'SESSION_WARN_BEFORE', type: 'string' },
+    'session.maxAgeDays': { env: 'SESSION_MAX_AGE_DAYS', type: 'number' },
+    'session.cookieNames': { env: 'SESSION_COOKIE_NAMES', type: 'list' },
+    'session.cookieDomains': { env: 'SESSION_COOKIE_DOMAINS', type: 'list', lowercase: true },
+    'profiles.file': { env: 'PROFILES_FILE', type: 'path' },
+    'email.host': { env: 'SMTP_HOST', type: 'string' },
+    'email.port': { env: 'SMTP_PORT', type: 'integer' },
+    'email.secure': { env: 'SMTP_SECURE', type: 'boolean' },
+    'email.user': { env: 'SMTP_USER', type: 'string' },
+    'email.notifyEmail': { env: 'NOTIFY_EMAIL', type: 'string' },
+    'notify.channels': { env: 'NOTIFY_CHANNELS', type: 'list', lowercase: true },
+    'notify.slack.webhookUrl': { env: 'SLACK_WEBHOOK_URL', type: 'url' },
+    'notify.teams.webhookUrl': { env: 'TEAMS_WEBHOOK_URL', type: 'url' },
+    'notify.webhook.url': { env: 'WEBHOOK_URL', type: 'url' },
+    'notify.ntfy.url': { env: 'NTFY_URL', type: 'url' },
+    'notify.ntfy.topic': { env: 'NTFY_TOPIC', type: 'string' },
+    'notify.gotify.url': { env: 'GOTIFY_URL', type: 'url' },
+    'alerts.stateFile': { env: 'ALERT_STATE_FILE', type: 'path' },
+    'alerts.reminderIntervalDays': { env: 'REMINDER_INTERVAL_DAYS', type: 'integer' },
+    'alerts.notifyResolved': { env: 'NOTIFY_RESOLVED', type: 'boolean' },
+    'alerts.categories': { env: 'ALERT_CATEGORIES', type: 'list', lowercase: true },
+    'history.enabled': { env: 'HISTORY_ENABLED', type: 'boolean' },
+    'history.file': { env: 'HISTORY_FILE', type: 'path' },
+    'period.startDay': { env: 'PERIOD_START_DAY', type: 'integer' },
+    'period.endDay': { env: 'PERIOD_END_DAY', type: 'integer' },
+    'period.cutoverDay': { env: 'PERIOD_CUTOVER_DAY', type: 'integer' },
+    'period.timezone': { env: 'PERIOD_TIMEZONE', type: 'string' },
+    'leave.types': { env: 'LEAVE_TYPES', type: 'list' },
+    'leave.lowBalance': { env: 'LEAVE_LOW_BALANCE', type: 'number' },
+    'leave.yearEnd': { env: 'LEAVE_YEAR_END', type: 'string' },
+    'leave.lapseNoticeDays': { env: 'LEAVE_LAPSE_NOTICE_DAYS', type: 'integer' },
+    'leave.lapseTypes': { env: 'LEAVE_LAPSE_TYPES', type: 'list' },
+    'punch.schedule': { env: 'PUNCH_SCHEDULE', type: 'string' },
+    'punch.inBy': { env: 'PUNCH_IN_BY', type: 'string' },
+    'punch.outGrace': { env: 'PUNCH_OUT_GRACE', type: 'string' },
+    'punch.detailEndpoint': { env: 'PUNCH_DETAIL_ENDPOINT', type: 'string' },
+    'schedule.cron': { env: 'CHECK_SCHEDULE', type: 'string' },
+    'schedule.timezone': { env: 'SCHEDULE_TIMEZONE', type: 'string' },
+    'schedule.runOnStart': { env: 'RUN_ON_START', type: 'boolean' },
+    'schedule.skipWeekends': { env: 'SKIP_WEEKENDS', type: 'boolean' },
+    'schedule.weekendDays': { env: 'WEEKEND_DAYS', type: 'integers' },
+    'schedule.skipHolidays': { env: 'SKIP_HOLIDAYS', type: 'boolean' },
+    'schedule.holidays': { env: 'HOLIDAYS', type: 'list' },
+    'digest.schedule': { env: 'DIGEST_SCHEDULE', type: 'string' },
+    'digest.closingDays': { env: 'DIGEST_CLOSING_DAYS', type: 'integer' },
+    'holidays.file': { env: 'HOLIDAY_CALENDAR_FILE', type: 'path' },
+    'holidays.lookaheadMonths': { env: 'HOLIDAY_LOOKAHEAD_MONTHS', type: 'integer' },
+    'holidays.notice': { env: 'HOLIDAY_NOTICE', type: 'string' },
+    'holidays.noticeDays': { env: 'HOLIDAY_NOTICE_DAYS', type: 'integer' },
+    'calendar.file': { env: 'ICS_FILE', type: 'path' },
+    'calendar.reminderDays': { env: 'ICS_REMINDER_DAYS', type: 'integer' },
+    'calendar.attachToAlerts': { env: 'ICS_ATTACH', type: 'boolean' },
+    'server.port': { env: 'STATUS_PORT', type: 'integer' },
+    'server.host': { env: 'STATUS_HOST', type: 'string' },
+    'rules.file': { env: 'ATTENDANCE_RULES_FILE', type: 'path' },
+    'display.locale': { env: 'LOCALE', type: 'string' },
+    'templates.dir': { env: 'TEMPLATES_DIR', type: 'path' },
+};
+
+const TYPE_NAMES = {
+    string: 'text',
+    url: 'an http(s) URL',
+    path: 'a file path',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false',
+    list: 'a list of text values',
+    integers: 'a list of whole numbers',
+};
+
+/**
+ * Reads the value of a command line flag, as --name value or --name=value
+ * @param {string[]} argv
+ * @param {string} name
+ * @returns {string[]} Every value given
+ */
+function getFlagValues(argv, name) {
+    const values = [];
+    argv.forEach((arg, index) => {
+        if (arg.startsWith(`--${name}=`)) {
+            values.push(arg.slice(name.length + 3));
+        } else if (arg === `--${name}` && argv[index + 1] !== undefined) {
+            values.push(argv[index + 1]);
+        }
+    });
+    return values;
+}
+
+/**
+ * Removes --config and --set (which apply to every command) from command arguments
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+export function stripConfigFlags(args) {
+    return args.filter((arg, index) =>
+        !/^--(config|set)(=|$)/.test(arg) && !/^--(config|set)$/.test(args[index - 1] || ''));
+}
+
+/**
+ * Flattens nested objects into dotted paths; lists are values
+ * @param {Object} data
+ * @param {string} [prefix]
+ * @returns {Array<[string, *]>}
+ */
+function flatten(data, prefix = '') {
+    return Object.entries(data).flatMap(([key, value]) => (value && typeof value === 'object' && !Array.isArray(value)
+        ? flatten(value, `${prefix}${key}.`)
+        : [[`${prefix}${key}`, value]]));
+}
+
+/**
+ * Converts a value to the type of a setting
+ * @param {{ type: SettingType, lowercase?: boolean }} setting
+ * @param {*} value - From the file (only JSON files have numbers and booleans), or a string from --set
+ * @param {string} baseDir - Relative paths are resolved against this directory
+ * @returns {{ value?: * }} No value when it does not fit the type
+ */
+function coerce(setting, value, baseDir) {
+    const fromString = typeof value === 'string';
+    const split = text => text.split(',').map(item => item.trim()).filter(Boolean);
+
+    switch (setting.type) {
+        case 'string':
+            return typeof value === 'string' || typeof value === 'number' ? { value: String(value) } : {};
+        case 'url':
+            return typeof value === 'string' && /^https?:$/.test(URL.canParse(value) && new URL(value).protocol)
+                ? { value }
+                : {};
+        case 'path':
+            return typeof value === 'string' && value ? { value: path.resolve(baseDir, value) } : {};
+        case 'integer': {
+            const number = fromString && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+            return Number.isInteger(number) ? { value: number } : {};
+        }
+        case 'number': {
+            const number = fromString && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && Number.isFinite(number) ? { value: number } : {};
+        }
+        case 'boolean':
+            if (fromString && /^(true|false)$/.test(value)) {
+                return { value: value === 'true' };
+            }
+            return typeof value === 'boolean' ? { value } : {};
+        case 'list': {
+            const list = fromString ? split(value) : value;
+            if (!Array.isArray(list) || list.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+                return {};
+            }
+            return { value: list.map(item => (setting.lowercase ? String(item).toLowerCase() : String(item))) };
+        }
+        case 'integers': {
+            const list = fromString ? split(value) : value;
+            const numbers = Array.isArray(list)
+                ? list.map(item => (typeof item === 'string' && /^-?\d+$/.test(item.trim()) ? Number(item) : item))
+                : [null];
+            return numbers.every(Number.isInteger) ? { value: numbers } : {};
+        }
+        default:
+            return {};
+    }
+}
+
+/**
+ * Sets a value at a dotted path
+ * @param {Object} target
+ * @param {string} key
+ * @param {*} value
+ */
+function setPath(target, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    parts.reduce((node, part) => node[part], target)[last] = value;
+}
+
+/**
+ * Finds the config file to load
+ * @param {{ env: Object, argv: string[], defaultDir: string }} sources
+ * @returns {string | null} A file given explicitly (existing or not), or the first default file found
+ */
+function findConfigFile({ env, argv, defaultDir }) {
+    const given = getFlagValues(argv, 'config').pop() || env.CONFIG_FILE;
+    if (given) {
+        return path.resolve(given);
+    }
+    return DEFAULT_FILES.map(name => path.join(defaultDir, name)).find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Parses a YAML config file: YAML 1.2 with the failsafe schema, so every
+ * scalar is read as text (`id: 012` stays "012", `on: yes` stays "yes") and
+ * converted to the type of its setting, as --set values are. Duplicate keys
+ * and tags such as !!int are errors.
+ * @param {string} text
+ * @returns {*} null for an empty document
+ * @throws {Error} With the line of the first problem
+ */
+export function parseYaml(text) {
+    const document = parseDocument(text, { schema: 'failsafe', uniqueKeys: true, prettyErrors: false });
+    const [problem] = [...document.errors, ...document.warnings];
+    if (problem) {
+        const line = text.slice(0, problem.pos[0]).split('\n').length;
+        throw new Error(`line ${line}: ${problem.message}`);
+    }
+    return document.toJS();
+}
+
+/**
+ * Reads and parses a config file
+ * @param {string} file
+ * @returns {Object}
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf-8');
+    const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseYaml(text);
+    if (data === null) {
+        return {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('the top level must be a set of "key: value" settings');
+    }
+    return data;
+}
+
+/**
+ * Applies the config file and --set flags to a config object. Settings whose
+ * environment variable is set keep the environment value.
+ * @param {Object} config - Built from the defaults and the environment
+ * @param {{ env?: Object, argv?: string[], defaultDir: string }} sources
+ * @returns {{ file: string | null, errors: string[] }} The file loaded and every problem found
+ */
+export function applyConfigLayers(config, { env = process.env, argv = process.argv, defaultDir }) {
+    const errors = [];
+    const file = findConfigFile({ env, argv, defaultDir });
+    const label = file && path.basename(file);
+
+    if (file) {
+        let data = {};
+        try {
+            data = readConfigFile(file);
+        } catch (error) {
+            errors.push(`${label}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+        }
+
+        for (const [key, value] of flatten(data)) {
+            const setting = SETTINGS[key];
+            if (!setting) {
+                errors.push(`${label}: unknown setting "${key}"`);
+                continue;
+            }
+            const coerced = coerce(setting, value, path.dirname(file));
+            if (!('value' in coerced)) {
+                errors.push(`${label}: ${key} must be ${TYPE_NAMES[setting.type]}`);
+            } else if (env[setting.env] === undefined || env[setting.env] === '') {
+                setPath(config, key, coerced.value);
+            }
+        }
+    }
+
+    for (const assignment of getFlagValues(argv, 'set')) {
+        const separator = assignment.indexOf('=');
+        const key = assignment.slice(0, separator);
+        const setting = separator > 0 ? SETTINGS[key] : null;
+        if (!setting) {
+            errors.push(separator > 0 ? `--set: unknown setting "${key}"` : `--set "${assignment}" must be <setting>=<value>`);
+            continue;
+        }
+        const coerced = coerce(setting, assignment.slice(separator + 1), process.cwd());
+        if (!('value' in coerced)) {
+            errors.push(`--set: ${key} must be ${TYPE_NAMES[setting.type]}`);
+        } else {
+            setPath(config, key, coerced.value);
+        }
+    }
+
+    return { file: file && fs.existsSync(file) ? file : null, errors };
+}
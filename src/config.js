@@ -1,12 +1,80 @@
 import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { applyConfigLayers } from './config-file.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export const config = {
+    // Name of the profile being checked (multi-employee mode), null otherwise
+    profileName: null,
     hrms: {
-        baseUrl: 'https://hrms.pitsolutions.com',
-        apiPath: '/hrmsapi/api/v1',
+        // The Peeplynx tenant; also pointed at a local mock server in tests (see test/helpers/mock-hrms-server.js)
+        baseUrl: process.env.HRMS_BASE_URL || 'https://hrms.pitsolutions.com',
+        apiPath: process.env.HRMS_API_PATH || '/hrmsapi/api/v1',
         accessToken: null,
         xsrfToken: null,
-        mappingId: 'P4D9T6HA',
+        // Employee ID sent as the Mappingid header: the session's mapping id cookie,
+        // or this when the session has none (there is no default)
+        mappingId: process.env.HRMS_MAPPING_ID,
+        // Forces the Mappingid header instead of the session's mapping id cookie
+        mappingIdOverride: null,
+        // Names of the session cookies holding the access token, the XSRF token and the mapping id
+        cookies: {
+            accessToken: process.env.HRMS_ACCESS_TOKEN_COOKIE || 'hr_atk',
+            xsrfToken: process.env.HRMS_XSRF_COOKIE || 'XSRF-TOKEN',
+            mappingId: process.env.HRMS_MAPPING_ID_COOKIE || 'hr_mid',
+        },
+        // Per-request timeout and retries (with exponential backoff) on 5xx, 429 and network failures
+        timeoutMs: parseInt(process.env.HRMS_TIMEOUT_MS || '30000', 10),
+        retries: parseInt(process.env.HRMS_RETRIES || '3', 10),
+        retryDelayMs: parseInt(process.env.HRMS_RETRY_DELAY_MS || '1000', 10),
+        // Submission endpoints for `regularize` and `apply-leave` (below apiPath);
+        // they differ between HRMS versions, so there is no default
+        regularizationEndpoint: process.env.HRMS_REGULARIZATION_ENDPOINT,
+        leaveEndpoint: process.env.HRMS_LEAVE_ENDPOINT,
+        // Leave balance per leave type (below apiPath); also differs between HRMS versions
+        leaveBalanceEndpoint: process.env.HRMS_LEAVE_BALANCE_ENDPOINT,
+        // Organization holiday list for a year (below apiPath), added to the holidays in the
+        // monthly summaries; also differs between HRMS versions
+        holidayEndpoint: process.env.HRMS_HOLIDAY_ENDPOINT,
+    },
+    session: {
+        file: process.env.SESSION_FILE || path.join(__dirname, '..', 'session.json'),
+        // Encrypt session files at rest with this passphrase, or the contents of this key file
+        passphrase: process.env.SESSION_PASSPHRASE,
+        keyFile: process.env.SESSION_KEY_FILE,
+        // Warn this long before the session is expected to expire, e.g. "3d" or "12h" ("0" disables)
+        warnBefore: process.env.SESSION_WARN_BEFORE || '3d',
+        // Upper bound on session lifetime from login, e.g. the tenant's sign-in frequency policy
+        maxAgeDays: parseFloat(process.env.SESSION_MAX_AGE_DAYS || '0'),
+        // Cookies whose expiry ends the session (default: longest-lived persistent cookie)
+        cookieNames: (process.env.SESSION_COOKIE_NAMES || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean),
+        // Domains whose cookies make up the session (default: the tenant's domain)
+        cookieDomains: (process.env.SESSION_COOKIE_DOMAINS || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase())
+            .filter(Boolean),
+    },
+    autoLogin: {
+        // Sign in headlessly with the credentials below when the session can no longer be refreshed
+        enabled: process.env.AUTO_LOGIN === 'true',
+        username: process.env.SSO_USERNAME,
+        password: process.env.SSO_PASSWORD,
+        // Base32 secret of the Microsoft Authenticator "other authenticator app" (TOTP) method
+        totpSecret: process.env.SSO_TOTP_SECRET,
+        // PNG of the sign-in page is saved here when the automated login fails
+        screenshotDir: process.env.AUTO_LOGIN_SCREENSHOT_DIR || path.join(__dirname, '..', 'login-screenshots'),
+        // Give up on a sign-in page after this long
+        timeoutMs: parseInt(process.env.AUTO_LOGIN_TIMEOUT_MS || '90000', 10),
+        // Wait this long after a failed attempt before trying again, so bad credentials don't lock the account
+        retryAfter: process.env.AUTO_LOGIN_RETRY_AFTER || '12h',
+    },
+    profiles: {
+        file: process.env.PROFILES_FILE || path.join(__dirname, '..', 'profiles.json'),
     },
     email: {
         host: process.env.SMTP_HOST || 'smtp.gmail.com',
@@ -16,8 +84,182 @@ export const config = {
         pass: process.env.SMTP_PASS,
         notifyEmail: process.env.NOTIFY_EMAIL,
     },
+    notify: {
+        channels: (process.env.NOTIFY_CHANNELS || 'email')
+            .split(',')
+            .map(channel => channel.trim().toLowerCase())
+            .filter(Boolean),
+        slack: {
+            webhookUrl: process.env.SLACK_WEBHOOK_URL,
+        },
+        teams: {
+            webhookUrl: process.env.TEAMS_WEBHOOK_URL,
+        },
+        webhook: {
+            url: process.env.WEBHOOK_URL,
+            authHeader: process.env.WEBHOOK_AUTH_HEADER,
+        },
+        ntfy: {
+            url: process.env.NTFY_URL || 'https://ntfy.sh',
+            topic: process.env.NTFY_TOPIC,
+            token: process.env.NTFY_TOKEN,
+        },
+        gotify: {
+            url: process.env.GOTIFY_URL,
+            token: process.env.GOTIFY_TOKEN,
+        },
+    },
+    alerts: {
+        stateFile: process.env.ALERT_STATE_FILE || path.join(__dirname, '..', 'alert-state.json'),
+        reminderIntervalDays: parseInt(process.env.REMINDER_INTERVAL_DAYS || '0', 10),
+        notifyResolved: process.env.NOTIFY_RESOLVED !== 'false',
+        categories: (process.env.ALERT_CATEGORIES || 'actionable,pending')
+            .split(',')
+            .map(category => category.trim().toLowerCase())
+            .filter(Boolean),
+    },
+    actions: {
+        // Public URL of the status server (npm run serve); enables action links in absence alerts
+        baseUrl: process.env.ACTION_BASE_URL,
+        // Key that signs action links (HMAC-SHA256)
+        secret: process.env.ACTION_SECRET,
+        linkTtl: process.env.ACTION_LINK_TTL || '7d',
+        snoozeDays: parseInt(process.env.ACTION_SNOOZE_DAYS || '3', 10),
+        // Regularization reason sent for "Mark as work-from-home"
+        wfhReason: process.env.ACTION_WFH_REASON || 'Work from home',
+        // Leave type applied for by "Apply leave" (the link is left out when unset)
+        leaveType: process.env.ACTION_LEAVE_TYPE,
+    },
+    schema: {
+        // Where unexpected API payloads are saved for debugging (empty disables)
+        dumpDir: process.env.SCHEMA_DUMP_DIR ?? path.join(__dirname, '..', 'payload-dumps'),
+        // Save every payload, not just invalid ones (also --dump-payload)
+        dumpAll: process.env.DUMP_PAYLOADS === 'true',
+        // Field paths seen in earlier responses, to point out new or renamed fields
+        fieldsFile: process.env.API_FIELDS_FILE || path.join(__dirname, '..', 'api-fields.json'),
+    },
+    history: {
+        // Append-only JSONL archive of every fetched month ("false" disables)
+        enabled: process.env.HISTORY_ENABLED !== 'false',
+        file: process.env.HISTORY_FILE || path.join(__dirname, '..', 'history.jsonl'),
+    },
+    period: {
+        startDay: parseInt(process.env.PERIOD_START_DAY || '26', 10),
+        endDay: parseInt(process.env.PERIOD_END_DAY || '25', 10),
+        cutoverDay: parseInt(process.env.PERIOD_CUTOVER_DAY || '28', 10),
+        timezone: process.env.PERIOD_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    },
+    calendar: {
+        // Write the attendance calendar (.ics) here after each regular check; empty disables
+        file: process.env.ICS_FILE || '',
+        // Days before the salary period closes for the regularization deadline event
+        reminderDays: parseInt(process.env.ICS_REMINDER_DAYS || '3', 10),
+        // Attach an .ics of the alerted days to absence alert emails
+        attachToAlerts: process.env.ICS_ATTACH !== 'false',
+    },
+    digest: {
+        // Cron expression (SCHEDULE_TIMEZONE) for the attendance summary digest, e.g. "0 18 * * 5"; empty disables
+        schedule: process.env.DIGEST_SCHEDULE || '',
+        // Send a "period closing" digest this many days before the salary period ends (0 disables)
+        closingDays: parseInt(process.env.DIGEST_CLOSING_DAYS || '3', 10),
+    },
+    leave: {
+        // Leave types shown in alerts and watched for low balances (codes or names as in HRMS); empty = all
+        types: (process.env.LEAVE_TYPES || '')
+            .split(',')
+            .map(type => type.trim())
+            .filter(Boolean),
+        // Alert when a balance drops to this many days or fewer; empty disables
+        lowBalance: process.env.LEAVE_LOW_BALANCE ? parseFloat(process.env.LEAVE_LOW_BALANCE) : null,
+        // Last day of the leave year (MM-DD)
+        yearEnd: process.env.LEAVE_YEAR_END || '12-31',
+        // Alert this many days before the leave year ends about leave that will lapse (0 disables)
+        lapseNoticeDays: parseInt(process.env.LEAVE_LAPSE_NOTICE_DAYS || '30', 10),
+        // Leave types whose whole balance lapses at year end; for others HRMS's carry-forward limit is used
+        lapseTypes: (process.env.LEAVE_LAPSE_TYPES || '')
+            .split(',')
+            .map(type => type.trim())
+            .filter(Boolean),
+    },
+    holidays: {
+        // Holiday calendar built from HRMS, so scheduled runs can skip non-working days without calling HRMS
+        file: process.env.HOLIDAY_CALENDAR_FILE || path.join(__dirname, '..', 'holidays.json'),
+        // Months after the current one whose holidays and weekly offs are read from the monthly summaries
+        lookaheadMonths: parseInt(process.env.HOLIDAY_LOOKAHEAD_MONTHS || '2', 10),
+        // Upcoming holiday notice: "off", "holidays" (every holiday) or "long-weekends" (3+ days off in a row)
+        notice: process.env.HOLIDAY_NOTICE || 'off',
+        // Send the notice this many days ahead of the first day off
+        noticeDays: parseInt(process.env.HOLIDAY_NOTICE_DAYS || '7', 10),
+    },
+    punch: {
+        // Cron expression (SCHEDULE_TIMEZONE) for intraday punch checks in daemon mode, e.g. "*/15 8-20 * * 1-5"; empty disables
+        schedule: process.env.PUNCH_SCHEDULE || '',
+        // Remind when no punch-in is recorded by this time of day (SCHEDULE_TIMEZONE)
+        inBy: process.env.PUNCH_IN_BY || '10:00',
+        // Remind when no punch-out is recorded this long after the shift ends (ShiftDetails.EndTime)
+        outGrace: process.env.PUNCH_OUT_GRACE || '30m',
+        // Punch detail endpoint (below apiPath) read instead of the monthly summary; it differs
+        // between HRMS versions, so there is no default
+        detailEndpoint: process.env.PUNCH_DETAIL_ENDPOINT,
+    },
+    schedule: {
+        cron: process.env.CHECK_SCHEDULE || '0 9 * * *',
+        timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        runOnStart: process.env.RUN_ON_START === 'true',
+        skipWeekends: process.env.SKIP_WEEKENDS === 'true',
+        weekendDays: (process.env.WEEKEND_DAYS || '0,6').split(',').map(day => parseInt(day, 10)),
+        skipHolidays: process.env.SKIP_HOLIDAYS === 'true',
+        holidays: (process.env.HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean),
+    },
+    server: {
+        port: parseInt(process.env.STATUS_PORT || '8080', 10),
+        host: process.env.STATUS_HOST || '127.0.0.1',
+        token: process.env.STATUS_TOKEN,
+    },
+    rules: {
+        file: process.env.ATTENDANCE_RULES_FILE,
+    },
+    display: {
+        // BCP 47 locale for dates and times in notifications and the dashboard
+        locale: process.env.LOCALE || 'en-IN',
+    },
+    templates: {
+        // Directory of notification templates that replace the built-in ones (see templates/)
+        dir: process.env.TEMPLATES_DIR,
+    },
 };
 
+// Settings from the config file and --set flags, and the problems found in them.
+// The default file is looked for in the working directory, where dotenv finds .env
+const configFile = applyConfigLayers(config, { defaultDir: process.cwd() });
+
+// HRMS_MAPPING_ID as configured, before tokens of a session replace config.hrms.mappingId
+const configuredMappingId = config.hrms.mappingId;
+config.hrms.baseUrl = config.hrms.baseUrl.replace(/\/+$/, '');
+
+/**
+ * Returns the config file in use
+ * @returns {{ file: string | null, errors: string[] }}
+ */
+export function getConfigFile() {
+    return configFile;
+}
+
+/**
+ * Parses a duration such as "3d", "12h", "90m" or "0"
+ * @param {string} value
+ * @returns {number | null} Milliseconds, or null if invalid
+ */
+export function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([dhm]?)$/i.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+
+    const units = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000, '': 24 * 60 * 60 * 1000 };
+    return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
 /**
  * Updates the HRMS tokens (from browser session)
  * @param {{ accessToken: string, xsrfToken: string, mappingId: string }} tokens
@@ -25,24 +267,147 @@ export const config = {
 export function setTokens(tokens) {
     config.hrms.accessToken = tokens.accessToken;
     config.hrms.xsrfToken = tokens.xsrfToken;
-    config.hrms.mappingId = tokens.mappingId;
+    config.hrms.mappingId = config.hrms.mappingIdOverride || tokens.mappingId || configuredMappingId;
 }
 
 /**
- * Validates that email configuration is present
+ * Checks that the tokens set by setTokens() come with a mapping ID, so no
+ * request goes out for an unknown employee
+ * @returns {string[]} Problems found
+ */
+export function validateMappingId() {
+    return config.hrms.mappingId
+        ? []
+        : [`No mapping ID: the session has no ${config.hrms.cookies.mappingId} cookie and HRMS_MAPPING_ID is not set`];
+}
+
+/**
+ * Validates that each enabled notification channel is configured
  * @returns {{ valid: boolean, errors: string[] }}
  */
 export function validateConfig() {
-    const errors = [];
+    const errors = [...configFile.errors];
+    const channels = config.notify.channels;
+    const known = ['email', 'slack', 'teams', 'webhook', 'ntfy', 'gotify'];
+
+    if (channels.length === 0) {
+        errors.push('NOTIFY_CHANNELS must list at least one channel');
+    }
+
+    for (const channel of channels) {
+        if (!known.includes(channel)) {
+            errors.push(`Unknown notification channel "${channel}" in NOTIFY_CHANNELS (supported: ${known.join(', ')})`);
+        }
+    }
 
-    if (!config.email.user) {
-        errors.push('SMTP_USER is required for sending email notifications');
+    if (channels.includes('email')) {
+        if (!config.email.user) {
+            errors.push('SMTP_USER is required for sending email notifications');
+        }
+        if (!config.email.pass) {
+            errors.push('SMTP_PASS is required for SMTP authentication');
+        }
+        if (!config.email.notifyEmail) {
+            errors.push('NOTIFY_EMAIL is required - where to send absence alerts');
+        }
     }
-    if (!config.email.pass) {
-        errors.push('SMTP_PASS is required for SMTP authentication');
+    if (channels.includes('slack') && !config.notify.slack.webhookUrl) {
+        errors.push('SLACK_WEBHOOK_URL is required for the slack channel');
     }
-    if (!config.email.notifyEmail) {
-        errors.push('NOTIFY_EMAIL is required - where to send absence alerts');
+    if (channels.includes('teams') && !config.notify.teams.webhookUrl) {
+        errors.push('TEAMS_WEBHOOK_URL is required for the teams channel');
+    }
+    if (channels.includes('webhook') && !config.notify.webhook.url) {
+        errors.push('WEBHOOK_URL is required for the webhook channel');
+    }
+    if (channels.includes('ntfy') && !config.notify.ntfy.topic) {
+        errors.push('NTFY_TOPIC is required for the ntfy channel');
+    }
+    if (channels.includes('gotify')) {
+        if (!config.notify.gotify.url) {
+            errors.push('GOTIFY_URL is required for the gotify channel');
+        }
+        if (!config.notify.gotify.token) {
+            errors.push('GOTIFY_TOKEN is required for the gotify channel');
+        }
+    }
+
+    for (const [name, value] of [
+        ['PERIOD_START_DAY', config.period.startDay],
+        ['PERIOD_END_DAY', config.period.endDay],
+        ['PERIOD_CUTOVER_DAY', config.period.cutoverDay],
+    ]) {
+        if (!Number.isInteger(value) || value < 1 || value > 31) {
+            errors.push(`${name} must be a day of the month (1-31)`);
+        }
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: config.period.timezone });
+    } catch (error) {
+        errors.push(`PERIOD_TIMEZONE "${config.period.timezone}" is not a valid IANA timezone`);
+    }
+
+    try {
+        if (Intl.DateTimeFormat.supportedLocalesOf(config.display.locale).length === 0) {
+            errors.push(`LOCALE "${config.display.locale}" is not supported by this Node.js build`);
+        }
+    } catch (error) {
+        errors.push(`LOCALE "${config.display.locale}" is not a valid locale such as "en-IN" or "de-DE"`);
+    }
+
+    if (!/^https?:$/.test(URL.canParse(config.hrms.baseUrl) && new URL(config.hrms.baseUrl).protocol)) {
+        errors.push(`HRMS_BASE_URL "${config.hrms.baseUrl}" must be the http(s) URL of your HRMS tenant`);
+    }
+    if (!config.hrms.apiPath.startsWith('/')) {
+        errors.push(`HRMS_API_PATH "${config.hrms.apiPath}" must be a path starting with "/"`);
+    }
+    if (config.session.cookieDomains.some(domain => !/^\.?[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain))) {
+        errors.push('SESSION_COOKIE_DOMAINS must be domain names such as "example.com"');
+    }
+
+    for (const [name, value, min] of [
+        ['HRMS_TIMEOUT_MS', config.hrms.timeoutMs, 1],
+        ['HRMS_RETRIES', config.hrms.retries, 0],
+        ['HRMS_RETRY_DELAY_MS', config.hrms.retryDelayMs, 0],
+    ]) {
+        if (!Number.isInteger(value) || value < min) {
+            errors.push(`${name} must be a whole number of at least ${min}`);
+        }
+    }
+
+    for (const [name, value] of [
+        ['HRMS_REGULARIZATION_ENDPOINT', config.hrms.regularizationEndpoint],
+        ['HRMS_LEAVE_ENDPOINT', config.hrms.leaveEndpoint],
+    ]) {
+        if (value && !value.startsWith('/')) {
+            errors.push(`${name} must be a path starting with "/" (below ${config.hrms.apiPath})`);
+        }
+    }
+
+    if (config.actions.baseUrl) {
+        if (!URL.canParse(config.actions.baseUrl)) {
+            errors.push(`ACTION_BASE_URL "${config.actions.baseUrl}" is not a valid URL`);
+        }
+        if (!config.actions.secret || config.actions.secret.length < 16) {
+            errors.push('ACTION_SECRET of at least 16 characters is required for action links');
+        }
+        if (!(parseDuration(config.actions.linkTtl) > 0)) {
+            errors.push('ACTION_LINK_TTL must be a duration like "7d" or "12h"');
+        }
+        if (!Number.isInteger(config.actions.snoozeDays) || config.actions.snoozeDays < 1) {
+            errors.push('ACTION_SNOOZE_DAYS must be a whole number of at least 1');
+        }
+    }
+
+    if (parseDuration(config.session.warnBefore) === null) {
+        errors.push('SESSION_WARN_BEFORE must be a duration like "3d", "12h" or "0"');
+    }
+    if (Number.isNaN(config.session.maxAgeDays) || config.session.maxAgeDays < 0) {
+        errors.push('SESSION_MAX_AGE_DAYS must be a non-negative number of days');
+    }
+
+    if (Number.isNaN(config.alerts.reminderIntervalDays) || config.alerts.reminderIntervalDays < 0) {
+        errors.push('REMINDER_INTERVAL_DAYS must be a non-negative number (0 disables reminders)');
     }
 
     return {
@@ -0,0 +1,195 @@
+/**
+ * Cron Module
+ * Minimal 5-field cron expressions ("minute hour day-of-month month day-of-week")
+ * evaluated in an IANA timezone, without extra dependencies.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+/**
+ * Parses a single value, allowing month/weekday names
+ * @param {string} value
+ * @param {Object} field
+ * @returns {number}
+ */
+function parseValue(value, field) {
+    const nameIndex = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    const number = nameIndex >= 0 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name} "${value}" (expected ${field.min}-${field.max})`);
+    }
+
+    return number;
+}
+
+/**
+ * Parses one cron field (supports *, lists, ranges and steps)
+ * @param {string} expression
+ * @param {Object} field
+ * @returns {{ values: Set<number>, wildcard: boolean }}
+ */
+function parseField(expression, field) {
+    const values = new Set();
+
+    for (const part of expression.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+        }
+
+        let start, end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid range "${range}" in ${field.name}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // 7 is an alias for Sunday
+    if (field.name === 'day of week' && values.has(7)) {
+        values.add(0);
+    }
+
+    // Like standard cron, a field starting with * ("*/2") counts as unrestricted
+    return { values, wildcard: expression.startsWith('*') };
+}
+
+/**
+ * Parses a 5-field cron expression
+ * @param {string} expression - e.g. "0 9 * * 1-5"
+ * @returns {{ minute: Object, hour: Object, dayOfMonth: Object, month: Object, dayOfWeek: Object }}
+ */
+export function parseCron(expression) {
+    const parts = expression.trim().split(/\s+/);
+
+    if (parts.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+/**
+ * Returns the wall-clock parts of a date in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+export function getZonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short',
+        }));
+    }
+
+    const parts = Object.fromEntries(
+        formatters.get(timeZone).formatToParts(date).map(p => [p.type, p.value])
+    );
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday],
+    };
+}
+
+/**
+ * Checks whether a timezone name is valid
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks whether the day part of a schedule matches. Like standard cron, when
+ * both day-of-month and day-of-week are restricted either one may match.
+ */
+function matchesDay(schedule, parts) {
+    const domMatch = schedule.dayOfMonth.values.has(parts.day);
+    const dowMatch = schedule.dayOfWeek.values.has(parts.weekday);
+
+    if (schedule.dayOfMonth.wildcard || schedule.dayOfWeek.wildcard) {
+        return domMatch && dowMatch;
+    }
+    return domMatch || dowMatch;
+}
+
+/**
+ * Finds the next time (strictly after `from`) matching a cron expression
+ * @param {string} expression
+ * @param {string} timeZone
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export function getNextRun(expression, timeZone, from = new Date()) {
+    const schedule = parseCron(expression);
+    const candidate = new Date(from.getTime());
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+    // Search up to five years ahead (long enough for "29 2" schedules)
+    const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+        const parts = getZonedParts(candidate, timeZone);
+
+        if (!schedule.month.values.has(parts.month) || !matchesDay(schedule, parts) || !schedule.hour.values.has(parts.hour)) {
+            // Jump to the next full hour in local time (works for half-hour offsets too)
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + (60 - parts.minute));
+            continue;
+        }
+
+        if (schedule.minute.values.has(parts.minute)) {
+            return candidate;
+        }
+
+        candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+    }
+
+    throw new Error(`Cron expression "${expression}" never matches`);
+}
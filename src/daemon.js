@@ -0,0 +1,260 @@
+/**
+ * Daemon Module
+ * Keeps the notifier running and performs checks on a cron schedule, so no
+ * external crontab or systemd timer is needed.
+ */
+import { config } from './config.js';
+import { getNextRun, getZonedParts, isValidTimeZone, parseCron } from './cron.js';
+import { EXIT_CODES } from './exit-codes.js';
+import { DAY_OFF_KINDS, getDayOff, loadHolidayCalendar } from './holidays.js';
+
+// setTimeout cannot wait longer than ~24.8 days in one go
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Time of the next scheduled check while the daemon is running
+let nextRunAt = null;
+
+/**
+ * Returns the time of the next scheduled check, if the daemon is running
+ * @returns {Date | null}
+ */
+export function getNextRunAt() {
+    return nextRunAt;
+}
+
+/**
+ * Resolves on the first SIGTERM or SIGINT (for long-running modes without a schedule)
+ * @returns {Promise<string>} The signal received
+ */
+export function waitForShutdown() {
+    return new Promise(resolve => {
+        const onSignal = (signal) => {
+            process.off('SIGTERM', onSignal);
+            process.off('SIGINT', onSignal);
+            console.log('');
+            console.log(`🛑 Received ${signal}, shutting down...`);
+            resolve(signal);
+        };
+        process.on('SIGTERM', onSignal);
+        process.on('SIGINT', onSignal);
+    });
+}
+
+/**
+ * Validates the schedule configuration
+ * @returns {string[]} Problems found
+ */
+export function validateSchedule() {
+    const errors = [];
+    const { cron, timezone, weekendDays, holidays } = config.schedule;
+
+    try {
+        parseCron(cron);
+        // A valid expression may still never fire, e.g. "0 9 31 2 *"
+        if (isValidTimeZone(timezone)) {
+            getNextRun(cron, timezone);
+        }
+    } catch (error) {
+        errors.push(`CHECK_SCHEDULE: ${error.message}`);
+    }
+
+    if (!isValidTimeZone(timezone)) {
+        errors.push(`SCHEDULE_TIMEZONE "${timezone}" is not a valid IANA timezone`);
+    }
+
+    if (weekendDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        errors.push('WEEKEND_DAYS must be weekday numbers 0-6 (0 = Sunday)');
+    }
+
+    for (const date of holidays) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            errors.push(`HOLIDAYS entry "${date}" must be in YYYY-MM-DD format`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Returns why a scheduled run should be skipped, if it should. Besides
+ * WEEKEND_DAYS and HOLIDAYS, the holidays and weekly offs of the saved HRMS
+ * holiday calendar count.
+ * @param {Date} date - Scheduled run time
+ * @param {import('./holidays.js').HolidayCalendar | null} [calendar] - Default: the saved one
+ * @returns {string | null}
+ */
+export function getSkipReason(date, calendar = loadHolidayCalendar()) {
+    const { timezone, skipWeekends, weekendDays, skipHolidays } = config.schedule;
+    const parts = getZonedParts(date, timezone);
+    const localDate = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    const dayOff = getDayOff(localDate, calendar);
+
+    if (skipWeekends && weekendDays.includes(parts.weekday)) {
+        return 'weekend';
+    }
+    if (skipHolidays && dayOff?.kind === DAY_OFF_KINDS.HOLIDAY) {
+        return dayOff.name ? `holiday: ${dayOff.name}` : 'holiday';
+    }
+    if (skipWeekends && dayOff?.kind === DAY_OFF_KINDS.WEEKLY_OFF) {
+        return 'weekly off';
+    }
+
+    return null;
+}
+
+/**
+ * Formats a date in the schedule timezone for logs
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatScheduleTime(date) {
+    return date.toLocaleString(config.display.locale, {
+        timeZone: config.schedule.timezone,
+        dateStyle: 'medium',
+        timeStyle: 'short',
+    });
+}
+
+/**
+ * Finds the next scheduled check that will not be skipped, whether or not
+ * the daemon runs in this process
+ * @param {Date} [from]
+ * @returns {Date | null} null if the schedule is invalid or every run in the next 31 days is skipped
+ */
+export function getNextScheduledCheck(from = new Date()) {
+    const { cron, timezone } = config.schedule;
+    const limit = from.getTime() + 31 * 24 * 60 * 60 * 1000;
+    const calendar = loadHolidayCalendar();
+
+    try {
+        let next = getNextRun(cron, timezone, from);
+        while (getSkipReason(next, calendar) && next.getTime() <= limit) {
+            next = getNextRun(cron, timezone, next);
+        }
+        return next.getTime() <= limit ? next : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @typedef {Object} DaemonJob
+ * @property {string} name - Shown in logs, e.g. "punch check"
+ * @property {string} cron - Cron expression in SCHEDULE_TIMEZONE
+ * @property {() => Promise<void>} task
+ */
+
+/**
+ * Runs a task on the configured cron schedule until SIGTERM or SIGINT, along
+ * with any extra jobs on their own schedules. A run that is already in progress
+ * is allowed to finish before shutdown.
+ * @param {() => Promise<void>} task - One attendance check
+ * @param {DaemonJob[]} [jobs] - More tasks, e.g. intraday punch checks
+ * @returns {Promise<void>} Resolves once the daemon has shut down
+ */
+export function startDaemon(task, jobs = []) {
+    return new Promise(resolve => {
+        const timers = new Map();
+        const running = new Set();
+        let stopping = false;
+
+        const runJob = async (job, scheduledFor) => {
+            timers.delete(job);
+            const skipReason = getSkipReason(scheduledFor);
+
+            if (skipReason) {
+                console.log(`⏭️  Skipping ${job.name} at ${formatScheduleTime(scheduledFor)} (${skipReason})`);
+            } else {
+                console.log('');
+                console.log(`⏰ Scheduled ${job.name} started at ${formatScheduleTime(new Date())}`);
+                const run = job.task().catch(error => {
+                    console.error(`❌ Scheduled ${job.name} failed:`, error.message);
+                });
+                running.add(run);
+                await run;
+                running.delete(run);
+            }
+
+            if (!stopping) {
+                scheduleNext(job);
+            }
+        };
+
+        const waitUntil = (job, next) => {
+            const delay = next.getTime() - Date.now();
+            timers.set(job, setTimeout(
+                () => (Date.now() >= next.getTime() ? runJob(job, next) : waitUntil(job, next)),
+                Math.max(0, Math.min(delay, MAX_TIMEOUT_MS))
+            ));
+        };
+
+        const scheduleNext = (job) => {
+            if (stopping) {
+                return;
+            }
+            let next;
+            try {
+                next = getNextRun(job.cron, config.schedule.timezone);
+            } catch (error) {
+                console.error(`❌ Cannot schedule the ${job.name}: ${error.message}`);
+                process.exitCode = EXIT_CODES.CONFIG;
+                stop();
+                return;
+            }
+            if (job === checkJob) {
+                nextRunAt = next;
+                console.log(`🕒 Next check: ${formatScheduleTime(next)} (${config.schedule.timezone})`);
+            }
+            waitUntil(job, next);
+        };
+
+        const shutdown = (signal) => {
+            if (stopping) {
+                return;
+            }
+            console.log('');
+            console.log(`🛑 Received ${signal}, shutting down...`);
+            stop();
+        };
+
+        // Lets the current runs finish, then resolves
+        const stop = async () => {
+            if (stopping) {
+                return;
+            }
+            stopping = true;
+            timers.forEach(timer => clearTimeout(timer));
+            nextRunAt = null;
+
+            if (running.size > 0) {
+                console.log('   Waiting for the current check to finish...');
+                await Promise.all(running);
+            }
+
+            process.off('SIGTERM', onSigterm);
+            process.off('SIGINT', onSigint);
+            resolve();
+        };
+
+        const onSigterm = () => shutdown('SIGTERM');
+        const onSigint = () => shutdown('SIGINT');
+        process.on('SIGTERM', onSigterm);
+        process.on('SIGINT', onSigint);
+
+        const checkJob = { name: 'check', cron: config.schedule.cron, task };
+        console.log(`🔁 Daemon mode: schedule "${config.schedule.cron}" (${config.schedule.timezone})`);
+        for (const job of jobs) {
+            console.log(`   Also running the ${job.name} on "${job.cron}"`);
+            scheduleNext(job);
+        }
+
+        if (stopping) {
+            return;
+        }
+        if (config.schedule.runOnStart) {
+            runJob(checkJob, new Date());
+        } else {
+            scheduleNext(checkJob);
+        }
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * Digest Module
+ * Attendance summary notifications that are sent whether or not anything is
+ * flagged: a digest on the DIGEST_SCHEDULE cron expression and a "period
+ * closing" digest DIGEST_CLOSING_DAYS before the salary period ends. Both go
+ * out with the first regular check after they fall due; what was sent is
+ * remembered in the alert state.
+ */
+import { config } from './config.js';
+import { getNextRun, parseCron } from './cron.js';
+import { CATEGORIES, TAG_TYPES } from './rules.js';
+import { DAY_MS, formatDate, getToday } from './utils.js';
+
+export const DIGEST_TYPES = {
+    SCHEDULED: 'scheduled',
+    CLOSING: 'closing',
+};
+
+/**
+ * Calendar cell kinds, in legend order. `code` marks the day in the plain-text grid.
+ */
+export const DAY_KINDS = {
+    present: { code: 'P', label: 'Present', color: '#c8e6c9' },
+    flagged: { code: 'A', label: 'Needs action', color: '#ffcdd2' },
+    pending: { code: '?', label: 'Pending approval', color: '#ffe0b2' },
+    leave: { code: 'L', label: 'Leave', color: '#bbdefb' },
+    holiday: { code: 'H', label: 'Holiday', color: '#e1bee7' },
+    'weekly-off': { code: 'W', label: 'Weekly off', color: '#eeeeee' },
+    other: { code: 'O', label: 'Other', color: '#fff9c4' },
+    none: { code: '.', label: 'No data yet', color: '#ffffff' },
+};
+
+/**
+ * Validates the digest settings
+ * @returns {string[]} Problems found
+ */
+export function validateDigest() {
+    const errors = [];
+
+    if (config.digest.schedule) {
+        try {
+            parseCron(config.digest.schedule);
+        } catch (error) {
+            errors.push(`DIGEST_SCHEDULE: ${error.message}`);
+        }
+    }
+    if (!Number.isInteger(config.digest.closingDays) || config.digest.closingDays < 0) {
+        errors.push('DIGEST_CLOSING_DAYS must be a whole number of days (0 disables the period closing digest)');
+    }
+
+    return errors;
+}
+
+/**
+ * Works out which digest is due after a regular check. A closing digest
+ * includes everything a scheduled one would, so it wins when both are due.
+ * @param {Object} state - From loadState()
+ * @param {{ startDate: Date, endDate: Date }} period - The current salary period
+ * @param {Date} [now]
+ * @param {Date} [today] - Local calendar date of `now`
+ * @returns {string | null} One of DIGEST_TYPES
+ */
+export function getDueDigest(state, { endDate }, now = new Date(), today = getToday()) {
+    const tracking = state.digest || {};
+    const { schedule, closingDays } = config.digest;
+
+    if (closingDays > 0 && tracking.closingSentFor !== formatDate(endDate)) {
+        // Rounded: a DST change makes a day 23 or 25 hours long
+        const daysLeft = Math.round((endDate - today) / DAY_MS);
+        if (daysLeft >= 0 && daysLeft <= closingDays) {
+            return DIGEST_TYPES.CLOSING;
+        }
+    }
+
+    // Due when a scheduled time passed since the previous check; the first
+    // check only starts the clock
+    if (schedule && tracking.lastCheckedAt &&
+        getNextRun(schedule, config.schedule.timezone, new Date(tracking.lastCheckedAt)) <= now) {
+        return DIGEST_TYPES.SCHEDULED;
+    }
+
+    return null;
+}
+
+/**
+ * Records that digests were considered (and possibly sent) at this check
+ * @param {Object} state
+ * @param {{ endDate: Date }} period
+ * @param {string | null} sent - Digest type sent, if any
+ * @param {Date} [now]
+ */
+export function markDigestChecked(state, { endDate }, sent, now = new Date()) {
+    const tracking = state.digest || {};
+    tracking.lastCheckedAt = now.toISOString();
+
+    if (sent) {
+        tracking.lastSentAt = now.toISOString();
+        tracking.lastSentType = sent;
+    }
+    if (sent === DIGEST_TYPES.CLOSING) {
+        tracking.closingSentFor = formatDate(endDate);
+    }
+
+    state.digest = tracking;
+}
+
+// Informational kinds by HRMS tag type, and by status name for days without tags
+const KIND_RULES = [
+    { kind: 'leave', tagType: TAG_TYPES.LEAVE, pattern: /leave/i },
+    { kind: 'holiday', tagType: TAG_TYPES.HOLIDAY, pattern: /holiday/i },
+    { kind: 'weekly-off', tagType: TAG_TYPES.WEEKLY_OFF, pattern: /week(ly)?[\s-]*off/i },
+    { kind: 'present', tagType: TAG_TYPES.PRESENT, pattern: /present/i },
+];
+
+/**
+ * Picks the calendar color of a classified day
+ * @param {{ status: string, category: string, tags?: Array<{tagType: number}> } | undefined} day
+ * @returns {string} Key of DAY_KINDS
+ */
+export function getDayKind(day) {
+    if (!day || /^no status$/i.test(day.status)) {
+        return 'none';
+    }
+    if (day.category === CATEGORIES.ACTIONABLE) {
+        return 'flagged';
+    }
+    if (day.category === CATEGORIES.PENDING) {
+        return 'pending';
+    }
+
+    const tagTypes = (day.tags || []).map(tag => tag.tagType);
+    const rule = KIND_RULES.find(r => tagTypes.includes(r.tagType)) || KIND_RULES.find(r => r.pattern.test(day.status));
+    return rule ? rule.kind : 'other';
+}
+
+/**
+ * Lays the days of a period out in Monday-first weeks
+ * @param {Array<{ date: string, status: string, category: string }>} days - Classified days (result.days)
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Array<Array<{ date: string, day: number, status: string, kind: string } | null>>}
+ *   Seven cells per week; null pads the first and last week
+ */
+export function buildCalendar(days, startDate, endDate) {
+    const byDate = new Map(days.map(day => [day.date.slice(0, 10), day]));
+    const weeks = [];
+    let week = new Array((startDate.getDay() + 6) % 7).fill(null);
+
+    for (let date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
+        const key = formatDate(date);
+        const day = byDate.get(key);
+        week.push({ date: key, day: date.getDate(), status: day?.status || 'No data', kind: getDayKind(day) });
+
+        if (week.length === 7) {
+            weeks.push(week);
+            week = [];
+        }
+    }
+
+    if (week.length > 0) {
+        weeks.push([...week, ...new Array(7 - week.length).fill(null)]);
+    }
+    return weeks;
+}
+
+/**
+ * Number of days from today until the end of the period (0 on the last day)
+ * @param {Date} endDate
+ * @param {Date} [today]
+ * @returns {number}
+ */
+export function getDaysLeft(endDate, today = getToday()) {
+    return Math.max(0, Math.round((endDate - today) / DAY_MS));
+}
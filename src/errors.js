@@ -0,0 +1,99 @@
+/**
+ * Errors Module
+ * Typed errors raised by the HRMS client and the automated login, so callers
+ * can branch on the kind of failure instead of matching message text.
+ */
+
+/**
+ * Base class for HRMS API failures
+ */
+export class HrmsError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ status?: number, cause?: Error }} [options]
+     */
+    constructor(message, { status, cause } = {}) {
+        super(message, { cause });
+        this.name = new.target.name;
+        this.type = 'api';
+        this.status = status ?? null;
+    }
+}
+
+/**
+ * The access token was rejected and could not be refreshed
+ */
+export class AuthError extends HrmsError {
+    constructor(message, options) {
+        super(message, options);
+        this.type = 'auth';
+    }
+}
+
+/**
+ * The automated headless login could not complete the sign-in, e.g. on a
+ * challenge it does not support or rejected credentials
+ */
+export class LoginError extends AuthError {
+    /**
+     * @param {string} message
+     * @param {{ cause?: Error, step?: string | null, screenshot?: string | null }} [options]
+     *   step: sign-in page the login stopped at; screenshot: PNG of that page
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.step = options.step || null;
+        this.screenshot = options.screenshot || null;
+    }
+}
+
+/**
+ * HRMS could not be reached, timed out, or kept failing with 5xx responses
+ */
+export class NetworkError extends HrmsError {
+    constructor(message, options) {
+        super(message, options);
+        this.type = 'network';
+    }
+}
+
+/**
+ * HRMS kept answering 429 Too Many Requests
+ */
+export class RateLimitError extends HrmsError {
+    /**
+     * @param {string} message
+     * @param {{ status?: number, cause?: Error, retryAfterMs?: number }} [options]
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.type = 'rate-limit';
+        this.retryAfterMs = options.retryAfterMs ?? null;
+    }
+}
+
+/**
+ * HRMS answered with a payload that does not have the expected shape
+ */
+export class ApiSchemaError extends HrmsError {
+    /**
+     * @param {string} message
+     * @param {{ status?: number, cause?: Error, problems?: string[], newFields?: string[], dumpFile?: string | null }} [options]
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.type = 'schema';
+        this.problems = options.problems || [];
+        this.newFields = options.newFields || [];
+        this.dumpFile = options.dumpFile || null;
+    }
+}
+
+/**
+ * Returns the error type used for alerts, output records and exit codes
+ * @param {Error} error
+ * @returns {string} auth, network, rate-limit, schema, api or unknown
+ */
+export function getErrorType(error) {
+    return error instanceof HrmsError ? error.type : 'unknown';
+}
@@ -0,0 +1,35 @@
+/**
+ * Exit Codes
+ * Stable process exit codes for scripted use (--output mode).
+ */
+
+export const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    FLAGGED: 2,
+    AUTH: 3,
+    NETWORK: 4,
+    CONFIG: 5,
+};
+
+const ERROR_TYPE_CODES = {
+    auth: EXIT_CODES.AUTH,
+    network: EXIT_CODES.NETWORK,
+    'rate-limit': EXIT_CODES.NETWORK,
+    config: EXIT_CODES.CONFIG,
+};
+
+/**
+ * Picks the exit code for a set of check outcomes.
+ * The first failure wins; otherwise flagged days give FLAGGED, else OK.
+ * @param {Array<{ ok: boolean, errorType?: string, result?: { flaggedDays: Array } }>} outcomes
+ * @returns {number}
+ */
+export function getExitCode(outcomes) {
+    const failure = outcomes.find(o => !o.ok);
+    if (failure) {
+        return ERROR_TYPE_CODES[failure.errorType] ?? EXIT_CODES.ERROR;
+    }
+
+    return outcomes.some(o => o.result?.flaggedDays.length > 0) ? EXIT_CODES.FLAGGED : EXIT_CODES.OK;
+}
@@ -1,49 +1,48 @@
-#!/usr/bin/env node
 /**
  * Session Export Module
  * Exports browser session cookies to a portable JSON file that can be used on any platform.
+ * With --encrypt the file is encrypted with SESSION_PASSPHRASE or SESSION_KEY_FILE,
+ * so the tokens never leave this machine in cleartext (see import-session.js).
+ * Run with "hrms-notifier export [--encrypt]".
  */
-import puppeteer from 'puppeteer';
 import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const USER_DATA_DIR = path.join(__dirname, '..', '.browser-session');
-const SESSION_FILE = path.join(__dirname, '..', 'session.json');
-const HRMS_URL = 'https://hrms.pitsolutions.com/';
+import { config } from './config.js';
+import { isEncryptionEnabled, validateSessionStorage } from './session-store.js';
+import { filterHrmsCookies, getHrmsUrl, hasBrowserProfile, launchBrowser, saveBrowserSession } from './browser-session.js';
 
 /**
  * Exports session cookies to a portable JSON file
+ * @param {{ encrypt?: boolean }} [options] - encrypt: require SESSION_PASSPHRASE or SESSION_KEY_FILE
  */
-async function exportSession() {
+export async function exportSession({ encrypt = false } = {}) {
+    const sessionFile = config.session.file;
+
     console.log('');
     console.log('╔═══════════════════════════════════════════╗');
     console.log('║     Export Session to Portable File       ║');
     console.log('╚═══════════════════════════════════════════╝');
     console.log('');
 
-    if (!fs.existsSync(USER_DATA_DIR) || !fs.existsSync(path.join(USER_DATA_DIR, 'Default'))) {
+    if (!hasBrowserProfile()) {
         console.error('❌ No browser session found. Run "npm run login" first.');
         process.exit(1);
     }
 
+    const storageErrors = encrypt && !isEncryptionEnabled()
+        ? ['--encrypt needs SESSION_PASSPHRASE or SESSION_KEY_FILE']
+        : validateSessionStorage();
+    if (storageErrors.length > 0) {
+        storageErrors.forEach(err => console.error(`❌ ${err}`));
+        process.exit(1);
+    }
+
     console.log('🌐 Opening browser to extract cookies...');
 
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        userDataDir: USER_DATA_DIR,
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-blink-features=AutomationControlled',
-            '--disable-gpu',
-        ],
-    });
+    const browser = await launchBrowser({ persistent: true });
 
     try {
         const page = await browser.newPage();
-        await page.goto(HRMS_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+        await page.goto(getHrmsUrl(), { waitUntil: 'networkidle2', timeout: 60000 });
 
         // Wait for page to fully load
         await page.waitForFunction(
@@ -56,37 +55,35 @@ async function exportSession() {
 
         // Extract all cookies for the HRMS domain
         const cookies = await page.cookies();
-        const hrmsCookies = cookies.filter(c =>
-            c.domain.includes('pitsolutions.com') || c.domain.includes('hrms')
-        );
-
-        if (hrmsCookies.length === 0) {
+        if (filterHrmsCookies(cookies).length === 0) {
             console.error('❌ No HRMS cookies found. Session may have expired.');
             await browser.close();
             process.exit(1);
         }
 
-        // Save cookies to file
-        const sessionData = {
-            exportedAt: new Date().toISOString(),
-            cookies: hrmsCookies,
-        };
-
-        fs.writeFileSync(SESSION_FILE, JSON.stringify(sessionData, null, 2));
+        // The export is a fresh login as far as session tracking is concerned
+        const saved = saveBrowserSession(cookies, new Date().toISOString(), sessionFile);
+        const encrypted = isEncryptionEnabled();
 
         console.log('');
-        console.log('✅ Session exported to: session.json');
-        console.log(`   ${hrmsCookies.length} cookies saved`);
+        console.log(`✅ Session exported to: ${sessionFile}${encrypted ? ' (encrypted)' : ''}`);
+        console.log(`   ${saved} cookies saved`);
         console.log('');
-        console.log('📦 Copy this file to your server:');
-        console.log('   scp session.json user@server:/path/to/HRMSnotifier/');
+        console.log('📦 Copy this file to your server and import it there:');
+        console.log(`   scp ${path.basename(sessionFile)} user@server:/tmp/`);
+        console.log(`   npm run import -- /tmp/${path.basename(sessionFile)}`);
+        if (!encrypted) {
+            console.log('');
+            console.log('⚠️  The file holds your HRMS tokens in plaintext. Use --encrypt with');
+            console.log('   SESSION_PASSPHRASE or SESSION_KEY_FILE set on both machines.');
+        }
         console.log('');
 
     } catch (error) {
         console.error('❌ Failed to export session:', error.message);
+        // Not process.exit(): the browser still has to be closed
+        process.exitCode = 1;
     }
 
     await browser.close();
 }
-
-exportSession().catch(console.error);
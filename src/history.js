@@ -0,0 +1,238 @@
+/**
+ * History Module
+ * Archives every fetched month (per-day statuses and CountDetails) in an
+ * append-only JSONL file, and detects past days whose status changed after
+ * the fact (e.g. a Present day later turned into Absent).
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { getZonedParts } from './cron.js';
+import { TAG_TYPES, classifyDay, isAlertCategory } from './rules.js';
+import { getPeriodForDate, formatDate } from './utils.js';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const REGULARIZATION_PATTERN = /regulari[sz]/i;
+
+/**
+ * @typedef {Object} MonthRecord
+ * @property {string} recordedAt - ISO time the month was fetched
+ * @property {number} month - 1-12
+ * @property {number} year
+ * @property {Object} countDetails - CountDetails as returned by the API
+ * @property {Array<{date: string, status: string, category: string, tags: Array<{tagType: number, tagName: string}>}>} days
+ * @property {Array<StatusChange>} changes - Past days that changed since the previous record
+ */
+
+/**
+ * @typedef {Object} StatusChange
+ * @property {string} date
+ * @property {{ status: string, category: string }} from
+ * @property {{ status: string, category: string }} to
+ * @property {string} detectedAt
+ */
+
+/**
+ * Loads every record from the history file
+ * @param {string} [file]
+ * @returns {MonthRecord[]}
+ */
+export function loadHistory(file = config.history.file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            console.error(`⚠️  Skipping unreadable line ${index + 1} of ${path.basename(file)}`);
+        }
+    });
+
+    return records;
+}
+
+/**
+ * Returns the latest record of every month, oldest month first
+ * @param {MonthRecord[]} records
+ * @returns {MonthRecord[]}
+ */
+export function getLatestMonths(records) {
+    const latest = new Map();
+    for (const record of records) {
+        latest.set(`${record.year}-${String(record.month).padStart(2, '0')}`, record);
+    }
+
+    return [...latest.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([, record]) => record);
+}
+
+/**
+ * Converts the API response for a month into the stored per-day form
+ * @param {Object} data - API response data
+ * @returns {MonthRecord['days']}
+ */
+function toDays(data) {
+    return (data?.Data?.DailyAttendanceSummary || [])
+        .filter(day => day.ShiftDetails?.Date)
+        .map(day => {
+            const statuses = day.DailyAttendanceStatus || [];
+            return {
+                date: day.ShiftDetails.Date,
+                ...classifyDay(statuses),
+                tags: statuses.map(s => ({ tagType: s.TagType, tagName: s.TagName })),
+            };
+        });
+}
+
+/**
+ * Returns the local date (YYYY-MM-DD) of a timestamp in the period timezone
+ * @param {string} iso
+ * @returns {string}
+ */
+function toLocalDate(iso) {
+    const { year, month, day } = getZonedParts(new Date(iso), config.period.timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Finds days that were already in the past at the previous fetch and whose
+ * status has changed since. Days still in the future or today are expected to change.
+ * @param {MonthRecord} previous
+ * @param {MonthRecord['days']} days
+ * @param {string} detectedAt
+ * @returns {StatusChange[]}
+ */
+function findStatusChanges(previous, days, detectedAt) {
+    const settledBefore = toLocalDate(previous.recordedAt);
+    const before = new Map(previous.days.map(day => [day.date, day]));
+    const changes = [];
+
+    for (const day of days) {
+        const old = before.get(day.date);
+        if (!old || day.date >= settledBefore) {
+            continue;
+        }
+        if (old.status !== day.status || old.category !== day.category) {
+            changes.push({
+                date: day.date,
+                from: { status: old.status, category: old.category },
+                to: { status: day.status, category: day.category },
+                detectedAt,
+            });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Archives a fetched month. A month identical to its latest record is not
+ * written again, so frequent checks don't grow the file.
+ * @param {number} month - 1-12
+ * @param {number} year
+ * @param {Object} data - API response data
+ * @param {Date} [now]
+ * @returns {StatusChange[]} Past days whose status changed since the previous record
+ */
+export function recordMonth(month, year, data, now = new Date()) {
+    if (!config.history.enabled) {
+        return [];
+    }
+
+    const recordedAt = now.toISOString();
+    const days = toDays(data);
+    const countDetails = data?.Data?.CountDetails || {};
+
+    const previous = loadHistory().filter(r => r.month === month && r.year === year).pop();
+    if (previous &&
+        JSON.stringify(previous.days) === JSON.stringify(days) &&
+        JSON.stringify(previous.countDetails) === JSON.stringify(countDetails)) {
+        return [];
+    }
+
+    const changes = previous ? findStatusChanges(previous, days, recordedAt) : [];
+    const record = { recordedAt, month, year, countDetails, days, changes };
+
+    fs.mkdirSync(path.dirname(path.resolve(config.history.file)), { recursive: true });
+    fs.appendFileSync(config.history.file, JSON.stringify(record) + '\n');
+
+    return changes;
+}
+
+/**
+ * Builds trend figures from history records
+ * @param {MonthRecord[]} records
+ * @param {{ periods?: number }} [options] - periods: how many recent salary periods to include
+ * @returns {{ periods: Array<Object>, months: Array<Object>, weekdays: Array<Object>, statusChanges: Array<Object> }}
+ */
+export function buildReport(records, { periods = 6 } = {}) {
+    const latestMonths = getLatestMonths(records);
+
+    // Latest known state of every day
+    const days = new Map();
+    for (const record of latestMonths) {
+        record.days.forEach(day => days.set(day.date, day));
+    }
+
+    const byPeriod = new Map();
+    for (const day of [...days.values()].sort((a, b) => a.date.localeCompare(b.date))) {
+        const { label, startDate, endDate } = getPeriodForDate(day.date);
+        if (!byPeriod.has(label)) {
+            byPeriod.set(label, {
+                period: label,
+                start: formatDate(startDate),
+                end: formatDate(endDate),
+                days: [],
+            });
+        }
+        byPeriod.get(label).days.push(day);
+    }
+
+    const selected = [...byPeriod.values()].slice(-periods);
+    const isAbsent = day => day.tags.some(tag => tag.tagType === TAG_TYPES.ABSENT);
+    const isRegularized = day => day.tags.some(tag => REGULARIZATION_PATTERN.test(tag.tagName || ''));
+
+    const weekdays = WEEKDAY_NAMES.map(name => ({ weekday: name, absent: 0, flagged: 0 }));
+    for (const { days: periodDays } of selected) {
+        for (const day of periodDays) {
+            const weekday = new Date(`${day.date}T00:00:00`).getDay();
+            weekdays[weekday].absent += isAbsent(day) ? 1 : 0;
+            weekdays[weekday].flagged += isAlertCategory(day.category) ? 1 : 0;
+        }
+    }
+
+    const firstPeriodStart = selected[0]?.start;
+    const selectedMonths = latestMonths.filter(record =>
+        !firstPeriodStart || `${record.year}-${String(record.month).padStart(2, '0')}` >= firstPeriodStart.slice(0, 7));
+
+    return {
+        periods: selected.map(({ days: periodDays, ...period }) => ({
+            ...period,
+            absent: periodDays.filter(isAbsent).length,
+            flagged: periodDays.filter(day => isAlertCategory(day.category)).length,
+            regularizations: periodDays.filter(isRegularized).length,
+            leave: periodDays.filter(day => day.tags.some(tag => tag.tagType === TAG_TYPES.LEAVE)).length,
+        })),
+        months: selectedMonths.map(record => ({
+            month: record.month,
+            year: record.year,
+            payableDays: record.countDetails.PayableDaysCount || 0,
+            absent: record.countDetails.AbsentCount || 0,
+            regularization: record.countDetails.RegularizationCount || 0,
+            recordedAt: record.recordedAt,
+        })),
+        weekdays,
+        statusChanges: records
+            .flatMap(record => record.changes || [])
+            .filter(change => !firstPeriodStart || change.date >= firstPeriodStart),
+    };
+}
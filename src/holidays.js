@@ -0,0 +1,337 @@
+/**
+ * Holidays Module
+ * Builds the organization's holiday calendar from HRMS: the holidays and
+ * weekly offs tagged in the monthly summaries (which list every day of the
+ * month, including days still ahead), plus HRMS_HOLIDAY_ENDPOINT's holiday
+ * list when set. The calendar is kept in HOLIDAY_CALENDAR_FILE, so scheduled
+ * runs can skip non-working days without calling HRMS, and is used for the
+ * optional upcoming holiday / long weekend notice.
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { fetchMonthlyAttendance } from './attendance.js';
+import { hrmsGet } from './hrms-client.js';
+import { TAG_TYPES } from './rules.js';
+import { DAY_MS, addDays, formatDate, getToday } from './utils.js';
+
+// A calendar younger than this is not fetched again by regular checks
+const REFRESH_AFTER_MS = 12 * 60 * 60 * 1000;
+
+// Days off in a row that make a long weekend
+export const LONG_WEEKEND_DAYS = 3;
+
+// Never walk further than this looking for the ends of a stretch of days off
+const MAX_STRETCH_DAYS = 31;
+
+export const DAY_OFF_KINDS = {
+    HOLIDAY: 'holiday',
+    WEEKLY_OFF: 'weekly-off',
+};
+
+export const HOLIDAY_NOTICES = ['off', 'holidays', 'long-weekends'];
+
+// Fields HRMS versions use in a holiday list
+const DATE_FIELDS = ['HolidayDate', 'Date', 'FromDate'];
+const NAME_FIELDS = ['HolidayName', 'Name', 'Description', 'Title'];
+const OPTIONAL_FIELDS = ['IsOptional', 'Optional', 'IsRestricted'];
+
+/**
+ * @typedef {Object} DayOff
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} kind - One of DAY_OFF_KINDS
+ * @property {string | null} name - e.g. "Republic Day"
+ */
+
+/**
+ * @typedef {Object} HolidayCalendar
+ * @property {string} updatedAt - ISO timestamp of the fetch
+ * @property {string} from - First day read from the monthly summaries (YYYY-MM-DD)
+ * @property {string} to - Last day read from the monthly summaries (YYYY-MM-DD)
+ * @property {DayOff[]} days - Sorted by date
+ */
+
+/**
+ * @typedef {Object} OffStretch
+ * @property {string} start - YYYY-MM-DD
+ * @property {string} end - YYYY-MM-DD
+ * @property {number} days - Days off in a row
+ * @property {Array<{ date: string, name: string | null }>} holidays - Holidays in the stretch
+ */
+
+/**
+ * Validates the holiday calendar settings
+ * @returns {string[]} Problems found
+ */
+export function validateHolidays() {
+    const errors = [];
+    const { lookaheadMonths, notice, noticeDays } = config.holidays;
+    const endpoint = config.hrms.holidayEndpoint;
+
+    if (endpoint && !endpoint.startsWith('/')) {
+        errors.push(`HRMS_HOLIDAY_ENDPOINT must be a path starting with "/" (below ${config.hrms.apiPath})`);
+    }
+    if (!Number.isInteger(lookaheadMonths) || lookaheadMonths < 0 || lookaheadMonths > 12) {
+        errors.push('HOLIDAY_LOOKAHEAD_MONTHS must be a whole number of months from 0 to 12');
+    }
+    if (!HOLIDAY_NOTICES.includes(notice)) {
+        errors.push(`HOLIDAY_NOTICE "${notice}" must be one of: ${HOLIDAY_NOTICES.join(', ')}`);
+    }
+    if (!Number.isInteger(noticeDays) || noticeDays < 1) {
+        errors.push('HOLIDAY_NOTICE_DAYS must be a whole number of days, at least 1');
+    }
+
+    return errors;
+}
+
+/**
+ * Returns the weekday of a YYYY-MM-DD date
+ * @param {string} date
+ * @returns {number} 0 = Sunday
+ */
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Reads the holidays and weekly offs from DailyAttendanceSummary entries
+ * @param {Array<Object>} entries
+ * @returns {DayOff[]}
+ */
+export function readDaysOff(entries) {
+    return entries.flatMap(entry => {
+        const date = entry.ShiftDetails?.Date?.slice(0, 10);
+        const tags = entry.DailyAttendanceStatus || [];
+        const holiday = tags.find(tag => tag.TagType === TAG_TYPES.HOLIDAY);
+
+        if (!date) {
+            return [];
+        }
+        if (holiday) {
+            return [{ date, kind: DAY_OFF_KINDS.HOLIDAY, name: holiday.TagName || null }];
+        }
+        if (tags.some(tag => tag.TagType === TAG_TYPES.WEEKLY_OFF)) {
+            return [{ date, kind: DAY_OFF_KINDS.WEEKLY_OFF, name: null }];
+        }
+        return [];
+    });
+}
+
+/**
+ * Extracts the holidays from a holiday list response: Data is the list, or an
+ * object holding it. Optional (restricted) holidays are not days off.
+ * @param {Object} data - Parsed API response
+ * @returns {DayOff[]}
+ */
+export function parseHolidayList(data) {
+    const items = Array.isArray(data?.Data)
+        ? data.Data
+        : Object.values(data?.Data || {}).find(Array.isArray) || [];
+
+    return items
+        .filter(item => !OPTIONAL_FIELDS.some(field => item[field] === true))
+        .map(item => ({
+            date: String(DATE_FIELDS.map(field => item[field]).find(Boolean) || '').slice(0, 10),
+            kind: DAY_OFF_KINDS.HOLIDAY,
+            name: NAME_FIELDS.map(field => item[field]).find(Boolean) || null,
+        }))
+        .filter(holiday => /^\d{4}-\d{2}-\d{2}$/.test(holiday.date));
+}
+
+/**
+ * Fetches the calendar from the current month to HOLIDAY_LOOKAHEAD_MONTHS ahead
+ * @param {Date} [today]
+ * @returns {Promise<HolidayCalendar>}
+ * @throws {AuthError | NetworkError | RateLimitError | ApiSchemaError | HrmsError}
+ */
+export async function fetchHolidayCalendar(today = getToday()) {
+    const { lookaheadMonths } = config.holidays;
+    const days = new Map();
+
+    for (let offset = 0; offset <= lookaheadMonths; offset++) {
+        const month = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+        const data = await fetchMonthlyAttendance(month.getMonth() + 1, month.getFullYear());
+        readDaysOff(data.Data.DailyAttendanceSummary).forEach(day => days.set(day.date, day));
+    }
+
+    const from = new Date(today.getFullYear(), today.getMonth(), 1);
+    const to = new Date(today.getFullYear(), today.getMonth() + lookaheadMonths + 1, 0);
+
+    if (config.hrms.holidayEndpoint) {
+        for (const year of new Set([from.getFullYear(), to.getFullYear()])) {
+            const data = await hrmsGet(config.hrms.holidayEndpoint, { year: String(year) });
+            parseHolidayList(data).forEach(holiday => days.set(holiday.date, holiday));
+        }
+    }
+
+    return {
+        updatedAt: new Date().toISOString(),
+        from: formatDate(from),
+        to: formatDate(to),
+        days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    };
+}
+
+/**
+ * Loads the saved calendar
+ * @returns {HolidayCalendar | null} null when none was saved (or it is unreadable)
+ */
+export function loadHolidayCalendar() {
+    if (!fs.existsSync(config.holidays.file)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(config.holidays.file, 'utf-8'));
+    } catch (error) {
+        console.error(`⚠️  Could not read the holiday calendar (${error.message})`);
+        return null;
+    }
+}
+
+/**
+ * Saves the calendar to HOLIDAY_CALENDAR_FILE
+ * @param {HolidayCalendar} calendar
+ */
+export function saveHolidayCalendar(calendar) {
+    fs.mkdirSync(path.dirname(path.resolve(config.holidays.file)), { recursive: true });
+    fs.writeFileSync(config.holidays.file, JSON.stringify(calendar, null, 2));
+}
+
+/**
+ * Returns the saved calendar, fetching and saving a new one when it is
+ * missing, older than 12 hours or `force` is set
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<HolidayCalendar>}
+ */
+export async function refreshHolidayCalendar({ force = false } = {}) {
+    const cached = loadHolidayCalendar();
+    if (!force && cached && Date.now() - Date.parse(cached.updatedAt) < REFRESH_AFTER_MS) {
+        return cached;
+    }
+
+    const calendar = await fetchHolidayCalendar();
+    saveHolidayCalendar(calendar);
+    return calendar;
+}
+
+/**
+ * Tells if a date is a holiday or weekly off. Dates in HOLIDAYS count as holidays.
+ * @param {string} date - YYYY-MM-DD
+ * @param {HolidayCalendar | null} [calendar]
+ * @returns {DayOff | null}
+ */
+export function getDayOff(date, calendar = loadHolidayCalendar()) {
+    if (config.schedule.holidays.includes(date)) {
+        return { date, kind: DAY_OFF_KINDS.HOLIDAY, name: null };
+    }
+    return calendar?.days.find(day => day.date === date) || null;
+}
+
+/**
+ * Tells if no work is expected on a date. Outside the months read from HRMS,
+ * WEEKEND_DAYS stand in for the weekly offs.
+ * @param {string} date
+ * @param {HolidayCalendar | null} calendar
+ * @returns {boolean}
+ */
+function isDayOff(date, calendar) {
+    if (getDayOff(date, calendar)) {
+        return true;
+    }
+    const covered = calendar && date >= calendar.from && date <= calendar.to;
+    return !covered && config.schedule.weekendDays.includes(getWeekday(date));
+}
+
+/**
+ * Finds the days off in a row around a day off
+ * @param {string} date - YYYY-MM-DD
+ * @param {HolidayCalendar | null} calendar
+ * @returns {OffStretch}
+ */
+export function getOffStretch(date, calendar) {
+    let start = date;
+    let end = date;
+    while (isDayOff(addDays(start, -1), calendar) && addDays(date, -MAX_STRETCH_DAYS) < start) {
+        start = addDays(start, -1);
+    }
+    while (isDayOff(addDays(end, 1), calendar) && addDays(date, MAX_STRETCH_DAYS) > end) {
+        end = addDays(end, 1);
+    }
+
+    const holidays = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+        const dayOff = getDayOff(day, calendar);
+        if (dayOff?.kind === DAY_OFF_KINDS.HOLIDAY) {
+            holidays.push({ date: day, name: dayOff.name });
+        }
+    }
+
+    const days = Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS) + 1;
+    return { start, end, days, holidays };
+}
+
+/**
+ * Lists the holidays between two dates (inclusive), HOLIDAYS included
+ * @param {HolidayCalendar | null} calendar
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {DayOff[]}
+ */
+export function listHolidays(calendar, from, to) {
+    const dates = new Set([
+        ...(calendar?.days || []).filter(day => day.kind === DAY_OFF_KINDS.HOLIDAY).map(day => day.date),
+        ...config.schedule.holidays,
+    ]);
+
+    return [...dates]
+        .filter(date => date >= from && date <= to)
+        .sort()
+        .map(date => getDayOff(date, calendar));
+}
+
+/**
+ * Works out which stretches of days off to announce: those with a holiday in
+ * the next HOLIDAY_NOTICE_DAYS that was not announced yet (with
+ * HOLIDAY_NOTICE=long-weekends, only stretches of 3 or more days)
+ * @param {HolidayCalendar | null} calendar
+ * @param {Object} state - From loadState()
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {OffStretch[]}
+ */
+export function getDueHolidayNotice(calendar, state, today = formatDate(getToday())) {
+    const { notice, noticeDays } = config.holidays;
+    if (notice === 'off') {
+        return [];
+    }
+
+    const stretches = [];
+    for (const holiday of listHolidays(calendar, addDays(today, 1), addDays(today, noticeDays))) {
+        if (!stretches.some(stretch => holiday.date >= stretch.start && holiday.date <= stretch.end)) {
+            stretches.push(getOffStretch(holiday.date, calendar));
+        }
+    }
+
+    return stretches.filter(stretch =>
+        (notice !== 'long-weekends' || stretch.days >= LONG_WEEKEND_DAYS) &&
+        stretch.holidays.some(holiday => !state.holidays?.[holiday.date]));
+}
+
+/**
+ * Records announced holidays and forgets past ones
+ * @param {Object} state
+ * @param {OffStretch[]} stretches - What was announced
+ * @param {string} [today] - YYYY-MM-DD
+ * @param {Date} [now]
+ */
+export function markHolidaysNotified(state, stretches, today = formatDate(getToday()), now = new Date()) {
+    state.holidays = state.holidays || {};
+    for (const stretch of stretches) {
+        stretch.holidays.forEach(holiday => { state.holidays[holiday.date] = now.toISOString(); });
+    }
+    for (const date of Object.keys(state.holidays)) {
+        if (date < today) {
+            delete state.holidays[date];
+        }
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * HRMS Client Module
+ * Authenticated requests against the HRMS API with per-request timeouts,
+ * exponential-backoff retries on 5xx, 429 and transient network failures, and
+ * one automatic token refresh when the API answers 401. POSTs are only retried
+ * when HRMS certainly rejected them (401, 429), so a request is never submitted twice.
+ */
+import { config, setTokens } from './config.js';
+import { getAuthHeaders, getCookieHeader } from './auth.js';
+import { extractTokensFromBrowser } from './browser-auth.js';
+import { AuthError, NetworkError, RateLimitError, ApiSchemaError, HrmsError } from './errors.js';
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): base, 2x base, 4x base, ...
+ * @param {number} attempt
+ * @returns {number}
+ */
+function backoffDelay(attempt) {
+    return config.hrms.retryDelayMs * 2 ** (attempt - 1);
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string | null} value
+ * @returns {number | null} Milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Describes a failed fetch (timeout, DNS, connection reset, ...)
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeFetchError(error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        return `timed out after ${config.hrms.timeoutMs} ms`;
+    }
+    return error.cause?.code || error.cause?.message || error.message;
+}
+
+/**
+ * Gets new tokens from the browser session after a 401
+ * @returns {Promise<boolean>} Whether new tokens were loaded
+ */
+async function refreshTokens() {
+    console.log('   🔄 Access token rejected, refreshing from browser session...');
+    let tokens;
+    try {
+        tokens = await extractTokensFromBrowser({ forceRefresh: true });
+    } catch (error) {
+        console.error('   ❌ Token refresh failed:', error.message);
+        return false;
+    }
+    if (!tokens) {
+        return false;
+    }
+    setTokens(tokens);
+    return true;
+}
+
+/**
+ * Sends an authenticated request to the HRMS API and returns the parsed JSON
+ * @param {string} method - GET or POST
+ * @param {string} endpoint - Path below the API base, e.g. "/attendance-management/..."
+ * @param {{ params?: Record<string, string>, body?: Object }} [options]
+ *   params: query string parameters; body: JSON request body
+ * @returns {Promise<Object>}
+ * @throws {AuthError | NetworkError | RateLimitError | ApiSchemaError | HrmsError}
+ */
+async function hrmsRequest(method, endpoint, { params = {}, body } = {}) {
+    const url = new URL(`${config.hrms.baseUrl}${config.hrms.apiPath}${endpoint}`);
+    for (const [key, value] of Object.entries(params)) {
+        url.searchParams.set(key, value);
+    }
+
+    // A timed-out or failed POST may still have been processed
+    const idempotent = method === 'GET';
+    const maxAttempts = config.hrms.retries + 1;
+    let refreshed = false;
+
+    for (let attempt = 1; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: {
+                    ...getAuthHeaders(),
+                    'Cookie': getCookieHeader(),
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: AbortSignal.timeout(config.hrms.timeoutMs),
+            });
+        } catch (error) {
+            const reason = describeFetchError(error);
+            if (!idempotent) {
+                throw new NetworkError(`HRMS request failed: ${reason}; it may still have been received, check HRMS before resubmitting`, { cause: error });
+            }
+            if (attempt < maxAttempts) {
+                console.log(`   ⏳ Request failed (${reason}), retrying in ${backoffDelay(attempt)} ms...`);
+                await sleep(backoffDelay(attempt));
+                continue;
+            }
+            throw new NetworkError(`HRMS unreachable: ${reason} (after ${attempt} attempt(s))`, { cause: error });
+        }
+
+        if (response.status === 401) {
+            if (!refreshed && await refreshTokens()) {
+                refreshed = true;
+                attempt--; // The refresh retry doesn't count against the retry budget
+                continue;
+            }
+            throw new AuthError('HRMS rejected the access token (401); the browser session may have expired', { status: 401 });
+        }
+
+        if (response.status === 403) {
+            throw new AuthError(`HRMS denied access (403): ${await response.text()}`, { status: 403 });
+        }
+
+        if (response.status === 429 || response.status >= 500) {
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            await response.body?.cancel();
+            const retryable = idempotent || response.status === 429;
+
+            if (retryable && attempt < maxAttempts) {
+                const delay = Math.max(retryAfterMs ?? 0, backoffDelay(attempt));
+                console.log(`   ⏳ HRMS answered ${response.status}, retrying in ${delay} ms...`);
+                await sleep(delay);
+                continue;
+            }
+
+            if (response.status === 429) {
+                throw new RateLimitError(`HRMS rate limit hit (429) after ${attempt} attempt(s)`, { status: 429, retryAfterMs });
+            }
+            if (!idempotent) {
+                throw new NetworkError(`HRMS answered ${response.status}; the request may still have been received, check HRMS before resubmitting`, { status: response.status });
+            }
+            throw new NetworkError(`HRMS kept failing with ${response.status} after ${attempt} attempt(s)`, { status: response.status });
+        }
+
+        if (!response.ok) {
+            throw new HrmsError(`HRMS request failed: ${response.status} - ${await response.text()}`, { status: response.status });
+        }
+
+        const text = await response.text();
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new ApiSchemaError(`HRMS returned invalid JSON for ${endpoint}: ${text.slice(0, 200)}`, { status: response.status, cause: error });
+        }
+    }
+}
+
+/**
+ * Sends an authenticated GET request to the HRMS API and returns the parsed JSON
+ * @param {string} endpoint - Path below the API base, e.g. "/attendance-management/..."
+ * @param {Record<string, string>} [params] - Query string parameters
+ * @returns {Promise<Object>}
+ * @throws {AuthError | NetworkError | RateLimitError | ApiSchemaError | HrmsError}
+ */
+export function hrmsGet(endpoint, params = {}) {
+    return hrmsRequest('GET', endpoint, { params });
+}
+
+/**
+ * Sends an authenticated POST request with a JSON body to the HRMS API.
+ * Not retried after a timeout or 5xx, since HRMS may already have processed it.
+ * @param {string} endpoint - Path below the API base
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ * @throws {AuthError | NetworkError | RateLimitError | ApiSchemaError | HrmsError}
+ */
+export function hrmsPost(endpoint, body) {
+    return hrmsRequest('POST', endpoint, { body });
+}
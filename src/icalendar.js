@@ -0,0 +1,233 @@
+/**
+ * iCalendar Module
+ * Turns a check result into an .ics calendar (RFC 5545): an all-day event per
+ * absent day, events for leaves and holidays, and a reminder to regularize
+ * before the salary period closes. The calendar is written to ICS_FILE after
+ * each check, served by the status server at /calendar.ics and attached to
+ * absence alerts.
+ */
+import fs from 'fs';
+import { config } from './config.js';
+import { getDayKind } from './digest.js';
+import { CATEGORIES } from './rules.js';
+import { formatDate, formatDisplayDate, parseLocalDate } from './utils.js';
+
+const PRODUCT_ID = '-//Peeplynx HR Notifier//Attendance//EN';
+
+// Longest content line in octets before it is folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - Stable, so a re-published calendar updates the event instead of duplicating it
+ * @property {string} date - YYYY-MM-DD (all-day event)
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {boolean} [alarm] - Pop up a reminder at 09:00 on the day
+ */
+
+/**
+ * Validates the calendar settings
+ * @returns {string[]} Problems found
+ */
+export function validateCalendar() {
+    if (!Number.isInteger(config.calendar.reminderDays) || config.calendar.reminderDays < 0) {
+        return ['ICS_REMINDER_DAYS must be a whole number of days'];
+    }
+    return [];
+}
+
+/**
+ * Builds a stable event UID
+ * @param {string} date
+ * @param {string} kind
+ * @returns {string}
+ */
+function eventUid(date, kind) {
+    return `${date}-${kind}-${config.profileName || 'default'}@peeplynx-hr-notifier`;
+}
+
+/**
+ * Builds the reminder to regularize open days before the period closes
+ * @param {Array<{date: string, status: string, category: string}>} openDays - Days that still need action
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {CalendarEvent}
+ */
+export function buildDeadlineEvent(openDays, startDate, endDate) {
+    const reminder = new Date(endDate);
+    reminder.setDate(reminder.getDate() - config.calendar.reminderDays);
+    const date = formatDate(reminder < startDate ? startDate : reminder);
+
+    const description = [
+        `The salary period closes on ${formatDisplayDate(formatDate(endDate))}.`,
+        openDays.length > 0
+            ? `${openDays.length} day(s) still need action:\n${openDays.map(day => `• ${formatDisplayDate(day.date)} - ${day.status}`).join('\n')}`
+            : 'No days need action right now.',
+    ].join('\n\n');
+
+    return {
+        uid: eventUid(formatDate(endDate), 'deadline'),
+        date,
+        summary: '⏰ Regularization deadline: salary period closes soon',
+        description,
+        alarm: true,
+    };
+}
+
+/**
+ * Builds the events of a checked period
+ * @param {{ days: Array<{date: string, status: string, category: string}>, absentDays: Array<{date: string, status: string}>, startDate: Date, endDate: Date }} result
+ * @returns {CalendarEvent[]}
+ */
+export function buildAttendanceEvents(result) {
+    // An absent day may also carry other statuses, e.g. a pending regularization
+    const absent = new Map(result.absentDays.map(day => [day.date.slice(0, 10), day.status]));
+    const events = [];
+
+    for (const day of result.days) {
+        const date = day.date.slice(0, 10);
+        const kind = absent.has(date) ? 'absent' : getDayKind(day);
+
+        if (kind === 'absent') {
+            events.push({ uid: eventUid(date, kind), date, summary: `❌ ${absent.get(date)}`, description: 'Marked absent in HRMS. Regularize or apply for leave before the salary period closes.' });
+        } else if (kind === 'leave') {
+            events.push({ uid: eventUid(date, kind), date, summary: `🏖️ ${day.status}` });
+        } else if (kind === 'holiday') {
+            events.push({ uid: eventUid(date, kind), date, summary: `🎄 ${day.status}` });
+        }
+    }
+
+    const openDays = result.days.filter(day => day.category === CATEGORIES.ACTIONABLE);
+    events.push(buildDeadlineEvent(openDays, result.startDate, result.endDate));
+    return events;
+}
+
+/**
+ * Builds the events attached to an absence alert: the alerted days and the deadline
+ * @param {Array<{date: string, status: string, category: string}>} days - Alerted days
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {CalendarEvent[]}
+ */
+export function buildAlertEvents(days, startDate, endDate) {
+    const events = days.map(day => ({
+        uid: eventUid(day.date.slice(0, 10), 'flagged'),
+        date: day.date.slice(0, 10),
+        summary: `⚠️ ${day.status}`,
+        description: `Flagged by Peeplynx HR Notifier (${day.category}).`,
+    }));
+
+    const openDays = days.filter(day => day.category === CATEGORIES.ACTIONABLE);
+    events.push(buildDeadlineEvent(openDays, startDate, endDate));
+    return events;
+}
+
+/**
+ * Escapes a TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+    return value
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to 75 octets without splitting a UTF-8 character
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        if (octets + size > MAX_LINE_OCTETS - (parts.length > 0 ? 1 : 0)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a date as a DATE value (YYYYMMDD)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateValue(date) {
+    return formatDate(date).replace(/-/g, '');
+}
+
+/**
+ * Renders events as an iCalendar document
+ * @param {CalendarEvent[]} events
+ * @param {{ name?: string, now?: Date }} [options] - name: calendar display name
+ * @returns {string}
+ */
+export function renderICalendar(events, { name = 'Attendance', now = new Date() } = {}) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    for (const event of events) {
+        const start = parseLocalDate(event.date);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toDateValue(start)}`,
+            `DTEND;VALUE=DATE:${toDateValue(end)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            'TRANSP:TRANSPARENT',
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.alarm) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.summary)}`, 'TRIGGER;RELATED=START:PT9H', 'END:VALARM');
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Calendar display name for the active profile
+ * @returns {string}
+ */
+export function getCalendarName() {
+    return config.profileName ? `Attendance (${config.profileName})` : 'Attendance';
+}
+
+/**
+ * Writes the calendar of a check result to a file
+ * @param {Object} result - From checkAttendance()
+ * @param {string} file
+ */
+export function writeCalendarFile(result, file) {
+    fs.writeFileSync(file, renderICalendar(buildAttendanceEvents(result), { name: getCalendarName() }));
+}
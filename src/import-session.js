@@ -0,0 +1,77 @@
+/**
+ * Session Import Module
+ * Installs a session file made by "npm run export" on another machine as the
+ * active session file. Encrypted exports are decrypted with SESSION_PASSPHRASE
+ * or SESSION_KEY_FILE; the session is stored encrypted when either is set, and
+ * readable by the owner only in any case.
+ *
+ * Usage: hrms-notifier import <file> [--delete]
+ *   --delete  remove the imported file afterwards
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { getTokenExpiry } from './browser-auth.js';
+import { findTokenCookies } from './browser-session.js';
+import { isEncryptedSession, isEncryptionEnabled, readSession, validateSessionStorage, writeSession } from './session-store.js';
+import { formatDisplayDateTime } from './utils.js';
+
+/**
+ * Imports the session file named on the command line
+ * @param {string[]} args - <file> [--delete]
+ */
+export function importSession(args) {
+    const source = args.find(arg => !arg.startsWith('--'));
+
+    console.log('');
+    console.log('╔═══════════════════════════════════════════╗');
+    console.log('║     Import Session from Another Machine   ║');
+    console.log('╚═══════════════════════════════════════════╝');
+    console.log('');
+
+    if (!source) {
+        console.error('❌ Usage: hrms-notifier import <file> [--delete]');
+        process.exit(1);
+    }
+
+    const storageErrors = validateSessionStorage();
+    if (storageErrors.length > 0) {
+        storageErrors.forEach(err => console.error(`❌ ${err}`));
+        process.exit(1);
+    }
+
+    let sessionData;
+    let wasEncrypted;
+    try {
+        wasEncrypted = isEncryptedSession(JSON.parse(fs.readFileSync(source, 'utf-8')));
+        sessionData = readSession(source, { migrate: false });
+    } catch (error) {
+        console.error(`❌ Could not read ${source}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const accessCookie = Array.isArray(sessionData.cookies) && findTokenCookies(sessionData.cookies).accessToken;
+    if (!accessCookie) {
+        console.error(`❌ ${source} is not an exported session (no ${config.hrms.cookies.accessToken} cookie)`);
+        process.exit(1);
+    }
+
+    writeSession(sessionData, config.session.file);
+
+    console.log(`✅ Session imported to: ${config.session.file}${isEncryptionEnabled() ? ' (encrypted)' : ''}`);
+    console.log(`   ${sessionData.cookies.length} cookies${sessionData.exportedAt ? `, exported ${formatDisplayDateTime(new Date(sessionData.exportedAt))}` : ''}`);
+    const expires = getTokenExpiry(accessCookie.value);
+    if (expires && !Number.isNaN(expires.getTime())) {
+        console.log(`   Access token expires ${formatDisplayDateTime(expires)} (refreshed automatically)`);
+    }
+
+    if (args.includes('--delete') && path.resolve(source) !== path.resolve(config.session.file)) {
+        fs.rmSync(source);
+        console.log(`   Deleted ${source}`);
+    }
+    if (!wasEncrypted) {
+        console.log('');
+        console.log('⚠️  The imported file was not encrypted. Delete any other copies of it.');
+    }
+    console.log('');
+}
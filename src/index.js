@@ -1,89 +1,346 @@
 #!/usr/bin/env node
-import { config, validateConfig, setTokens } from './config.js';
+import { pathToFileURL } from 'url';
+import { config, validateConfig, validateMappingId, setTokens } from './config.js';
 import { checkAttendance } from './attendance.js';
-import { sendAbsenceAlert, sendTestEmail, sendSessionExpiredAlert, sendErrorAlert } from './notifier.js';
-import { extractTokensFromBrowser, hasSession } from './browser-auth.js';
+import { sendAbsenceAlert, sendResolvedAlert, sendTestEmail, sendSessionExpiredAlert, sendErrorAlert, sendTeamDigest, sendAttendanceDigest, sendPunchReminder, sendLeaveBalanceAlert, sendHolidayNotice } from './notifier.js';
+import { extractTokensFromBrowser, hasSession, getSessionInfo } from './browser-auth.js';
+import { validateRules, groupByCategory, CATEGORIES } from './rules.js';
+import { validateTemplates } from './templates.js';
+import { DIGEST_TYPES, getDueDigest, markDigestChecked, validateDigest } from './digest.js';
+import { buildAttendanceEvents, renderICalendar, getCalendarName, validateCalendar, writeCalendarFile } from './icalendar.js';
+import { checkPunches, getDueReminders, markPunchReminded, formatClockTime, validatePunchMonitor } from './punch-monitor.js';
+import { fetchLeaveBalances, formatBalanceSummary, getLeaveAlerts, markLeaveAlerted, validateLeaveBalance } from './leave-balance.js';
+import { refreshHolidayCalendar, loadHolidayCalendar, getDueHolidayNotice, markHolidaysNotified, validateHolidays } from './holidays.js';
+import { isAutoLoginEnabled, relogin, validateAutoLogin } from './auto-login.js';
+import { validateSessionStorage } from './session-store.js';
+import { startDaemon, validateSchedule, getNextRunAt, waitForShutdown } from './daemon.js';
+import { startServer } from './server.js';
+import { getDateRange, getArgValue } from './utils.js';
+import { hasProfiles, loadProfiles, validateProfiles, applyProfile, applyManager, resetConfig } from './profiles.js';
+import { OUTPUT_FORMATS, formatOutput, writeOutput, toRecord, buildJsonOutput } from './output.js';
+import { EXIT_CODES, getExitCode } from './exit-codes.js';
+import { recordSessionValid, recordSessionFailure } from './session-monitor.js';
+import { AuthError, NetworkError, RateLimitError, ApiSchemaError, getErrorType } from './errors.js';
+import { loadState, saveState, diffAbsences, markAlerted, forgetDays, pruneState } from './state.js';
+import { applyTrackedRequests } from './requests.js';
+import { applyAction, submitQueuedRequests } from './actions.js';
+
+// Latest regular check per profile ('' without profiles), for the status server
+const lastOutcomes = new Map();
+const startedAt = new Date().toISOString();
+
+// Runs share the mutable config (active profile, tokens), so they never overlap
+let runQueue = Promise.resolve();
 
 /**
- * Main application entry point
+ * Runs a task after every previously queued run has finished
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
  */
-async function main() {
-    console.log('');
-    console.log('╔═══════════════════════════════════════════╗');
-    console.log('║     Peeplynx HR Attendance Notifier       ║');
-    console.log('╚═══════════════════════════════════════════╝');
-    console.log('');
+function runExclusive(task) {
+    const run = runQueue.then(task);
+    runQueue = run.catch(() => {});
+    return run;
+}
 
-    // Parse command line arguments
-    const args = process.argv.slice(2);
-    const isTestMode = args.includes('--test');
-    const isEmailTest = args.includes('--test-email');
+/**
+ * Sends alerts for new, still-unresolved and resolved flagged days and records
+ * what was sent, so the same day is not alerted on every run
+ * @param {{ flaggedDays: Array<{date: string, status: string, category: string}>, startDate: Date, endDate: Date, leaveBalances?: Array<Object> | null }} result
+ */
+async function notifyAbsenceChanges(result) {
+    const state = loadState();
+    const { newDays, reminderDays, resolvedDays } = diffAbsences(
+        state, result.flaggedDays, result.startDate, result.endDate
+    );
+    const context = {
+        startDate: result.startDate,
+        endDate: result.endDate,
+        balances: result.leaveBalances,
+        unresolvedCount: result.flaggedDays.filter(day => day.category === CATEGORIES.ACTIONABLE).length,
+    };
 
-    // Check for browser session
-    if (!hasSession()) {
-        console.error('❌ No browser session found.');
+    // Keep entries of the default period even when an older period was requested
+    pruneState(state, new Date(Math.min(result.startDate, getDateRange().startDate)));
+
+    if (newDays.length > 0) {
         console.log('');
-        console.log('💡 Run "npm run login" first to authenticate with Microsoft SSO.');
+        console.log(`📧 Sending alert for ${newDays.length} newly flagged day(s)...`);
+        await sendAbsenceAlert(newDays, context);
+        markAlerted(state, newDays);
+        saveState(state);
+    }
 
-        // Send email notification about missing session
-        try {
-            await sendSessionExpiredAlert();
-        } catch (emailError) {
-            console.error('⚠️  Could not send session alert email:', emailError.message);
+    if (reminderDays.length > 0) {
+        console.log('');
+        console.log(`📧 Sending reminder for ${reminderDays.length} unresolved day(s)...`);
+        await sendAbsenceAlert(reminderDays, { ...context, reminder: true });
+        markAlerted(state, reminderDays);
+        saveState(state);
+    }
+
+    if (resolvedDays.length > 0) {
+        console.log('');
+        console.log(`✅ ${resolvedDays.length} previously alerted day(s) resolved:`);
+        resolvedDays.forEach(day => console.log(`   • ${day.date} (was: ${day.status})`));
+        if (config.alerts.notifyResolved) {
+            await sendResolvedAlert(resolvedDays);
         }
+        forgetDays(state, resolvedDays);
+    }
 
-        process.exit(1);
+    saveState(state);
+
+    if (result.flaggedDays.length > 0 && newDays.length === 0 && reminderDays.length === 0) {
+        console.log('');
+        console.log('ℹ️  All flagged days were already alerted on; no reminder due yet');
+    }
+}
+
+/**
+ * Fetches the leave balances when HRMS_LEAVE_BALANCE_ENDPOINT is set. A failure
+ * does not fail the check: the balances only add to the alerts.
+ * @returns {Promise<Array<Object> | null>}
+ */
+async function loadLeaveBalances() {
+    try {
+        const balances = await fetchLeaveBalances();
+        if (balances) {
+            console.log('');
+            console.log(`🏖️  Leave balance: ${formatBalanceSummary(balances) || 'no watched leave types'}`);
+        }
+        return balances;
+    } catch (error) {
+        console.log('');
+        console.error('⚠️  Could not fetch leave balances:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Sends the low balance and lapsing leave alerts that are due
+ * @param {Array<Object>} balances - From fetchLeaveBalances()
+ */
+async function notifyLeaveBalances(balances) {
+    const state = loadState();
+    const alerts = getLeaveAlerts(balances, state);
+
+    if (alerts.low.length > 0 || alerts.lapsing.length > 0) {
+        console.log('');
+        console.log(`📧 Sending leave balance alert (${alerts.low.length} low, ${alerts.lapsing.length} lapsing)...`);
+        await sendLeaveBalanceAlert(alerts);
+    }
+
+    markLeaveAlerted(state, balances, alerts);
+    saveState(state);
+}
+
+/**
+ * Refreshes the saved holiday calendar. A failure keeps the saved one, as
+ * the calendar only decides which scheduled runs to skip.
+ * @returns {Promise<import('./holidays.js').HolidayCalendar | null>}
+ */
+async function updateHolidayCalendar() {
+    try {
+        return await refreshHolidayCalendar();
+    } catch (error) {
+        console.log('');
+        console.error('⚠️  Could not update the holiday calendar:', error.message);
+        return loadHolidayCalendar();
+    }
+}
+
+/**
+ * Sends the upcoming holiday / long weekend notice when one is due
+ * @param {import('./holidays.js').HolidayCalendar | null} calendar
+ */
+async function sendDueHolidayNotice(calendar) {
+    const state = loadState();
+    const stretches = getDueHolidayNotice(calendar, state);
+
+    if (stretches.length > 0) {
+        console.log('');
+        console.log(`🎉 Sending upcoming holiday notice (${stretches.length} stretch(es) of days off)...`);
+        await sendHolidayNotice(stretches);
+        markHolidaysNotified(state, stretches);
+        saveState(state);
+    }
+}
+
+/**
+ * Sends the attendance digest when one is due, or right away with --digest
+ * @param {Object} result - Check result
+ * @param {{ scheduled: boolean, force: boolean }} options
+ *   scheduled: a regular check of the current period, which may send a due digest; force: send one regardless
+ */
+async function sendDueDigest(result, { scheduled, force }) {
+    const state = loadState();
+    const due = (scheduled ? getDueDigest(state, result) : null) || (force ? DIGEST_TYPES.SCHEDULED : null);
+
+    if (due) {
+        console.log('');
+        console.log(`📊 Sending ${due === DIGEST_TYPES.CLOSING ? 'period closing' : 'attendance'} digest...`);
+        await sendAttendanceDigest(result, { closing: due === DIGEST_TYPES.CLOSING });
+    }
+
+    if (scheduled) {
+        markDigestChecked(state, result, due);
+        saveState(state);
+    }
+}
+
+/**
+ * Writes the attendance calendar (.ics); a failed write does not fail the check
+ * @param {Object} result - Check result
+ * @param {string} file
+ */
+function saveCalendar(result, file) {
+    try {
+        writeCalendarFile(result, file);
+        console.log(`📆 Calendar written to ${file}`);
+    } catch (error) {
+        console.error(`⚠️  Could not write calendar ${file}:`, error.message);
+    }
+}
+
+/**
+ * Signs in again headlessly (AUTO_LOGIN) and loads the tokens of the new session
+ * @returns {Promise<{ tokens: Object | null, failure: import('./errors.js').LoginError | null }>}
+ */
+async function reloginForTokens() {
+    try {
+        if (!await relogin()) {
+            return { tokens: null, failure: null };
+        }
+    } catch (error) {
+        console.error('❌ Automated login failed:', error.message);
+        if (error.screenshot) {
+            console.error(`   Screenshot: ${error.screenshot}`);
+        }
+        return { tokens: null, failure: error };
+    }
+    return { tokens: await extractTokensFromBrowser({ forceRefresh: true }), failure: null };
+}
+
+/**
+ * Loads HRMS tokens from the browser session, signing in again when enabled
+ * and alerting if the session is gone
+ * @returns {Promise<boolean>} Whether valid tokens were loaded
+ */
+async function authenticate() {
+    const sessionFound = hasSession();
+    let tokens = null;
+    let loginFailure = null;
+
+    if (!sessionFound) {
+        console.error('❌ No browser session found.');
+    } else {
+        // Extract tokens from browser session
+        tokens = await extractTokensFromBrowser();
+        if (!tokens) {
+            recordSessionFailure();
+            console.error('❌ Failed to extract tokens from browser session.');
+        }
+    }
+
+    if (!tokens && isAutoLoginEnabled()) {
+        ({ tokens, failure: loginFailure } = await reloginForTokens());
     }
 
-    // Extract tokens from browser session
-    const tokens = await extractTokensFromBrowser();
     if (!tokens) {
-        console.error('❌ Failed to extract tokens from browser session.');
         console.log('');
-        console.log('💡 Run "npm run login" to re-authenticate.');
+        console.log(sessionFound
+            ? '💡 Run "npm run login" to re-authenticate.'
+            : '💡 Run "npm run login" first to authenticate with Microsoft SSO.');
 
-        // Send email notification about session expiry
+        // Notify about the missing or expired session
         try {
-            await sendSessionExpiredAlert();
+            await sendSessionExpiredAlert(loginFailure);
         } catch (emailError) {
-            console.error('⚠️  Could not send session expiry email:', emailError.message);
+            console.error('⚠️  Could not send session expiry alert:', emailError.message);
         }
 
-        process.exit(1);
+        return false;
     }
 
     setTokens(tokens);
+    await recordSessionValid();
+    return true;
+}
 
-    // Validate email configuration
+/**
+ * Validates the configuration and prints every problem found
+ * @param {string[]} [extraErrors] - Additional mode-specific problems
+ * @returns {boolean}
+ */
+function checkConfig(extraErrors = []) {
     const validation = validateConfig();
-    if (!validation.valid) {
+    const errors = [...validation.errors, ...validateRules(), ...validateTemplates(), ...validateDigest(), ...validatePunchMonitor(), ...validateLeaveBalance(), ...validateHolidays(), ...validateCalendar(), ...validateAutoLogin(), ...validateSessionStorage(), ...extraErrors];
+    if (errors.length > 0) {
         console.error('❌ Configuration errors:');
-        validation.errors.forEach(err => console.error(`   • ${err}`));
+        errors.forEach(err => console.error(`   • ${err}`));
         console.log('');
-        console.log('💡 Ensure .env has email configuration (SMTP_*, NOTIFY_EMAIL).');
-        process.exit(1);
+        console.log('💡 Ensure .env configures every channel listed in NOTIFY_CHANNELS.');
+        return false;
     }
 
     console.log('✅ Configuration validated');
+    return true;
+}
 
-    // Handle test email mode
-    if (isEmailTest) {
-        console.log('');
-        console.log('📧 Sending test email...');
-        try {
-            await sendTestEmail();
-            console.log('✅ Test email sent successfully!');
-        } catch (error) {
-            console.error('❌ Failed to send test email:', error.message);
-            process.exit(1);
-        }
-        return;
+/**
+ * Shows requests submitted with `regularize`/`apply-leave` as pending until
+ * HRMS reflects them, and stops tracking the ones HRMS has settled
+ * @param {Object} result - Check result; flagged days are updated in place
+ */
+function showTrackedRequests(result) {
+    const state = loadState();
+    const { pending, completed, rejected, changed } = applyTrackedRequests(state, result);
+    if (changed) {
+        saveState(state);
     }
 
-    // Check attendance
+    if (pending.length > 0) {
+        console.log(`📝 ${pending.length} day(s) with a submitted request not yet visible in HRMS: ${pending.join(', ')}`);
+    }
+    if (completed.length > 0) {
+        console.log(`✅ HRMS settled ${completed.length} submitted request day(s): ${completed.join(', ')}`);
+    }
+    if (rejected.length > 0) {
+        console.log(`⚠️  ${rejected.length} submitted request day(s) are flagged again (request declined?): ${rejected.join(', ')}`);
+    }
+}
+
+/**
+ * Submits the WFH/leave requests queued from alert action links
+ */
+async function submitQueuedActions() {
+    const { submitted, failed } = await submitQueuedRequests();
+
+    submitted.forEach(({ type, date }) => console.log(`📝 Submitted queued ${type} request for ${date}`));
+    failed.forEach(({ type, date, error }) => console.error(`⚠️  Queued ${type} request for ${date} failed (the day will be alerted again): ${error}`));
+}
+
+/**
+ * Checks attendance once and sends the resulting notifications
+ * @param {{ isTestMode: boolean, range?: { period?: string, from?: string, to?: string }, forceDigest?: boolean, icsFile?: string }} options
+ *   isTestMode: check without notifying; range: salary period to check (default: current);
+ *   forceDigest: send the attendance digest even if none is due; icsFile: write the calendar here (--ics)
+ * @returns {Promise<{ ok: boolean, result?: Object, error?: string, errorType?: string }>}
+ */
+async function runCheck({ isTestMode, range = {}, forceDigest = false, icsFile }) {
+    const isRegular = !range.period && !range.from && !range.to;
+    let result;
+
     console.log('');
     try {
-        const result = await checkAttendance();
+        if (!isTestMode) {
+            await submitQueuedActions();
+        }
+
+        result = await checkAttendance(range);
+        showTrackedRequests(result);
 
         console.log('');
         console.log('📊 Attendance Summary:');
@@ -96,52 +353,507 @@ async function main() {
             }
         });
 
-        if (result.absentDays.length === 0) {
+        result.leaveBalances = await loadLeaveBalances();
+        const holidayCalendar = isRegular ? await updateHolidayCalendar() : null;
+
+        if (result.statusChanges.length > 0) {
             console.log('');
-            console.log('✅ No absences detected in this salary period!');
+            console.log(`🔄 ${result.statusChanges.length} past day(s) changed status after the fact:`);
+            result.statusChanges.forEach(change => {
+                console.log(`   • ${change.date}: ${change.from.status} → ${change.to.status}`);
+            });
+        }
+
+        // ICS_FILE is the subscribed calendar of the current period; --ics writes any period
+        const calendarFile = icsFile || (isRegular ? config.calendar.file : '');
+        if (calendarFile) {
+            console.log('');
+            saveCalendar(result, calendarFile);
+        }
+
+        if (result.flaggedDays.length === 0) {
+            console.log('');
+            console.log('✅ No absences or other issues detected in this salary period!');
             console.log('   Your attendance looks good. 🎉');
         } else {
             console.log('');
-            console.log(`⚠️  ${result.absentDays.length} absent day(s) detected:`);
-            result.absentDays.forEach(day => {
-                console.log(`   • ${day.date} - ${day.status}`);
+            console.log(`⚠️  ${result.flaggedDays.length} day(s) flagged:`);
+            groupByCategory(result.flaggedDays).forEach(group => {
+                console.log(`   [${group.category}]`);
+                group.days.forEach(day => {
+                    console.log(`   • ${day.date} - ${day.status}`);
+                });
             });
+        }
 
-            if (!isTestMode) {
-                console.log('');
-                console.log('📧 Sending alert email...');
-                await sendAbsenceAlert(result.absentDays);
-                console.log('✅ Alert email sent!');
-            } else {
-                console.log('');
-                console.log('ℹ️  Test mode: Skipping email notification');
+        if (!isTestMode) {
+            await notifyAbsenceChanges(result);
+            if (result.leaveBalances) {
+                await notifyLeaveBalances(result.leaveBalances);
             }
+            await sendDueDigest(result, { scheduled: isRegular, force: forceDigest });
+            if (isRegular) {
+                await sendDueHolidayNotice(holidayCalendar);
+            }
+        } else if (result.flaggedDays.length > 0) {
+            console.log('');
+            console.log('ℹ️  Test mode: Skipping notifications');
         }
 
     } catch (error) {
         console.error('');
         console.error('❌ Error checking attendance:', error.message);
 
-        // Determine error type and send appropriate alert
-        let errorType = 'unknown';
-        if (error.message.includes('401') || error.message.includes('403')) {
-            errorType = 'auth';
+        const errorType = getErrorType(error);
+        if (error instanceof AuthError) {
+            recordSessionFailure();
             console.log('');
             console.log('💡 Authentication failed. Session may have expired.');
             console.log('   Run "npm run login" to re-authenticate.');
-        } else if (error.message.includes('ENOTFOUND') || error.message.includes('ETIMEDOUT') || error.message.includes('network')) {
-            errorType = 'network';
+        } else if (error instanceof NetworkError) {
             console.log('');
             console.log('💡 Network error. Check your internet connection.');
+        } else if (error instanceof RateLimitError) {
+            console.log('');
+            console.log('💡 HRMS is rate limiting requests. The next scheduled check will try again.');
+        } else if (error instanceof ApiSchemaError) {
+            console.log('');
+            console.log('💡 HRMS returned an unexpected response. The API may have changed.');
         }
 
-        // Send error notification email
+        // Send error notification
         try {
-            await sendErrorAlert(error.message, errorType);
+            await sendErrorAlert(error);
         } catch (emailError) {
-            console.error('⚠️  Could not send error alert email:', emailError.message);
+            console.error('⚠️  Could not send error alert:', emailError.message);
         }
 
+        return { ok: false, error: error.message, errorType };
+    }
+
+    return { ok: true, result };
+}
+
+/**
+ * Checks today's punches and sends the "forgot to punch" reminders that are due.
+ * Failures are only logged: polls run often, and the regular check reports errors.
+ * @param {{ isTestMode: boolean }} options - isTestMode: check without notifying
+ * @returns {Promise<{ ok: boolean, result?: { reminders: Array<Object> }, error?: string, errorType?: string }>}
+ */
+async function runPunchCheck({ isTestMode }) {
+    const reminders = [];
+
+    console.log('');
+    try {
+        const { today, days } = await checkPunches();
+        if (!days.some(day => day.date === today)) {
+            console.log('   No attendance entry for today yet');
+        }
+        days.forEach(day => {
+            const punches = `in ${formatClockTime(day.punches.in) || '--:--'}, out ${formatClockTime(day.punches.out) || '--:--'}`;
+            console.log(`   ${day.date}: ${day.offReason || punches}`);
+        });
+
+        const state = loadState();
+        reminders.push(...getDueReminders(days, state));
+
+        if (reminders.length === 0) {
+            console.log('✅ No punch reminders due');
+        } else if (isTestMode) {
+            reminders.forEach(reminder => console.log(`ℹ️  Test mode: Skipping punch-${reminder.type} reminder for ${reminder.date}`));
+        } else {
+            for (const reminder of reminders) {
+                await sendPunchReminder(reminder);
+                markPunchReminded(state, reminder);
+                saveState(state);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error checking punches:', error.message);
+        if (error instanceof AuthError) {
+            recordSessionFailure();
+        }
+        return { ok: false, error: error.message, errorType: getErrorType(error) };
+    }
+
+    return { ok: true, result: { reminders } };
+}
+
+/**
+ * Runs the test notification or the attendance check for the active configuration
+ * @param {{ isTestMode: boolean, isEmailTest: boolean, isPunchCheck?: boolean, range: Object, forceDigest?: boolean, icsFile?: string }} options
+ *   isPunchCheck: check today's punches instead of the salary period
+ * @returns {Promise<{ ok: boolean, result?: Object, error?: string, errorType?: string }>}
+ */
+async function attemptRun({ isTestMode, isEmailTest, isPunchCheck, range, forceDigest, icsFile }) {
+    if (!await authenticate()) {
+        return { ok: false, error: 'Browser session missing or expired', errorType: 'auth' };
+    }
+
+    if (!checkConfig(validateMappingId())) {
+        return { ok: false, error: 'Invalid configuration', errorType: 'config' };
+    }
+
+    // Handle test email mode
+    if (isEmailTest) {
+        console.log('');
+        console.log('📧 Sending test notification...');
+        try {
+            await sendTestEmail();
+            console.log('✅ Test notification sent successfully!');
+        } catch (error) {
+            console.error('❌ Failed to send test notification:', error.message);
+            return { ok: false, error: error.message };
+        }
+        return { ok: true };
+    }
+
+    if (isPunchCheck) {
+        return runPunchCheck({ isTestMode });
+    }
+
+    // Check attendance
+    return runCheck({ isTestMode, range, forceDigest, icsFile });
+}
+
+/**
+ * Runs once for the active configuration and remembers the outcome of
+ * regular checks (not test notifications, punch checks or ad-hoc periods) for the status server
+ * @param {{ isTestMode: boolean, isEmailTest: boolean, isPunchCheck?: boolean, range: Object, forceDigest?: boolean, icsFile?: string }} options
+ * @returns {Promise<{ ok: boolean, result?: Object, error?: string, errorType?: string }>}
+ */
+async function runOnce(options) {
+    const outcome = await attemptRun(options);
+    const { period, from, to } = options.range;
+
+    if (!options.isEmailTest && !options.isPunchCheck && !period && !from && !to) {
+        lastOutcomes.set(config.profileName || '', { ...outcome, at: new Date().toISOString() });
+    }
+
+    return outcome;
+}
+
+/**
+ * Runs every profile in turn; a failing profile does not stop the others.
+ * Sends the manager a team digest afterwards when one is configured.
+ * @param {{ profiles: Array<Object>, manager: Object | null }} team
+ * @param {{ isTestMode: boolean, isEmailTest: boolean, isPunchCheck?: boolean, range: Object, only?: string, forceDigest?: boolean, icsFile?: string }} options
+ *   only: run just the profile with this name
+ * @returns {Promise<Array<{ name: string, ok: boolean, result?: Object, error?: string, errorType?: string }>>}
+ */
+async function runProfiles({ profiles, manager }, options) {
+    const selected = options.only ? profiles.filter(p => p.name === options.only) : profiles;
+    const outcomes = [];
+
+    if (selected.length === 0) {
+        console.error(`❌ No profile named "${options.only}"`);
+        return [{ name: options.only, ok: false, error: `No profile named "${options.only}"`, errorType: 'config' }];
+    }
+
+    for (const profile of selected) {
+        console.log('');
+        console.log(`👤 Profile: ${profile.name}`);
+        console.log('─────────────────────────────────────────────');
+
+        applyProfile(profile);
+        try {
+            outcomes.push({ name: profile.name, ...await runOnce(options) });
+        } catch (error) {
+            console.error(`❌ Profile ${profile.name} failed:`, error.message);
+            outcomes.push({ name: profile.name, ok: false, error: error.message });
+        }
+    }
+
+    // "digest": false in the manager entry keeps manager notifications off
+    const sendDigest = manager && manager.digest !== false &&
+        !options.isTestMode && !options.isEmailTest && !options.isPunchCheck && !options.only;
+
+    if (sendDigest) {
+        applyManager(manager);
+        console.log('');
+        console.log('📋 Sending team digest...');
+        try {
+            await sendTeamDigest(outcomes);
+        } catch (error) {
+            console.error('⚠️  Could not send team digest:', error.message);
+        }
+    }
+    resetConfig();
+
+    console.log('');
+    console.log('👥 Team summary:');
+    outcomes.forEach(o => {
+        const detail = !o.ok ? o.error
+            : o.result?.reminders ? `${o.result.reminders.length} punch reminder(s) due`
+                : `${o.result?.flaggedDays.length ?? 0} day(s) flagged`;
+        console.log(`   ${o.ok ? '✅' : '❌'} ${o.name}: ${detail}`);
+    });
+
+    return outcomes;
+}
+
+/**
+ * Builds the callbacks the status server uses to read state and trigger runs
+ * @param {{ profiles: Array<Object>, manager: Object | null } | null} team
+ * @returns {import('./server.js').StatusService}
+ */
+function createStatusService(team) {
+    const run = (options) => runExclusive(async () => (team
+        ? runProfiles(team, options)
+        : [{ name: null, ...await runOnce(options) }]));
+
+    return {
+        getStatus: async () => {
+            const entries = team
+                ? team.profiles.map(p => ({ name: p.name, sessionFile: p.sessionFile }))
+                : [{ name: null, sessionFile: config.session.file }];
+
+            return {
+                generatedAt: new Date().toISOString(),
+                startedAt,
+                daemon: {
+                    schedule: config.schedule.cron,
+                    timezone: config.schedule.timezone,
+                    nextRunAt: getNextRunAt()?.toISOString() || null,
+                },
+                profiles: entries.map(({ name, sessionFile }) => {
+                    const outcome = lastOutcomes.get(name || '');
+                    const { days, ...lastCheck } = outcome ? { ...toRecord(outcome), at: outcome.at } : {};
+                    return {
+                        name,
+                        session: getSessionInfo(sessionFile),
+                        lastCheck: outcome ? lastCheck : null,
+                    };
+                }),
+            };
+        },
+
+        getAttendance: async ({ period, from, to, profile }) => {
+            const range = { period, from, to };
+            try {
+                getDateRange(range);
+            } catch (error) {
+                throw Object.assign(error, { statusCode: 400 });
+            }
+            if (profile && !team?.profiles.some(p => p.name === profile)) {
+                throw Object.assign(new Error(`No profile named "${profile}"`), { statusCode: 404 });
+            }
+
+            return buildJsonOutput(await run({ isTestMode: true, isEmailTest: false, range, only: profile }));
+        },
+
+        triggerCheck: async ({ profile }) => {
+            if (profile && !team?.profiles.some(p => p.name === profile)) {
+                throw Object.assign(new Error(`No profile named "${profile}"`), { statusCode: 404 });
+            }
+
+            return buildJsonOutput(await run({ isTestMode: false, isEmailTest: false, range: {}, only: profile }));
+        },
+
+        getCalendar: async ({ profile }) => {
+            if (profile && !team?.profiles.some(p => p.name === profile)) {
+                throw Object.assign(new Error(`No profile named "${profile}"`), { statusCode: 404 });
+            }
+            if (team && !profile) {
+                throw Object.assign(new Error(`Choose a profile with ?profile= (${team.profiles.map(p => p.name).join(', ')})`), { statusCode: 400 });
+            }
+
+            const outcome = lastOutcomes.get(profile || '');
+            if (!outcome?.result) {
+                throw Object.assign(new Error('No successful check yet'), { statusCode: 503 });
+            }
+
+            // Profile-specific event UIDs need the profile's configuration
+            return runExclusive(async () => {
+                if (profile) {
+                    applyProfile(team.profiles.find(p => p.name === profile));
+                }
+                try {
+                    return renderICalendar(buildAttendanceEvents(outcome.result), { name: getCalendarName() });
+                } finally {
+                    if (profile) {
+                        resetConfig();
+                    }
+                }
+            });
+        },
+
+        performAction: (payload) => runExclusive(async () => {
+            if (!payload.profile) {
+                return applyAction(payload);
+            }
+
+            const profile = team?.profiles.find(p => p.name === payload.profile);
+            if (!profile) {
+                throw Object.assign(new Error(`No profile named "${payload.profile}"`), { statusCode: 404 });
+            }
+            applyProfile(profile);
+            try {
+                return applyAction(payload);
+            } finally {
+                resetConfig();
+            }
+        }),
+    };
+}
+
+/**
+ * Loads and validates the profiles file, when one exists
+ * @returns {{ team: { profiles: Array<Object>, manager: Object | null } | null, errors: string[] }}
+ */
+function loadTeam() {
+    if (!hasProfiles()) {
+        return { team: null, errors: [] };
+    }
+
+    let team;
+    try {
+        team = loadProfiles();
+    } catch (error) {
+        return { team: null, errors: [`Could not read ${config.profiles.file}: ${error.message}`] };
+    }
+    return { team, errors: validateProfiles(team) };
+}
+
+/**
+ * Validates the configuration of every profile (or the .env configuration
+ * without profiles), printing every problem found
+ * @param {{ profiles: Array<Object> } | null} team
+ * @param {{ schedule?: boolean }} [options] - schedule: also validate the daemon schedule
+ * @returns {boolean}
+ */
+function checkTeamConfig(team, { schedule = false } = {}) {
+    let configValid = true;
+    for (const profile of team?.profiles || [null]) {
+        if (profile) {
+            console.log(`👤 Validating profile ${profile.name}`);
+            applyProfile(profile);
+        }
+        configValid = checkConfig(schedule ? validateSchedule() : []) && configValid;
+    }
+    resetConfig();
+    return configValid;
+}
+
+/**
+ * Validates the profiles file and the configuration without contacting HRMS
+ * @param {{ schedule?: boolean }} [options] - schedule: also validate the daemon schedule
+ * @returns {boolean}
+ */
+export function validateSetup({ schedule = true } = {}) {
+    const { team, errors } = loadTeam();
+    if (errors.length > 0) {
+        console.error('❌ Profile errors:');
+        errors.forEach(err => console.error(`   • ${err}`));
+        return false;
+    }
+    if (team) {
+        console.log(`👥 ${team.profiles.length} profile(s) loaded from ${config.profiles.file}`);
+    }
+    return checkTeamConfig(team, { schedule });
+}
+
+/**
+ * Main application entry point
+ * @param {string[]} [args] - Command line arguments
+ */
+export async function main(args = process.argv.slice(2)) {
+    const isTestMode = args.includes('--test');
+    const isEmailTest = args.includes('--test-email');
+    const isDaemon = args.includes('--daemon');
+    const isServe = args.includes('--serve');
+    const isPunchCheck = args.includes('--punch');
+    const forceDigest = args.includes('--digest');
+    const icsFile = getArgValue(args, 'ics');
+    const only = getArgValue(args, 'profile');
+    const outputFormat = getArgValue(args, 'output');
+    if (args.includes('--dump-payload')) {
+        config.schema.dumpAll = true;
+    }
+    const range = {
+        period: getArgValue(args, 'period'),
+        from: getArgValue(args, 'from'),
+        to: getArgValue(args, 'to'),
+    };
+
+    // Machine-readable output goes to stdout, so human-readable logs move to stderr
+    if (outputFormat) {
+        console.log = console.error;
+        if (!OUTPUT_FORMATS.includes(outputFormat)) {
+            console.error(`❌ Unknown --output format "${outputFormat}" (use ${OUTPUT_FORMATS.join(', ')})`);
+            process.exit(EXIT_CODES.CONFIG);
+        }
+        if (isPunchCheck) {
+            console.error('❌ --output is only available for attendance checks, not --punch');
+            process.exit(EXIT_CODES.CONFIG);
+        }
+    }
+
+    console.log('');
+    console.log('╔═══════════════════════════════════════════╗');
+    console.log('║     Peeplynx HR Attendance Notifier       ║');
+    console.log('╚═══════════════════════════════════════════╝');
+    console.log('');
+
+    // Reject a bad --period/--from/--to before touching the browser session
+    try {
+        getDateRange(range);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(outputFormat ? EXIT_CODES.CONFIG : 1);
+    }
+
+    // Multi-employee mode when a profiles file exists
+    const { team, errors } = loadTeam();
+    if (errors.length > 0) {
+        console.error('❌ Profile errors:');
+        errors.forEach(err => console.error(`   • ${err}`));
+        process.exit(outputFormat ? EXIT_CODES.CONFIG : 1);
+    }
+    if (team) {
+        console.log(`👥 ${team.profiles.length} profile(s) loaded from ${config.profiles.file}`);
+    }
+
+    // Daemon/server modes: validate once, then keep running
+    if (isDaemon || isServe) {
+        if (!checkTeamConfig(team, { schedule: isDaemon })) {
+            process.exit(1);
+        }
+
+        const server = isServe ? await startServer(createStatusService(team)) : null;
+
+        if (isDaemon) {
+            const runScheduled = (options) => runExclusive(async () => {
+                if (team) {
+                    await runProfiles(team, { isTestMode, isEmailTest: false, range: {}, ...options });
+                } else {
+                    await runOnce({ isTestMode, isEmailTest: false, range: {}, ...options });
+                }
+            });
+            const jobs = config.punch.schedule
+                ? [{ name: 'punch check', cron: config.punch.schedule, task: () => runScheduled({ isPunchCheck: true }) }]
+                : [];
+            await startDaemon(() => runScheduled({}), jobs);
+            console.log('👋 Daemon stopped');
+        } else {
+            await waitForShutdown();
+            await runQueue;
+        }
+
+        server?.close();
+        return;
+    }
+
+    const outcomes = team
+        ? await runProfiles(team, { isTestMode, isEmailTest, isPunchCheck, range, only, forceDigest, icsFile })
+        : [{ name: null, ...await runOnce({ isTestMode, isEmailTest, isPunchCheck, range, forceDigest, icsFile }) }];
+
+    if (outputFormat) {
+        writeOutput(formatOutput(outcomes, outputFormat), getArgValue(args, 'output-file'));
+        process.exit(getExitCode(outcomes));
+    }
+
+    if (!outcomes.every(o => o.ok)) {
         process.exit(1);
     }
 
@@ -149,4 +861,10 @@ async function main() {
     console.log('Done!');
 }
 
-main().catch(console.error);
+// Run directly (node src/index.js ...) rather than through the hrms-notifier CLI
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = EXIT_CODES.ERROR;
+    });
+}
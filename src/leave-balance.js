@@ -0,0 +1,233 @@
+/**
+ * Leave Balance Module
+ * Reads the remaining leave per leave type from HRMS_LEAVE_BALANCE_ENDPOINT,
+ * for the absence alerts ("3 CL left") and for alerts when a balance drops to
+ * LEAVE_LOW_BALANCE or leave is about to lapse at the end of the leave year.
+ * What was alerted is remembered in the alert state.
+ */
+import { config } from './config.js';
+import { hrmsGet } from './hrms-client.js';
+import { dumpPayload } from './schema.js';
+import { ApiSchemaError } from './errors.js';
+import { DAY_MS, formatDate, getToday } from './utils.js';
+
+// Fields HRMS versions use for a leave type and its balance
+const NAME_FIELDS = ['LeaveTypeName', 'LeaveType', 'LeaveName', 'Name'];
+const CODE_FIELDS = ['LeaveCode', 'ShortName', 'Code'];
+const BALANCE_FIELDS = ['Balance', 'AvailableBalance', 'ClosingBalance', 'RemainingLeave', 'Available'];
+const CARRY_FORWARD_FIELDS = ['MaxCarryForward', 'CarryForwardLimit'];
+
+/**
+ * @typedef {Object} LeaveBalance
+ * @property {string} name - e.g. "Casual Leave"
+ * @property {string | null} code - e.g. "CL"
+ * @property {number} balance - Days left
+ * @property {number | null} carryForward - Days that may be carried into the next leave year, if HRMS says
+ */
+
+/**
+ * Validates the leave balance settings
+ * @returns {string[]} Problems found
+ */
+export function validateLeaveBalance() {
+    const errors = [];
+    const { lowBalance, yearEnd, lapseNoticeDays } = config.leave;
+    const endpoint = config.hrms.leaveBalanceEndpoint;
+
+    if (endpoint && !endpoint.startsWith('/')) {
+        errors.push(`HRMS_LEAVE_BALANCE_ENDPOINT must be a path starting with "/" (below ${config.hrms.apiPath})`);
+    }
+    if (lowBalance !== null && !(lowBalance >= 0)) {
+        errors.push('LEAVE_LOW_BALANCE must be a non-negative number of days (empty disables low balance alerts)');
+    }
+    const match = /^(\d{2})-(\d{2})$/.exec(yearEnd);
+    if (!match || new Date(2024, match[1] - 1, match[2]).getDate() !== Number(match[2])) {
+        errors.push(`LEAVE_YEAR_END "${yearEnd}" must be the last day of the leave year as MM-DD, e.g. "12-31" or "03-31"`);
+    }
+    if (!Number.isInteger(lapseNoticeDays) || lapseNoticeDays < 0) {
+        errors.push('LEAVE_LAPSE_NOTICE_DAYS must be a whole number of days (0 disables lapse alerts)');
+    }
+
+    return errors;
+}
+
+/**
+ * Reads the first field that holds a value
+ * @param {Object} item
+ * @param {string[]} fields
+ * @returns {*}
+ */
+function pick(item, fields) {
+    return fields.map(field => item[field]).find(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Parses a number that HRMS may send as a string
+ * @param {*} value
+ * @returns {number | null}
+ */
+function toNumber(value) {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Extracts the balances from a leave balance response: Data is the list, or
+ * an object holding it
+ * @param {Object} data - Parsed API response
+ * @returns {LeaveBalance[]}
+ * @throws {ApiSchemaError} When no balance can be read
+ */
+export function parseLeaveBalances(data) {
+    const items = Array.isArray(data?.Data)
+        ? data.Data
+        : Object.values(data?.Data || {}).find(Array.isArray) || [];
+
+    const balances = items
+        .map(item => ({
+            name: String(pick(item, NAME_FIELDS) ?? pick(item, CODE_FIELDS) ?? ''),
+            code: pick(item, CODE_FIELDS) ?? null,
+            balance: toNumber(pick(item, BALANCE_FIELDS)),
+            carryForward: toNumber(pick(item, CARRY_FORWARD_FIELDS)),
+        }))
+        .filter(item => item.name && item.balance !== null);
+
+    if (balances.length === 0) {
+        const dumpFile = dumpPayload('leave-balance', data);
+        throw new ApiSchemaError(
+            `Unexpected HRMS response for leave balances: no leave type with a balance in Data${dumpFile ? `; payload saved to ${dumpFile}` : ''}`,
+            { problems: ['Data: no leave balances'], dumpFile }
+        );
+    }
+    return balances;
+}
+
+/**
+ * Fetches the leave balances of the active profile
+ * @returns {Promise<LeaveBalance[] | null>} null when HRMS_LEAVE_BALANCE_ENDPOINT is not set
+ * @throws {AuthError | NetworkError | RateLimitError | ApiSchemaError | HrmsError}
+ */
+export async function fetchLeaveBalances() {
+    if (!config.hrms.leaveBalanceEndpoint) {
+        return null;
+    }
+    const data = await hrmsGet(config.hrms.leaveBalanceEndpoint, { year: String(getToday().getFullYear()) });
+    return parseLeaveBalances(data);
+}
+
+/**
+ * Checks if a balance matches a list of leave codes or names (case-insensitive)
+ * @param {LeaveBalance} balance
+ * @param {string[]} list
+ * @returns {boolean}
+ */
+function matches(balance, list) {
+    return list.some(entry => [balance.code, balance.name].some(value => value && value.toLowerCase() === entry.toLowerCase()));
+}
+
+/**
+ * Lists the balances of the leave types in LEAVE_TYPES (all when empty)
+ * @param {LeaveBalance[]} balances
+ * @returns {LeaveBalance[]}
+ */
+export function getWatchedBalances(balances) {
+    return config.leave.types.length > 0 ? balances.filter(balance => matches(balance, config.leave.types)) : balances;
+}
+
+/**
+ * Formats a number of days without trailing zeros, e.g. 1.5 or 3
+ * @param {number} days
+ * @returns {string}
+ */
+export function formatLeaveDays(days) {
+    return String(Math.round(days * 100) / 100);
+}
+
+/**
+ * Summarizes balances for a notification, e.g. "3 CL, 1.5 EL"
+ * @param {LeaveBalance[]} balances
+ * @returns {string}
+ */
+export function formatBalanceSummary(balances) {
+    return getWatchedBalances(balances)
+        .map(balance => `${formatLeaveDays(balance.balance)} ${balance.code || balance.name}`)
+        .join(', ');
+}
+
+/**
+ * Returns the last day of the current leave year
+ * @param {Date} [today]
+ * @returns {Date}
+ */
+export function getLeaveYearEnd(today = getToday()) {
+    const [month, day] = config.leave.yearEnd.split('-').map(Number);
+    const end = new Date(today.getFullYear(), month - 1, day);
+    return end < today ? new Date(today.getFullYear() + 1, month - 1, day) : end;
+}
+
+/**
+ * Days of a balance that will not carry over into the next leave year
+ * @param {LeaveBalance} balance
+ * @returns {number}
+ */
+function getLapsingDays(balance) {
+    if (matches(balance, config.leave.lapseTypes)) {
+        return balance.balance;
+    }
+    return balance.carryForward === null ? 0 : Math.max(0, balance.balance - balance.carryForward);
+}
+
+/**
+ * Works out which balances to alert about: newly low balances (once, until
+ * they rise again) and leave lapsing within LEAVE_LAPSE_NOTICE_DAYS of the
+ * year end (once per leave year)
+ * @param {LeaveBalance[]} balances
+ * @param {Object} state - From loadState()
+ * @param {Date} [today]
+ * @returns {{ low: LeaveBalance[], lapsing: Array<LeaveBalance & { lapsing: number }>, yearEnd: Date }}
+ */
+export function getLeaveAlerts(balances, state, today = getToday()) {
+    const { lowBalance, lapseNoticeDays } = config.leave;
+    const tracking = state.leave || {};
+    const yearEnd = getLeaveYearEnd(today);
+    const watched = getWatchedBalances(balances);
+
+    const low = lowBalance === null ? [] : watched.filter(balance =>
+        balance.balance <= lowBalance && !tracking.low?.[balance.name]);
+
+    // Rounded: a DST change makes a day 23 or 25 hours long
+    const daysLeft = Math.round((yearEnd - today) / DAY_MS);
+    const lapsing = lapseNoticeDays > 0 && daysLeft <= lapseNoticeDays
+        ? watched
+            .map(balance => ({ ...balance, lapsing: getLapsingDays(balance) }))
+            .filter(balance => balance.lapsing > 0 && tracking.lapse?.[balance.name] !== formatDate(yearEnd))
+        : [];
+
+    return { low, lapsing, yearEnd };
+}
+
+/**
+ * Records sent leave alerts, and forgets low balances that went back up so
+ * they are alerted again next time they drop
+ * @param {Object} state
+ * @param {LeaveBalance[]} balances - Every balance from this check
+ * @param {{ low: LeaveBalance[], lapsing: LeaveBalance[], yearEnd: Date }} alerts - What was sent
+ * @param {Date} [now]
+ */
+export function markLeaveAlerted(state, balances, { low, lapsing, yearEnd }, now = new Date()) {
+    const tracking = state.leave = { low: {}, lapse: {}, ...state.leave };
+
+    for (const balance of low) {
+        tracking.low[balance.name] = { balance: balance.balance, alertedAt: now.toISOString() };
+    }
+    for (const name of Object.keys(tracking.low)) {
+        const current = balances.find(balance => balance.name === name);
+        if (!current || config.leave.lowBalance === null || current.balance > config.leave.lowBalance) {
+            delete tracking.low[name];
+        }
+    }
+
+    for (const balance of lapsing) {
+        tracking.lapse[balance.name] = formatDate(yearEnd);
+    }
+}
@@ -1,257 +1,411 @@
-import nodemailer from 'nodemailer';
+import fs from 'fs';
+import path from 'path';
 import { config } from './config.js';
-import { formatDisplayDate } from './utils.js';
+import { formatDate, formatDisplayDate, formatDisplayDateTime, formatDisplayRange, getDateRange, parseLocalDate } from './utils.js';
+import { dispatch } from './channels/index.js';
+import { getErrorType } from './errors.js';
+import { groupByCategory, CATEGORIES } from './rules.js';
+import { actionLinksEnabled, buildActionLinks } from './actions.js';
+import { renderTemplate } from './templates.js';
+import { DAY_KINDS, buildCalendar, getDaysLeft } from './digest.js';
+import { buildAlertEvents, renderICalendar, getCalendarName } from './icalendar.js';
+import { PUNCH_REMINDERS, formatClockTime } from './punch-monitor.js';
+import { formatBalanceSummary, formatLeaveDays } from './leave-balance.js';
+import { LONG_WEEKEND_DAYS } from './holidays.js';
+
+const CATEGORY_LABELS = {
+  actionable: '❗ Action required',
+  pending: '⏳ Pending approval',
+  informational: 'ℹ️ For information',
+};
 
 /**
- * Creates the email transporter
- * @returns {nodemailer.Transporter}
+ * Builds the one-click action links for an actionable day (when enabled)
+ * @param {{date: string, category: string}} day
+ * @returns {Array<{action: string, label: string, url: string}>}
  */
-function createTransporter() {
-  return nodemailer.createTransport({
-    host: config.email.host,
-    port: config.email.port,
-    secure: config.email.secure,
-    auth: {
-      user: config.email.user,
-      pass: config.email.pass,
-    },
-  });
+function getActionLinks(day) {
+  if (day.category !== CATEGORIES.ACTIONABLE || !actionLinksEnabled()) {
+    return [];
+  }
+  return buildActionLinks(day.date);
+}
+
+/**
+ * URL of the HRMS portal linked from alerts
+ * @returns {string}
+ */
+function getPortalUrl() {
+  return `${config.hrms.baseUrl.replace(/\/+$/, '')}/`;
+}
+
+/**
+ * Sends an alert for flagged days (absences, missing punches, pending requests)
+ * through the enabled channels, grouped by category
+ * @param {Array<{date: string, status: string, category: string}>} absentDays 
+ * @param {{ reminder?: boolean, startDate?: Date, endDate?: Date, balances?: Array<Object> | null, unresolvedCount?: number }} [options]
+ *   reminder: days were alerted before and are still unresolved; startDate/endDate: the checked salary period
+ *   (default: the current one); balances: leave balances to mention; unresolvedCount: days still needing action
+ * @returns {Promise<void>}
+ */
+export async function sendAbsenceAlert(absentDays, { reminder = false, startDate, endDate, balances = null, unresolvedCount } = {}) {
+  const period = startDate && endDate ? { startDate, endDate } : getDateRange();
+  const balanceSummary = balances ? formatBalanceSummary(balances) : '';
+
+  const message = {
+    type: reminder ? 'reminder' : 'absence',
+    severity: 'warning',
+    ...renderTemplate('absence', {
+      count: absentDays.length,
+      heading: reminder ? 'Day(s) Still Unresolved' : 'Day(s) Need Attention',
+      reminder,
+      period: formatDisplayRange(period.startDate, period.endDate),
+      groups: groupByCategory(absentDays).map(group => ({
+        label: CATEGORY_LABELS[group.category],
+        days: group.days.map(day => {
+          const actions = getActionLinks(day);
+          return { date: formatDisplayDate(day.date), status: day.status, actions, hasActions: actions.length > 0 };
+        }),
+      })),
+      balanceSummary,
+      unresolvedCount: unresolvedCount ?? absentDays.length,
+      portalUrl: getPortalUrl(),
+    }),
+    attachments: config.calendar.attachToAlerts ? [{
+      filename: 'attendance.ics',
+      content: renderICalendar(buildAlertEvents(absentDays, period.startDate, period.endDate), { name: getCalendarName() }),
+      contentType: 'text/calendar; charset=utf-8',
+    }] : undefined,
+    data: balances ? { absentDays, leaveBalances: balances } : { absentDays },
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Absence alert sent via ${channels.join(', ')}`);
 }
 
 /**
- * Sends an absence alert email
- * @param {Array<{date: string, status: string}>} absentDays 
+ * Sends a notice that previously alerted days are no longer flagged
+ * @param {Array<{date: string, status: string, category: string}>} resolvedDays
  * @returns {Promise<void>}
  */
-export async function sendAbsenceAlert(absentDays) {
-  const transporter = createTransporter();
-
-  const absentList = absentDays
-    .map(day => `  • ${formatDisplayDate(day.date)} - ${day.status}`)
-    .join('\n');
-
-  const htmlList = absentDays
-    .map(day => `<li><strong>${formatDisplayDate(day.date)}</strong> - ${day.status}</li>`)
-    .join('');
-
-  const mailOptions = {
-    from: `"Peeplynx HR Notifier" <${config.email.user}>`,
-    to: config.email.notifyEmail,
-    subject: `⚠️ Peeplynx HR Alert: ${absentDays.length} Absent Day(s) Detected`,
-    text: `
-Peeplynx HR Attendance Alert
-=====================
-
-${absentDays.length} absent day(s) detected in the past 31 days:
-
-${absentList}
-
-Please review your attendance in Peeplynx HR and take necessary action (e.g., apply for regularization or leave).
-
----
-Peeplynx HR Portal: https://hrms.pitsolutions.com/
-    `.trim(),
-    html: `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background: linear-gradient(135deg, #ff6b6b, #ee5a5a); color: white; padding: 20px; border-radius: 8px 8px 0 0; }
-    .content { background: #f8f9fa; padding: 20px; border-radius: 0 0 8px 8px; }
-    .alert-count { font-size: 48px; font-weight: bold; }
-    ul { background: white; padding: 15px 15px 15px 35px; border-radius: 4px; border-left: 4px solid #ff6b6b; }
-    li { margin: 8px 0; }
-    .footer { margin-top: 20px; padding-top: 15px; border-top: 1px solid #ddd; font-size: 12px; color: #666; }
-    .btn { display: inline-block; background: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 4px; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div class="alert-count">${absentDays.length}</div>
-      <div>Absent Day(s) Detected</div>
-    </div>
-    <div class="content">
-      <p>The following absent days were found in the past 31 days:</p>
-      <ul>${htmlList}</ul>
-      <p>Please review your attendance and take necessary action:</p>
-      <p><a href="https://hrms.pitsolutions.com/" class="btn">Open Peeplynx HR</a></p>
-      <div class="footer">
-        <p>This is an automated alert from Peeplynx HR Notifier.</p>
-      </div>
-    </div>
-  </div>
-</body>
-</html>
-    `.trim(),
+export async function sendResolvedAlert(resolvedDays) {
+  const message = {
+    type: 'resolved',
+    severity: 'success',
+    ...renderTemplate('resolved', {
+      count: resolvedDays.length,
+      days: resolvedDays.map(day => ({ date: formatDisplayDate(day.date), status: day.status })),
+    }),
+    data: { resolvedDays },
   };
 
-  await transporter.sendMail(mailOptions);
-  console.log(`📧 Alert email sent to ${config.email.notifyEmail}`);
+  const channels = await dispatch(message);
+  console.log(`📧 Resolved notice sent via ${channels.join(', ')}`);
 }
 
 /**
- * Sends a test email to verify configuration
+ * Sends a test notification to verify channel configuration
  * @returns {Promise<void>}
  */
 export async function sendTestEmail() {
-  const transporter = createTransporter();
-
-  const mailOptions = {
-    from: `"Peeplynx HR Notifier" <${config.email.user}>`,
-    to: config.email.notifyEmail,
-    subject: '✅ Peeplynx HR Notifier - Test Email',
-    text: 'This is a test email from Peeplynx HR Notifier. Your email configuration is working correctly!',
-    html: `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: 'Segoe UI', Arial, sans-serif; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; text-align: center; }
-    .success { color: #4CAF50; font-size: 48px; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="success">✅</div>
-    <h2>Email Configuration Verified!</h2>
-    <p>Your Peeplynx HR Notifier email configuration is working correctly.</p>
-  </div>
-</body>
-</html>
-    `.trim(),
+  const message = {
+    type: 'test',
+    severity: 'success',
+    ...renderTemplate('test', {}),
   };
 
-  await transporter.sendMail(mailOptions);
-  console.log(`✅ Test email sent to ${config.email.notifyEmail}`);
+  const channels = await dispatch(message);
+  console.log(`✅ Test notification sent via ${channels.join(', ')}`);
 }
 
 /**
  * Sends an alert when browser session has expired
+ * @param {import('./errors.js').LoginError | null} [loginFailure] - Why the automated login (AUTO_LOGIN) failed
+ * @returns {Promise<void>}
+ */
+export async function sendSessionExpiredAlert(loginFailure = null) {
+  const screenshot = loginFailure?.screenshot && fs.existsSync(loginFailure.screenshot) ? loginFailure.screenshot : null;
+
+  const message = {
+    type: 'session',
+    severity: 'warning',
+    ...renderTemplate('session-expired', {
+      autoLogin: loginFailure && {
+        error: loginFailure.message,
+        step: loginFailure.step,
+        screenshot: loginFailure.screenshot,
+      },
+    }),
+    attachments: screenshot ? [{ filename: path.basename(screenshot), path: screenshot, contentType: 'image/png' }] : undefined,
+    data: loginFailure ? { autoLoginError: loginFailure.message, step: loginFailure.step, screenshot: loginFailure.screenshot } : undefined,
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Session expired alert sent via ${channels.join(', ')}`);
+}
+
+/**
+ * Sends a warning that the browser session is expected to expire soon
+ * @param {Date} expiresAt - Expected session expiry
+ * @param {string} source - How the expiry was estimated (cookie, max-age, observed)
+ * @returns {Promise<void>}
+ */
+export async function sendSessionExpiringAlert(expiresAt, source) {
+  const hoursLeft = Math.max(0, Math.round((expiresAt - Date.now()) / (60 * 60 * 1000)));
+  const timeLeft = hoursLeft >= 48 ? `${Math.round(hoursLeft / 24)} days` : `${hoursLeft} hours`;
+  const sources = {
+    cookie: 'the expiry of the session cookie',
+    'max-age': 'the configured maximum session age (SESSION_MAX_AGE_DAYS)',
+    observed: 'how long your previous session lasted',
+  };
+
+  const message = {
+    type: 'session-expiring',
+    severity: 'warning',
+    ...renderTemplate('session-expiring', {
+      timeLeft,
+      expiry: formatDisplayDateTime(expiresAt, { dateStyle: 'full', timeStyle: 'short' }),
+      source: sources[source] || source,
+    }),
+    data: { expiresAt: expiresAt.toISOString(), source },
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Session expiry warning sent via ${channels.join(', ')}`);
+}
+
+/**
+ * Sends a "forgot to punch" reminder for a day without a punch-in, or without
+ * a punch-out after the shift ended
+ * @param {import('./punch-monitor.js').PunchDay & { type: string }} reminder - From getDueReminders()
+ * @returns {Promise<void>}
+ */
+export async function sendPunchReminder(reminder) {
+  const { date, type, shift, punches } = reminder;
+  const shiftTimes = shift.start !== null && shift.end !== null
+    ? `${formatClockTime(shift.start)}–${formatClockTime(shift.end)}`
+    : null;
+
+  const message = {
+    type: 'punch-reminder',
+    severity: 'warning',
+    ...renderTemplate('punch-reminder', {
+      punchIn: type === PUNCH_REMINDERS.IN,
+      punchOut: type === PUNCH_REMINDERS.OUT,
+      date: formatDisplayDate(date),
+      inBy: config.punch.inBy,
+      punchedInAt: formatClockTime(punches.in),
+      shiftEnd: formatClockTime(shift.end),
+      shiftName: shift.name,
+      shiftTimes,
+      portalUrl: getPortalUrl(),
+    }),
+    data: {
+      kind: type,
+      date,
+      shift: { name: shift.name, start: formatClockTime(shift.start), end: formatClockTime(shift.end) },
+      punchIn: formatClockTime(punches.in),
+    },
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Punch-${type} reminder sent via ${channels.join(', ')}`);
+}
+
+/**
+ * Sends an alert about leave balances that dropped to LEAVE_LOW_BALANCE, and
+ * leave that will lapse at the end of the leave year
+ * @param {{ low: Array<Object>, lapsing: Array<Object>, yearEnd: Date }} alerts - From getLeaveAlerts()
+ * @returns {Promise<void>}
+ */
+export async function sendLeaveBalanceAlert({ low, lapsing, yearEnd }) {
+  const label = balance => balance.code ? `${balance.name} (${balance.code})` : balance.name;
+
+  const message = {
+    type: 'leave-balance',
+    severity: 'info',
+    ...renderTemplate('leave-balance', {
+      count: low.length + lapsing.length,
+      low: low.map(balance => ({ name: label(balance), balance: formatLeaveDays(balance.balance) })),
+      hasLow: low.length > 0,
+      lowBalance: config.leave.lowBalance,
+      lapsing: lapsing.map(balance => ({ name: label(balance), lapsing: formatLeaveDays(balance.lapsing), balance: formatLeaveDays(balance.balance) })),
+      hasLapsing: lapsing.length > 0,
+      yearEnd: formatDisplayDate(formatDate(yearEnd)),
+      portalUrl: getPortalUrl(),
+    }),
+    data: {
+      low: low.map(({ name, code, balance }) => ({ name, code, balance })),
+      lapsing: lapsing.map(({ name, code, balance, lapsing: days }) => ({ name, code, balance, lapsing: days })),
+      yearEnd: formatDate(yearEnd),
+    },
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Leave balance alert sent via ${channels.join(', ')}`);
+}
+
+/**
+ * Sends the upcoming holiday notice, highlighting long weekends
+ * @param {Array<import('./holidays.js').OffStretch>} stretches - From getDueHolidayNotice()
  * @returns {Promise<void>}
  */
-export async function sendSessionExpiredAlert() {
-  const transporter = createTransporter();
-
-  const mailOptions = {
-    from: `"Peeplynx HR Notifier" <${config.email.user}>`,
-    to: config.email.notifyEmail,
-    subject: '🔐 Peeplynx HR Session Expired - Re-login Required',
-    text: `
-Peeplynx HR Session Expired
-============================
-
-Your browser session has expired and the attendance notifier cannot check your attendance.
-
-Please re-authenticate by running:
-  npm run login
-
-This will open a browser for Microsoft SSO with 2FA.
-    `.trim(),
-    html: `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background: linear-gradient(135deg, #ff9800, #f57c00); color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center; }
-    .content { background: #f8f9fa; padding: 20px; border-radius: 0 0 8px 8px; }
-    .icon { font-size: 48px; }
-    code { background: #e8e8e8; padding: 10px; display: block; border-radius: 4px; margin: 10px 0; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div class="icon">🔐</div>
-      <div>Session Expired</div>
-    </div>
-    <div class="content">
-      <p>Your browser session has expired and the attendance notifier cannot check your attendance.</p>
-      <p><strong>To fix this, run:</strong></p>
-      <code>npm run login</code>
-      <p>This will open a browser for Microsoft SSO authentication.</p>
-    </div>
-  </div>
-</body>
-</html>
-    `.trim(),
+export async function sendHolidayNotice(stretches) {
+  const message = {
+    type: 'holidays',
+    severity: 'info',
+    ...renderTemplate('holidays', {
+      longWeekend: stretches.some(stretch => stretch.days >= LONG_WEEKEND_DAYS),
+      stretches: stretches.map(stretch => ({
+        range: formatDisplayRange(parseLocalDate(stretch.start), parseLocalDate(stretch.end)),
+        days: stretch.days,
+        longWeekend: stretch.days >= LONG_WEEKEND_DAYS,
+        holidays: stretch.holidays.map(holiday => ({ date: formatDisplayDate(holiday.date), name: holiday.name || 'Holiday' })),
+      })),
+      portalUrl: getPortalUrl(),
+    }),
+    data: { stretches },
   };
 
-  await transporter.sendMail(mailOptions);
-  console.log(`📧 Session expired alert sent to ${config.email.notifyEmail}`);
+  const channels = await dispatch(message);
+  console.log(`📧 Holiday notice sent via ${channels.join(', ')}`);
 }
 
 /**
  * Sends an alert when an error occurs during attendance check
- * @param {string} errorMessage - The error message
- * @param {string} errorType - Type of error (auth, network, unknown)
+ * @param {Error} error - Typed errors from errors.js get a specific label and suggestion
  * @returns {Promise<void>}
  */
-export async function sendErrorAlert(errorMessage, errorType = 'unknown') {
-  const transporter = createTransporter();
+export async function sendErrorAlert(error) {
+  const errorMessage = error.message;
+  const errorType = getErrorType(error);
 
   const typeLabels = {
     auth: '🔐 Authentication Error',
     network: '🌐 Network Error',
+    'rate-limit': '🚦 Rate Limited',
+    schema: '🧩 Unexpected API Response',
     unknown: '❌ Error',
   };
 
   const suggestions = {
     auth: 'Run "npm run login" to re-authenticate.',
     network: 'Check your network connection and try again.',
+    'rate-limit': 'HRMS is throttling requests; the next check will try again. Consider a less frequent CHECK_SCHEDULE.',
+    schema: 'The HRMS API response changed shape, so attendance could not be checked reliably. Inspect the saved payload (see the error above) and update the notifier.',
     unknown: 'Check the server logs for more details.',
   };
 
-  const mailOptions = {
-    from: `"Peeplynx HR Notifier" <${config.email.user}>`,
-    to: config.email.notifyEmail,
-    subject: `⚠️ Peeplynx HR Notifier - ${typeLabels[errorType] || typeLabels.unknown}`,
-    text: `
-Peeplynx HR Notifier Error
-===========================
-
-${typeLabels[errorType] || typeLabels.unknown}
-
-Error: ${errorMessage}
-
-Suggestion: ${suggestions[errorType] || suggestions.unknown}
-    `.trim(),
-    html: `
-<!DOCTYPE html>
-<html>
-<head>
-  <style>
-    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; }
-    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-    .header { background: linear-gradient(135deg, #f44336, #c62828); color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center; }
-    .content { background: #f8f9fa; padding: 20px; border-radius: 0 0 8px 8px; }
-    .icon { font-size: 48px; }
-    .error-box { background: #ffebee; border-left: 4px solid #f44336; padding: 10px; margin: 10px 0; font-family: monospace; }
-    .suggestion { background: #e3f2fd; border-left: 4px solid #2196f3; padding: 10px; margin: 10px 0; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div class="icon">⚠️</div>
-      <div>${typeLabels[errorType] || typeLabels.unknown}</div>
-    </div>
-    <div class="content">
-      <p>The Peeplynx HR attendance check encountered an error:</p>
-      <div class="error-box">${errorMessage}</div>
-      <div class="suggestion"><strong>Suggestion:</strong> ${suggestions[errorType] || suggestions.unknown}</div>
-    </div>
-  </div>
-</body>
-</html>
-    `.trim(),
+  const message = {
+    type: 'error',
+    severity: 'error',
+    ...renderTemplate('error', {
+      label: typeLabels[errorType] || typeLabels.unknown,
+      errorMessage,
+      suggestion: suggestions[errorType] || suggestions.unknown,
+    }),
+    data: { errorMessage, errorType },
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Error alert sent via ${channels.join(', ')}`);
+}
+
+/**
+ * Sends the manager a consolidated digest of every profile's check
+ * @param {Array<{name: string, ok: boolean, error?: string, result?: Object}>} outcomes
+ * @returns {Promise<void>}
+ */
+export async function sendTeamDigest(outcomes) {
+  const failed = outcomes.filter(o => !o.ok);
+  const flaggedTotal = outcomes.reduce((sum, o) => sum + (o.result?.flaggedDays.length || 0), 0);
+
+  const describe = o => {
+    if (!o.ok) {
+      return `check failed (${o.error})`;
+    }
+    if (!o.result) {
+      return 'ok';
+    }
+    const counts = groupByCategory(o.result.flaggedDays)
+      .map(group => `${group.days.length} ${group.category}`);
+    return counts.length > 0 ? counts.join(', ') : 'no issues';
+  };
+
+  const message = {
+    type: 'digest',
+    severity: failed.length > 0 ? 'error' : flaggedTotal > 0 ? 'warning' : 'success',
+    ...renderTemplate('team-digest', {
+      profileCount: outcomes.length,
+      flaggedTotal,
+      failedCount: failed.length,
+      profiles: outcomes.map(o => ({
+        name: o.name,
+        ok: o.ok,
+        summary: describe(o),
+        days: (o.result?.flaggedDays || []).map(day => ({ date: formatDisplayDate(day.date), status: day.status })),
+      })),
+    }),
+    data: {
+      profiles: outcomes.map(o => ({
+        name: o.name,
+        ok: o.ok,
+        error: o.error || null,
+        flaggedDays: o.result?.flaggedDays || [],
+      })),
+    },
+  };
+
+  const channels = await dispatch(message);
+  console.log(`📧 Team digest sent via ${channels.join(', ')}`);
+}
+
+/**
+ * Sends the attendance summary digest for the checked period: per-month counts,
+ * flagged days and a calendar grid colored by status
+ * @param {Object} result - From checkAttendance()
+ * @param {{ closing?: boolean }} [options] - closing: the "period closing" digest
+ * @returns {Promise<void>}
+ */
+export async function sendAttendanceDigest(result, { closing = false } = {}) {
+  const weekdayFormat = new Intl.DateTimeFormat(config.display.locale, { weekday: 'short' });
+  const monthFormat = new Intl.DateTimeFormat(config.display.locale, { month: 'long', year: 'numeric' });
+  // 5 January 2026 is a Monday
+  const weekdays = Array.from({ length: 7 }, (_, i) => weekdayFormat.format(new Date(2026, 0, 5 + i)));
+
+  const weeks = buildCalendar(result.days, result.startDate, result.endDate).map(week => ({
+    cells: week.map(cell => cell ? { ...cell, ...DAY_KINDS[cell.kind] } : { blank: true }),
+    line: week.map(cell => cell ? `${String(cell.day).padStart(2)}${DAY_KINDS[cell.kind].code} ` : '    ').join('').trimEnd(),
+  }));
+
+  const message = {
+    type: 'attendance-digest',
+    severity: result.flaggedDays.length > 0 ? 'warning' : 'info',
+    ...renderTemplate('digest', {
+      closing,
+      daysLeft: getDaysLeft(result.endDate),
+      period: formatDisplayRange(result.startDate, result.endDate),
+      flaggedCount: result.flaggedDays.length,
+      months: result.summary.map(s => ({ ...s, label: monthFormat.format(new Date(s.year, s.month - 1, 1)) })),
+      groups: groupByCategory(result.flaggedDays).map(group => ({
+        label: CATEGORY_LABELS[group.category],
+        days: group.days.map(day => ({ date: formatDisplayDate(day.date), status: day.status })),
+      })),
+      weekdays,
+      weekdayLine: weekdays.map(name => name.slice(0, 3).padStart(3).padEnd(4)).join('').trimEnd(),
+      weeks,
+      legend: Object.values(DAY_KINDS),
+      portalUrl: getPortalUrl(),
+    }),
+    data: {
+      kind: closing ? 'closing' : 'scheduled',
+      startDate: formatDate(result.startDate),
+      endDate: formatDate(result.endDate),
+      months: result.summary,
+      flaggedDays: result.flaggedDays,
+    },
   };
 
-  await transporter.sendMail(mailOptions);
-  console.log(`📧 Error alert sent to ${config.email.notifyEmail}`);
+  const channels = await dispatch(message);
+  console.log(`📧 ${closing ? 'Period closing digest' : 'Attendance digest'} sent via ${channels.join(', ')}`);
 }
@@ -0,0 +1,135 @@
+/**
+ * Output Module
+ * Serializes check results as JSON, CSV or NDJSON for scripts and dashboards.
+ */
+import fs from 'fs';
+import { formatDate } from './utils.js';
+
+export const OUTPUT_FORMATS = ['json', 'csv', 'ndjson'];
+
+const CSV_COLUMNS = ['profile', 'period_start', 'period_end', 'date', 'status', 'category', 'absent', 'flagged'];
+
+/**
+ * Converts one outcome into a plain, JSON-safe record
+ * @param {{ name?: string | null, ok: boolean, error?: string, errorType?: string, result?: Object }} outcome
+ * @returns {Object}
+ */
+export function toRecord(outcome) {
+    const record = {
+        profile: outcome.name || null,
+        ok: outcome.ok,
+    };
+
+    if (!outcome.ok) {
+        record.error = outcome.error;
+        record.errorType = outcome.errorType || 'unknown';
+    }
+
+    const result = outcome.result;
+    if (result) {
+        const absentDates = new Set(result.absentDays.map(day => day.date));
+        const flaggedDates = new Set(result.flaggedDays.map(day => day.date));
+
+        record.period = {
+            start: formatDate(result.startDate),
+            end: formatDate(result.endDate),
+        };
+        record.months = result.summary;
+        record.days = result.days.map(day => ({
+            ...day,
+            absent: absentDates.has(day.date),
+            flagged: flaggedDates.has(day.date),
+        }));
+        record.absentDays = result.absentDays;
+        record.flaggedDays = result.flaggedDays;
+        record.statusChanges = result.statusChanges || [];
+        if (result.leaveBalances) {
+            record.leaveBalances = result.leaveBalances;
+        }
+    }
+
+    return record;
+}
+
+/**
+ * Builds the JSON output object: a single record, or a `profiles` array
+ * @param {Array<Object>} outcomes
+ * @returns {Object}
+ */
+export function buildJsonOutput(outcomes) {
+    const records = outcomes.map(toRecord);
+    const generatedAt = new Date().toISOString();
+
+    return records.length === 1 && !records[0].profile
+        ? { generatedAt, ...records[0] }
+        : { generatedAt, profiles: records };
+}
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats outcomes in the requested format
+ * @param {Array<Object>} outcomes - One per checked profile (a single one without profiles)
+ * @param {'json' | 'csv' | 'ndjson'} format
+ * @returns {string}
+ */
+export function formatOutput(outcomes, format) {
+    const records = outcomes.map(toRecord);
+    const generatedAt = new Date().toISOString();
+
+    if (format === 'json') {
+        return JSON.stringify(buildJsonOutput(outcomes), null, 2) + '\n';
+    }
+
+    if (format === 'ndjson') {
+        const lines = [];
+        for (const record of records) {
+            const { days = [], months = [], statusChanges = [], absentDays, flaggedDays, ...meta } = record;
+            lines.push({ type: 'check', generatedAt, ...meta });
+            months.forEach(month => lines.push({ type: 'month', profile: record.profile, ...month }));
+            days.forEach(day => lines.push({ type: 'day', profile: record.profile, ...day }));
+            statusChanges.forEach(change => lines.push({ type: 'change', profile: record.profile, ...change }));
+        }
+        return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    // CSV: one row per day
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const record of records) {
+        for (const day of record.days || []) {
+            rows.push([
+                record.profile,
+                record.period.start,
+                record.period.end,
+                day.date,
+                day.status,
+                day.category,
+                day.absent,
+                day.flagged,
+            ].map(csvField).join(','));
+        }
+    }
+    return rows.join('\n') + '\n';
+}
+
+/**
+ * Writes formatted output to a file, or to stdout
+ * @param {string} content
+ * @param {string} [file]
+ */
+export function writeOutput(content, file) {
+    if (file) {
+        fs.writeFileSync(file, content);
+        console.error(`💾 Output written to ${file}`);
+    } else {
+        process.stdout.write(content);
+    }
+}
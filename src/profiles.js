@@ -0,0 +1,177 @@
+/**
+ * Profiles Module
+ * Lets one instance check several employees. Each profile in profiles.json
+ * overrides the session file, mapping ID, notification targets and period
+ * settings of the base (.env) configuration while it is being checked.
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+// Sections a profile may override, merged over the base configuration
+const OVERRIDABLE_SECTIONS = ['email', 'notify', 'period', 'alerts', 'autoLogin', 'punch', 'leave'];
+
+// Snapshot of the .env configuration, restored before each profile
+const baseConfig = structuredClone(config);
+
+/**
+ * Checks if a profiles file is present
+ * @returns {boolean}
+ */
+export function hasProfiles() {
+    return fs.existsSync(config.profiles.file);
+}
+
+/**
+ * Loads the profiles file
+ * @returns {{ profiles: Array<Object>, manager: Object | null }}
+ */
+export function loadProfiles() {
+    const data = JSON.parse(fs.readFileSync(config.profiles.file, 'utf-8'));
+    const baseDir = path.dirname(path.resolve(config.profiles.file));
+
+    const profiles = (data.profiles || []).map(profile => ({
+        ...profile,
+        sessionFile: profile.sessionFile && path.resolve(baseDir, profile.sessionFile),
+        stateFile: profile.stateFile && path.resolve(baseDir, profile.stateFile),
+        historyFile: profile.historyFile && path.resolve(baseDir, profile.historyFile),
+        calendarFile: profile.calendarFile && path.resolve(baseDir, profile.calendarFile),
+    }));
+
+    return { profiles, manager: data.manager || null };
+}
+
+/**
+ * Validates the structure of the profiles file
+ * @param {{ profiles: Array<Object>, manager: Object | null }} data
+ * @returns {string[]} Problems found
+ */
+export function validateProfiles({ profiles, manager }) {
+    const errors = [];
+    const names = new Set();
+
+    if (profiles.length === 0) {
+        errors.push(`${path.basename(config.profiles.file)} has no profiles`);
+    }
+
+    profiles.forEach((profile, index) => {
+        const label = profile.name || `#${index + 1}`;
+
+        if (!profile.name) {
+            errors.push(`Profile ${label}: "name" is required`);
+        } else if (names.has(profile.name)) {
+            errors.push(`Profile ${label}: duplicate name`);
+        }
+        names.add(profile.name);
+
+        if (!profile.sessionFile) {
+            errors.push(`Profile ${label}: "sessionFile" is required`);
+        }
+    });
+
+    if (manager && !manager.notifyEmail && !manager.notify) {
+        errors.push('manager: set "notifyEmail" and/or "notify" to receive the team digest');
+    }
+
+    return errors;
+}
+
+/**
+ * Restores the base (.env) configuration
+ */
+export function resetConfig() {
+    for (const [key, value] of Object.entries(structuredClone(baseConfig))) {
+        config[key] = value;
+    }
+}
+
+/**
+ * Merges notification and period overrides into the active configuration
+ * @param {Object} overrides - notifyEmail, channels, and per-section objects
+ */
+function applyOverrides(overrides) {
+    for (const section of OVERRIDABLE_SECTIONS) {
+        if (!overrides[section]) {
+            continue;
+        }
+        for (const [key, value] of Object.entries(overrides[section])) {
+            config[section][key] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...config[section][key], ...value }
+                : value;
+        }
+    }
+
+    if (overrides.notifyEmail) {
+        config.email.notifyEmail = overrides.notifyEmail;
+    }
+    if (overrides.channels) {
+        config.notify.channels = overrides.channels;
+    }
+}
+
+/**
+ * Derives a per-profile file name, e.g. alert-state.json -> alert-state.alice.json
+ * @param {string} file
+ * @param {string} name - Profile name
+ * @returns {string}
+ */
+function profileFile(file, name) {
+    const parsed = path.parse(file);
+    return path.join(parsed.dir, `${parsed.name}.${name}${parsed.ext}`);
+}
+
+/**
+ * Makes a profile the active configuration
+ * @param {Object} profile
+ */
+export function applyProfile(profile) {
+    resetConfig();
+    applyOverrides(profile);
+
+    config.profileName = profile.name;
+    config.session.file = profile.sessionFile;
+    config.hrms.mappingIdOverride = profile.mappingId || null;
+
+    config.alerts.stateFile = profile.stateFile || profileFile(baseConfig.alerts.stateFile, profile.name);
+    config.history.file = profile.historyFile || profileFile(baseConfig.history.file, profile.name);
+    if (baseConfig.calendar.file) {
+        config.calendar.file = profile.calendarFile || profileFile(baseConfig.calendar.file, profile.name);
+    }
+}
+
+/**
+ * Makes the manager's notification targets the active configuration
+ * @param {Object} manager
+ */
+export function applyManager(manager) {
+    resetConfig();
+    applyOverrides(manager);
+}
+
+/**
+ * Runs a function with each selected profile active, or once with the .env
+ * configuration when there is no profiles file
+ * @template T
+ * @param {string | undefined} only - --profile value
+ * @param {(profile: Object | null) => T} fn
+ * @returns {Array<{ profile: string | null } & T>}
+ * @throws {Error} If no profile has the given name
+ */
+export function mapProfiles(only, fn) {
+    const profiles = hasProfiles() ? loadProfiles().profiles : [null];
+    const selected = only ? profiles.filter(p => p?.name === only) : profiles;
+    if (selected.length === 0) {
+        throw new Error(`No profile named "${only}"`);
+    }
+
+    try {
+        return selected.map(profile => {
+            if (profile) {
+                applyProfile(profile);
+            }
+            return { profile: profile?.name || null, ...fn(profile) };
+        });
+    } finally {
+        resetConfig();
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * Punch Monitor Module
+ * Intraday "forgot to punch" reminders. Polls today's DailyAttendanceSummary
+ * entry (or PUNCH_DETAIL_ENDPOINT) on the PUNCH_SCHEDULE cron expression and
+ * reminds once when no punch-in is recorded by PUNCH_IN_BY on a working day,
+ * and once when no punch-out is recorded PUNCH_OUT_GRACE after the shift
+ * ends (ShiftDetails.EndTime). What was sent is remembered in the alert state.
+ */
+import { config, parseDuration } from './config.js';
+import { fetchMonthlyAttendance } from './attendance.js';
+import { hrmsGet } from './hrms-client.js';
+import { getZonedParts, parseCron } from './cron.js';
+import { TAG_TYPES } from './rules.js';
+import { DAY_OFF_KINDS, getDayOff } from './holidays.js';
+import { addDays } from './utils.js';
+
+const DAY_MINUTES = 24 * 60;
+
+// Reminded days are kept this long in the alert state
+const KEEP_DAYS = 7;
+
+export const PUNCH_REMINDERS = {
+    IN: 'in',
+    OUT: 'out',
+};
+
+// Fields HRMS versions use for the first and last punch of a day
+const PUNCH_FIELDS = {
+    in: ['InTime', 'FirstIn', 'PunchIn'],
+    out: ['OutTime', 'LastOut', 'PunchOut'],
+};
+
+// Fields holding the time of one punch in a punch detail list
+const PUNCH_TIME_FIELDS = ['PunchTime', 'Time', 'InOutTime'];
+
+/**
+ * Validates the punch reminder settings
+ * @returns {string[]} Problems found
+ */
+export function validatePunchMonitor() {
+    const errors = [];
+    const { schedule, inBy, outGrace, detailEndpoint } = config.punch;
+
+    if (schedule) {
+        try {
+            parseCron(schedule);
+        } catch (error) {
+            errors.push(`PUNCH_SCHEDULE: ${error.message}`);
+        }
+    }
+    if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(inBy)) {
+        errors.push(`PUNCH_IN_BY "${inBy}" must be a time of day such as "10:00"`);
+    }
+    if (parseDuration(outGrace) === null) {
+        errors.push('PUNCH_OUT_GRACE must be a duration like "30m", "1h" or "0"');
+    }
+    if (detailEndpoint && !detailEndpoint.startsWith('/')) {
+        errors.push(`PUNCH_DETAIL_ENDPOINT must be a path starting with "/" (below ${config.hrms.apiPath})`);
+    }
+
+    return errors;
+}
+
+/**
+ * Reads the time of day from "09:30", "9:30 AM", "09:30:15" or "2026-01-20T09:30:00"
+ * @param {*} value
+ * @returns {number | null} Minutes since midnight, or null without a time
+ */
+export function parseClockTime(value) {
+    const match = /(?:^|[T\s])(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(?:\s*([AP]M))?/i.exec(typeof value === 'string' ? value.trim() : '');
+    if (!match) {
+        return null;
+    }
+
+    let hours = Number(match[1]) % (match[3] ? 12 : 24);
+    if (match[3]?.toUpperCase() === 'PM') {
+        hours += 12;
+    }
+    return hours * 60 + Number(match[2]);
+}
+
+/**
+ * Formats minutes since midnight as HH:MM
+ * @param {number | null} minutes
+ * @returns {string | null}
+ */
+export function formatClockTime(minutes) {
+    if (minutes === null) {
+        return null;
+    }
+    const wrapped = ((minutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Reads a punch time; HRMS sends an empty value or 00:00 when there is none
+ * @param {*} value
+ * @returns {number | null}
+ */
+function readPunchTime(value) {
+    const minutes = parseClockTime(value);
+    return minutes === 0 ? null : minutes;
+}
+
+/**
+ * Reads the first and last punch from a summary entry, a punch detail object
+ * or a list of punches (first = in, last = out)
+ * @param {Object | Array<Object>} source
+ * @returns {{ in: number | null, out: number | null }} Minutes since midnight
+ */
+export function readPunches(source) {
+    if (Array.isArray(source)) {
+        const times = source
+            .map(punch => readPunchTime(PUNCH_TIME_FIELDS.map(field => punch?.[field]).find(value => value)))
+            .filter(minutes => minutes !== null);
+        return { in: times[0] ?? null, out: times.length > 1 ? times[times.length - 1] : null };
+    }
+
+    const find = fields => [source, source?.ShiftDetails]
+        .flatMap(where => fields.map(field => readPunchTime(where?.[field])))
+        .find(minutes => minutes !== null) ?? null;
+    return { in: find(PUNCH_FIELDS.in), out: find(PUNCH_FIELDS.out) };
+}
+
+/**
+ * Tells why a day needs no punches, if it doesn't. Holidays and weekly offs
+ * come from the day's tags, HOLIDAYS and the saved holiday calendar.
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array<{TagType: number, TagName: string}>} tags - DailyAttendanceStatus
+ * @returns {string | null} "weekly off", "holiday" or "leave"
+ */
+function getOffReason(date, tags) {
+    const dayOff = getDayOff(date);
+    if (tags.some(tag => tag.TagType === TAG_TYPES.WEEKLY_OFF) || dayOff?.kind === DAY_OFF_KINDS.WEEKLY_OFF) {
+        return 'weekly off';
+    }
+    if (tags.some(tag => tag.TagType === TAG_TYPES.HOLIDAY) || dayOff?.kind === DAY_OFF_KINDS.HOLIDAY) {
+        return 'holiday';
+    }
+    if (tags.some(tag => tag.TagType === TAG_TYPES.LEAVE || /leave/i.test(tag.TagName || ''))) {
+        return 'leave';
+    }
+    return null;
+}
+
+/**
+ * @typedef {Object} PunchDay
+ * @property {string} date - YYYY-MM-DD
+ * @property {{ name: string | null, start: number | null, end: number | null }} shift - Minutes since midnight
+ * @property {{ in: number | null, out: number | null }} punches - Minutes since midnight
+ * @property {boolean} present - HRMS already marked the day present
+ * @property {string | null} offReason - Why no punches are needed (weekly off, holiday, leave)
+ */
+
+/**
+ * Describes the shift and punches of one DailyAttendanceSummary entry
+ * @param {Object} entry
+ * @returns {PunchDay}
+ */
+export function describeDay(entry) {
+    const shift = entry.ShiftDetails || {};
+    const date = shift.Date.slice(0, 10);
+    const tags = entry.DailyAttendanceStatus || [];
+
+    return {
+        date,
+        shift: { name: shift.ShiftName || null, start: parseClockTime(shift.StartTime), end: parseClockTime(shift.EndTime) },
+        punches: readPunches(entry),
+        present: tags.some(tag => tag.TagType === TAG_TYPES.PRESENT),
+        offReason: getOffReason(date, tags),
+    };
+}
+
+/**
+ * Checks if a shift ends on the day after it starts
+ * @param {{ start: number | null, end: number | null }} shift
+ * @returns {boolean}
+ */
+export function crossesMidnight({ start, end }) {
+    return start !== null && end !== null && end <= start;
+}
+
+/**
+ * Returns the local date and time in the schedule timezone
+ * @param {Date} now
+ * @returns {{ date: string, minutes: number }}
+ */
+function getLocalTime(now) {
+    const { year, month, day, hour, minute } = getZonedParts(now, config.schedule.timezone);
+    return {
+        date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+        minutes: hour * 60 + minute,
+    };
+}
+
+/**
+ * Works out which reminders are due. The punch-in reminder is only sent on
+ * the day itself; the punch-out one once the shift (which may end after
+ * midnight) is over, and only after a punch-in, since a day without any punch
+ * already got the punch-in reminder.
+ * @param {PunchDay[]} days - Today, and yesterday when its shift crosses midnight
+ * @param {Object} state - From loadState()
+ * @param {Date} [now]
+ * @returns {Array<PunchDay & { type: string }>} type: one of PUNCH_REMINDERS
+ */
+export function getDueReminders(days, state, now = new Date()) {
+    const local = getLocalTime(now);
+    const inBy = parseClockTime(config.punch.inBy);
+    const graceMinutes = parseDuration(config.punch.outGrace) / 60000;
+    const due = [];
+
+    for (const day of days) {
+        if (day.offReason) {
+            continue;
+        }
+
+        const reminded = state.punch?.[day.date] || {};
+        const elapsed = (Date.parse(`${local.date}T00:00:00Z`) - Date.parse(`${day.date}T00:00:00Z`)) / 60000 + local.minutes;
+
+        if (day.date === local.date && day.punches.in === null && !day.present && elapsed >= inBy && !reminded.in) {
+            due.push({ ...day, type: PUNCH_REMINDERS.IN });
+        }
+
+        if (day.punches.in !== null && day.punches.out === null && day.shift.end !== null && !reminded.out) {
+            const shiftEnd = day.shift.end + (crossesMidnight(day.shift) ? DAY_MINUTES : 0);
+            if (elapsed >= shiftEnd + graceMinutes) {
+                due.push({ ...day, type: PUNCH_REMINDERS.OUT });
+            }
+        }
+    }
+
+    return due;
+}
+
+/**
+ * Records a sent reminder and forgets days older than a week
+ * @param {Object} state
+ * @param {{ date: string, type: string }} reminder
+ * @param {Date} [now]
+ */
+export function markPunchReminded(state, { date, type }, now = new Date()) {
+    state.punch = state.punch || {};
+    state.punch[date] = { ...state.punch[date], [type]: now.toISOString() };
+
+    const cutoff = addDays(date, -KEEP_DAYS);
+    for (const day of Object.keys(state.punch)) {
+        if (day < cutoff) {
+            delete state.punch[day];
+        }
+    }
+}
+
+/**
+ * Fetches today's entry (and yesterday's, for a shift crossing midnight)
+ * with its punches
+ * @param {Date} [now]
+ * @returns {Promise<{ today: string, days: PunchDay[] }>}
+ */
+export async function checkPunches(now = new Date()) {
+    const today = getLocalTime(now).date;
+    const yesterday = addDays(today, -1);
+    console.log(`🕘 Checking punches for ${today}`);
+
+    const entries = [];
+    for (const date of new Set([yesterday.slice(0, 7), today.slice(0, 7)])) {
+        const [year, month] = date.split('-').map(Number);
+        const data = await fetchMonthlyAttendance(month, year);
+        entries.push(...data.Data.DailyAttendanceSummary);
+    }
+
+    const days = [];
+    for (const date of [yesterday, today]) {
+        const entry = entries.find(candidate => candidate.ShiftDetails?.Date?.slice(0, 10) === date);
+        if (!entry) {
+            continue;
+        }
+
+        const day = describeDay(entry);
+        if (date === yesterday && !crossesMidnight(day.shift)) {
+            continue;
+        }
+        if (config.punch.detailEndpoint && !day.offReason) {
+            const detail = await hrmsGet(config.punch.detailEndpoint, { date });
+            day.punches = readPunches(detail?.Data ?? {});
+        }
+        days.push(day);
+    }
+
+    return { today, days };
+}
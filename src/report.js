@@ -0,0 +1,101 @@
+/**
+ * Report Module
+ * Summarizes the attendance history archive: absences and regularizations per
+ * salary period, payable days per month, day-of-week patterns and statuses
+ * that changed after the fact. Works offline from the archive only.
+ */
+import { config } from './config.js';
+import { loadHistory, buildReport } from './history.js';
+import { getArgValue } from './utils.js';
+import { mapProfiles } from './profiles.js';
+
+/**
+ * Renders a count as a bar for the text report
+ * @param {number} count
+ * @returns {string}
+ */
+function bar(count) {
+    return '█'.repeat(Math.min(count, 30));
+}
+
+/**
+ * Prints a report in human-readable form
+ * @param {ReturnType<typeof import('./history.js').buildReport>} report
+ */
+function printReport(report) {
+    if (report.periods.length === 0) {
+        console.log(`ℹ️  No history yet in ${config.history.file}. It fills up as checks run.`);
+        return;
+    }
+
+    console.log('📅 Per salary period:');
+    report.periods.forEach(p => {
+        console.log(`   ${p.period} (${p.start} → ${p.end})`);
+        console.log(`      ❌ Absent: ${String(p.absent).padEnd(3)} ${bar(p.absent)}`);
+        console.log(`      ⚠️  Flagged: ${p.flagged} | 📝 Regularizations: ${p.regularizations} | 🏖️  Leave: ${p.leave}`);
+    });
+
+    console.log('');
+    console.log('💰 Payable days per month:');
+    report.months.forEach(m => {
+        const label = `${m.month}/${m.year}`.padEnd(8);
+        console.log(`   ${label} ${String(m.payableDays).padEnd(5)} (absent: ${m.absent}, regularization: ${m.regularization})`);
+    });
+
+    console.log('');
+    console.log('📆 Absences by day of week:');
+    report.weekdays.forEach(w => {
+        console.log(`   ${w.weekday}  ${String(w.absent).padEnd(3)} ${bar(w.absent)}${w.flagged > w.absent ? ` (+${w.flagged - w.absent} other flagged)` : ''}`);
+    });
+
+    console.log('');
+    if (report.statusChanges.length === 0) {
+        console.log('🔄 No past days changed status after the fact');
+    } else {
+        console.log(`🔄 ${report.statusChanges.length} past day(s) changed status after the fact:`);
+        report.statusChanges.forEach(change => {
+            console.log(`   • ${change.date}: ${change.from.status} → ${change.to.status} (noticed ${change.detectedAt.slice(0, 10)})`);
+        });
+    }
+}
+
+/**
+ * Report entry point
+ * @param {string[]} args - [--profile <name>] [--periods <n>] [--output json]
+ */
+export async function runReport(args) {
+    const only = getArgValue(args, 'profile');
+    const outputFormat = getArgValue(args, 'output');
+    const periods = parseInt(getArgValue(args, 'periods') || '6', 10);
+
+    if (!Number.isInteger(periods) || periods < 1) {
+        console.error('❌ --periods must be a positive number');
+        process.exit(1);
+    }
+    if (outputFormat && outputFormat !== 'json') {
+        console.error(`❌ Unknown --output format "${outputFormat}" (use json)`);
+        process.exit(1);
+    }
+
+    let reports;
+    try {
+        reports = mapProfiles(only, profile => {
+            const report = buildReport(loadHistory(), { periods });
+            if (!outputFormat) {
+                console.log('');
+                console.log(profile ? `👤 ${profile.name}` : '📈 Attendance trends');
+                console.log('─────────────────────────────────────────────');
+                printReport(report);
+            }
+            return report;
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (outputFormat) {
+        const body = reports.length === 1 && !reports[0].profile ? reports[0] : { profiles: reports };
+        process.stdout.write(JSON.stringify({ generatedAt: new Date().toISOString(), ...body }, null, 2) + '\n');
+    }
+}
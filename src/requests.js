@@ -0,0 +1,282 @@
+/**
+ * Requests Module
+ * Submits attendance regularization and leave requests through the HRMS API
+ * and tracks them in the alert state, so later checks show the day as pending
+ * until HRMS reflects the request (or turns it down).
+ */
+import { config } from './config.js';
+import { hrmsPost } from './hrms-client.js';
+import { HrmsError } from './errors.js';
+import { CATEGORIES, isAlertCategory } from './rules.js';
+import { parseLocalDate, formatDate, getToday } from './utils.js';
+
+export const REQUEST_TYPES = {
+    REGULARIZATION: 'regularization',
+    LEAVE: 'leave',
+};
+
+const PENDING_LABELS = {
+    [REQUEST_TYPES.REGULARIZATION]: 'Regularization pending',
+    [REQUEST_TYPES.LEAVE]: 'Leave pending approval',
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Longest leave accepted in one request, to catch typos in --to
+const MAX_LEAVE_DAYS = 31;
+
+/**
+ * @typedef {Object} TrackedRequest
+ * @property {string} type - regularization or leave
+ * @property {string} submittedAt - ISO timestamp
+ * @property {string} [reason]
+ * @property {string} [leaveType]
+ * @property {string} [acknowledgedAt] - When HRMS first showed the request as pending
+ */
+
+/**
+ * @typedef {Object} PreparedRequest
+ * @property {string} type - regularization or leave
+ * @property {string | undefined} endpoint - Path below the API base; undefined when not configured
+ * @property {string[]} dates - Every day the request covers (YYYY-MM-DD)
+ * @property {Object} body - JSON body sent to HRMS
+ */
+
+/**
+ * Lists the days from one date to another, inclusive
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function listDates(from, to) {
+    const dates = [];
+    const end = parseLocalDate(to);
+    for (const day = parseLocalDate(from); day <= end; day.setDate(day.getDate() + 1)) {
+        dates.push(formatDate(day));
+    }
+    return dates;
+}
+
+/**
+ * Returns the problem with a date argument, if any
+ * @param {string} name - Argument name for the message
+ * @param {string} value
+ * @returns {string | null}
+ */
+function dateProblem(name, value) {
+    if (!value) {
+        return `${name} is required (YYYY-MM-DD)`;
+    }
+    try {
+        parseLocalDate(value);
+        return null;
+    } catch (error) {
+        return `${name}: ${error.message}`;
+    }
+}
+
+/**
+ * Validates a regularization or leave request and builds the HRMS request body.
+ * Every problem is reported at once.
+ * @param {string} type - regularization or leave
+ * @param {{ date: string, reason?: string, inTime?: string, outTime?: string, to?: string, leaveType?: string, halfDay?: boolean }} options
+ *   inTime/outTime (HH:MM): regularization only; to, leaveType, halfDay: leave only
+ * @returns {PreparedRequest}
+ * @throws {Error} Listing every problem, one per line
+ */
+export function prepareRequest(type, { date, reason, inTime, outTime, to, leaveType, halfDay = false }) {
+    const problems = [];
+    const addProblem = problem => problem && problems.push(problem);
+
+    addProblem(dateProblem('Date', date));
+
+    if (type === REQUEST_TYPES.REGULARIZATION) {
+        if (!reason?.trim()) {
+            problems.push('--reason is required');
+        }
+        for (const [name, value] of [['--in', inTime], ['--out', outTime]]) {
+            if (value && !TIME_PATTERN.test(value)) {
+                problems.push(`${name} must be a time like 09:30`);
+            }
+        }
+        if (TIME_PATTERN.test(inTime) && TIME_PATTERN.test(outTime) && inTime >= outTime) {
+            problems.push('--in must be before --out');
+        }
+        if (problems.length === 0 && date > formatDate(getToday())) {
+            problems.push(`${date} is in the future; only past days can be regularized`);
+        }
+    } else if (type === REQUEST_TYPES.LEAVE) {
+        if (!leaveType?.trim()) {
+            problems.push('--type is required (the leave type as named in HRMS, e.g. "Casual Leave")');
+        }
+        if (to) {
+            addProblem(dateProblem('--to', to));
+        }
+        if (problems.length === 0 && to) {
+            if (to < date) {
+                problems.push(`--to ${to} is before ${date}`);
+            } else if (listDates(date, to).length > MAX_LEAVE_DAYS) {
+                problems.push(`A single request can cover at most ${MAX_LEAVE_DAYS} days`);
+            } else if (halfDay && to !== date) {
+                problems.push('--half-day only applies to a single day');
+            }
+        }
+    } else {
+        problems.push(`Unknown request type "${type}"`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(problems.join('\n'));
+    }
+
+    if (type === REQUEST_TYPES.REGULARIZATION) {
+        return {
+            type,
+            endpoint: config.hrms.regularizationEndpoint,
+            dates: [date],
+            body: {
+                AttendanceDate: date,
+                InTime: inTime || null,
+                OutTime: outTime || null,
+                Reason: reason.trim(),
+            },
+        };
+    }
+
+    return {
+        type,
+        endpoint: config.hrms.leaveEndpoint,
+        dates: listDates(date, to || date),
+        body: {
+            LeaveType: leaveType.trim(),
+            FromDate: date,
+            ToDate: to || date,
+            IsHalfDay: halfDay,
+            Reason: reason?.trim() || '',
+        },
+    };
+}
+
+/**
+ * Names the environment variable that configures a request type's endpoint
+ * @param {string} type
+ * @returns {string}
+ */
+export function endpointSetting(type) {
+    return type === REQUEST_TYPES.REGULARIZATION ? 'HRMS_REGULARIZATION_ENDPOINT' : 'HRMS_LEAVE_ENDPOINT';
+}
+
+/**
+ * Submits a prepared request to HRMS
+ * @param {PreparedRequest} request
+ * @returns {Promise<{ message: string | null }>} HRMS's confirmation message, if any
+ * @throws {AuthError | NetworkError | RateLimitError | ApiSchemaError | HrmsError}
+ */
+export async function submitRequest(request) {
+    if (!request.endpoint) {
+        throw new HrmsError(`${endpointSetting(request.type)} is not set; cannot submit a ${request.type} request`);
+    }
+
+    const response = await hrmsPost(request.endpoint, request.body);
+
+    // HRMS answers 200 with Status: false when it turns a request down
+    if (response?.Status === false) {
+        throw new HrmsError(`HRMS rejected the ${request.type} request: ${response.Message || 'no reason given'}`);
+    }
+
+    return { message: response?.Message || null };
+}
+
+/**
+ * Finds tracked requests that already cover any of the request's days
+ * @param {Object} state - State from loadState()
+ * @param {PreparedRequest} request
+ * @returns {Array<{ date: string } & TrackedRequest>}
+ */
+export function findTrackedRequests(state, request) {
+    return request.dates
+        .filter(date => state.requests[date]?.type === request.type)
+        .map(date => ({ date, ...state.requests[date] }));
+}
+
+/**
+ * Records a submitted request for every day it covers
+ * @param {Object} state - State from loadState()
+ * @param {PreparedRequest} request
+ * @param {Date} [now]
+ */
+export function trackRequest(state, request, now = new Date()) {
+    const entry = {
+        type: request.type,
+        submittedAt: now.toISOString(),
+        reason: request.body.Reason || undefined,
+        leaveType: request.body.LeaveType,
+    };
+
+    for (const date of request.dates) {
+        state.requests[date] = entry;
+    }
+}
+
+/**
+ * Shows tracked requests in a check result: a flagged day with a submitted
+ * request becomes pending until HRMS catches up. Stops tracking days that HRMS
+ * has settled, and requests HRMS showed as pending but flags again (turned down).
+ * Updates result.days and result.flaggedDays.
+ * @param {Object} state - State from loadState(); updated in place
+ * @param {{ days: Array<{date: string, status: string, category: string}>, flaggedDays: Array }} result
+ * @param {Date} [now]
+ * @returns {{ pending: string[], completed: string[], rejected: string[], changed: boolean }}
+ *   pending: days shown as pending because of a tracked request; changed: whether state needs saving
+ */
+export function applyTrackedRequests(state, result, now = new Date()) {
+    const outcome = { pending: [], completed: [], rejected: [], changed: false };
+
+    result.days = result.days.map(day => {
+        // HRMS may send a timestamp ("2026-01-05T00:00:00"); requests are kept per day
+        const date = day.date.slice(0, 10);
+        const entry = state.requests[date];
+        if (!entry) {
+            return day;
+        }
+
+        if (day.category === CATEGORIES.INFORMATIONAL) {
+            delete state.requests[date];
+            outcome.completed.push(date);
+            outcome.changed = true;
+            return day;
+        }
+
+        if (day.category === CATEGORIES.PENDING) {
+            if (!entry.acknowledgedAt) {
+                state.requests[date] = { ...entry, acknowledgedAt: now.toISOString() };
+                outcome.changed = true;
+            }
+            return day;
+        }
+
+        // Flagged again after HRMS listed the request as pending; forgetting the
+        // alert entry lets the day be alerted again even if it was acknowledged
+        if (entry.acknowledgedAt) {
+            delete state.requests[date];
+            // Alert entries are kept under the date as HRMS sent it
+            for (const key of Object.keys(state.absences).filter(key => key.slice(0, 10) === date)) {
+                delete state.absences[key];
+            }
+            outcome.rejected.push(date);
+            outcome.changed = true;
+            return day;
+        }
+
+        outcome.pending.push(date);
+        return {
+            ...day,
+            category: CATEGORIES.PENDING,
+            status: `${PENDING_LABELS[entry.type]} (submitted ${entry.submittedAt.slice(0, 10)})`,
+            hrmsStatus: day.status,
+        };
+    });
+
+    result.flaggedDays = result.days.filter(day => isAlertCategory(day.category));
+    return outcome;
+}
@@ -0,0 +1,175 @@
+/**
+ * Attendance Rules Module
+ * Classifies each day's DailyAttendanceStatus entries into categories so that
+ * missing punches, half days and pending requests are caught, not just ABSENT.
+ */
+import fs from 'fs';
+import { config } from './config.js';
+
+// Tag types from the HRMS system
+export const TAG_TYPES = {
+    PRESENT: 1,
+    ABSENT: 3,
+    WEEKLY_OFF: 5,
+    HOLIDAY: 7,
+    LEAVE: 9,
+};
+
+export const CATEGORIES = {
+    ACTIONABLE: 'actionable',
+    PENDING: 'pending',
+    INFORMATIONAL: 'informational',
+};
+
+// Display order, most urgent first
+const CATEGORY_RANK = {
+    [CATEGORIES.INFORMATIONAL]: 0,
+    [CATEGORIES.PENDING]: 1,
+    [CATEGORIES.ACTIONABLE]: 2,
+};
+
+// Higher wins when a day carries several statuses. A pending request beats an
+// actionable status because it means the user has already acted on that day.
+const CATEGORY_PRECEDENCE = {
+    [CATEGORIES.INFORMATIONAL]: 0,
+    [CATEGORIES.ACTIONABLE]: 1,
+    [CATEGORIES.PENDING]: 2,
+};
+
+/**
+ * Built-in rules, evaluated in order; the first match wins for a status.
+ * A rule matches on `tagType` and/or a case-insensitive `tagName` pattern.
+ */
+const DEFAULT_RULES = [
+    { tagName: 'regulari[sz]ation.*(pending|applied|requested)|(pending|applied).*regulari[sz]ation', category: CATEGORIES.PENDING, label: 'Regularization pending' },
+    { tagName: 'leave.*(pending|applied|requested)|(pending|applied).*leave|awaiting approval', category: CATEGORIES.PENDING, label: 'Leave pending approval' },
+    { tagName: 'miss(ing|ed)?[\\s-]*punch|no[\\s-]*punch|single[\\s-]*punch|punch[\\s-]*(in|out)?[\\s-]*missing', category: CATEGORIES.ACTIONABLE, label: 'Missing punch' },
+    { tagName: 'half[\\s-]*day', category: CATEGORIES.ACTIONABLE, label: 'Half day' },
+    { tagType: TAG_TYPES.ABSENT, category: CATEGORIES.ACTIONABLE, label: 'Absent' },
+    { tagType: TAG_TYPES.PRESENT, category: CATEGORIES.INFORMATIONAL, label: 'Present' },
+    { tagType: TAG_TYPES.WEEKLY_OFF, category: CATEGORIES.INFORMATIONAL, label: 'Weekly off' },
+    { tagType: TAG_TYPES.HOLIDAY, category: CATEGORIES.INFORMATIONAL, label: 'Holiday' },
+    { tagType: TAG_TYPES.LEAVE, category: CATEGORIES.INFORMATIONAL, label: 'Leave' },
+];
+
+let cachedRules = null;
+
+/**
+ * Loads custom rules from ATTENDANCE_RULES_FILE (if set) ahead of the defaults
+ * @returns {Array<{tagType?: number, tagName?: string, category: string, label?: string}>}
+ */
+export function getRules() {
+    if (cachedRules) {
+        return cachedRules;
+    }
+
+    let customRules = [];
+    if (config.rules.file) {
+        customRules = JSON.parse(fs.readFileSync(config.rules.file, 'utf-8'));
+        if (!Array.isArray(customRules)) {
+            throw new Error(`${config.rules.file} must contain a JSON array of rules`);
+        }
+    }
+
+    cachedRules = [...customRules, ...DEFAULT_RULES];
+    return cachedRules;
+}
+
+/**
+ * Validates custom rules
+ * @returns {string[]} Problems found
+ */
+export function validateRules() {
+    const errors = [];
+    let rules;
+
+    try {
+        rules = getRules();
+    } catch (error) {
+        return [`Could not load attendance rules: ${error.message}`];
+    }
+
+    rules.forEach((rule, index) => {
+        if (!Object.values(CATEGORIES).includes(rule.category)) {
+            errors.push(`Rule ${index + 1}: unknown category "${rule.category}"`);
+        }
+        if (rule.tagType === undefined && !rule.tagName) {
+            errors.push(`Rule ${index + 1}: needs a tagType or tagName to match on`);
+        }
+        if (rule.tagName) {
+            try {
+                new RegExp(rule.tagName, 'i');
+            } catch (error) {
+                errors.push(`Rule ${index + 1}: invalid tagName pattern (${error.message})`);
+            }
+        }
+    });
+
+    for (const category of config.alerts.categories) {
+        if (!Object.values(CATEGORIES).includes(category)) {
+            errors.push(`Unknown category "${category}" in ALERT_CATEGORIES`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Finds the rule matching a single DailyAttendanceStatus entry
+ * @param {{ TagType?: number, TagName?: string }} status
+ * @returns {{ category: string, label: string }}
+ */
+export function classifyStatus(status) {
+    const rule = getRules().find(r =>
+        (r.tagType === undefined || r.tagType === status.TagType) &&
+        (!r.tagName || new RegExp(r.tagName, 'i').test(status.TagName || ''))
+    );
+
+    if (!rule) {
+        return { category: CATEGORIES.INFORMATIONAL, label: status.TagName || 'Unknown' };
+    }
+
+    return { category: rule.category, label: status.TagName || rule.label };
+}
+
+/**
+ * Classifies a day from all its statuses; the highest-precedence category wins
+ * @param {Array<{ TagType?: number, TagName?: string }>} statuses
+ * @returns {{ category: string, status: string }}
+ */
+export function classifyDay(statuses) {
+    let result = { category: CATEGORIES.INFORMATIONAL, status: 'No status' };
+    let rank = -1;
+
+    for (const status of statuses) {
+        const { category, label } = classifyStatus(status);
+
+        if (CATEGORY_PRECEDENCE[category] > rank) {
+            result = { category, status: label };
+            rank = CATEGORY_PRECEDENCE[category];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Checks whether a category should trigger a notification
+ * @param {string} category
+ * @returns {boolean}
+ */
+export function isAlertCategory(category) {
+    return config.alerts.categories.includes(category);
+}
+
+/**
+ * Groups days by category, in severity order
+ * @param {Array<{category: string}>} days
+ * @returns {Array<{category: string, days: Array}>}
+ */
+export function groupByCategory(days) {
+    return Object.values(CATEGORIES)
+        .sort((a, b) => CATEGORY_RANK[b] - CATEGORY_RANK[a])
+        .map(category => ({ category, days: days.filter(day => day.category === category) }))
+        .filter(group => group.days.length > 0);
+}
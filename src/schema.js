@@ -0,0 +1,249 @@
+/**
+ * Schema Module
+ * Validates HRMS API responses before they are used, so a renamed or missing
+ * field fails loudly instead of looking like "no absences". Also tracks which
+ * fields the API has returned before, to point out new (possibly renamed)
+ * fields, and can dump an unexpected payload for debugging.
+ */
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { ApiSchemaError } from './errors.js';
+
+const COUNT_FIELDS = [
+    'PresentCount', 'OnDutyCount', 'AbsentCount', 'LeaveCount', 'HolidayCount',
+    'WeeklyOffCount', 'RegularizationCount', 'PayableDaysCount',
+];
+
+/**
+ * Fields attendance.js relies on in get-monthly-attendance-summary.
+ * Each node: { type, required?, pattern?, properties?, items? }
+ */
+export const ATTENDANCE_SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: {
+        Data: {
+            type: 'object',
+            required: true,
+            properties: {
+                CountDetails: {
+                    type: 'object',
+                    required: true,
+                    properties: Object.fromEntries(COUNT_FIELDS.map(field => [field, { type: 'number', required: true }])),
+                },
+                DailyAttendanceSummary: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            ShiftDetails: {
+                                type: 'object',
+                                required: true,
+                                properties: {
+                                    Date: { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}/ },
+                                },
+                            },
+                            DailyAttendanceStatus: {
+                                type: 'array',
+                                required: true,
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        TagType: { type: 'number', required: true },
+                                        TagName: { type: 'string', required: true },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+// Report at most this many problems; one renamed field can fail every day
+const MAX_PROBLEMS = 10;
+
+/**
+ * Returns the JSON type name of a value
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Validates a value against a schema node, collecting problems
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} where - Path of the value, e.g. "Data.CountDetails"
+ * @param {Set<string>} problems - Problem messages, deduplicated across array items
+ */
+function check(value, schema, where, problems) {
+    const actual = typeOf(value);
+    if (actual !== schema.type) {
+        problems.add(`${where || 'response'}: expected ${schema.type}, got ${actual}`);
+        return;
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) {
+        problems.add(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+
+    if (schema.type === 'object') {
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            const childPath = where ? `${where}.${key}` : key;
+            if (value[key] === undefined) {
+                if (child.required) {
+                    problems.add(`${childPath}: missing`);
+                }
+                continue;
+            }
+            check(value[key], child, childPath, problems);
+        }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        // Array indexes are collapsed to [] so the same problem is reported once
+        value.forEach(item => check(item, schema.items, `${where}[]`, problems));
+    }
+}
+
+/**
+ * Lists every field path in a payload, with array indexes collapsed to []
+ * @param {*} value
+ * @param {string} [prefix]
+ * @param {Set<string>} [paths]
+ * @returns {Set<string>}
+ */
+export function collectFieldPaths(value, prefix = '', paths = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach(item => collectFieldPaths(item, `${prefix}[]`, paths));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = prefix ? `${prefix}.${key}` : key;
+            paths.add(childPath);
+            collectFieldPaths(child, childPath, paths);
+        }
+    }
+    return paths;
+}
+
+/**
+ * Validates a payload against a schema
+ * @param {*} data
+ * @param {Object} [schema]
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validatePayload(data, schema = ATTENDANCE_SUMMARY_SCHEMA) {
+    const problems = new Set();
+    check(data, schema, '', problems);
+    return [...problems];
+}
+
+/**
+ * Writes a payload to the dump directory for debugging
+ * @param {string} name - Short description used in the file name, e.g. "attendance-2026-01"
+ * @param {*} data
+ * @returns {string | null} File written, or null if dumping is disabled or failed
+ */
+export function dumpPayload(name, data) {
+    if (!config.schema.dumpDir) {
+        return null;
+    }
+
+    try {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(config.schema.dumpDir, `${name}-${stamp}.json`);
+        fs.mkdirSync(config.schema.dumpDir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+        return file;
+    } catch (error) {
+        console.error(`   ⚠️  Could not dump payload: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Loads the field paths seen in earlier responses
+ * @returns {Set<string>}
+ */
+function loadKnownFields() {
+    try {
+        return new Set(JSON.parse(fs.readFileSync(config.schema.fieldsFile, 'utf-8')).fields);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+/**
+ * Lists the fields of a payload that were never seen in an earlier valid response
+ * @param {Set<string>} known
+ * @param {Set<string>} current
+ * @returns {string[]} Empty when nothing is known yet (first run)
+ */
+function findNewFields(known, current) {
+    return known.size > 0 ? [...current].filter(field => !known.has(field)) : [];
+}
+
+/**
+ * Remembers the fields of a valid payload
+ * @param {Set<string>} known
+ * @param {Set<string>} current
+ */
+function rememberFields(known, current) {
+    if ([...current].every(field => known.has(field))) {
+        return;
+    }
+
+    try {
+        fs.writeFileSync(config.schema.fieldsFile, JSON.stringify({
+            updatedAt: new Date().toISOString(),
+            fields: [...new Set([...known, ...current])].sort(),
+        }, null, 2));
+    } catch (error) {
+        console.error(`   ⚠️  Could not save known API fields: ${error.message}`);
+    }
+}
+
+/**
+ * Validates an attendance summary response and throws on drift.
+ * New fields are only logged, since vendors add fields without breaking anything;
+ * alongside a missing field they usually point at a rename.
+ * @param {*} data - Parsed API response
+ * @param {string} name - Short description used in messages and dump file names
+ * @throws {ApiSchemaError}
+ */
+export function assertAttendanceSummary(data, name) {
+    const problems = validatePayload(data);
+    const known = loadKnownFields();
+    const current = collectFieldPaths(data);
+    const newFields = findNewFields(known, current);
+    const dumpFile = config.schema.dumpAll || problems.length > 0 ? dumpPayload(name, data) : null;
+
+    if (newFields.length > 0) {
+        console.log(`   🧭 New API field(s) in ${name}: ${newFields.slice(0, MAX_PROBLEMS).join(', ')}`);
+    }
+
+    // Only a valid payload becomes the new baseline, so a rename keeps being pointed out
+    if (problems.length === 0) {
+        rememberFields(known, current);
+        return;
+    }
+
+    const shown = problems.slice(0, MAX_PROBLEMS);
+    const more = problems.length > shown.length ? ` (+${problems.length - shown.length} more)` : '';
+    const renameHint = newFields.length > 0 ? `; new fields that may be renames: ${newFields.slice(0, MAX_PROBLEMS).join(', ')}` : '';
+    const dumpHint = dumpFile ? `; payload saved to ${dumpFile}` : '';
+
+    throw new ApiSchemaError(
+        `Unexpected HRMS response for ${name}: ${shown.join('; ')}${more}${renameHint}${dumpHint}`,
+        { problems, newFields, dumpFile }
+    );
+}
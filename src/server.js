@@ -0,0 +1,303 @@
+/**
+ * Status Server Module
+ * Small HTTP server exposing a status page, a JSON API and a health check.
+ *
+ *   GET  /                        HTML status dashboard
+ *   GET  /health                  200 when healthy, 503 otherwise (no auth, so no details)
+ *   GET  /api/status              Last check, session/token expiry, open days
+ *   GET  /api/attendance?period=  Fetch a period without notifying
+ *   POST /api/check               Run a check now (with notifications, same-site only without a token)
+ *   GET  /calendar.ics?profile=   Attendance calendar of the last check (subscribe with ?token=)
+ *   GET  /actions/<token>         Confirm an action link from an alert (signed token, no auth)
+ *   POST /actions/<token>         Carry out the action
+ */
+import crypto from 'crypto';
+import http from 'http';
+import { config } from './config.js';
+import { ActionTokenError, verifyActionToken, describeAction } from './actions.js';
+import { escapeHtml } from './templates.js';
+import { formatDisplayDateTime } from './utils.js';
+
+/**
+ * @typedef {Object} StatusService
+ * @property {() => Promise<Object>} getStatus
+ * @property {(query: { period?: string, from?: string, to?: string, profile?: string }) => Promise<Object>} getAttendance
+ * @property {(query: { profile?: string }) => Promise<Object>} triggerCheck
+ * @property {(query: { profile?: string }) => Promise<string>} getCalendar
+ * @property {(payload: import('./actions.js').ActionPayload) => Promise<string>} performAction
+ */
+
+/**
+ * Works out whether the notifier is healthy from its status
+ * @param {Object} status - From StatusService.getStatus()
+ * @returns {{ healthy: boolean, problems: string[] }}
+ */
+export function getHealth(status) {
+    const problems = [];
+
+    for (const profile of status.profiles) {
+        const label = profile.name ? `${profile.name}: ` : '';
+
+        if (!profile.session.exists) {
+            problems.push(`${label}session file missing (${profile.session.file})`);
+        }
+        if (profile.lastCheck && !profile.lastCheck.ok) {
+            problems.push(`${label}last check failed (${profile.lastCheck.errorType}): ${profile.lastCheck.error}`);
+        }
+    }
+
+    return { healthy: problems.length === 0, problems };
+}
+
+/**
+ * Renders the HTML dashboard
+ * @param {Object} status
+ * @returns {string}
+ */
+function renderDashboard(status) {
+    const { healthy, problems } = getHealth(status);
+    const formatTime = iso => (iso ? formatDisplayDateTime(new Date(iso)) : '—');
+
+    const profileSections = status.profiles.map(profile => {
+        const check = profile.lastCheck;
+        const months = (check?.months || []).map(m => `
+          <tr>
+            <td>${m.month}/${m.year}</td><td>${m.inOffice}</td><td>${m.onDuty}</td><td>${m.absent}</td>
+            <td>${m.leave}</td><td>${m.holiday}</td><td>${m.weeklyOff}</td><td>${m.regularization}</td><td>${m.payableDays}</td>
+          </tr>`).join('');
+        const openDays = (check?.flaggedDays || [])
+            .map(day => `<li><strong>${escapeHtml(day.date)}</strong> - ${escapeHtml(day.status)} <span class="tag">${escapeHtml(day.category)}</span></li>`)
+            .join('');
+
+        return `
+      <section>
+        ${profile.name ? `<h2>👤 ${escapeHtml(profile.name)}</h2>` : ''}
+        <table class="kv">
+          <tr><th>Last check</th><td>${check ? `${formatTime(check.at)} ${check.ok ? '✅' : `❌ ${escapeHtml(check.error)}`}` : 'Not checked since start'}</td></tr>
+          <tr><th>Period</th><td>${check?.period ? `${check.period.start} → ${check.period.end}` : '—'}</td></tr>
+          <tr><th>Session exported</th><td>${formatTime(profile.session.exportedAt)}</td></tr>
+          <tr><th>Session expected to expire</th><td>${formatTime(profile.session.sessionExpiresAt)}</td></tr>
+          <tr><th>Access token expires</th><td>${formatTime(profile.session.tokenExpiresAt)} ${profile.session.tokenValid ? '' : '(refreshed on next check)'}</td></tr>
+        </table>
+        ${months ? `
+        <table>
+          <tr><th>Month</th><th>In-office</th><th>On-duty</th><th>Absent</th><th>Leave</th><th>Holiday</th><th>Weekly off</th><th>Regularization</th><th>Payable</th></tr>
+          ${months}
+        </table>` : ''}
+        <h3>Open days</h3>
+        ${openDays ? `<ul>${openDays}</ul>` : '<p>None 🎉</p>'}
+      </section>`;
+    }).join('');
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="refresh" content="60">
+  <title>Peeplynx HR Notifier Status</title>
+  <style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
+    .container { max-width: 900px; margin: 0 auto; padding: 20px; }
+    .header { color: white; padding: 20px; border-radius: 8px; background: ${healthy ? 'linear-gradient(135deg, #66bb6a, #43a047)' : 'linear-gradient(135deg, #f44336, #c62828)'}; }
+    section { background: white; padding: 15px 20px; border-radius: 8px; margin-top: 20px; }
+    table { border-collapse: collapse; margin: 10px 0; }
+    th, td { padding: 4px 10px; border-bottom: 1px solid #eee; text-align: left; }
+    .tag { font-size: 12px; background: #e3f2fd; padding: 1px 6px; border-radius: 4px; }
+    .footer { margin-top: 20px; font-size: 12px; color: #666; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${healthy ? '✅ Healthy' : '⚠️ Attention needed'}</h1>
+      ${problems.map(p => `<div>${escapeHtml(p)}</div>`).join('')}
+      <div>Next scheduled check: ${status.daemon.nextRunAt ? formatTime(status.daemon.nextRunAt) : 'not scheduled (daemon not running)'}</div>
+    </div>
+    ${profileSections}
+    <div class="footer">Running since ${formatTime(status.startedAt)} · page refreshes every minute</div>
+  </div>
+</body>
+</html>
+    `.trim();
+}
+
+/**
+ * Renders the small page shown for action links
+ * @param {string} title
+ * @param {string} body - HTML
+ * @returns {string}
+ */
+function renderActionPage(title, body) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
+    .container { max-width: 500px; margin: 40px auto; padding: 20px; background: white; border-radius: 8px; }
+    button { background: #4CAF50; color: white; padding: 10px 20px; border: 0; border-radius: 4px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+  </div>
+</body>
+</html>
+    `.trim();
+}
+
+/**
+ * Handles an action link. GET only asks for confirmation, because mail
+ * scanners open links in emails; the action runs on the confirming POST.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} token
+ * @param {StatusService} service
+ */
+async function handleAction(req, res, token, service) {
+    const sendPage = (statusCode, title, body) => {
+        res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(renderActionPage(title, body));
+    };
+
+    let payload;
+    try {
+        payload = verifyActionToken(token);
+    } catch (error) {
+        if (error instanceof ActionTokenError) {
+            return sendPage(400, '⚠️ Link not valid', `<p>${escapeHtml(error.message)}.</p>`);
+        }
+        throw error;
+    }
+
+    const who = payload.profile ? ` (${escapeHtml(payload.profile)})` : '';
+    if (req.method === 'GET') {
+        return sendPage(200, describeAction(payload), `
+    <p>Confirm to continue${who}.</p>
+    <form method="post"><button type="submit">Confirm</button></form>`);
+    }
+
+    const outcome = await service.performAction(payload);
+    return sendPage(200, '✅ Done', `<p>${escapeHtml(outcome)}</p>`);
+}
+
+/**
+ * Sends a JSON response
+ */
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Compares a token from the request with STATUS_TOKEN in constant time
+ * @param {string|null|undefined} value
+ * @returns {boolean}
+ */
+function matchesToken(value) {
+    const expected = Buffer.from(config.server.token);
+    const actual = Buffer.from(value || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Checks whether a request comes from a page served by another site. Browsers
+ * send Origin with every cross-site POST, so a foreign page cannot trigger it.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isCrossSite(req) {
+    if (!req.headers.origin) {
+        return false;
+    }
+    try {
+        return new URL(req.headers.origin).host !== req.headers.host;
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Checks the optional STATUS_TOKEN (Bearer header or ?token=). Without a
+ * token, requests that change something must not come from another site.
+ * @param {http.IncomingMessage} req
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isAuthorized(req, url) {
+    if (!config.server.token) {
+        return req.method === 'GET' || !isCrossSite(req);
+    }
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return matchesToken(bearer && bearer[1]) || matchesToken(url.searchParams.get('token'));
+}
+
+/**
+ * Starts the status server
+ * @param {StatusService} service
+ * @returns {Promise<http.Server>}
+ */
+export function startServer(service) {
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+        delete query.token;
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/health') {
+                const status = await service.getStatus();
+                // Problems name files and errors; they are only shown behind STATUS_TOKEN (/api/status)
+                const { healthy } = getHealth(status);
+                return sendJson(res, healthy ? 200 : 503, { status: healthy ? 'ok' : 'unhealthy' });
+            }
+
+            // Action links are authorized by their signed token instead of STATUS_TOKEN
+            const actionMatch = /^\/actions\/([\w.-]+)$/.exec(url.pathname);
+            if (actionMatch && (req.method === 'GET' || req.method === 'POST')) {
+                return await handleAction(req, res, actionMatch[1], service);
+            }
+
+            if (!isAuthorized(req, url)) {
+                return sendJson(res, 401, { error: 'Unauthorized' });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(renderDashboard(await service.getStatus()));
+            }
+            if (req.method === 'GET' && url.pathname === '/api/status') {
+                const status = await service.getStatus();
+                return sendJson(res, 200, { ...status, ...getHealth(status) });
+            }
+            if (req.method === 'GET' && url.pathname === '/api/attendance') {
+                return sendJson(res, 200, await service.getAttendance(query));
+            }
+            if (req.method === 'POST' && url.pathname === '/api/check') {
+                return sendJson(res, 200, await service.triggerCheck(query));
+            }
+            if (req.method === 'GET' && url.pathname === '/calendar.ics') {
+                const calendar = await service.getCalendar(query);
+                res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8' });
+                return res.end(calendar);
+            }
+
+            return sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            return sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.server.port, config.server.host, () => {
+            console.log(`🖥️  Status server listening on http://${config.server.host}:${server.address().port}/`);
+            resolve(server);
+        });
+    });
+}
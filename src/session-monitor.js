@@ -0,0 +1,86 @@
+/**
+ * Session Monitor Module
+ * Tracks how long browser sessions stay refreshable and warns ahead of time
+ * that an interactive "npm run login" will soon be needed.
+ */
+import { config, parseDuration } from './config.js';
+import { readSessionFile, estimateSessionExpiry } from './browser-auth.js';
+import { loadState, saveState } from './state.js';
+import { sendSessionExpiringAlert } from './notifier.js';
+import { formatDisplayDateTime } from './utils.js';
+
+// Don't repeat a warning for the same expected expiry within this window
+const REPEAT_WARNING_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Records that the session worked, and warns if it is expected to expire soon
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+export async function recordSessionValid(now = new Date()) {
+    const sessionData = readSessionFile();
+    if (!sessionData) {
+        return;
+    }
+
+    const state = loadState();
+    const tracking = state.session || {};
+    const startedAt = sessionData.sessionStartedAt || sessionData.exportedAt || null;
+
+    // A new login/export starts a new session to track
+    if (tracking.startedAt !== startedAt) {
+        tracking.startedAt = startedAt;
+        tracking.warnedFor = null;
+        tracking.warnedAt = null;
+    }
+    tracking.lastValidAt = now.toISOString();
+
+    const estimate = estimateSessionExpiry(sessionData, tracking.observedLifetimeMs);
+    const warnBeforeMs = parseDuration(config.session.warnBefore);
+
+    if (estimate) {
+        const remainingMs = estimate.expiresAt - now;
+        const expiresAt = estimate.expiresAt.toISOString();
+        const recentlyWarned = tracking.warnedFor === expiresAt ||
+            (tracking.warnedAt && now - new Date(tracking.warnedAt) < REPEAT_WARNING_MS);
+
+        console.log(`🔐 Session expected to last until ${formatDisplayDateTime(estimate.expiresAt)} (${estimate.source})`);
+
+        if (warnBeforeMs > 0 && remainingMs <= warnBeforeMs && !recentlyWarned) {
+            try {
+                await sendSessionExpiringAlert(estimate.expiresAt, estimate.source);
+                tracking.warnedFor = expiresAt;
+                tracking.warnedAt = now.toISOString();
+            } catch (error) {
+                console.error('⚠️  Could not send session expiry warning:', error.message);
+            }
+        }
+    }
+
+    state.session = tracking;
+    saveState(state);
+}
+
+/**
+ * Records that the session could not be refreshed, remembering how long it
+ * lasted so the next session's expiry can be predicted
+ * @returns {void}
+ */
+export function recordSessionFailure() {
+    const state = loadState();
+    const tracking = state.session;
+
+    if (!tracking?.startedAt || !tracking.lastValidAt || tracking.failedStartedAt === tracking.startedAt) {
+        return;
+    }
+
+    // The last time it still worked is a safe (slightly short) lifetime estimate
+    const lifetimeMs = new Date(tracking.lastValidAt) - new Date(tracking.startedAt);
+    if (lifetimeMs > 0) {
+        tracking.observedLifetimeMs = lifetimeMs;
+        console.log(`🔐 Previous session lasted about ${(lifetimeMs / (24 * 60 * 60 * 1000)).toFixed(1)} day(s)`);
+    }
+    tracking.failedStartedAt = tracking.startedAt;
+
+    saveState(state);
+}
@@ -0,0 +1,198 @@
+/**
+ * Session Store Module
+ * Reads and writes session files. With SESSION_PASSPHRASE or SESSION_KEY_FILE
+ * set, sessions are encrypted at rest (AES-256-GCM, key derived with scrypt)
+ * and plaintext files from older versions are encrypted the first time they
+ * are read. Session files are always written readable by the owner only.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+
+const FORMAT = 'hrms-notifier-session';
+const VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+// scrypt cost; stored in each file so it can be raised later
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Session files hold live access tokens
+const FILE_MODE = 0o600;
+
+// Derived keys by secret and salt; every check reads the session file more than once
+const keyCache = new Map();
+
+/**
+ * Returns the secret session files are encrypted with
+ * @returns {string | null} null when encryption is not configured
+ * @throws {Error} If SESSION_KEY_FILE cannot be read
+ */
+export function getSessionSecret() {
+    if (config.session.passphrase) {
+        return config.session.passphrase;
+    }
+    if (config.session.keyFile) {
+        return fs.readFileSync(config.session.keyFile, 'utf-8').trim();
+    }
+    return null;
+}
+
+/**
+ * Checks if session files are encrypted at rest
+ * @returns {boolean}
+ */
+export function isEncryptionEnabled() {
+    return Boolean(config.session.passphrase || config.session.keyFile);
+}
+
+/**
+ * Validates the session encryption settings
+ * @returns {string[]} Problems found
+ */
+export function validateSessionStorage() {
+    if (!isEncryptionEnabled()) {
+        return [];
+    }
+
+    let secret;
+    try {
+        secret = getSessionSecret();
+    } catch (error) {
+        return [`SESSION_KEY_FILE could not be read: ${error.message}`];
+    }
+
+    const source = config.session.passphrase ? 'SESSION_PASSPHRASE' : 'SESSION_KEY_FILE';
+    return secret.length < 16 ? [`${source} must be at least 16 characters`] : [];
+}
+
+/**
+ * Derives the file key from the secret
+ * @param {string} secret
+ * @param {Buffer} salt
+ * @param {{ N: number, r: number, p: number }} params
+ * @returns {Buffer}
+ */
+function deriveKey(secret, salt, { N, r, p }) {
+    const cacheKey = `${secret}\0${salt.toString('base64')}\0${N},${r},${p}`;
+    if (!keyCache.has(cacheKey)) {
+        keyCache.set(cacheKey, crypto.scryptSync(secret, salt, KEY_BYTES, { N, r, p, maxmem: 256 * N * r }));
+    }
+    return keyCache.get(cacheKey);
+}
+
+/**
+ * Checks if parsed file content is an encrypted session
+ * @param {Object} content
+ * @returns {boolean}
+ */
+export function isEncryptedSession(content) {
+    return content?.format === FORMAT && typeof content.data === 'string';
+}
+
+/**
+ * Encrypts session data
+ * @param {Object} sessionData - { exportedAt, sessionStartedAt, cookies }
+ * @param {string} secret
+ * @returns {Object} File content
+ */
+export function encryptSession(sessionData, secret) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, deriveKey(secret, salt, SCRYPT_PARAMS), iv);
+    cipher.setAAD(Buffer.from(`${FORMAT}/${VERSION}`));
+
+    const data = Buffer.concat([cipher.update(JSON.stringify(sessionData), 'utf-8'), cipher.final()]);
+
+    return {
+        format: FORMAT,
+        version: VERSION,
+        cipher: CIPHER,
+        kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+/**
+ * Decrypts session data
+ * @param {Object} content - From encryptSession()
+ * @param {string | null} secret
+ * @returns {Object}
+ * @throws {Error} Without a secret, or when the secret is wrong or the file was altered
+ */
+export function decryptSession(content, secret) {
+    if (content.version !== VERSION || content.cipher !== CIPHER || content.kdf?.name !== 'scrypt') {
+        throw new Error(`unsupported session file format (version ${content.version}, ${content.cipher})`);
+    }
+    if (!secret) {
+        throw new Error('the session file is encrypted; set SESSION_PASSPHRASE or SESSION_KEY_FILE');
+    }
+
+    // Only the parameters this module writes; others could make scrypt use any amount of memory
+    const { N, r, p, salt } = content.kdf;
+    if (N !== SCRYPT_PARAMS.N || r !== SCRYPT_PARAMS.r || p !== SCRYPT_PARAMS.p) {
+        throw new Error(`unsupported scrypt parameters in the session file (N=${N}, r=${r}, p=${p})`);
+    }
+    const decipher = crypto.createDecipheriv(CIPHER, deriveKey(secret, Buffer.from(salt, 'base64'), { N, r, p }), Buffer.from(content.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${FORMAT}/${content.version}`));
+    decipher.setAuthTag(Buffer.from(content.tag, 'base64'));
+
+    try {
+        const data = Buffer.concat([decipher.update(Buffer.from(content.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf-8'));
+    } catch (error) {
+        throw new Error('the session file could not be decrypted (wrong passphrase or key file, or the file was altered)');
+    }
+}
+
+/**
+ * Writes a session file, encrypted when a secret is configured, readable by the owner only
+ * @param {Object} sessionData - { exportedAt, sessionStartedAt, cookies }
+ * @param {string} [file] - Defaults to the active session file
+ * @param {{ encrypt?: boolean }} [options] - encrypt: true requires a secret
+ * @throws {Error} If encryption was requested but is not configured
+ */
+export function writeSession(sessionData, file = config.session.file, { encrypt = isEncryptionEnabled() } = {}) {
+    const secret = encrypt ? getSessionSecret() : null;
+    if (encrypt && !secret) {
+        throw new Error('Encryption needs SESSION_PASSPHRASE or SESSION_KEY_FILE');
+    }
+    const content = secret ? encryptSession(sessionData, secret) : sessionData;
+
+    // Write a private temporary file and rename it, so the tokens are never
+    // readable by others, not even briefly, and a crash leaves the old file intact
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(temp, JSON.stringify(content, null, 2), { mode: FILE_MODE });
+    fs.chmodSync(temp, FILE_MODE);
+    fs.renameSync(temp, file);
+}
+
+/**
+ * Reads a session file, decrypting it if needed. Plaintext files are migrated:
+ * encrypted when a secret is configured, otherwise made private to the owner.
+ * @param {string} [file] - Defaults to the active session file
+ * @param {{ migrate?: boolean }} [options] - migrate: false leaves the file as it is (e.g. for imports)
+ * @returns {Object} { exportedAt, sessionStartedAt, cookies }
+ * @throws {Error} If the file is missing, unreadable or cannot be decrypted
+ */
+export function readSession(file = config.session.file, { migrate = true } = {}) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    if (isEncryptedSession(content)) {
+        return decryptSession(content, getSessionSecret());
+    }
+
+    if (migrate && isEncryptionEnabled()) {
+        writeSession(content, file);
+        console.log(`🔒 Encrypted the plaintext session file ${file}`);
+    } else if (migrate && process.platform !== 'win32' && (fs.statSync(file).mode & 0o077) !== 0) {
+        fs.chmodSync(file, FILE_MODE);
+        console.log(`🔒 Made the session file ${file} readable by its owner only`);
+    }
+    return content;
+}
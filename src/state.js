@@ -0,0 +1,136 @@
+/**
+ * Alert State Module
+ * Remembers which flagged days (absences, missing punches, pending requests)
+ * have already been alerted on, so repeated runs only notify about new days,
+ * periodic reminders and resolutions.
+ */
+import fs from 'fs';
+import { config } from './config.js';
+import { DAY_MS, formatDate, isDateInRange } from './utils.js';
+
+/**
+ * Loads the alert state from disk
+ * @returns {{ absences: Record<string, {status: string, category: string, firstDetectedAt: string, lastAlertedAt: string, alertCount: number, acknowledgedAt?: string, snoozedUntil?: string}>, requests: Record<string, import('./requests.js').TrackedRequest>, queue: Array<{ type: string, options: Object, queuedAt: string }> }}
+ *   acknowledgedAt/snoozedUntil: set from action links; queue: requests from action links awaiting submission
+ */
+export function loadState() {
+    if (!fs.existsSync(config.alerts.stateFile)) {
+        return { absences: {}, requests: {}, queue: [] };
+    }
+
+    try {
+        const state = JSON.parse(fs.readFileSync(config.alerts.stateFile, 'utf-8'));
+        return { ...state, absences: state.absences || {}, requests: state.requests || {}, queue: state.queue || [] };
+    } catch (error) {
+        console.error(`⚠️  Could not read alert state (${error.message}), starting fresh`);
+        return { absences: {}, requests: {}, queue: [] };
+    }
+}
+
+/**
+ * Writes the alert state to disk
+ * @param {Object} state
+ */
+export function saveState(state) {
+    fs.writeFileSync(config.alerts.stateFile, JSON.stringify({
+        ...state,
+        updatedAt: new Date().toISOString(),
+    }, null, 2));
+}
+
+/**
+ * Compares the flagged days found by this run with the stored state.
+ * A day whose category changed (e.g. absent -> regularization pending) counts as new.
+ * Acknowledged days are skipped; a snoozed day is reminded once the snooze ends.
+ * @param {Object} state - State from loadState()
+ * @param {Array<{date: string, status: string, category: string}>} flaggedDays - Flagged days found by this run
+ * @param {Date} startDate - Start of the checked range
+ * @param {Date} endDate - End of the checked range
+ * @param {Date} [now]
+ * @returns {{ newDays: Array, reminderDays: Array, resolvedDays: Array }}
+ */
+export function diffAbsences(state, flaggedDays, startDate, endDate, now = new Date()) {
+    const reminderMs = config.alerts.reminderIntervalDays * DAY_MS;
+    const current = new Set(flaggedDays.map(day => day.date));
+
+    const newDays = [];
+    const reminderDays = [];
+
+    for (const day of flaggedDays) {
+        const entry = state.absences[day.date];
+
+        // Handled from an action link: quiet until the day resolves
+        if (entry?.acknowledgedAt) {
+            continue;
+        }
+        if (entry?.snoozedUntil) {
+            if (now >= new Date(entry.snoozedUntil)) {
+                reminderDays.push(day);
+            }
+            continue;
+        }
+
+        if (!entry || (entry.category || 'actionable') !== day.category) {
+            newDays.push(day);
+        } else if (reminderMs > 0 && now - new Date(entry.lastAlertedAt) >= reminderMs) {
+            reminderDays.push(day);
+        }
+    }
+
+    // Only days inside the checked range can be considered resolved; older
+    // entries simply dropped out of the salary period.
+    const resolvedDays = Object.entries(state.absences)
+        .filter(([date]) => !current.has(date) && isDateInRange(date, startDate, endDate))
+        .map(([date, entry]) => ({ date, status: entry.status, category: entry.category || 'actionable' }));
+
+    return { newDays, reminderDays, resolvedDays };
+}
+
+/**
+ * Records alerted days as notified at the given time
+ * @param {Object} state
+ * @param {Array<{date: string, status: string, category: string}>} days
+ * @param {Date} [now]
+ */
+export function markAlerted(state, days, now = new Date()) {
+    const timestamp = now.toISOString();
+
+    for (const day of days) {
+        const entry = state.absences[day.date];
+        state.absences[day.date] = {
+            status: day.status,
+            category: day.category,
+            firstDetectedAt: entry?.firstDetectedAt || timestamp,
+            lastAlertedAt: timestamp,
+            alertCount: entry?.category === day.category ? entry.alertCount + 1 : 1,
+        };
+    }
+}
+
+/**
+ * Removes days from the state (resolved, or outside the checked range)
+ * @param {Object} state
+ * @param {Array<{date: string}>} days
+ */
+export function forgetDays(state, days) {
+    for (const day of days) {
+        delete state.absences[day.date];
+    }
+}
+
+/**
+ * Drops entries that fall before the checked range (previous salary periods)
+ * @param {Object} state
+ * @param {Date} startDate
+ */
+export function pruneState(state, startDate) {
+    // Compare calendar dates, as isDateInRange does
+    const start = formatDate(startDate);
+    for (const entries of [state.absences, state.requests || {}]) {
+        for (const date of Object.keys(entries)) {
+            if (date.slice(0, 10) < start) {
+                delete entries[date];
+            }
+        }
+    }
+}
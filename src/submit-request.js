@@ -0,0 +1,162 @@
+/**
+ * Submit Request Script
+ * Regularizes a day or applies for leave through the HRMS API, using the
+ * saved browser session, and tracks the request so later checks show the
+ * day as pending.
+ *
+ * Usage:
+ *   hrms-notifier regularize <date> --reason "Forgot to punch out" [--in 09:30] [--out 18:30]
+ *   hrms-notifier apply-leave <date> --type "Casual Leave" [--to <date>] [--half-day] [--reason "..."]
+ *
+ * Both accept --dry-run (show the request without sending it), --force
+ * (submit again for a day already tracked) and --profile <name>.
+ */
+import { config, setTokens, validateMappingId } from './config.js';
+import { extractTokensFromBrowser, hasSession } from './browser-auth.js';
+import { hasProfiles, loadProfiles, applyProfile } from './profiles.js';
+import { loadState, saveState } from './state.js';
+import { getArgValue } from './utils.js';
+import { getErrorType } from './errors.js';
+import { EXIT_CODES, getExitCode } from './exit-codes.js';
+import { REQUEST_TYPES, prepareRequest, endpointSetting, submitRequest, findTrackedRequests, trackRequest } from './requests.js';
+
+const COMMANDS = {
+    'regularize': REQUEST_TYPES.REGULARIZATION,
+    'apply-leave': REQUEST_TYPES.LEAVE,
+};
+
+/**
+ * Selects the profile to submit for, when a profiles file exists
+ * @param {string | undefined} name - --profile value
+ * @returns {string | null} Problem, or null when the active configuration is ready
+ */
+export function selectProfile(name) {
+    if (!hasProfiles()) {
+        return name ? `--profile ${name} given, but ${config.profiles.file} does not exist` : null;
+    }
+
+    const { profiles } = loadProfiles();
+    const profile = name ? profiles.find(p => p.name === name) : profiles.length === 1 ? profiles[0] : null;
+    if (!profile) {
+        return name
+            ? `No profile named "${name}"`
+            : `Several profiles configured; choose one with --profile (${profiles.map(p => p.name).join(', ')})`;
+    }
+
+    applyProfile(profile);
+    return null;
+}
+
+/**
+ * Loads HRMS tokens from the saved browser session; exits with the
+ * configuration code when there is no mapping ID to send with them
+ * @returns {Promise<boolean>}
+ */
+export async function authenticate() {
+    if (!hasSession()) {
+        console.error('❌ No browser session found. Run "npm run login" first.');
+        return false;
+    }
+
+    const tokens = await extractTokensFromBrowser();
+    if (!tokens) {
+        console.error('❌ Failed to extract tokens from browser session. Run "npm run login" to re-authenticate.');
+        return false;
+    }
+
+    setTokens(tokens);
+    const [mappingError] = validateMappingId();
+    if (mappingError) {
+        console.error(`❌ ${mappingError}`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+    return true;
+}
+
+/**
+ * Submit request entry point
+ * @param {string} command - regularize or apply-leave
+ * @param {string[]} args - <date> and options
+ */
+export async function runSubmitRequest(command, args) {
+    const date = args[0]?.startsWith('--') ? undefined : args[0];
+    const type = COMMANDS[command];
+    const dryRun = args.includes('--dry-run');
+
+    if (!type) {
+        console.error(`❌ Unknown command "${command}" (use ${Object.keys(COMMANDS).join(' or ')})`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    let request;
+    try {
+        request = prepareRequest(type, {
+            date,
+            reason: getArgValue(args, 'reason'),
+            inTime: getArgValue(args, 'in'),
+            outTime: getArgValue(args, 'out'),
+            to: getArgValue(args, 'to'),
+            leaveType: getArgValue(args, 'type'),
+            halfDay: args.includes('--half-day'),
+        });
+    } catch (error) {
+        console.error(`❌ Invalid ${command} request:`);
+        error.message.split('\n').forEach(problem => console.error(`   • ${problem}`));
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const profileProblem = selectProfile(getArgValue(args, 'profile'));
+    if (profileProblem) {
+        console.error(`❌ ${profileProblem}`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    const endpoint = request.endpoint
+        ? `${config.hrms.baseUrl}${config.hrms.apiPath}${request.endpoint}`
+        : `(not configured: set ${endpointSetting(type)})`;
+    const days = request.dates.length === 1 ? request.dates[0] : `${request.dates[0]} → ${request.dates[request.dates.length - 1]}`;
+
+    console.log(`📝 ${type === REQUEST_TYPES.LEAVE ? 'Leave' : 'Regularization'} request for ${days}${config.profileName ? ` (${config.profileName})` : ''}`);
+    console.log(`   POST ${endpoint}`);
+    console.log(`   ${JSON.stringify(request.body)}`);
+
+    const state = loadState();
+    const tracked = findTrackedRequests(state, request);
+    if (tracked.length > 0) {
+        const submitted = tracked.map(entry => `${entry.date} (submitted ${entry.submittedAt.slice(0, 10)})`).join(', ');
+        if (!args.includes('--force') && !dryRun) {
+            console.error(`❌ Already submitted: ${submitted}. Use --force to submit again.`);
+            process.exit(EXIT_CODES.ERROR);
+        }
+        console.log(`   ⚠️  Already submitted: ${submitted}`);
+    }
+
+    if (dryRun) {
+        console.log('');
+        console.log('ℹ️  Dry run: nothing was sent to HRMS');
+        return;
+    }
+
+    if (!request.endpoint) {
+        console.error(`❌ ${endpointSetting(type)} is not set. Find the path in your browser's developer tools (Network tab) while submitting a request in HRMS.`);
+        process.exit(EXIT_CODES.CONFIG);
+    }
+
+    if (!await authenticate()) {
+        process.exit(EXIT_CODES.AUTH);
+    }
+
+    try {
+        const { message } = await submitRequest(request);
+        trackRequest(state, request);
+        saveState(state);
+
+        console.log('');
+        console.log(`✅ Submitted${message ? `: ${message}` : ''}`);
+        console.log('   Checks will show the day(s) as pending until HRMS reflects the request.');
+    } catch (error) {
+        console.error('');
+        console.error(`❌ ${error.message}`);
+        process.exit(getExitCode([{ ok: false, errorType: getErrorType(error) }]));
+    }
+}
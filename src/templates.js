@@ -0,0 +1,225 @@
+/**
+ * Templates Module
+ * Renders notification subjects and bodies from template files: one
+ * <type>.txt (a "Subject:" line, a blank line, then the plain-text body) and
+ * one <type>.html per notification type in templates/. A file with the same
+ * name in TEMPLATES_DIR overrides the built-in one.
+ *
+ * Syntax is a small Mustache subset:
+ *   {{name}}                 Value (HTML-escaped in .html templates)
+ *   {{{name}}}               Raw value, never escaped
+ *   {{#name}}...{{/name}}    Repeated for each item of a list, or shown if truthy
+ *   {{^name}}...{{/name}}    Shown if falsy or an empty list
+ *   {{! comment }}
+ * Names may be dotted (day.status); {{.}} is the current list item.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILT_IN_DIR = path.join(__dirname, '..', 'templates');
+
+export const TEMPLATE_TYPES = ['absence', 'resolved', 'test', 'session-expired', 'session-expiring', 'error', 'team-digest', 'digest', 'punch-reminder', 'leave-balance', 'holidays'];
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/!]?)\s*([^}]*?)\s*\}\}/g;
+
+// Section and comment tags alone on a line leave no blank line behind
+const STANDALONE_TAG = /^[ \t]*(\{\{[#^/!][^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Escapes text for safe inclusion in HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parses a template into a tree of text, value and section nodes
+ * @param {string} source
+ * @returns {Array<Object>}
+ * @throws {Error} On unbalanced sections
+ */
+export function parseTemplate(source) {
+    const root = [];
+    const stack = [{ name: null, children: root }];
+    const normalized = source.replace(STANDALONE_TAG, '$1');
+    let last = 0;
+
+    for (const match of normalized.matchAll(TAG_PATTERN)) {
+        const children = stack[stack.length - 1].children;
+        if (match.index > last) {
+            children.push({ type: 'text', value: normalized.slice(last, match.index) });
+        }
+        last = match.index + match[0].length;
+
+        const [, rawName, sigil, name] = match;
+        if (rawName) {
+            children.push({ type: 'value', name: rawName, raw: true });
+        } else if (sigil === '#' || sigil === '^') {
+            const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+            children.push(section);
+            stack.push(section);
+        } else if (sigil === '/') {
+            if (stack.length === 1 || stack[stack.length - 1].name !== name) {
+                throw new Error(`Unexpected {{/${name}}}`);
+            }
+            stack.pop();
+        } else if (sigil !== '!') {
+            children.push({ type: 'value', name, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (last < normalized.length) {
+        root.push({ type: 'text', value: normalized.slice(last) });
+    }
+    return root;
+}
+
+/**
+ * Looks a (dotted) name up in the context stack, innermost first
+ * @param {Array<*>} contexts
+ * @param {string} name
+ * @returns {*}
+ */
+function lookup(contexts, name) {
+    if (name === '.') {
+        return contexts[contexts.length - 1];
+    }
+
+    const [first, ...rest] = name.split('.');
+    const context = [...contexts].reverse().find(c => c !== null && typeof c === 'object' && first in c);
+    return rest.reduce((value, key) => value?.[key], context?.[first]);
+}
+
+/**
+ * Renders parsed nodes
+ * @param {Array<Object>} nodes
+ * @param {Array<*>} contexts
+ * @param {boolean} html - Escape values
+ * @returns {string}
+ */
+function renderNodes(nodes, contexts, html) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        const value = lookup(contexts, node.name);
+        if (node.type === 'value') {
+            const text = value ?? '';
+            return html && !node.raw ? escapeHtml(text) : String(text);
+        }
+
+        const empty = Array.isArray(value) ? value.length === 0 : !value;
+        if (node.inverted) {
+            return empty ? renderNodes(node.children, contexts, html) : '';
+        }
+        if (empty) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => renderNodes(node.children, [...contexts, item], html)).join('');
+        }
+        return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, html);
+    }).join('');
+}
+
+/**
+ * Renders a template string
+ * @param {string} source
+ * @param {Object} view
+ * @param {{ html?: boolean }} [options] - html: escape values
+ * @returns {string}
+ */
+export function renderString(source, view, { html = false } = {}) {
+    return renderNodes(parseTemplate(source), [view], html);
+}
+
+/**
+ * Finds a template file, preferring the override directory
+ * @param {string} file - e.g. "absence.html"
+ * @returns {string}
+ */
+function resolveTemplate(file) {
+    if (config.templates.dir) {
+        const override = path.join(config.templates.dir, file);
+        if (fs.existsSync(override)) {
+            return override;
+        }
+    }
+    return path.join(BUILT_IN_DIR, file);
+}
+
+/**
+ * Renders the subject, text and HTML of a notification type
+ * @param {string} type - One of TEMPLATE_TYPES
+ * @param {Object} view - Values for the templates
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderTemplate(type, view) {
+    const text = renderString(fs.readFileSync(resolveTemplate(`${type}.txt`), 'utf-8'), view);
+    const html = renderString(fs.readFileSync(resolveTemplate(`${type}.html`), 'utf-8'), view, { html: true });
+
+    const match = /^Subject:[ \t]*(.*)\r?\n/.exec(text);
+    if (!match) {
+        throw new Error(`Template ${type}.txt must start with a "Subject:" line`);
+    }
+
+    return {
+        subject: match[1].trim(),
+        text: text.slice(match[0].length).trim(),
+        html: html.trim(),
+    };
+}
+
+/**
+ * Validates the template override directory
+ * @returns {string[]} Problems found
+ */
+export function validateTemplates() {
+    const dir = config.templates.dir;
+    if (!dir) {
+        return [];
+    }
+    if (!fs.existsSync(dir)) {
+        return [`TEMPLATES_DIR ${dir} does not exist`];
+    }
+
+    const errors = [];
+    for (const type of TEMPLATE_TYPES) {
+        for (const ext of ['txt', 'html']) {
+            const file = path.join(dir, `${type}.${ext}`);
+            if (!fs.existsSync(file)) {
+                continue;
+            }
+            const source = fs.readFileSync(file, 'utf-8');
+            try {
+                parseTemplate(source);
+            } catch (error) {
+                errors.push(`Template ${file}: ${error.message}`);
+            }
+            if (ext === 'txt' && !/^Subject:/.test(source)) {
+                errors.push(`Template ${file} must start with a "Subject:" line`);
+            }
+        }
+    }
+
+    const unknown = fs.readdirSync(dir)
+        .filter(file => /\.(txt|html)$/.test(file) && !TEMPLATE_TYPES.includes(file.replace(/\.(txt|html)$/, '')));
+    for (const file of unknown) {
+        errors.push(`Template ${path.join(dir, file)} does not match a notification type (${TEMPLATE_TYPES.join(', ')})`);
+    }
+    return errors;
+}
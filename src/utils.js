@@ -1,42 +1,178 @@
+import { config } from './config.js';
+import { getZonedParts } from './cron.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Gets the salary period date range (26th of last month to 25th of current month)
- * Days 1-27: Shows previous period (for review/regularization)
- * Days 28+: Shows current period
- * @returns {{ months: Array<{month: number, year: number}>, startDate: Date, endDate: Date }}
+ * Returns the number of days in a month
+ * @param {number} year
+ * @param {number} monthIndex - 0-indexed month (may overflow, e.g. -1 or 12)
+ * @returns {number}
  */
-export function getDateRange() {
-    const today = new Date();
-    const currentDay = today.getDate();
+function daysInMonth(year, monthIndex) {
+    return new Date(year, monthIndex + 1, 0).getDate();
+}
 
-    let startDate, endDate;
+/**
+ * Builds the salary period that starts in the given month.
+ * Days beyond the end of a month are clamped (e.g. end day 31 in February).
+ * @param {number} year
+ * @param {number} monthIndex - 0-indexed month the period starts in (may overflow)
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+function periodStartingIn(year, monthIndex) {
+    const { startDay, endDay } = config.period;
+    const startDate = new Date(year, monthIndex, Math.min(startDay, daysInMonth(year, monthIndex)));
 
-    if (currentDay >= 28) {
-        // After 27th: Show current salary period (26th of this month to 25th of next month)
-        startDate = new Date(today.getFullYear(), today.getMonth(), 26);
-        endDate = new Date(today.getFullYear(), today.getMonth() + 1, 25);
-    } else {
-        // Days 1-27: Show previous salary period (for review/regularization)
-        startDate = new Date(today.getFullYear(), today.getMonth() - 1, 26);
-        endDate = new Date(today.getFullYear(), today.getMonth(), 25);
+    // An end day before the start day means the period ends in the next month
+    const endMonth = endDay < startDay ? monthIndex + 1 : monthIndex;
+    const endDate = new Date(year, endMonth, Math.min(endDay, daysInMonth(year, endMonth)));
+
+    return { startDate, endDate };
+}
+
+/**
+ * Returns today's date (midnight) in the configured period timezone
+ * @returns {Date}
+ */
+export function getToday() {
+    const { year, month, day } = getZonedParts(new Date(), config.period.timezone);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Parses a YYYY-MM-DD string as a local date
+ * @param {string} dateStr
+ * @returns {Date}
+ */
+export function parseLocalDate(dateStr) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+    if (!match) {
+        throw new Error(`Invalid date "${dateStr}" (expected YYYY-MM-DD)`);
     }
 
-    // Get unique months in the range
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    if (date.getDate() !== Number(match[3])) {
+        throw new Error(`Invalid date "${dateStr}"`);
+    }
+    return date;
+}
+
+/**
+ * Lists the unique months covered by a date range
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Array<{month: number, year: number}>}
+ */
+function getMonthsInRange(startDate, endDate) {
     const months = [];
-    const current = new Date(startDate);
-    current.setDate(1); // Start from first of month to avoid date overflow issues
+    const current = new Date(startDate.getFullYear(), startDate.getMonth(), 1); // Avoid date overflow
 
     while (current <= endDate) {
-        const month = current.getMonth() + 1; // 1-indexed
-        const year = current.getFullYear();
+        months.push({ month: current.getMonth() + 1, year: current.getFullYear() }); // 1-indexed month
+        current.setMonth(current.getMonth() + 1);
+    }
+
+    return months;
+}
+
+/**
+ * Gets the salary period date range.
+ * By default the period is configured as 26th of last month to 25th of current month:
+ * Before the cutover day (28th): Shows previous period (for review/regularization)
+ * From the cutover day: Shows current period
+ *
+ * @param {{ period?: string, from?: string, to?: string, today?: Date }} [options]
+ *   period: "previous" | "current" | "YYYY-MM" (the period ending in that month);
+ *   from/to: explicit YYYY-MM-DD range, overriding period
+ * @returns {{ months: Array<{month: number, year: number}>, startDate: Date, endDate: Date }}
+ */
+export function getDateRange({ period, from, to, today = getToday() } = {}) {
+    let startDate, endDate;
+
+    if (from || to) {
+        if (!from || !to) {
+            throw new Error('--from and --to must be used together');
+        }
+        startDate = parseLocalDate(from);
+        endDate = parseLocalDate(to);
+        if (startDate > endDate) {
+            throw new Error(`--from ${from} is after --to ${to}`);
+        }
+    } else if (!period) {
+        // The period starting this month once its cutover day is reached,
+        // otherwise the one before (stepping back at most twice)
+        for (let offset = 0; offset >= -2; offset--) {
+            ({ startDate, endDate } = periodStartingIn(today.getFullYear(), today.getMonth() + offset));
+            const cutover = new Date(startDate.getFullYear(), startDate.getMonth(), config.period.cutoverDay);
+            if (cutover < startDate) {
+                cutover.setMonth(cutover.getMonth() + 1);
+            }
+            if (today >= cutover) {
+                break;
+            }
+        }
+    } else if (period === 'current' || period === 'previous') {
+        // The period containing today, or the one before it
+        let offset = 1;
+        do {
+            ({ startDate, endDate } = periodStartingIn(today.getFullYear(), today.getMonth() + offset));
+            offset--;
+        } while (startDate > today);
 
-        if (!months.some(m => m.month === month && m.year === year)) {
-            months.push({ month, year });
+        if (period === 'previous') {
+            ({ startDate, endDate } = periodStartingIn(startDate.getFullYear(), startDate.getMonth() - 1));
+        }
+    } else {
+        const match = /^(\d{4})-(\d{2})$/.exec(period);
+        if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+            throw new Error(`Invalid --period "${period}" (expected previous, current or YYYY-MM)`);
         }
 
-        current.setMonth(current.getMonth() + 1);
+        // The period ending in the given month
+        const year = Number(match[1]);
+        const monthIndex = Number(match[2]) - 1;
+        const { startDay, endDay } = config.period;
+        ({ startDate, endDate } = periodStartingIn(year, endDay < startDay ? monthIndex - 1 : monthIndex));
     }
 
-    return { months, startDate, endDate };
+    return { months: getMonthsInRange(startDate, endDate), startDate, endDate };
+}
+
+/**
+ * Finds the salary period containing a date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {{ label: string, startDate: Date, endDate: Date }}
+ *   label: "YYYY-MM" of the month the period ends in (as accepted by --period)
+ */
+export function getPeriodForDate(dateStr) {
+    const date = parseLocalDate(dateStr);
+
+    // The period starts in this month or the one before
+    let { startDate, endDate } = periodStartingIn(date.getFullYear(), date.getMonth());
+    if (startDate > date) {
+        ({ startDate, endDate } = periodStartingIn(date.getFullYear(), date.getMonth() - 1));
+    }
+
+    const label = `${endDate.getFullYear()}-${String(endDate.getMonth() + 1).padStart(2, '0')}`;
+    return { label, startDate, endDate };
+}
+
+/**
+ * Reads the value of a CLI option given as "--name value" or "--name=value"
+ * @param {string[]} args
+ * @param {string} name - Option name without dashes
+ * @returns {string | undefined}
+ */
+export function getArgValue(args, name) {
+    const prefix = `--${name}=`;
+    const inline = args.find(arg => arg.startsWith(prefix));
+    if (inline) {
+        return inline.slice(prefix.length);
+    }
+
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : undefined;
 }
 
 /**
@@ -51,6 +187,16 @@ export function formatDate(date) {
     return `${year}-${month}-${day}`;
 }
 
+/**
+ * Moves a YYYY-MM-DD date by a number of days (UTC arithmetic, so DST changes do not matter)
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
 /**
  * Checks if a date is within the specified range
  * @param {string} dateStr - Date string in YYYY-MM-DD format
@@ -59,21 +205,44 @@ export function formatDate(date) {
  * @returns {boolean}
  */
 export function isDateInRange(dateStr, startDate, endDate) {
-    const date = new Date(dateStr);
-    return date >= startDate && date <= endDate;
+    // Compare calendar dates: new Date("YYYY-MM-DD") is UTC midnight, which
+    // falls outside a local-midnight range boundary east or west of UTC
+    const date = dateStr.slice(0, 10);
+    return date >= formatDate(startDate) && date <= formatDate(endDate);
 }
 
 /**
- * Formats a date for display
+ * Formats a date for display in the configured locale
  * @param {string} dateStr - Date string
  * @returns {string}
  */
 export function formatDisplayDate(dateStr) {
-    const date = new Date(dateStr);
-    return date.toLocaleDateString('en-IN', {
+    const date = parseLocalDate(dateStr.slice(0, 10));
+    return date.toLocaleDateString(config.display.locale, {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric',
     });
 }
+
+/**
+ * Formats a date range for display in the configured locale, e.g. "26 Dec 2025 – 25 Jan 2026"
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {string}
+ */
+export function formatDisplayRange(startDate, endDate) {
+    return new Intl.DateTimeFormat(config.display.locale, { day: 'numeric', month: 'short', year: 'numeric' })
+        .formatRange(startDate, endDate);
+}
+
+/**
+ * Formats a point in time for display in the configured locale
+ * @param {Date} date
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatDisplayDateTime(date, options) {
+    return date.toLocaleString(config.display.locale, options);
+}
@@ -0,0 +1,225 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { loadState, saveState, diffAbsences, markAlerted } from '../src/state.js';
+import { parseLocalDate } from '../src/utils.js';
+import { ActionTokenError, createActionToken, verifyActionToken, buildActionLinks, applyAction, submitQueuedRequests } from '../src/actions.js';
+import { startServer } from '../src/server.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const NOW = new Date('2026-01-06T09:00:00Z');
+const DAY = { date: '2026-01-05', status: 'Absent', category: 'actionable' };
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+    config.alerts.stateFile = path.join(workDir, 'alert-state.json');
+    Object.assign(config.actions, {
+        baseUrl: 'https://notifier.example.com',
+        secret: 'a-test-secret-of-16+chars',
+        linkTtl: '7d',
+        snoozeDays: 3,
+        leaveType: 'Casual Leave',
+    });
+    Object.assign(config.hrms, { regularizationEndpoint: '/attendance/regularize', leaveEndpoint: '/leave/apply' });
+    config.profileName = null;
+});
+
+after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Writes a state in which DAY was alerted yesterday
+ */
+function seedState() {
+    const state = loadState();
+    state.absences = {};
+    state.queue = [];
+    state.requests = {};
+    markAlerted(state, [DAY], new Date('2026-01-05T09:00:00Z'));
+    saveState(state);
+}
+
+describe('action tokens', () => {
+    test('round-trip', () => {
+        const token = createActionToken({ action: 'snooze', date: '2026-01-05', profile: 'alice' }, NOW);
+        const payload = verifyActionToken(token, NOW);
+        assert.deepEqual({ ...payload, expiresAt: undefined }, { action: 'snooze', date: '2026-01-05', profile: 'alice', expiresAt: undefined });
+    });
+
+    test('a tampered token is rejected', () => {
+        const token = createActionToken({ action: 'snooze', date: '2026-01-05' }, NOW);
+        const [, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ a: 'handled', d: '2026-01-05', p: null, e: NOW.getTime() + 1e9 })).toString('base64url');
+
+        assert.throws(() => verifyActionToken(`${forged}.${signature}`, NOW), ActionTokenError);
+        assert.throws(() => verifyActionToken('garbage', NOW), ActionTokenError);
+    });
+
+    test('an expired token is rejected', () => {
+        const token = createActionToken({ action: 'snooze', date: '2026-01-05' }, NOW);
+        const later = new Date(NOW.getTime() + 8 * 24 * 60 * 60 * 1000);
+        assert.throws(() => verifyActionToken(token, later), /expired/);
+    });
+
+    test('links are only offered for actions that can be carried out', () => {
+        assert.deepEqual(buildActionLinks('2026-01-05', NOW).map(link => link.action), ['wfh', 'leave', 'snooze', 'handled']);
+
+        config.actions.leaveType = undefined;
+        try {
+            assert.deepEqual(buildActionLinks('2026-01-05', NOW).map(link => link.action), ['wfh', 'snooze', 'handled']);
+        } finally {
+            config.actions.leaveType = 'Casual Leave';
+        }
+    });
+});
+
+describe('applyAction and re-alerting', () => {
+    beforeEach(seedState);
+
+    const diff = now => diffAbsences(loadState(), [DAY], parseLocalDate('2025-12-26'), parseLocalDate('2026-01-25'), now);
+
+    test('a handled day is no longer reminded', () => {
+        config.alerts.reminderIntervalDays = 1;
+        assert.equal(diff(NOW).reminderDays.length, 1);
+
+        assert.match(applyAction({ action: 'handled', date: '2026-01-05' }, NOW), /marked as handled/);
+        assert.deepEqual(diff(NOW), { newDays: [], reminderDays: [], resolvedDays: [] });
+    });
+
+    test('a snoozed day is reminded once the snooze ends', () => {
+        config.alerts.reminderIntervalDays = 0;
+        applyAction({ action: 'snooze', date: '2026-01-05' }, NOW);
+
+        assert.equal(diff(new Date('2026-01-08T09:00:00Z')).reminderDays.length, 0);
+        assert.equal(diff(new Date('2026-01-09T09:00:01Z')).reminderDays.length, 1);
+    });
+
+    test('WFH is queued once and acknowledges the day', () => {
+        assert.match(applyAction({ action: 'wfh', date: '2026-01-05' }, NOW), /Queued/);
+        assert.match(applyAction({ action: 'wfh', date: '2026-01-05' }, NOW), /already on its way/);
+
+        const state = loadState();
+        assert.equal(state.queue.length, 1);
+        assert.deepEqual(state.queue[0].options, { date: '2026-01-05', reason: 'Work from home' });
+        assert.ok(state.absences['2026-01-05'].acknowledgedAt);
+    });
+
+    test('a day that is no longer flagged is left alone', () => {
+        assert.match(applyAction({ action: 'handled', date: '2026-01-06' }, NOW), /no longer flagged/);
+    });
+});
+
+describe('submitQueuedRequests against the mock HRMS', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMockHrms();
+        config.hrms.baseUrl = mock.url;
+        Object.assign(config.hrms, { retries: 0, timeoutMs: 300, accessToken: 'test-token', xsrfToken: 'test-xsrf', mappingId: 'TEST1234' });
+    });
+
+    after(() => mock.close());
+
+    beforeEach(() => {
+        seedState();
+        applyAction({ action: 'leave', date: '2026-01-05' }, NOW);
+        mock.scenario = 'ok';
+        mock.submissions.length = 0;
+    });
+
+    test('submits and tracks queued requests', async () => {
+        const { submitted, failed } = await submitQueuedRequests();
+
+        assert.deepEqual(submitted, [{ type: 'leave', date: '2026-01-05' }]);
+        assert.deepEqual(failed, []);
+        assert.equal(mock.submissions[0].path, '/leave/apply');
+        assert.equal(mock.submissions[0].body.LeaveType, 'Casual Leave');
+
+        const state = loadState();
+        assert.deepEqual(state.queue, []);
+        assert.equal(state.requests['2026-01-05'].type, 'leave');
+    });
+
+    test('a request HRMS did not receive stays queued', async () => {
+        mock.scenario = 'forbidden';
+        assert.deepEqual(await submitQueuedRequests(), { submitted: [], failed: [] });
+        assert.equal(loadState().queue.length, 1);
+    });
+
+    test('a rejected request is dropped and the day alerted again', async () => {
+        mock.scenario = 'rejected';
+        const { failed } = await submitQueuedRequests();
+
+        assert.equal(failed.length, 1);
+        const state = loadState();
+        assert.deepEqual(state.queue, []);
+        assert.equal(state.absences['2026-01-05'], undefined);
+    });
+});
+
+describe('action links on the status server', () => {
+    let server;
+    let baseUrl;
+    const performed = [];
+
+    before(async () => {
+        config.server.port = 0;
+        config.server.token = 'status-token';
+
+        // The runner in Node 20 mis-parses stdout written between its own
+        // messages, so keep the "listening" line out of the output
+        const log = console.log;
+        console.log = () => {};
+        try {
+            server = await startServer({
+                performAction: async payload => {
+                    performed.push(payload);
+                    return 'Done & dusted';
+                },
+            });
+        } finally {
+            console.log = log;
+        }
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    test('GET asks for confirmation without acting', async () => {
+        const token = createActionToken({ action: 'handled', date: '2026-01-05' });
+        const response = await fetch(`${baseUrl}/actions/${token}`);
+
+        assert.equal(response.status, 200);
+        assert.match(await response.text(), /<form method="post">/);
+        assert.equal(performed.length, 0);
+    });
+
+    test('POST carries out the action without the status token', async () => {
+        const token = createActionToken({ action: 'handled', date: '2026-01-05' });
+        const response = await fetch(`${baseUrl}/actions/${token}`, { method: 'POST' });
+
+        assert.equal(response.status, 200);
+        assert.match(await response.text(), /Done &amp; dusted/);
+        assert.deepEqual(performed.map(p => `${p.action}:${p.date}`), ['handled:2026-01-05']);
+    });
+
+    test('an invalid link is a 400 page', async () => {
+        const response = await fetch(`${baseUrl}/actions/not.valid`, { method: 'POST' });
+        assert.equal(response.status, 400);
+        assert.match(await response.text(), /not valid/);
+    });
+
+    test('other routes still need the status token', async () => {
+        const response = await fetch(`${baseUrl}/api/status`);
+        assert.equal(response.status, 401);
+    });
+});
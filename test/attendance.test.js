@@ -0,0 +1,128 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import { extractAbsentDays, classifyDays, checkAttendance } from '../src/attendance.js';
+import { parseLocalDate } from '../src/utils.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const december = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'attendance-2025-12.json'), 'utf-8'));
+const january = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'attendance-2026-01.json'), 'utf-8'));
+
+const periodStart = parseLocalDate('2025-12-26');
+const periodEnd = parseLocalDate('2026-01-25');
+
+beforeEach(() => {
+    Object.assign(config.period, { startDay: 26, endDay: 25, cutoverDay: 28 });
+    config.rules.file = undefined;
+});
+
+describe('extractAbsentDays', () => {
+    test('returns only ABSENT days inside the range', () => {
+        assert.deepEqual(extractAbsentDays(december, periodStart, periodEnd), [
+            { date: '2025-12-26', status: 'Absent' },
+            { date: '2025-12-29', status: 'Absent' },
+        ]);
+        assert.deepEqual(extractAbsentDays(january, periodStart, periodEnd), [
+            { date: '2026-01-05', status: 'Absent' },
+        ]);
+    });
+
+    test('includes the first and last day of the period', () => {
+        const absences = extractAbsentDays(december, parseLocalDate('2025-12-10'), parseLocalDate('2025-12-26'));
+        assert.deepEqual(absences.map(day => day.date), ['2025-12-10', '2025-12-26']);
+    });
+
+    test('tolerates empty and malformed payloads', () => {
+        assert.deepEqual(extractAbsentDays(null, periodStart, periodEnd), []);
+        assert.deepEqual(extractAbsentDays({ Data: {} }, periodStart, periodEnd), []);
+        assert.deepEqual(extractAbsentDays({
+            Data: { DailyAttendanceSummary: [{ ShiftDetails: {} }, { DailyAttendanceStatus: [{ TagType: 3 }] }] },
+        }, periodStart, periodEnd), []);
+    });
+});
+
+describe('classifyDays', () => {
+    test('categorizes every day in range', () => {
+        const days = classifyDays(december, periodStart, periodEnd);
+        const byDate = Object.fromEntries(days.map(day => [day.date, day]));
+
+        assert.equal(days.length, 6); // 26th-31st
+        assert.equal(byDate['2025-12-26'].category, 'actionable');
+        assert.equal(byDate['2025-12-29'].category, 'pending');
+        assert.equal(byDate['2025-12-30'].category, 'actionable');
+        assert.equal(byDate['2025-12-30'].status, 'Missing Punch');
+        assert.equal(byDate['2025-12-27'].category, 'informational');
+    });
+});
+
+describe('checkAttendance against the mock HRMS', () => {
+    let mock;
+    let workDir;
+
+    before(async () => {
+        mock = await startMockHrms();
+        config.hrms.baseUrl = mock.url;
+        config.hrms.retries = 0;
+        config.hrms.timeoutMs = 500;
+        config.history.enabled = false;
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+        config.schema.dumpDir = path.join(workDir, 'dumps');
+        config.schema.fieldsFile = path.join(workDir, 'api-fields.json');
+        config.session.file = path.join(__dirname, 'fixtures', 'missing-session.json');
+        Object.assign(config.hrms, { accessToken: 'test-token', xsrfToken: 'test-xsrf', mappingId: 'TEST1234' });
+    });
+
+    after(async () => {
+        await mock.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock.scenario = 'ok';
+        mock.queue.length = 0;
+        mock.requests.length = 0;
+    });
+
+    test('fetches every month of a period spanning the new year', async () => {
+        const result = await checkAttendance({ period: '2026-01' });
+
+        assert.deepEqual(mock.requests.map(r => `${r.query.year}-${r.query.month}`), ['2025-12', '2026-1']);
+        assert.equal(mock.requests[0].headers.authorization, 'Bearer test-token');
+        assert.equal(mock.requests[0].headers.mappingid, 'TEST1234');
+
+        assert.deepEqual(result.absentDays.map(day => day.date), ['2025-12-26', '2025-12-29', '2026-01-05']);
+        assert.deepEqual(result.flaggedDays.map(day => `${day.date}:${day.category}`), [
+            '2025-12-26:actionable',
+            '2025-12-29:pending',
+            '2025-12-30:actionable',
+            '2026-01-05:actionable',
+            '2026-01-20:actionable',
+        ]);
+        assert.equal(result.summary.length, 2);
+        assert.equal(result.summary[0].absent, 3);
+    });
+
+    test('a payload without Data is a schema error', async () => {
+        mock.scenario = 'missing-data';
+        await assert.rejects(checkAttendance({ period: '2026-01' }), { name: 'ApiSchemaError' });
+    });
+
+    test('a renamed field fails loudly instead of reporting no absences', async () => {
+        await checkAttendance({ period: '2026-01' }); // Remember the known fields
+        mock.scenario = 'renamed-field';
+
+        await assert.rejects(checkAttendance({ period: '2026-01' }), error => {
+            assert.equal(error.name, 'ApiSchemaError');
+            assert.deepEqual(error.problems, ['Data.DailyAttendanceSummary[].DailyAttendanceStatus[].TagType: missing']);
+            assert.deepEqual(error.newFields, ['Data.DailyAttendanceSummary[].DailyAttendanceStatus[].TagTypeId']);
+            assert.ok(fs.existsSync(error.dumpFile), 'payload is dumped');
+            assert.match(error.message, /may be renames/);
+            return true;
+        });
+    });
+});
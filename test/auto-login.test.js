@@ -0,0 +1,182 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { decodeBase32, generateTotp, signIn, relogin, validateAutoLogin } from '../src/auto-login.js';
+import { LoginError } from '../src/errors.js';
+import { loadState, saveState } from '../src/state.js';
+
+// RFC 6238 test key "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const credentials = { username: 'asha@example.com', password: 'hunter2', totpSecret: RFC_SECRET };
+
+/**
+ * Stands in for a Puppeteer page walking through scripted sign-in pages
+ */
+class FakeSignInPage {
+    /**
+     * @param {Record<string, { visible?: string[], text?: Record<string, string>, next?: Record<string, string>, done?: boolean }>} pages
+     * @param {string} start
+     */
+    constructor(pages, start) {
+        this.pages = pages;
+        this.current = pages[start];
+        this.typed = [];
+        this.clicked = [];
+    }
+
+    async cookies() {
+        return this.current.done ? [{ name: 'hr_atk', value: 'token' }] : [];
+    }
+
+    async $(selector) {
+        if (!(this.current.visible || []).includes(selector)) {
+            return null;
+        }
+        const textContent = this.current.text?.[selector] || '';
+        return { isVisible: async () => true, evaluate: async fn => fn({ textContent }) };
+    }
+
+    async $eval() {}
+
+    async type(selector, value) {
+        this.typed.push({ selector, value, at: Date.now() });
+    }
+
+    async click(selector) {
+        this.clicked.push(selector);
+        const next = this.current.next?.[selector];
+        if (next) {
+            this.current = this.pages[next];
+        }
+    }
+}
+
+const PAGES = {
+    email: { visible: ['input[name="loginfmt"]'], next: { '#idSIButton9': 'password' } },
+    password: { visible: ['input[name="passwd"]'], next: { '#idSIButton9': 'push' } },
+    push: { visible: ['#signInAnotherWay'], next: { '#signInAnotherWay': 'methods' } },
+    methods: { visible: ['div[data-value="PhoneAppOTP"]'], next: { 'div[data-value="PhoneAppOTP"]': 'totp' } },
+    totp: { visible: ['input[name="otc"]'], next: { '#idSubmit_SAOTCC_Continue': 'kmsi' } },
+    kmsi: { visible: ['#KmsiCheckboxField'], next: { '#idSIButton9': 'hrms' } },
+    hrms: { done: true },
+};
+
+describe('generateTotp', () => {
+    test('matches the RFC 6238 test vectors', () => {
+        assert.equal(generateTotp(RFC_SECRET, { time: 59000, digits: 8 }), '94287082');
+        assert.equal(generateTotp(RFC_SECRET, { time: 1111111109000, digits: 8 }), '07081804');
+        assert.equal(generateTotp(RFC_SECRET, { time: 1234567890000, digits: 8 }), '89005924');
+        assert.equal(generateTotp(RFC_SECRET, { time: 59000 }), '287082');
+    });
+
+    test('secrets are accepted as Microsoft shows them', () => {
+        assert.deepEqual(decodeBase32('gezd gnbv gy3t qojq'), decodeBase32('GEZDGNBVGY3TQOJQ'));
+        assert.throws(() => decodeBase32('GEZD1'), /"1" is not a base32 character/);
+    });
+});
+
+describe('validateAutoLogin', () => {
+    after(() => {
+        Object.assign(config.autoLogin, { enabled: false, username: undefined, password: undefined, totpSecret: undefined });
+    });
+
+    test('reports every missing or invalid setting', () => {
+        Object.assign(config.autoLogin, { enabled: true, username: undefined, password: undefined, totpSecret: 'not-base32!' });
+        const errors = validateAutoLogin();
+
+        assert.equal(errors.length, 3);
+        assert.match(errors.join('\n'), /SSO_USERNAME is required/);
+        assert.match(errors.join('\n'), /SSO_TOTP_SECRET must be the base32 secret key/);
+    });
+
+    test('nothing is required while it is off', () => {
+        config.autoLogin.enabled = false;
+        assert.deepEqual(validateAutoLogin(), []);
+    });
+});
+
+describe('signIn', () => {
+    const options = { timeoutMs: 5000, stepTimeoutMs: 50, pollMs: 5 };
+    let log;
+
+    // Keep the per-step progress lines out of the runner output
+    before(() => {
+        log = console.log;
+        console.log = () => {};
+    });
+
+    after(() => {
+        console.log = log;
+    });
+
+    test('walks through the password and TOTP pages, past a push approval', async () => {
+        const page = new FakeSignInPage(PAGES, 'email');
+        await signIn(page, credentials, options);
+
+        assert.deepEqual(page.typed.map(entry => entry.value).slice(0, 2), ['asha@example.com', 'hunter2']);
+        const code = page.typed[2];
+        assert.equal(code.selector, 'input[name="otc"]');
+        assert.equal(code.value, generateTotp(RFC_SECRET, { time: code.at }));
+        assert.deepEqual(page.clicked, ['#idSIButton9', '#idSIButton9', '#signInAnotherWay', 'div[data-value="PhoneAppOTP"]', '#idSubmit_SAOTCC_Continue', '#idSIButton9']);
+    });
+
+    test('a rejected password stops with the page message', async () => {
+        const page = new FakeSignInPage({
+            ...PAGES,
+            password: { ...PAGES.password, next: { '#idSIButton9': 'wrong' } },
+            wrong: { visible: ['input[name="passwd"]', '#passwordError'], text: { '#passwordError': ' Your account or password is incorrect. ' } },
+        }, 'email');
+
+        await assert.rejects(signIn(page, credentials, options), error =>
+            error instanceof LoginError &&
+            error.message === 'Sign-in rejected: Your account or password is incorrect.' &&
+            error.step === 'password');
+    });
+
+    test('an unsupported challenge is given up on', async () => {
+        const page = new FakeSignInPage({ ...PAGES, password: { ...PAGES.password, next: { '#idSIButton9': 'sms' } }, sms: {} }, 'email');
+
+        await assert.rejects(signIn(page, credentials, options), { name: 'LoginError', message: /Unsupported sign-in challenge/, step: 'password' });
+    });
+
+    test('a page that keeps coming back is not submitted forever', async () => {
+        const page = new FakeSignInPage({ email: { visible: ['input[name="loginfmt"]'] } }, 'email');
+
+        await assert.rejects(signIn(page, credentials, options), { name: 'LoginError', message: /email page did not accept/ });
+        assert.equal(page.typed.length, 2);
+    });
+});
+
+describe('relogin', () => {
+    let workDir;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+        config.alerts.stateFile = path.join(workDir, 'alert-state.json');
+        config.autoLogin.retryAfter = '12h';
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        fs.rmSync(config.alerts.stateFile, { force: true });
+    });
+
+    test('waits after a failed attempt instead of launching a browser', async () => {
+        saveState({ ...loadState(), session: { autoLoginFailedAt: '2026-01-20T08:00:00.000Z' } });
+
+        const log = console.log;
+        console.log = () => {};
+        try {
+            assert.equal(await relogin(new Date('2026-01-20T19:00:00.000Z')), false);
+        } finally {
+            console.log = log;
+        }
+        assert.equal(loadState().session.autoLoginFailedAt, '2026-01-20T08:00:00.000Z');
+    });
+});
@@ -0,0 +1,195 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { COMMANDS, formatHelp } from '../src/commands/index.js';
+import { EXIT_CODES } from '../src/exit-codes.js';
+import { startCliEnv } from './helpers/cli.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// An access token valid for an hour
+const payload = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600 })).toString('base64url');
+
+let harness;
+
+before(() => {
+    harness = startCliEnv(null, {
+        SESSION_PASSPHRASE: PASSPHRASE,
+        WEBHOOK_URL: 'http://127.0.0.1:9/hooks',
+        CHECK_SCHEDULE: '0 9 * * 1-5',
+        SCHEDULE_TIMEZONE: 'Asia/Kolkata',
+    });
+});
+
+after(() => harness.close());
+
+beforeEach(() => {
+    for (const file of ['session.json', 'alert-state.json', 'history.jsonl', 'profiles.json']) {
+        fs.rmSync(path.join(harness.workDir, file), { force: true });
+    }
+});
+
+describe('help', () => {
+    test('lists every command, including grouped ones', () => {
+        const help = formatHelp();
+        for (const name of ['login', 'export', 'import', 'check', 'status', 'session info', 'notify test', 'config validate']) {
+            assert.match(help, new RegExp(`^  ${name} +\\S`, 'm'), name);
+        }
+    });
+
+    test('every command documents its own usage', () => {
+        const commands = Object.values(COMMANDS).flatMap(command => (command.subcommands
+            ? Object.values(command.subcommands).map(sub => [`${command.name} ${sub.name}`, sub])
+            : [[command.name, command]]));
+
+        for (const [name, command] of commands) {
+            assert.ok(command.usage.startsWith(`Usage: hrms-notifier ${name}`), name);
+            assert.match(command.usage, /-h, --help/, name);
+            assert.equal(typeof command.run, 'function', name);
+        }
+    });
+
+    test('--help shows the usage instead of running the command', async () => {
+        const { code, stdout } = await harness.cli(['import', '--help']);
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage: hrms-notifier import <file> \[--delete\]/);
+
+        const grouped = await harness.cli(['help', 'session', 'info']);
+        assert.match(grouped.stdout, /^Usage: hrms-notifier session info/);
+    });
+
+    test('an unknown command is a usage error', async () => {
+        const { code, stderr } = await harness.cli(['sesion', 'info']);
+        assert.equal(code, EXIT_CODES.CONFIG);
+        assert.match(stderr, /Unknown command "sesion"/);
+        assert.match(stderr, /Commands:/);
+
+        const sub = await harness.cli(['session', 'dump']);
+        assert.equal(sub.code, EXIT_CODES.CONFIG);
+        assert.match(sub.stderr, /Unknown command "session dump"/);
+    });
+
+    test('an option the command does not have is a usage error', async () => {
+        const { code, stdout, stderr } = await harness.cli(['check', '--test', '--ouptut', 'json']);
+        assert.equal(code, EXIT_CODES.CONFIG);
+        assert.equal(stdout, '', 'nothing ran');
+        assert.match(stderr, /Unknown option "--ouptut"/);
+        assert.match(stderr, /Usage: hrms-notifier check/);
+
+        const inline = await harness.cli(['session', 'info', '--output=json', '--verbose']);
+        assert.equal(inline.code, EXIT_CODES.CONFIG);
+        assert.match(inline.stderr, /Unknown option "--verbose"/);
+    });
+});
+
+describe('config validate', () => {
+    test('passes a complete configuration', async () => {
+        const { code, stdout } = await harness.cli(['config', 'validate']);
+        assert.equal(code, 0);
+        assert.match(stdout, /Configuration validated/);
+    });
+
+    test('reports every problem, in every profile, and exits with the config code', async () => {
+        fs.writeFileSync(path.join(harness.workDir, 'profiles.json'), JSON.stringify({
+            profiles: [
+                { name: 'alice', sessionFile: 'alice.json' },
+                { name: 'bob', sessionFile: 'bob.json', notify: { channels: ['slack'] } },
+            ],
+        }));
+
+        const { code, stdout, stderr } = await harness.cli(['config', 'validate'], { env: { CHECK_SCHEDULE: '0 25 * * *' } });
+        assert.equal(code, EXIT_CODES.CONFIG);
+        assert.match(stdout, /Validating profile alice[\s\S]*Validating profile bob/);
+        assert.match(stderr, /CHECK_SCHEDULE/);
+        assert.match(stderr, /SLACK_WEBHOOK_URL is required/);
+    });
+});
+
+describe('session info', () => {
+    test('describes an encrypted session without a browser', async () => {
+        const session = {
+            exportedAt: '2026-01-20T08:00:00.000Z',
+            sessionStartedAt: '2026-01-20T08:00:00.000Z',
+            cookies: [
+                { name: 'hr_atk', value: `e30.${payload}.sig`, domain: '.hrms.test', path: '/', expires: -1 },
+                { name: 'ESTSAUTH', value: 'sso', domain: '.hrms.test', path: '/', expires: Date.parse('2026-03-01T00:00:00Z') / 1000 },
+            ],
+        };
+        // Written in plaintext; reading it encrypts it
+        fs.writeFileSync(harness.env.SESSION_FILE, JSON.stringify(session), { mode: 0o644 });
+
+        const { code, stdout } = await harness.cli(['session', 'info', '--output', 'json']);
+        assert.equal(code, 0);
+
+        const [info] = JSON.parse(stdout).sessions;
+        assert.equal(info.profile, null);
+        assert.equal(info.encrypted, true);
+        assert.equal(info.cookies, 2);
+        assert.equal(info.tokenValid, true);
+        assert.equal(info.sessionStartedAt, session.sessionStartedAt);
+        assert.equal(info.sessionExpiresAt, '2026-03-01T00:00:00.000Z');
+        assert.equal(info.sessionExpirySource, 'cookie');
+        if (process.platform !== 'win32') {
+            assert.equal(info.private, true);
+        }
+    });
+
+    test('a missing session file fails with the auth code', async () => {
+        const { code, stdout } = await harness.cli(['session', 'info']);
+        assert.equal(code, EXIT_CODES.AUTH);
+        assert.match(stdout, /Missing/);
+    });
+});
+
+describe('status', () => {
+    test('summarizes the local state', async () => {
+        fs.writeFileSync(harness.env.ALERT_STATE_FILE, JSON.stringify({
+            absences: {
+                '2026-01-05': { status: 'Absent', category: 'absent', firstDetectedAt: '2026-01-06T03:30:00.000Z', lastAlertedAt: '2026-01-06T03:30:00.000Z', alertCount: 1 },
+            },
+            requests: {
+                '2026-01-07': { type: 'regularization', submittedAt: '2026-01-08T05:00:00.000Z', reason: 'Forgot to punch' },
+            },
+            queue: [],
+            session: { lastValidAt: '2026-01-08T03:30:00.000Z' },
+        }));
+        fs.writeFileSync(harness.env.HISTORY_FILE, [
+            JSON.stringify({ recordedAt: '2026-01-07T03:30:00.000Z', month: 1, year: 2026, days: [] }),
+            JSON.stringify({ recordedAt: '2026-01-08T03:30:00.000Z', month: 1, year: 2026, days: [] }),
+        ].join('\n') + '\n');
+
+        const { code, stdout } = await harness.cli(['status', '--output', 'json']);
+        assert.equal(code, 0);
+
+        const status = JSON.parse(stdout);
+        const [profile] = status.profiles;
+        assert.equal(profile.session.exists, false);
+        assert.equal(profile.lastSignInAt, '2026-01-08T03:30:00.000Z');
+        assert.equal(profile.lastRecordedAt, '2026-01-08T03:30:00.000Z');
+        assert.deepEqual(profile.openDays.map(day => [day.date, day.status]), [['2026-01-05', 'Absent']]);
+        assert.deepEqual(profile.pendingRequests.map(request => [request.date, request.type]), [['2026-01-07', 'regularization']]);
+
+        // Weekdays at 09:00 IST
+        const next = new Date(status.schedule.nextCheckAt);
+        assert.ok(next > new Date());
+        assert.equal(next.getUTCHours() * 60 + next.getUTCMinutes(), 3 * 60 + 30);
+        assert.ok(next.getUTCDay() >= 1 && next.getUTCDay() <= 5);
+    });
+
+    test('selects one profile', async () => {
+        fs.writeFileSync(path.join(harness.workDir, 'profiles.json'), JSON.stringify({
+            profiles: [{ name: 'alice', sessionFile: 'alice.json' }, { name: 'bob', sessionFile: 'bob.json' }],
+        }));
+
+        const { code, stdout } = await harness.cli(['status', '--profile', 'bob']);
+        assert.equal(code, 0);
+        assert.match(stdout, /👤 bob/);
+        assert.doesNotMatch(stdout, /alice/);
+        assert.match(stdout, /Next scheduled check/);
+
+        const unknown = await harness.cli(['status', '--profile', 'carol']);
+        assert.equal(unknown.code, EXIT_CODES.CONFIG);
+        assert.match(unknown.stderr, /No profile named "carol"/);
+    });
+});
@@ -0,0 +1,286 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { applyConfigLayers, parseYaml, stripConfigFlags } from '../src/config-file.js';
+import { filterHrmsCookies } from '../src/browser-session.js';
+import { EXIT_CODES } from '../src/exit-codes.js';
+import { runCli, writeSession } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const TENANT_YAML = `# Acme's Peeplynx tenant
+hrms:
+  baseUrl: https://hrms.acme.example
+  apiPath: /api/v2
+  mappingId: ACME0001
+session:
+  file: sessions/me.json
+  cookieDomains: [acme.example]
+notify:
+  channels:
+    - Slack
+  slack:
+    webhookUrl: "https://hooks.slack.com/services/T0/B0/x#y"
+schedule:
+  cron: 30 8 * * 1-5
+  skipWeekends: true
+  weekendDays: [5, 6]
+`;
+
+describe('parseYaml', () => {
+    test('reads nested settings and lists, every scalar as text', () => {
+        assert.deepEqual(parseYaml(TENANT_YAML), {
+            hrms: { baseUrl: 'https://hrms.acme.example', apiPath: '/api/v2', mappingId: 'ACME0001' },
+            session: { file: 'sessions/me.json', cookieDomains: ['acme.example'] },
+            notify: { channels: ['Slack'], slack: { webhookUrl: 'https://hooks.slack.com/services/T0/B0/x#y' } },
+            schedule: { cron: '30 8 * * 1-5', skipWeekends: 'true', weekendDays: ['5', '6'] },
+        });
+    });
+
+    test('numbers, booleans and nulls are not guessed', () => {
+        assert.deepEqual(parseYaml('id: 012\non: yes\nrate: 1e3\nnone: ~\n'), { id: '012', on: 'yes', rate: '1e3', none: '~' });
+        assert.equal(parseYaml('# only a comment\n'), null);
+    });
+
+    test('broken YAML points at the line', () => {
+        assert.throws(() => parseYaml('a: 1\na: 2'), /line 2: Map keys must be unique/);
+        assert.throws(() => parseYaml('a: [1\nb: 2'), /line 2: /);
+        assert.throws(() => parseYaml('a: 1\nb: "open'), /line 2: Missing closing "quote/);
+        assert.throws(() => parseYaml('port: !!int 25'), /line 1: Unresolved tag/);
+    });
+});
+
+describe('applyConfigLayers', () => {
+    let workDir;
+    let file;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+        file = path.join(workDir, 'tenant.yml');
+        fs.writeFileSync(file, TENANT_YAML);
+    });
+
+    after(() => {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('the file overrides defaults, the environment overrides the file, --set overrides both', () => {
+        const target = structuredClone(config);
+        const { file: loaded, errors } = applyConfigLayers(target, {
+            env: { CONFIG_FILE: file, CHECK_SCHEDULE: '0 9 * * *' },
+            argv: ['node', 'cli.js', 'check', '--set', 'hrms.mappingId=OVERRIDE', '--set=schedule.weekendDays=0,6'],
+            defaultDir: workDir,
+        });
+
+        assert.deepEqual(errors, []);
+        assert.equal(loaded, file);
+        assert.equal(target.hrms.baseUrl, 'https://hrms.acme.example');
+        assert.equal(target.hrms.apiPath, '/api/v2');
+        assert.equal(target.hrms.mappingId, 'OVERRIDE');
+        assert.equal(target.session.file, path.join(workDir, 'sessions', 'me.json'), 'paths are relative to the file');
+        assert.deepEqual(target.notify.channels, ['slack']);
+        assert.equal(target.schedule.cron, '0 9 * * *', 'CHECK_SCHEDULE wins over the file');
+        assert.equal(target.schedule.skipWeekends, true);
+        assert.deepEqual(target.schedule.weekendDays, [0, 6]);
+    });
+
+    test('text from a YAML file is converted to the type of its setting', () => {
+        const typed = path.join(workDir, 'typed.yml');
+        fs.writeFileSync(typed, 'hrms:\n  mappingId: 012\n  retries: 3\nsession:\n  maxAgeDays: 1.5\nschedule:\n  weekendDays: [5, 6]\n');
+
+        const target = structuredClone(config);
+        assert.deepEqual(applyConfigLayers(target, { env: { CONFIG_FILE: typed }, argv: [], defaultDir: workDir }).errors, []);
+        assert.equal(target.hrms.mappingId, '012');
+        assert.equal(target.hrms.retries, 3);
+        assert.equal(target.session.maxAgeDays, 1.5);
+        assert.deepEqual(target.schedule.weekendDays, [5, 6]);
+    });
+
+    test('--config wins over CONFIG_FILE, and a hrms-notifier.yml is found on its own', () => {
+        const other = path.join(workDir, 'hrms-notifier.yml');
+        fs.writeFileSync(other, 'hrms:\n  apiPath: /default/api\n');
+        try {
+            const fromFlag = structuredClone(config);
+            applyConfigLayers(fromFlag, { env: { CONFIG_FILE: other }, argv: ['--config', file], defaultDir: workDir });
+            assert.equal(fromFlag.hrms.apiPath, '/api/v2');
+
+            const found = structuredClone(config);
+            assert.equal(applyConfigLayers(found, { env: {}, argv: [], defaultDir: workDir }).file, other);
+            assert.equal(found.hrms.apiPath, '/default/api');
+        } finally {
+            fs.rmSync(other);
+        }
+    });
+
+    test('every problem is reported at once', () => {
+        const bad = path.join(workDir, 'bad.yml');
+        fs.writeFileSync(bad, [
+            'hrms:',
+            '  baseUrl: hrms.acme.example',
+            '  retries: three',
+            '  tenant: acme',
+            'schedule:',
+            '  skipWeekends: yes',
+            'email:',
+            '  pass: hunter2',
+        ].join('\n'));
+
+        const target = structuredClone(config);
+        const { errors } = applyConfigLayers(target, {
+            env: { CONFIG_FILE: bad },
+            argv: ['--set', 'schedule.weekendDays=sat', '--set', 'nothing'],
+            defaultDir: workDir,
+        });
+
+        assert.deepEqual(errors, [
+            'bad.yml: hrms.baseUrl must be an http(s) URL',
+            'bad.yml: hrms.retries must be a whole number',
+            'bad.yml: unknown setting "hrms.tenant"',
+            'bad.yml: schedule.skipWeekends must be true or false',
+            'bad.yml: unknown setting "email.pass"',
+            '--set: schedule.weekendDays must be a list of whole numbers',
+            '--set "nothing" must be <setting>=<value>',
+        ]);
+        assert.equal(target.hrms.baseUrl, config.hrms.baseUrl, 'invalid values are not applied');
+    });
+
+    test('a missing or unreadable file is a problem, not a crash', () => {
+        const missing = applyConfigLayers(structuredClone(config), { env: { CONFIG_FILE: path.join(workDir, 'nope.yml') }, argv: [], defaultDir: workDir });
+        assert.deepEqual(missing.errors, ['nope.yml: file not found']);
+
+        const broken = path.join(workDir, 'broken.json');
+        fs.writeFileSync(broken, '{ "hrms": ');
+        const { errors } = applyConfigLayers(structuredClone(config), { env: { CONFIG_FILE: broken }, argv: [], defaultDir: workDir });
+        assert.match(errors[0], /^broken\.json: /);
+    });
+
+    test('--config and --set are not passed on to commands', () => {
+        assert.deepEqual(stripConfigFlags(['import', '--config', 'a.yml', 'file.json', '--set=x=1', '--delete']), ['import', 'file.json', '--delete']);
+    });
+});
+
+describe('cookie export', () => {
+    const saved = { baseUrl: config.hrms.baseUrl, cookieDomains: config.session.cookieDomains };
+
+    after(() => {
+        config.hrms.baseUrl = saved.baseUrl;
+        config.session.cookieDomains = saved.cookieDomains;
+    });
+
+    test('keeps the cookies of the tenant domain', () => {
+        const cookies = [{ domain: '.acme.example' }, { domain: 'hrms.acme.example' }, { domain: 'login.microsoftonline.com' }, { domain: 'notacme.example' }];
+
+        config.hrms.baseUrl = 'https://hrms.acme.example';
+        config.session.cookieDomains = [];
+        assert.deepEqual(filterHrmsCookies(cookies).map(c => c.domain), ['.acme.example', 'hrms.acme.example']);
+
+        config.session.cookieDomains = ['hrms.acme.example'];
+        assert.deepEqual(filterHrmsCookies(cookies).map(c => c.domain), ['hrms.acme.example']);
+    });
+});
+
+describe('a tenant from the config file', () => {
+    let mock;
+    let workDir;
+
+    before(async () => {
+        mock = await startMockHrms();
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+
+        // Under the cookie names this tenant uses
+        writeSession(path.join(workDir, 'session.json'), { accessToken: 'pl_at', xsrfToken: 'PL-XSRF', mappingId: 'pl_mid' });
+        fs.writeFileSync(path.join(workDir, 'tenant.yml'), [
+            'hrms:',
+            `  baseUrl: ${mock.url}`,
+            '  retries: 0',
+            '  cookies:',
+            '    accessToken: pl_at',
+            '    xsrfToken: PL-XSRF',
+            '    mappingId: pl_mid',
+            'session:',
+            '  file: session.json',
+            '  warnBefore: "0"',
+            'alerts:',
+            '  stateFile: alert-state.json',
+            'history:',
+            '  file: history.jsonl',
+            'notify:',
+            '  channels: [webhook]',
+            'schedule:',
+            '  cron: 0 9 * * 1-5',
+        ].join('\n'));
+    });
+
+    after(async () => {
+        await mock.close();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Runs the CLI in the work directory, with the tenant's settings only in the config file
+     * @param {string[]} args
+     * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+     */
+    function cli(args) {
+        return runCli(args, {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                HOME: workDir,
+                TZ: 'Asia/Kolkata',
+                SCHEMA_DUMP_DIR: path.join(workDir, 'dumps'),
+                API_FIELDS_FILE: path.join(workDir, 'api-fields.json'),
+                PROFILES_FILE: path.join(workDir, 'profiles.json'),
+            },
+        });
+    }
+
+    test('checks against the configured tenant, with --set filling in the rest', async () => {
+        const { code, stdout, stderr } = await cli([
+            'check', '--config', path.join(workDir, 'tenant.yml'), '--set', `notify.webhook.url=${mock.url}/hooks`,
+            '--test', '--output', 'json', '--period', '2026-01',
+        ]);
+
+        assert.equal(code, EXIT_CODES.FLAGGED, stderr);
+        assert.ok(JSON.parse(stdout).flaggedDays.length > 0);
+
+        const { headers } = mock.requests.at(-1);
+        assert.equal(headers.cookie, `pl_at=${headers.authorization.slice('Bearer '.length)}; PL-XSRF=xsrf; pl_mid=TEST1234`);
+        assert.equal(headers.mappingid, 'TEST1234');
+    });
+
+    test('without a mapping id cookie or HRMS_MAPPING_ID the check is a configuration error', async () => {
+        const requestCount = mock.requests.length;
+        const { code, stderr } = await cli([
+            'check', '--config', path.join(workDir, 'tenant.yml'), '--set', `notify.webhook.url=${mock.url}/hooks`,
+            '--set', 'hrms.cookies.mappingId=hr_mid', '--test', '--output', 'json', '--period', '2026-01',
+        ]);
+
+        assert.equal(code, EXIT_CODES.CONFIG, stderr);
+        assert.match(stderr, /No mapping ID: the session has no hr_mid cookie and HRMS_MAPPING_ID is not set/);
+        assert.equal(mock.requests.length, requestCount);
+    });
+
+    test('hrms-notifier.yml is read from the working directory', async () => {
+        const runDir = path.join(workDir, 'run');
+        fs.mkdirSync(runDir);
+        fs.copyFileSync(path.join(workDir, 'tenant.yml'), path.join(runDir, 'hrms-notifier.yml'));
+
+        const { stdout } = await runCli(['config', 'validate'], { cwd: runDir, env: { PATH: process.env.PATH, HOME: workDir } });
+
+        assert.match(stdout, new RegExp(`Config file: ${path.join(runDir, 'hrms-notifier.yml')}`));
+    });
+
+    test('config validate lists the problems of every layer together', async () => {
+        const { code, stdout, stderr } = await cli([
+            'config', 'validate', '--config', path.join(workDir, 'tenant.yml'), '--set', 'hrms.retries=-',
+        ]);
+
+        assert.equal(code, EXIT_CODES.CONFIG);
+        assert.match(stdout, /Config file: .*tenant\.yml/);
+        assert.match(stderr, /--set: hrms.retries must be a whole number/);
+        assert.match(stderr, /WEBHOOK_URL is required for the webhook channel/);
+    });
+});
@@ -0,0 +1,57 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { getNextRun } from '../src/cron.js';
+import { startDaemon, validateSchedule } from '../src/daemon.js';
+import { EXIT_CODES } from '../src/exit-codes.js';
+
+describe('getNextRun', () => {
+    test('a stepped day of month with a day-of-week range needs both to match', () => {
+        // Thursday 2026-01-01: odd days from 1, Monday to Friday
+        const runs = [];
+        let from = new Date('2026-01-01T00:00:00Z');
+        for (let i = 0; i < 4; i++) {
+            from = getNextRun('0 9 */2 * 1-5', 'UTC', from);
+            runs.push(from.toISOString().slice(0, 10));
+        }
+        assert.deepEqual(runs, ['2026-01-01', '2026-01-05', '2026-01-07', '2026-01-09']);
+    });
+
+    test('two restricted day fields match on either', () => {
+        const next = getNextRun('0 9 15 * 1', 'UTC', new Date('2026-01-01T00:00:00Z'));
+        assert.equal(next.toISOString(), '2026-01-05T09:00:00.000Z');
+    });
+});
+
+describe('daemon schedule', () => {
+    const saved = { ...config.schedule };
+
+    afterEach(() => {
+        Object.assign(config.schedule, saved);
+        process.exitCode = undefined;
+    });
+
+    test('a schedule that never fires is a config error', () => {
+        Object.assign(config.schedule, { cron: '0 9 31 2 *', timezone: 'Asia/Kolkata' });
+        assert.deepEqual(validateSchedule(), ['CHECK_SCHEDULE: Cron expression "0 9 31 2 *" never matches']);
+    });
+
+    test('the daemon stops when a job cannot be scheduled', async () => {
+        Object.assign(config.schedule, { cron: '0 9 * * 1-5', timezone: 'Asia/Kolkata', runOnStart: false });
+
+        const error = console.error;
+        const log = console.log;
+        const errors = [];
+        console.error = (...args) => errors.push(args.join(' '));
+        console.log = () => {};
+        try {
+            await startDaemon(async () => {}, [{ name: 'punch check', cron: '0 9 31 2 *', task: async () => {} }]);
+        } finally {
+            console.error = error;
+            console.log = log;
+        }
+
+        assert.match(errors[0], /Cannot schedule the punch check: .*never matches/);
+        assert.equal(process.exitCode, EXIT_CODES.CONFIG);
+    });
+});
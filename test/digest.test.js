@@ -0,0 +1,106 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { config } from '../src/config.js';
+import { DIGEST_TYPES, getDueDigest, markDigestChecked, buildCalendar, getDayKind, validateDigest } from '../src/digest.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+// The January 2026 salary period (26 Dec - 25 Jan)
+const PERIOD = { startDate: new Date(2025, 11, 26), endDate: new Date(2026, 0, 25) };
+
+describe('getDueDigest', () => {
+    beforeEach(() => {
+        Object.assign(config.digest, { schedule: '', closingDays: 3 });
+        config.schedule.timezone = 'Asia/Kolkata';
+    });
+
+    test('the closing digest is due in the last days of the period, once', () => {
+        const state = {};
+        assert.equal(getDueDigest(state, PERIOD, new Date(), new Date(2026, 0, 21)), null);
+        assert.equal(getDueDigest(state, PERIOD, new Date(), new Date(2026, 0, 22)), DIGEST_TYPES.CLOSING);
+        assert.equal(getDueDigest(state, PERIOD, new Date(), new Date(2026, 0, 25)), DIGEST_TYPES.CLOSING);
+
+        markDigestChecked(state, PERIOD, DIGEST_TYPES.CLOSING);
+        assert.equal(getDueDigest(state, PERIOD, new Date(), new Date(2026, 0, 24)), null);
+    });
+
+    test('a scheduled digest is due once its time passed since the previous check', () => {
+        config.digest.schedule = '0 18 * * 5'; // Fridays 18:00
+        const today = new Date(2026, 0, 1);
+        const state = {};
+
+        // The first check only starts the clock
+        assert.equal(getDueDigest(state, PERIOD, new Date('2026-01-08T09:00:00Z'), today), null);
+        markDigestChecked(state, PERIOD, null, new Date('2026-01-08T09:00:00Z'));
+
+        assert.equal(getDueDigest(state, PERIOD, new Date('2026-01-09T09:00:00Z'), today), null);
+        assert.equal(getDueDigest(state, PERIOD, new Date('2026-01-10T09:00:00Z'), today), DIGEST_TYPES.SCHEDULED);
+
+        markDigestChecked(state, PERIOD, DIGEST_TYPES.SCHEDULED, new Date('2026-01-10T09:00:00Z'));
+        assert.equal(getDueDigest(state, PERIOD, new Date('2026-01-11T09:00:00Z'), today), null);
+    });
+
+    test('invalid settings are reported', () => {
+        Object.assign(config.digest, { schedule: '0 25 * * *', closingDays: -1 });
+        assert.equal(validateDigest().length, 2);
+    });
+});
+
+describe('buildCalendar', () => {
+    test('weeks start on Monday and are padded', () => {
+        const days = [
+            { date: '2025-12-26T00:00:00', status: 'Absent', category: 'actionable' },
+            { date: '2025-12-27', status: 'Weekly Off', category: 'informational' },
+        ];
+        const weeks = buildCalendar(days, PERIOD.startDate, PERIOD.endDate);
+
+        assert.equal(weeks.length, 5);
+        assert.ok(weeks.every(week => week.length === 7));
+        // 26 Dec 2025 is a Friday
+        assert.deepEqual(weeks[0].slice(0, 4), [null, null, null, null]);
+        assert.deepEqual(weeks[0].slice(4, 6).map(cell => `${cell.day}:${cell.kind}`), ['26:flagged', '27:weekly-off']);
+        assert.equal(weeks[0][6].kind, 'none');
+        assert.equal(weeks[4].filter(Boolean).pop().date, '2026-01-25');
+    });
+
+    test('days are colored by status', () => {
+        assert.equal(getDayKind({ status: 'Present', category: 'informational' }), 'present');
+        assert.equal(getDayKind({ status: 'Casual Leave', category: 'informational' }), 'leave');
+        assert.equal(getDayKind({ status: 'Leave pending approval', category: 'pending' }), 'pending');
+        assert.equal(getDayKind({ status: 'Christmas', category: 'informational', tags: [{ tagType: 7, tagName: 'Christmas' }] }), 'holiday');
+        assert.equal(getDayKind({ status: 'On Duty', category: 'informational' }), 'other');
+        assert.equal(getDayKind({ status: 'No status', category: 'informational' }), 'none');
+    });
+});
+
+describe('--digest', () => {
+    let mock;
+    let harness;
+
+    before(async () => {
+        mock = await startMockHrms();
+        harness = startCliEnv(mock);
+    });
+
+    after(async () => {
+        await mock.close();
+        harness.close();
+    });
+
+    test('sends the digest for the checked period', async () => {
+        const { code } = await harness.cli(['--digest', '--period', '2026-01'], { script: 'index.js' });
+        assert.equal(code, 0);
+
+        const digest = mock.notifications.find(n => n.type === 'attendance-digest');
+        assert.ok(digest, 'digest notification sent');
+        assert.equal(digest.data.kind, 'scheduled');
+        assert.equal(digest.data.startDate, '2025-12-26');
+        assert.match(digest.subject, /Attendance Digest/);
+        assert.match(digest.text, /In-office: \d+ \| On-duty: \d+ \| Absent: \d+/);
+        assert.match(digest.text, /26A/, 'the absent 26 December is marked in the calendar grid');
+
+        // An ad-hoc period does not start the digest schedule
+        assert.equal(JSON.parse(fs.readFileSync(harness.env.ALERT_STATE_FILE, 'utf-8')).digest, undefined);
+    });
+});
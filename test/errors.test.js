@@ -0,0 +1,173 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { hrmsGet } from '../src/hrms-client.js';
+import { AuthError, NetworkError, RateLimitError, ApiSchemaError, getErrorType } from '../src/errors.js';
+import { EXIT_CODES, getExitCode } from '../src/exit-codes.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const SUMMARY = '/attendance-management/dashboard/attendance-summary/get-monthly-attendance-summary';
+
+let mock;
+let workDir;
+
+before(async () => {
+    mock = await startMockHrms();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+});
+
+after(async () => {
+    await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.scenario = 'ok';
+    mock.queue.length = 0;
+    mock.requests.length = 0;
+    mock.notifications.length = 0;
+});
+
+describe('HRMS client', () => {
+    before(() => {
+        config.hrms.baseUrl = mock.url;
+        Object.assign(config.hrms, { retries: 2, retryDelayMs: 1, timeoutMs: 300 });
+        // No session file, so a 401 cannot be refreshed
+        config.session.file = path.join(workDir, 'no-session.json');
+    });
+
+    const get = () => hrmsGet(SUMMARY, { month: '12', year: '2025' });
+
+    test('returns parsed JSON', async () => {
+        const data = await get();
+        assert.equal(data.Data.DailyAttendanceSummary.length, 31);
+    });
+
+    test('retries 5xx with backoff and then succeeds', async () => {
+        mock.queue.push('server-error', 'server-error');
+        const data = await get();
+        assert.ok(data.Data);
+        assert.equal(mock.requests.length, 3);
+    });
+
+    test('retries timeouts and then succeeds', async () => {
+        mock.queue.push('timeout');
+        assert.ok((await get()).Data);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    test('401 without a refreshable session is an AuthError', async () => {
+        mock.scenario = 'unauthorized';
+        await assert.rejects(get(), AuthError);
+        assert.equal(mock.requests.length, 1);
+    });
+
+    test('403 is an AuthError without retrying', async () => {
+        mock.scenario = 'forbidden';
+        await assert.rejects(get(), error => error instanceof AuthError && error.status === 403);
+        assert.equal(mock.requests.length, 1);
+    });
+
+    test('persistent 5xx is a NetworkError after all retries', async () => {
+        mock.scenario = 'server-error';
+        await assert.rejects(get(), error => error instanceof NetworkError && error.status === 500);
+        assert.equal(mock.requests.length, 3);
+    });
+
+    test('persistent timeouts are a NetworkError', async () => {
+        mock.scenario = 'timeout';
+        await assert.rejects(get(), NetworkError);
+    });
+
+    test('persistent 429 is a RateLimitError', async () => {
+        mock.scenario = 'rate-limited';
+        await assert.rejects(get(), error => error instanceof RateLimitError && error.retryAfterMs === 0);
+    });
+
+    test('a non-JSON body is an ApiSchemaError', async () => {
+        mock.scenario = 'malformed';
+        await assert.rejects(get(), ApiSchemaError);
+    });
+
+    test('unreachable host is a NetworkError', async () => {
+        const baseUrl = config.hrms.baseUrl;
+        config.hrms.baseUrl = 'http://127.0.0.1:1';
+        try {
+            await assert.rejects(get(), NetworkError);
+        } finally {
+            config.hrms.baseUrl = baseUrl;
+        }
+    });
+});
+
+describe('error types and exit codes', () => {
+    test('getErrorType', () => {
+        assert.equal(getErrorType(new AuthError('x')), 'auth');
+        assert.equal(getErrorType(new NetworkError('x')), 'network');
+        assert.equal(getErrorType(new RateLimitError('x')), 'rate-limit');
+        assert.equal(getErrorType(new ApiSchemaError('x')), 'schema');
+        assert.equal(getErrorType(new Error('Failed: 401')), 'unknown');
+    });
+
+    test('getExitCode', () => {
+        assert.equal(getExitCode([{ ok: true, result: { flaggedDays: [] } }]), EXIT_CODES.OK);
+        assert.equal(getExitCode([{ ok: true, result: { flaggedDays: [{}] } }]), EXIT_CODES.FLAGGED);
+        assert.equal(getExitCode([{ ok: false, errorType: 'auth' }]), EXIT_CODES.AUTH);
+        assert.equal(getExitCode([{ ok: false, errorType: 'rate-limit' }]), EXIT_CODES.NETWORK);
+        assert.equal(getExitCode([{ ok: false, errorType: 'schema' }]), EXIT_CODES.ERROR);
+    });
+});
+
+describe('main() error classification (CLI against the mock HRMS)', () => {
+    let harness;
+
+    before(() => {
+        harness = startCliEnv(mock, { HRMS_TIMEOUT_MS: '300' });
+    });
+
+    after(() => harness.close());
+
+    /**
+     * Runs a check with --output json and resolves with the exit code and parsed output
+     * @returns {Promise<{ code: number, output: Object, stderr: string }>}
+     */
+    async function runCli() {
+        const { code, stdout, stderr } = await harness.cli(['--test', '--output', 'json', '--period', '2026-01'], { script: 'index.js' });
+        return { code, output: stdout ? JSON.parse(stdout) : null, stderr };
+    }
+
+    const cases = [
+        { scenario: 'ok', code: EXIT_CODES.FLAGGED },
+        { scenario: 'forbidden', code: EXIT_CODES.AUTH, errorType: 'auth' },
+        { scenario: 'timeout', code: EXIT_CODES.NETWORK, errorType: 'network' },
+        { scenario: 'server-error', code: EXIT_CODES.NETWORK, errorType: 'network' },
+        { scenario: 'rate-limited', code: EXIT_CODES.NETWORK, errorType: 'rate-limit' },
+        { scenario: 'malformed', code: EXIT_CODES.ERROR, errorType: 'schema' },
+        { scenario: 'renamed-field', code: EXIT_CODES.ERROR, errorType: 'schema' },
+    ];
+
+    for (const { scenario, code, errorType } of cases) {
+        test(`${scenario} exits with ${code}`, async () => {
+            mock.scenario = scenario;
+            const { code: exitCode, output, stderr } = await runCli();
+
+            assert.equal(exitCode, code, stderr);
+            if (!errorType) {
+                assert.equal(output.ok, true);
+                assert.equal(output.flaggedDays.length, 5);
+                assert.equal(mock.notifications.length, 0, 'test mode sends no absence alerts');
+                return;
+            }
+
+            assert.equal(output.ok, false);
+            assert.equal(output.errorType, errorType);
+            assert.equal(mock.notifications.length, 1);
+            assert.equal(mock.notifications[0].type, 'error');
+            assert.equal(mock.notifications[0].data.errorType, errorType);
+        });
+    }
+});
@@ -0,0 +1,90 @@
+/**
+ * CLI Test Harness
+ * Runs the notifier as a child process against the mock HRMS, with a session
+ * that needs no browser and every state file in a temporary work directory.
+ * The process runs from that directory, so a developer's .env is not picked up.
+ */
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Builds session data whose access token is valid for an hour
+ * @param {{ accessToken?: string, xsrfToken?: string, mappingId?: string }} [cookieNames] - For tenants that rename them
+ * @returns {{ exportedAt: string, cookies: Array<Object> }}
+ */
+export function createSession({ accessToken = 'hr_atk', xsrfToken = 'XSRF-TOKEN', mappingId = 'hr_mid' } = {}) {
+    const payload = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600 })).toString('base64url');
+    const cookie = (name, value) => ({ name, value, domain: '.hrms.test', path: '/', expires: -1 });
+    return {
+        exportedAt: new Date().toISOString(),
+        cookies: [cookie(accessToken, `e30.${payload}.sig`), cookie(xsrfToken, 'xsrf'), cookie(mappingId, 'TEST1234')],
+    };
+}
+
+/**
+ * Writes a plaintext session file whose access token is valid for an hour
+ * @param {string} file
+ * @param {{ accessToken?: string, xsrfToken?: string, mappingId?: string }} [cookieNames]
+ */
+export function writeSession(file, cookieNames) {
+    fs.writeFileSync(file, JSON.stringify(createSession(cookieNames)));
+}
+
+/**
+ * Runs a script from src/ and resolves with its exit code and output
+ * @param {string[]} args
+ * @param {{ cwd: string, env: Record<string, string>, script?: string }} options
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+export function runCli(args, { cwd, env, script = 'cli.js' }) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(SRC, script), ...args], { cwd, env, timeout: 30000 },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+}
+
+/**
+ * Creates a work directory with a valid session.json, and an environment that
+ * points the notifier at the mock HRMS and keeps its state files in there
+ * @param {{ url: string } | null} mock - null for commands that never call HRMS
+ * @param {Record<string, string>} [extraEnv] - Settings of the test
+ * @returns {{
+ *   cli: (args: string[], options?: { script?: string, env?: Record<string, string> }) => Promise<{ code: number, stdout: string, stderr: string }>,
+ *   env: Record<string, string>, workDir: string, close: () => void
+ * }}
+ */
+export function startCliEnv(mock, extraEnv = {}) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+    writeSession(path.join(workDir, 'session.json'));
+
+    const env = {
+        PATH: process.env.PATH,
+        HOME: workDir,
+        TZ: 'Asia/Kolkata',
+        ...(mock && { HRMS_BASE_URL: mock.url, WEBHOOK_URL: `${mock.url}/hooks` }),
+        HRMS_RETRIES: '0',
+        SESSION_FILE: path.join(workDir, 'session.json'),
+        SESSION_WARN_BEFORE: '0',
+        ALERT_STATE_FILE: path.join(workDir, 'alert-state.json'),
+        HISTORY_FILE: path.join(workDir, 'history.jsonl'),
+        HOLIDAY_CALENDAR_FILE: path.join(workDir, 'holidays.json'),
+        SCHEMA_DUMP_DIR: path.join(workDir, 'dumps'),
+        API_FIELDS_FILE: path.join(workDir, 'api-fields.json'),
+        PROFILES_FILE: path.join(workDir, 'profiles.json'),
+        NOTIFY_CHANNELS: 'webhook',
+        ...extraEnv,
+    };
+
+    return {
+        cli: (args, { script, env: runEnv = {} } = {}) => runCli(args, { cwd: workDir, env: { ...env, ...runEnv }, script }),
+        env,
+        workDir,
+        close: () => fs.rmSync(workDir, { recursive: true, force: true }),
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Mock HRMS Server
+ * Local stand-in for the HRMS API that replays recorded
+ * get-monthly-attendance-summary responses from test/fixtures and can
+ * simulate 401/403s, 429s, 5xx, timeouts, malformed payloads and renamed fields.
+ * Accepts regularization/leave submissions as a POST to any other API path,
+ * serves canned responses for other GETs (e.g. leave balances), and takes
+ * webhook notifications on /hooks so tests can inspect alerts.
+ *
+ * Standalone: node test/helpers/mock-hrms-server.js [--port 8090] [--scenario ok]
+ * then run the notifier with HRMS_BASE_URL=http://127.0.0.1:8090
+ */
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const API_PATH = '/hrmsapi/api/v1';
+const SUMMARY_PATH = `${API_PATH}/attendance-management/dashboard/attendance-summary/get-monthly-attendance-summary`;
+
+export const SCENARIOS = ['ok', 'unauthorized', 'forbidden', 'rate-limited', 'server-error', 'timeout', 'malformed', 'missing-data', 'renamed-field', 'rejected'];
+
+const EMPTY_COUNTS = {
+    PresentCount: 0, OnDutyCount: 0, AbsentCount: 0, LeaveCount: 0, HolidayCount: 0,
+    WeeklyOffCount: 0, RegularizationCount: 0, PayableDaysCount: 0,
+};
+
+/**
+ * Loads the recorded response for a month, or an empty month
+ * @param {string} month
+ * @param {string} year
+ * @param {Record<string, Object>} [months] - Responses by YYYY-MM that replace the fixtures
+ * @returns {Object}
+ */
+function loadFixture(month, year, months = {}) {
+    const override = months[`${year}-${String(month).padStart(2, '0')}`];
+    if (override) {
+        return structuredClone(override);
+    }
+    const file = path.join(FIXTURES_DIR, `attendance-${year}-${String(month).padStart(2, '0')}.json`);
+    if (!fs.existsSync(file)) {
+        return { Status: true, Message: 'Success', Data: { CountDetails: { ...EMPTY_COUNTS }, DailyAttendanceSummary: [] } };
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Answers one request according to a scenario
+ * @param {string} scenario
+ * @param {URL} url
+ * @param {http.ServerResponse} res
+ * @param {boolean} [isSubmission] - A regularization/leave POST rather than an attendance fetch
+ * @param {Record<string, Object>} [months] - See loadFixture()
+ */
+function respond(scenario, url, res, isSubmission = false, months = {}) {
+    const json = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    // Payload scenarios only concern attendance fetches; "rejected" only submissions
+    if (isSubmission && scenario === 'rejected') {
+        return json(200, { Status: false, Message: 'A request already exists for this date' });
+    }
+    if (isSubmission && ['ok', 'missing-data', 'renamed-field'].includes(scenario)) {
+        return json(200, { Status: true, Message: 'Request submitted successfully' });
+    }
+
+    switch (scenario) {
+        case 'unauthorized':
+            return json(401, { Message: 'Unauthorized' });
+        case 'forbidden':
+            return json(403, { Message: 'Forbidden' });
+        case 'rate-limited':
+            res.writeHead(429, { 'Retry-After': '0' });
+            return res.end('Too Many Requests');
+        case 'server-error':
+            return json(500, { Message: 'Internal Server Error' });
+        case 'timeout':
+            return; // Never answer; the client's timeout has to kick in
+        case 'malformed':
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<html><body>Service temporarily unavailable</body></html>');
+        case 'missing-data':
+            return json(200, { Status: false, Message: 'Something went wrong' });
+        case 'renamed-field': {
+            // The vendor renamed TagType, which used to look like "no absences"
+            const data = loadFixture(url.searchParams.get('month'), url.searchParams.get('year'), months);
+            for (const day of data.Data.DailyAttendanceSummary) {
+                day.DailyAttendanceStatus = day.DailyAttendanceStatus.map(({ TagType, ...status }) => ({ ...status, TagTypeId: TagType }));
+            }
+            return json(200, data);
+        }
+        default:
+            return json(200, loadFixture(url.searchParams.get('month'), url.searchParams.get('year'), months));
+    }
+}
+
+/**
+ * Starts the mock server on a free port (or the given one)
+ * @param {{ port?: number, scenario?: string }} [options]
+ *   scenario: how every attendance request is answered until changed
+ * @returns {Promise<{ url: string, scenario: string, queue: string[], months: Record<string, Object>, responses: Record<string, Object>, requests: Array<Object>, submissions: Array<Object>, notifications: Array<Object>, close: () => Promise<void> }>}
+ *   queue: one-shot scenarios used (in order) before falling back to `scenario`;
+ *   months: attendance responses by YYYY-MM served instead of the fixtures (e.g. today's month);
+ *   responses: bodies served for GETs of other API paths, by path below the API path;
+ *   submissions: POSTs to API paths other than the attendance summary
+ */
+export async function startMockHrms({ port = 0, scenario = 'ok' } = {}) {
+    const mock = { url: null, scenario, queue: [], months: {}, responses: {}, requests: [], submissions: [], notifications: [] };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (req.method === 'POST' && url.pathname === '/hooks') {
+                mock.notifications.push(JSON.parse(body));
+                res.writeHead(204);
+                return res.end();
+            }
+
+            if (req.method === 'GET' && url.pathname === SUMMARY_PATH) {
+                mock.requests.push({ query: Object.fromEntries(url.searchParams), headers: req.headers });
+                return respond(mock.queue.shift() || mock.scenario, url, res, false, mock.months);
+            }
+
+            const response = mock.responses[url.pathname.slice(API_PATH.length)];
+            if (req.method === 'GET' && url.pathname.startsWith(`${API_PATH}/`) && response) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify(response));
+            }
+
+            if (req.method === 'POST' && url.pathname.startsWith(`${API_PATH}/`)) {
+                mock.submissions.push({ path: url.pathname.slice(API_PATH.length), body: JSON.parse(body || '{}'), headers: req.headers });
+                return respond(mock.queue.shift() || mock.scenario, url, res, true);
+            }
+
+            res.writeHead(404);
+            res.end();
+        });
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    mock.url = `http://127.0.0.1:${server.address().port}`;
+    mock.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+
+    return mock;
+}
+
+// Standalone mode
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = process.argv.slice(2);
+    const valueOf = name => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const scenario = valueOf('scenario') || 'ok';
+
+    if (!SCENARIOS.includes(scenario)) {
+        console.error(`❌ Unknown scenario "${scenario}" (use ${SCENARIOS.join(', ')})`);
+        process.exit(1);
+    }
+
+    const mock = await startMockHrms({ port: parseInt(valueOf('port') || '8090', 10), scenario });
+    console.log(`🧪 Mock HRMS listening on ${mock.url} (scenario: ${scenario})`);
+    console.log(`   HRMS_BASE_URL=${mock.url} npm run check`);
+
+    const stop = async () => {
+        await mock.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
@@ -0,0 +1,212 @@
+/**
+ * SMTP Sink
+ * Minimal local SMTP server that accepts every message (and any AUTH) and
+ * keeps it in memory, decoded enough for tests to assert on the subject,
+ * text and HTML parts.
+ */
+import net from 'net';
+
+/**
+ * Decodes RFC 2047 encoded words in a header (=?UTF-8?Q?...?= / =?UTF-8?B?...?=)
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeHeader(value) {
+    return value
+        .replace(/\?=\s+=\?/g, '?==?')
+        .replace(/=\?([^?]+)\?([QB])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : Buffer.from(decodeQuotedPrintable(text.replace(/_/g, ' ')), 'binary');
+            return bytes.toString('utf-8');
+        });
+}
+
+/**
+ * Decodes quoted-printable into a binary string
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeQuotedPrintable(text) {
+    return text
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Splits a MIME entity into lower-cased headers and body
+ * @param {string} raw
+ * @returns {{ headers: Record<string, string>, body: string }}
+ */
+function parseEntity(raw) {
+    const split = raw.search(/\r?\n\r?\n/);
+    const headerText = split >= 0 ? raw.slice(0, split) : raw;
+    const body = split >= 0 ? raw.slice(split).replace(/^\r?\n\r?\n/, '') : '';
+
+    const headers = {};
+    for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    }
+
+    return { headers, body };
+}
+
+/**
+ * Decodes a single-part body according to its transfer encoding
+ * @param {{ headers: Record<string, string>, body: string }} entity
+ * @returns {string}
+ */
+function decodeBody({ headers, body }) {
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    if (encoding === 'base64') {
+        return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf-8');
+    }
+    if (encoding === 'quoted-printable') {
+        return Buffer.from(decodeQuotedPrintable(body), 'binary').toString('utf-8');
+    }
+    return body;
+}
+
+/**
+ * Collects the text/plain and text/html parts of a (possibly multipart) entity
+ * @param {{ headers: Record<string, string>, body: string }} entity
+ * @param {{ text?: string, html?: string, attachments: Array<Object> }} parts
+ */
+function collectParts(entity, parts) {
+    const type = entity.headers['content-type'] || 'text/plain';
+    const boundary = /boundary="?([^";]+)"?/i.exec(type)?.[1];
+
+    if (type.toLowerCase().startsWith('multipart/') && boundary) {
+        const sections = entity.body.split(`--${boundary}`).slice(1);
+        for (const section of sections) {
+            if (section.startsWith('--')) {
+                break;
+            }
+            collectParts(parseEntity(section.replace(/^\r?\n/, '')), parts);
+        }
+        return;
+    }
+
+    const disposition = entity.headers['content-disposition'] || '';
+    if (disposition.startsWith('attachment')) {
+        parts.attachments.push({
+            contentType: type.split(';')[0],
+            filename: /filename="?([^";]+)"?/i.exec(disposition)?.[1],
+            content: decodeBody(entity),
+        });
+    } else if (type.toLowerCase().startsWith('text/html')) {
+        parts.html = decodeBody(entity);
+    } else if (type.toLowerCase().startsWith('text/plain')) {
+        parts.text = decodeBody(entity);
+    }
+}
+
+/**
+ * Parses a raw message as received in DATA
+ * @param {string} raw
+ * @returns {{ headers: Record<string, string>, subject: string, text?: string, html?: string, attachments: Array<Object> }}
+ */
+function parseMessage(raw) {
+    const entity = parseEntity(raw);
+    const parts = { attachments: [] };
+    collectParts(entity, parts);
+
+    return {
+        headers: entity.headers,
+        subject: decodeHeader(entity.headers.subject || ''),
+        ...parts,
+    };
+}
+
+/**
+ * Starts the sink on a free port
+ * @returns {Promise<{ port: number, messages: Array<{ from: string, to: string[], raw: string, subject: string, text?: string, html?: string }>, close: () => Promise<void> }>}
+ */
+export async function startSmtpSink() {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('binary');
+
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let inData = false;
+        let data = '';
+        let authStep = null;
+
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 localhost SMTP sink');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        const raw = Buffer.from(data, 'binary').toString('utf-8');
+                        messages.push({ ...envelope, raw, ...parseMessage(raw) });
+                        envelope = { from: null, to: [] };
+                        data = '';
+                        reply('250 OK: queued');
+                    } else {
+                        data += (line.startsWith('..') ? line.slice(1) : line) + '\r\n';
+                    }
+                    continue;
+                }
+
+                if (authStep) {
+                    authStep = authStep === 'username' ? 'password' : null;
+                    reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+                    continue;
+                }
+
+                const command = line.split(' ')[0].toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250-localhost\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+                } else if (command === 'AUTH') {
+                    if (/^AUTH LOGIN$/i.test(line)) {
+                        authStep = 'username';
+                        reply('334 VXNlcm5hbWU6');
+                    } else {
+                        reply('235 Authentication successful');
+                    }
+                } else if (command === 'MAIL') {
+                    envelope.from = /<([^>]*)>/.exec(line)?.[1] ?? null;
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(/<([^>]*)>/.exec(line)?.[1]);
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(() => resolve());
+        }),
+    };
+}
@@ -0,0 +1,179 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import {
+    DAY_OFF_KINDS, readDaysOff, parseHolidayList, getDayOff, getOffStretch, getDueHolidayNotice, markHolidaysNotified,
+    validateHolidays,
+} from '../src/holidays.js';
+import { getSkipReason } from '../src/daemon.js';
+import { addDays } from '../src/utils.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const JANUARY = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'attendance-2026-01.json'), 'utf-8'));
+
+// January 2026 as read from the fixture, plus Republic Day from a holiday list
+const CALENDAR = {
+    updatedAt: '2026-01-02T03:30:00.000Z',
+    from: '2026-01-01',
+    to: '2026-01-31',
+    days: [
+        ...readDaysOff(JANUARY.Data.DailyAttendanceSummary),
+        { date: '2026-01-26', kind: DAY_OFF_KINDS.HOLIDAY, name: 'Republic Day' },
+    ].sort((a, b) => a.date.localeCompare(b.date)),
+};
+
+describe('holiday calendar', () => {
+    beforeEach(() => {
+        config.schedule.holidays = [];
+        config.schedule.weekendDays = [0, 6];
+        Object.assign(config.holidays, { notice: 'holidays', noticeDays: 7 });
+    });
+
+    test('holidays and weekly offs are read from the monthly summary', () => {
+        const days = readDaysOff(JANUARY.Data.DailyAttendanceSummary);
+        assert.deepEqual(days[0], { date: '2026-01-01', kind: DAY_OFF_KINDS.HOLIDAY, name: 'New Year' });
+        assert.equal(days.filter(day => day.kind === DAY_OFF_KINDS.WEEKLY_OFF).length, 9);
+    });
+
+    test('a holiday list is read from the fields HRMS versions use, without optional holidays', () => {
+        assert.deepEqual(parseHolidayList({
+            Data: {
+                Holidays: [
+                    { HolidayDate: '2026-01-26T00:00:00', HolidayName: 'Republic Day' },
+                    { Date: '2026-03-04', Name: 'Holi', IsOptional: true },
+                    { Date: 'soon', Name: 'Broken' },
+                ],
+            },
+        }), [{ date: '2026-01-26', kind: DAY_OFF_KINDS.HOLIDAY, name: 'Republic Day' }]);
+    });
+
+    test('HOLIDAYS count as holidays on top of the calendar', () => {
+        config.schedule.holidays = ['2026-01-13'];
+        assert.equal(getDayOff('2026-01-13', CALENDAR).kind, DAY_OFF_KINDS.HOLIDAY);
+        assert.equal(getDayOff('2026-01-26', CALENDAR).name, 'Republic Day');
+        assert.equal(getDayOff('2026-01-27', CALENDAR), null);
+    });
+
+    test('a holiday next to weekly offs makes a long weekend', () => {
+        assert.deepEqual(getOffStretch('2026-01-26', CALENDAR), {
+            start: '2026-01-24', end: '2026-01-26', days: 3, holidays: [{ date: '2026-01-26', name: 'Republic Day' }],
+        });
+        assert.equal(getOffStretch('2026-01-01', CALENDAR).days, 1, 'Thursday, with Friday a working day');
+
+        // Beyond the months read from HRMS, WEEKEND_DAYS stand in for the weekly offs
+        const february = getOffStretch('2026-02-02', { ...CALENDAR, days: [...CALENDAR.days, { date: '2026-02-02', kind: DAY_OFF_KINDS.HOLIDAY, name: null }] });
+        assert.deepEqual([february.start, february.end], ['2026-01-31', '2026-02-02']);
+    });
+
+    test('the notice announces each holiday once, and only long weekends when asked', () => {
+        const state = {};
+        const due = getDueHolidayNotice(CALENDAR, state, '2026-01-20');
+        assert.deepEqual(due.map(stretch => [stretch.start, stretch.days]), [['2026-01-24', 3]]);
+        assert.deepEqual(getDueHolidayNotice(CALENDAR, state, '2026-01-18'), [], 'more than HOLIDAY_NOTICE_DAYS ahead');
+
+        markHolidaysNotified(state, due, '2026-01-20', new Date('2026-01-20T03:30:00Z'));
+        assert.deepEqual(getDueHolidayNotice(CALENDAR, state, '2026-01-21'), []);
+
+        markHolidaysNotified(state, [], '2026-01-27');
+        assert.deepEqual(state.holidays, {}, 'past holidays are forgotten');
+
+        config.holidays.notice = 'long-weekends';
+        config.schedule.holidays = ['2026-01-14'];
+        assert.deepEqual(getDueHolidayNotice(CALENDAR, {}, '2026-01-10'), [], 'a Wednesday off is no long weekend');
+
+        config.holidays.notice = 'off';
+        assert.deepEqual(getDueHolidayNotice(CALENDAR, {}, '2026-01-20'), []);
+    });
+
+    test('scheduled runs skip holidays and weekly offs from the calendar', () => {
+        const saved = { ...config.schedule };
+        Object.assign(config.schedule, { timezone: 'Asia/Kolkata', skipWeekends: true, skipHolidays: true, weekendDays: [0] });
+        try {
+            assert.equal(getSkipReason(new Date('2026-01-26T03:30:00Z'), CALENDAR), 'holiday: Republic Day');
+            assert.equal(getSkipReason(new Date('2026-01-24T03:30:00Z'), CALENDAR), 'weekly off');
+            assert.equal(getSkipReason(new Date('2026-01-25T03:30:00Z'), CALENDAR), 'weekend');
+            assert.equal(getSkipReason(new Date('2026-01-27T03:30:00Z'), CALENDAR), null);
+
+            config.schedule.skipHolidays = false;
+            assert.equal(getSkipReason(new Date('2026-01-26T03:30:00Z'), CALENDAR), null);
+        } finally {
+            Object.assign(config.schedule, saved);
+        }
+    });
+
+    test('invalid settings are reported', () => {
+        const endpoint = config.hrms.holidayEndpoint;
+        Object.assign(config.holidays, { lookaheadMonths: 13, notice: 'weekly', noticeDays: 0 });
+        config.hrms.holidayEndpoint = 'holidays';
+        assert.equal(validateHolidays().length, 4);
+        config.hrms.holidayEndpoint = endpoint;
+        Object.assign(config.holidays, { lookaheadMonths: 2 });
+    });
+});
+
+describe('hrms-notifier holidays', () => {
+    let mock;
+    let harness;
+
+    // Today and tomorrow in India, where the test runs the notifier
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+    const tomorrow = addDays(today, 1);
+
+    before(async () => {
+        mock = await startMockHrms();
+        mock.months[tomorrow.slice(0, 7)] = {
+            Status: true,
+            Message: 'Success',
+            Data: {
+                CountDetails: {
+                    PresentCount: 0, OnDutyCount: 0, AbsentCount: 0, LeaveCount: 0, HolidayCount: 1,
+                    WeeklyOffCount: 0, RegularizationCount: 0, PayableDaysCount: 0,
+                },
+                DailyAttendanceSummary: [{
+                    ShiftDetails: { Date: `${tomorrow}T00:00:00`, ShiftName: 'General Shift', StartTime: '09:00', EndTime: '18:00' },
+                    DailyAttendanceStatus: [{ TagType: 7, TagName: 'Founders Day' }],
+                }],
+            },
+        };
+
+        harness = startCliEnv(mock, { HOLIDAY_NOTICE: 'holidays', HOLIDAY_NOTICE_DAYS: '3' });
+    });
+
+    after(async () => {
+        await mock.close();
+        harness.close();
+    });
+
+    test('a regular check saves the calendar and announces the holiday once', async () => {
+        const { code, stderr } = await harness.cli(['check']);
+        assert.equal(code, 0, stderr);
+
+        const calendar = JSON.parse(fs.readFileSync(harness.env.HOLIDAY_CALENDAR_FILE, 'utf-8'));
+        assert.deepEqual(calendar.days.find(day => day.date === tomorrow), { date: tomorrow, kind: DAY_OFF_KINDS.HOLIDAY, name: 'Founders Day' });
+
+        const notices = () => mock.notifications.filter(notification => notification.type === 'holidays');
+        assert.equal(notices().length, 1);
+        assert.match(notices()[0].subject, /Upcoming Holiday/);
+        assert.deepEqual(notices()[0].data.stretches[0].holidays, [{ date: tomorrow, name: 'Founders Day' }]);
+
+        await harness.cli(['check']);
+        assert.equal(notices().length, 1);
+    });
+
+    test('lists the holidays ahead from the saved calendar', async () => {
+        const requests = mock.requests.length;
+        const { code, stdout, stderr } = await harness.cli(['holidays']);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Founders Day/);
+        assert.equal(mock.requests.length, requests, 'the saved calendar is used');
+
+        const none = await harness.cli(['holidays', '--days', '0']);
+        assert.match(none.stdout, /No holidays ahead in the next 0 day\(s\)/);
+    });
+});
@@ -0,0 +1,187 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import { classifyDays, extractAbsentDays } from '../src/attendance.js';
+import { buildAttendanceEvents, buildAlertEvents, renderICalendar, validateCalendar } from '../src/icalendar.js';
+import { startServer } from '../src/server.js';
+import { parseLocalDate } from '../src/utils.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const december = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'attendance-2025-12.json'), 'utf-8'));
+
+/**
+ * Unfolds the content lines of a rendered calendar
+ * @param {string} ics
+ * @returns {string[]}
+ */
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('buildAttendanceEvents', () => {
+    const startDate = parseLocalDate('2025-12-01');
+    const endDate = parseLocalDate('2025-12-31');
+    const days = classifyDays(december, startDate, endDate);
+    const absentDays = extractAbsentDays(december, startDate, endDate);
+
+    test('absences, leaves and holidays become all-day events', () => {
+        config.calendar.reminderDays = 3;
+        const events = buildAttendanceEvents({ days, absentDays, startDate, endDate });
+
+        assert.deepEqual(events.slice(0, -1).map(event => `${event.date} ${event.summary}`), [
+            '2025-12-10 ❌ Absent',
+            '2025-12-15 🏖️ Casual Leave',
+            '2025-12-25 🎄 Christmas',
+            '2025-12-26 ❌ Absent',
+            '2025-12-29 ❌ Absent',
+        ]);
+    });
+
+    test('the deadline reminder lists the days that still need action', () => {
+        config.calendar.reminderDays = 3;
+        const deadline = buildAttendanceEvents({ days, absentDays, startDate, endDate }).pop();
+
+        assert.equal(deadline.date, '2025-12-28');
+        assert.equal(deadline.uid, '2025-12-31-deadline-default@peeplynx-hr-notifier');
+        assert.ok(deadline.alarm);
+        assert.match(deadline.description, /3 day\(s\) still need action/);
+        assert.match(deadline.description, /Tuesday, 30 December 2025 - Missing Punch/);
+    });
+
+    test('the reminder never falls before the period starts', () => {
+        config.calendar.reminderDays = 60;
+        try {
+            const [deadline] = buildAlertEvents([], startDate, endDate);
+            assert.equal(deadline.date, '2025-12-01');
+            assert.match(deadline.description, /No days need action/);
+        } finally {
+            config.calendar.reminderDays = 3;
+        }
+    });
+
+    test('invalid settings are reported', () => {
+        config.calendar.reminderDays = -1;
+        try {
+            assert.equal(validateCalendar().length, 1);
+        } finally {
+            config.calendar.reminderDays = 3;
+        }
+    });
+});
+
+describe('renderICalendar', () => {
+    const events = [
+        { uid: 'a@test', date: '2025-12-31', summary: 'Absent; see HR, now', description: 'Line one\nLine two' },
+        { uid: 'b@test', date: '2026-01-22', summary: '⏰ '.repeat(40), alarm: true },
+    ];
+    const ics = renderICalendar(events, { name: 'Attendance (alice)', now: new Date('2026-01-20T10:30:00.123Z') });
+
+    test('lines end in CRLF and are folded at 75 octets', () => {
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.doesNotMatch(ics, /[^\r]\n/);
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, `${line} is too long`);
+        }
+        // Folding keeps multi-byte characters whole
+        assert.ok(unfold(ics).includes(`SUMMARY:${'⏰ '.repeat(40)}`));
+    });
+
+    test('all-day events end on the next day and text is escaped', () => {
+        const lines = unfold(ics);
+        assert.ok(lines.includes('X-WR-CALNAME:Attendance (alice)'));
+        assert.ok(lines.includes('DTSTAMP:20260120T103000Z'));
+        assert.ok(lines.includes('DTSTART;VALUE=DATE:20251231'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20260101'));
+        assert.ok(lines.includes('SUMMARY:Absent\\; see HR\\, now'));
+        assert.ok(lines.includes('DESCRIPTION:Line one\\nLine two'));
+    });
+
+    test('only events with an alarm get a VALARM', () => {
+        assert.equal(ics.match(/BEGIN:VALARM/g).length, 1);
+        assert.match(ics, /UID:b@test[\s\S]*TRIGGER;RELATED=START:PT9H/);
+    });
+});
+
+describe('--ics', () => {
+    let mock;
+    let harness;
+
+    before(async () => {
+        mock = await startMockHrms();
+        harness = startCliEnv(mock);
+    });
+
+    after(async () => {
+        await mock.close();
+        harness.close();
+    });
+
+    test('writes the calendar of the checked period', async () => {
+        const file = path.join(harness.workDir, 'attendance.ics');
+        const { code } = await harness.cli(['--test', '--period', '2026-01', '--ics', file], { script: 'index.js' });
+        assert.equal(code, 0);
+
+        const lines = unfold(fs.readFileSync(file, 'utf-8'));
+        const starts = lines.filter(line => line.startsWith('DTSTART'));
+        assert.ok(starts.includes('DTSTART;VALUE=DATE:20251226'), 'absent 26 December');
+        assert.ok(starts.includes('DTSTART;VALUE=DATE:20260101'), 'New Year holiday');
+        assert.ok(starts.includes('DTSTART;VALUE=DATE:20260122'), 'deadline three days before the period closes');
+        assert.ok(!starts.includes('DTSTART;VALUE=DATE:20260126'), 'days after the period are left out');
+    });
+});
+
+describe('/calendar.ics on the status server', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        config.server.port = 0;
+        config.server.token = 'status-token';
+
+        // The runner in Node 20 mis-parses stdout written between its own
+        // messages, so keep the "listening" line out of the output
+        const log = console.log;
+        console.log = () => {};
+        try {
+            server = await startServer({
+                getCalendar: async ({ profile }) => {
+                    if (profile === 'nobody') {
+                        throw Object.assign(new Error('No profile named "nobody"'), { statusCode: 404 });
+                    }
+                    return renderICalendar([], { name: `Attendance (${profile})` });
+                },
+            });
+        } finally {
+            console.log = log;
+        }
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    test('calendar apps can subscribe with the token in the URL', async () => {
+        const response = await fetch(`${baseUrl}/calendar.ics?token=status-token&profile=alice`);
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/calendar/);
+        assert.match(await response.text(), /X-WR-CALNAME:Attendance \(alice\)/);
+    });
+
+    test('the token is still required', async () => {
+        const response = await fetch(`${baseUrl}/calendar.ics`);
+        assert.equal(response.status, 401);
+    });
+
+    test('service errors keep their status code', async () => {
+        const response = await fetch(`${baseUrl}/calendar.ics?token=status-token&profile=nobody`);
+        assert.equal(response.status, 404);
+    });
+});
@@ -0,0 +1,166 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import {
+    parseLeaveBalances, formatBalanceSummary, getLeaveYearEnd, getLeaveAlerts, markLeaveAlerted, validateLeaveBalance,
+} from '../src/leave-balance.js';
+import { ApiSchemaError } from '../src/errors.js';
+import { EXIT_CODES } from '../src/exit-codes.js';
+import { formatDate } from '../src/utils.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+const BALANCE_ENDPOINT = '/leave-management/leave-balance';
+
+const BALANCES = {
+    Status: true,
+    Message: 'Success',
+    Data: [
+        { LeaveTypeName: 'Casual Leave', LeaveCode: 'CL', Balance: 3, MaxCarryForward: 0 },
+        { LeaveTypeName: 'Earned Leave', LeaveCode: 'EL', Balance: '12.5', MaxCarryForward: '10' },
+        { LeaveTypeName: 'Sick Leave', LeaveCode: 'SL', Balance: 1 },
+    ],
+};
+
+describe('parseLeaveBalances', () => {
+    const dumpDir = config.schema.dumpDir;
+    let workDir;
+
+    // Schema errors dump the response, so keep the dumps out of the project
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+        config.schema.dumpDir = path.join(workDir, 'dumps');
+    });
+
+    after(() => {
+        config.schema.dumpDir = dumpDir;
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    test('reads the balance per leave type, also from string fields', () => {
+        assert.deepEqual(parseLeaveBalances(BALANCES), [
+            { name: 'Casual Leave', code: 'CL', balance: 3, carryForward: 0 },
+            { name: 'Earned Leave', code: 'EL', balance: 12.5, carryForward: 10 },
+            { name: 'Sick Leave', code: 'SL', balance: 1, carryForward: null },
+        ]);
+    });
+
+    test('the list may sit inside Data under other field names', () => {
+        const data = { Data: { LeaveBalances: [{ LeaveType: 'Comp Off', AvailableBalance: 2 }, { LeaveType: 'No balance' }] } };
+        assert.deepEqual(parseLeaveBalances(data), [{ name: 'Comp Off', code: null, balance: 2, carryForward: null }]);
+    });
+
+    test('a response without balances is a schema error', () => {
+        assert.throws(() => parseLeaveBalances({ Status: true, Data: { Items: [{ Id: 1 }] } }), ApiSchemaError);
+    });
+});
+
+describe('leave alerts', () => {
+    const balances = parseLeaveBalances(BALANCES);
+
+    beforeEach(() => {
+        Object.assign(config.leave, { types: [], lowBalance: 1, yearEnd: '12-31', lapseNoticeDays: 30, lapseTypes: [] });
+    });
+
+    test('LEAVE_TYPES limits the summary and the alerts', () => {
+        assert.equal(formatBalanceSummary(balances), '3 CL, 12.5 EL, 1 SL');
+        config.leave.types = ['cl', 'Earned Leave'];
+        assert.equal(formatBalanceSummary(balances), '3 CL, 12.5 EL');
+        assert.deepEqual(getLeaveAlerts(balances, {}, new Date(2026, 5, 1)).low, []);
+    });
+
+    test('a low balance is alerted once, and again after it went back up', () => {
+        const state = {};
+        const today = new Date(2026, 5, 1);
+
+        const alerts = getLeaveAlerts(balances, state, today);
+        assert.deepEqual(alerts.low.map(balance => balance.code), ['SL']);
+        assert.deepEqual(alerts.lapsing, [], 'the year end is months away');
+
+        markLeaveAlerted(state, balances, alerts, today);
+        assert.deepEqual(getLeaveAlerts(balances, state, today).low, []);
+
+        const topped = balances.map(balance => balance.code === 'SL' ? { ...balance, balance: 4 } : balance);
+        markLeaveAlerted(state, topped, getLeaveAlerts(topped, state, today), today);
+        assert.deepEqual(state.leave.low, {});
+        assert.deepEqual(getLeaveAlerts(balances, state, today).low.map(balance => balance.code), ['SL']);
+    });
+
+    test('leave over the carry-forward limit is alerted once before the year end', () => {
+        config.leave.lapseTypes = ['Sick Leave'];
+        const state = {};
+        const today = new Date(2026, 11, 10);
+
+        const alerts = getLeaveAlerts(balances, state, today);
+        assert.deepEqual(alerts.lapsing.map(balance => [balance.code, balance.lapsing]), [['CL', 3], ['EL', 2.5], ['SL', 1]]);
+        assert.equal(formatDate(alerts.yearEnd), '2026-12-31');
+
+        markLeaveAlerted(state, balances, alerts, today);
+        assert.deepEqual(getLeaveAlerts(balances, state, today).lapsing, []);
+        assert.equal(getLeaveAlerts(balances, state, new Date(2027, 11, 10)).lapsing.length, 3, 'and again the next year');
+    });
+
+    test('the leave year may end in another month', () => {
+        config.leave.yearEnd = '03-31';
+        assert.equal(formatDate(getLeaveYearEnd(new Date(2026, 2, 31))), '2026-03-31');
+        assert.equal(formatDate(getLeaveYearEnd(new Date(2026, 3, 1))), '2027-03-31');
+    });
+
+    test('invalid settings are reported', () => {
+        const endpoint = config.hrms.leaveBalanceEndpoint;
+        Object.assign(config.leave, { lowBalance: NaN, yearEnd: '02-30', lapseNoticeDays: -1 });
+        config.hrms.leaveBalanceEndpoint = 'leave-balance';
+        assert.equal(validateLeaveBalance().length, 4);
+        config.hrms.leaveBalanceEndpoint = endpoint;
+    });
+});
+
+describe('hrms-notifier check with leave balances', () => {
+    let mock;
+    let harness;
+
+    before(async () => {
+        mock = await startMockHrms();
+        mock.responses[BALANCE_ENDPOINT] = BALANCES;
+        harness = startCliEnv(mock, {
+            HRMS_LEAVE_BALANCE_ENDPOINT: BALANCE_ENDPOINT,
+            LEAVE_TYPES: 'CL,EL',
+            LEAVE_LOW_BALANCE: '3',
+            // A whole year of notice, so the lapse alert does not depend on today's date
+            LEAVE_LAPSE_NOTICE_DAYS: '366',
+        });
+    });
+
+    after(async () => {
+        await mock.close();
+        harness.close();
+    });
+
+    test('the absence alert mentions the balances, and low or lapsing leave is alerted once', async () => {
+        const { code, stdout, stderr } = await harness.cli(['check', '--period', '2026-01']);
+        assert.equal(code, 0, stderr);
+        assert.match(stdout, /Leave balance: 3 CL, 12\.5 EL/);
+
+        const absence = mock.notifications.find(notification => notification.type === 'absence');
+        assert.match(absence.text, /You have 3 CL, 12\.5 EL left; \d+ unresolved absence\(s\)\./);
+        assert.equal(absence.data.leaveBalances.length, 3);
+
+        const leave = mock.notifications.find(notification => notification.type === 'leave-balance');
+        assert.deepEqual(leave.data.low.map(balance => balance.code), ['CL']);
+        assert.deepEqual(leave.data.lapsing.map(balance => [balance.code, balance.lapsing]), [['CL', 3], ['EL', 2.5]]);
+        assert.match(leave.text, /Casual Leave \(CL\): 3 day\(s\) left/);
+
+        await harness.cli(['check', '--period', '2026-01']);
+        assert.equal(mock.notifications.filter(notification => notification.type === 'leave-balance').length, 1);
+    });
+
+    test('a failing balance endpoint does not fail the check', async () => {
+        delete mock.responses[BALANCE_ENDPOINT];
+        const { code, stderr } = await harness.cli(['check', '--test', '--output', 'json', '--period', '2026-01']);
+        assert.equal(code, EXIT_CODES.FLAGGED);
+        assert.match(stderr, /Could not fetch leave balances/);
+    });
+});
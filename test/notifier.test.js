@@ -0,0 +1,229 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { sendAbsenceAlert, sendResolvedAlert, sendErrorAlert, sendSessionExpiredAlert, sendTestEmail, sendAttendanceDigest } from '../src/notifier.js';
+import { AuthError, NetworkError, LoginError } from '../src/errors.js';
+import { buildPayload as buildSlackPayload } from '../src/channels/slack.js';
+import { startSmtpSink } from './helpers/smtp-sink.js';
+
+let sink;
+
+before(async () => {
+    sink = await startSmtpSink();
+    Object.assign(config.email, {
+        host: '127.0.0.1',
+        port: sink.port,
+        secure: false,
+        user: 'notifier@example.com',
+        pass: 'secret',
+        notifyEmail: 'employee@example.com',
+    });
+    config.notify.channels = ['email'];
+    config.profileName = null;
+});
+
+after(() => sink.close());
+
+beforeEach(() => {
+    sink.messages.length = 0;
+});
+
+describe('email rendering', () => {
+    const days = [
+        { date: '2026-01-05', status: 'Absent', category: 'actionable' },
+        { date: '2025-12-29', status: 'Regularization Pending', category: 'pending' },
+    ];
+
+    test('absence alert lists every day, grouped by category', async () => {
+        await sendAbsenceAlert(days);
+
+        assert.equal(sink.messages.length, 1);
+        const [mail] = sink.messages;
+        assert.equal(mail.from, 'notifier@example.com');
+        assert.deepEqual(mail.to, ['employee@example.com']);
+        assert.equal(mail.subject, '⚠️ Peeplynx HR Alert: 2 Day(s) Need Attention');
+
+        for (const body of [mail.text, mail.html]) {
+            assert.match(body, /Monday, 5 January 2026/);
+            assert.match(body, /Monday, 29 December 2025/);
+            assert.match(body, /Regularization Pending/);
+        }
+        assert.ok(mail.text.indexOf('Action required') < mail.text.indexOf('Pending approval'), 'actionable days come first');
+        assert.match(mail.html, /<strong>Monday, 5 January 2026<\/strong> - Absent/);
+    });
+
+    test('absence alert names the salary period', async () => {
+        await sendAbsenceAlert(days, { startDate: new Date(2025, 11, 26), endDate: new Date(2026, 0, 25) });
+        assert.match(sink.messages[0].text, /need attention in the salary period 26 Dec 2025\s–\s25 Jan 2026:/);
+        assert.doesNotMatch(sink.messages[0].text, /31 days/);
+    });
+
+    test('actionable days carry action links when enabled', async () => {
+        Object.assign(config.actions, { baseUrl: 'https://notifier.example.com/', secret: 'a-test-secret-of-16+chars' });
+        try {
+            await sendAbsenceAlert(days);
+        } finally {
+            Object.assign(config.actions, { baseUrl: undefined, secret: undefined });
+        }
+
+        const links = [...sink.messages[0].html.matchAll(/href="(https:\/\/notifier\.example\.com\/actions\/[^"]+)"/g)];
+        assert.equal(links.length, 2, 'snooze and handled for the absent day; none for the pending day');
+        assert.match(sink.messages[0].html, /I&#39;ve already handled it/);
+        assert.doesNotMatch(sink.messages[0].text, /\/actions\//);
+    });
+
+    test('absence alert attaches the days and the deadline as a calendar', async () => {
+        await sendAbsenceAlert(days, { startDate: new Date(2025, 11, 26), endDate: new Date(2026, 0, 25) });
+
+        const [attachment] = sink.messages[0].attachments;
+        assert.equal(attachment.filename, 'attendance.ics');
+        assert.equal(attachment.contentType, 'text/calendar');
+        assert.match(attachment.content, /DTSTART;VALUE=DATE:20260105/);
+        assert.match(attachment.content, /DTSTART;VALUE=DATE:20260122/);
+    });
+
+    test('reminder uses the reminder wording', async () => {
+        await sendAbsenceAlert(days.slice(0, 1), { reminder: true });
+        assert.equal(sink.messages[0].subject, '⚠️ Peeplynx HR Alert: 1 Day(s) Still Unresolved');
+        assert.match(sink.messages[0].text, /reported earlier are still unresolved/);
+    });
+
+    test('resolved notice', async () => {
+        await sendResolvedAlert(days.slice(0, 1));
+        assert.match(sink.messages[0].subject, /Resolved/);
+        assert.match(sink.messages[0].text, /Monday, 5 January 2026/);
+    });
+
+    test('error alerts branch on the error type', async () => {
+        await sendErrorAlert(new AuthError('HRMS rejected the access token (401)'));
+        await sendErrorAlert(new NetworkError('HRMS unreachable: ENOTFOUND'));
+        await sendErrorAlert(new Error('Something else'));
+
+        const [auth, network, unknown] = sink.messages;
+        assert.match(auth.subject, /Authentication Error/);
+        assert.match(auth.text, /npm run login/);
+        assert.match(network.subject, /Network Error/);
+        assert.match(network.text, /ENOTFOUND/);
+        assert.match(unknown.subject, /❌ Error/);
+    });
+
+    test('interpolated values are HTML-escaped', async () => {
+        await sendErrorAlert(new Error('Unexpected <script>alert(1)</script> in response'));
+        const [mail] = sink.messages;
+        assert.match(mail.html, /Unexpected &lt;script&gt;alert\(1\)&lt;\/script&gt; in response/);
+        assert.doesNotMatch(mail.html, /<script>/);
+        assert.match(mail.text, /Unexpected <script>alert\(1\)<\/script> in response/);
+    });
+
+    test('session expired and test notifications', async () => {
+        await sendSessionExpiredAlert();
+        await sendTestEmail();
+        assert.equal(sink.messages.length, 2);
+        assert.match(sink.messages[0].text, /npm run login/);
+        assert.ok(sink.messages[1].html.length > 0);
+    });
+
+    test('a failed automated login is explained, with the screenshot attached', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-screenshots-'));
+        const screenshot = path.join(dir, 'auto-login-default.png');
+        fs.writeFileSync(screenshot, Buffer.from('89504e470d0a1a0a', 'hex'));
+        try {
+            await sendSessionExpiredAlert(new LoginError('Unsupported sign-in challenge', { step: 'password', screenshot }));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        const [mail] = sink.messages;
+        assert.match(mail.text, /automated re-login failed after the "password" page:\r?\n {2}Unsupported sign-in challenge/);
+        assert.match(mail.html, /saved to <em>[^<]*auto-login-default\.png<\/em>/);
+        assert.deepEqual(mail.attachments.map(a => `${a.filename}:${a.contentType}`), ['auto-login-default.png:image/png']);
+    });
+
+    test('attendance digest has the period summary and a colored calendar', async () => {
+        const result = {
+            startDate: new Date(2025, 11, 26),
+            endDate: new Date(2026, 0, 25),
+            days: [...days, { date: '2026-01-06', status: 'Present', category: 'informational' }],
+            flaggedDays: days,
+            summary: [{ month: 1, year: 2026, inOffice: 14, onDuty: 1, absent: 1, leave: 0, holiday: 1, weeklyOff: 8, regularization: 0, payableDays: 24 }],
+        };
+        await sendAttendanceDigest(result, { closing: true });
+
+        const [mail] = sink.messages;
+        assert.match(mail.subject, /Salary Period Closes in \d+ Day\(s\), 2 Flagged/);
+        assert.match(mail.html, /<td><strong>January 2026<\/strong><\/td><td>14<\/td>/);
+        assert.match(mail.html, /<td style="background: #ffcdd2;" title="2026-01-05: Absent">5<\/td>/);
+        assert.match(mail.html, /<td style="background: #c8e6c9;" title="2026-01-06: Present">6<\/td>/);
+        assert.match(mail.text, / 5A  6P /);
+    });
+
+    test('profile name prefixes the subject', async () => {
+        config.profileName = 'alice';
+        try {
+            await sendAbsenceAlert(days.slice(0, 1));
+        } finally {
+            config.profileName = null;
+        }
+        assert.match(sink.messages[0].subject, /^\[alice\] /);
+    });
+});
+
+describe('localization and template overrides', () => {
+    const day = { date: '2026-01-05', status: 'Absent', category: 'actionable' };
+    let templatesDir;
+
+    before(() => {
+        templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-templates-'));
+    });
+
+    after(() => {
+        config.templates.dir = undefined;
+        fs.rmSync(templatesDir, { recursive: true, force: true });
+    });
+
+    test('dates follow the configured locale', async () => {
+        config.display.locale = 'de-DE';
+        try {
+            await sendAbsenceAlert([day]);
+        } finally {
+            config.display.locale = 'en-IN';
+        }
+        assert.match(sink.messages[0].text, /Montag, 5\. Januar 2026/);
+    });
+
+    test('a file in TEMPLATES_DIR replaces the built-in template', async () => {
+        fs.writeFileSync(path.join(templatesDir, 'absence.txt'), 'Subject: {{count}} day(s) to fix\n\n{{#groups}}{{#days}}{{date}}: {{status}}\n{{/days}}{{/groups}}');
+        config.templates.dir = templatesDir;
+        try {
+            await sendAbsenceAlert([day]);
+        } finally {
+            config.templates.dir = undefined;
+        }
+
+        const [mail] = sink.messages;
+        assert.equal(mail.subject, '1 day(s) to fix');
+        assert.equal(mail.text.trim(), 'Monday, 5 January 2026: Absent');
+        assert.match(mail.html, /Open Peeplynx HR/, 'the HTML template without an override is the built-in one');
+    });
+});
+
+describe('slack channel', () => {
+    test('escapes mrkdwn markup in the text', () => {
+        const [, section] = buildSlackPayload({ subject: 'Absent', text: 'Status <Absent> & <!channel>' }).blocks;
+        assert.equal(section.text.text, 'Status &lt;Absent&gt; &amp; &lt;!channel&gt;');
+    });
+
+    test('keeps the header and the section within the lengths Slack accepts', () => {
+        const lines = Array.from({ length: 200 }, (_, i) => `Monday, ${i + 1} January 2026: Absent & unregularized`);
+        const [header, section] = buildSlackPayload({ subject: 'x'.repeat(200), text: lines.join('\n') }).blocks;
+
+        assert.equal(header.text.text, `${'x'.repeat(149)}…`);
+        assert.ok(section.text.text.length <= 3000);
+        const shown = section.text.text.split('\n');
+        assert.equal(shown.at(-1), `…and ${lines.length - shown.length + 1} more`);
+        assert.equal(shown[0], 'Monday, 1 January 2026: Absent &amp; unregularized');
+    });
+});
@@ -0,0 +1,192 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import {
+    PUNCH_REMINDERS, parseClockTime, formatClockTime, readPunches, describeDay, getDueReminders,
+    markPunchReminded, validatePunchMonitor,
+} from '../src/punch-monitor.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+/**
+ * Builds a DailyAttendanceSummary entry
+ * @param {string} date
+ * @param {Object} [fields] - Punch fields, e.g. { InTime: '09:12' }
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function entry(date, fields = {}, { start = '09:00', end = '18:00', tags = [] } = {}) {
+    return {
+        ShiftDetails: { Date: `${date}T00:00:00`, ShiftName: 'General Shift', StartTime: start, EndTime: end },
+        DailyAttendanceStatus: tags,
+        ...fields,
+    };
+}
+
+/**
+ * A point in time given in India Standard Time (UTC+05:30)
+ * @param {string} local - YYYY-MM-DDTHH:MM
+ * @returns {Date}
+ */
+function ist(local) {
+    return new Date(`${local}:00+05:30`);
+}
+
+describe('punch times', () => {
+    test('times of day are read from the formats HRMS versions use', () => {
+        assert.equal(parseClockTime('09:30'), 570);
+        assert.equal(parseClockTime('9:30:15'), 570);
+        assert.equal(parseClockTime('2026-01-20T18:05:00'), 1085);
+        assert.equal(parseClockTime('6:05 PM'), 1085);
+        assert.equal(parseClockTime('12:10 AM'), 10);
+        assert.equal(parseClockTime(''), null);
+        assert.equal(parseClockTime(null), null);
+        assert.equal(formatClockTime(1085), '18:05');
+        assert.equal(formatClockTime(null), null);
+    });
+
+    test('punches come from the summary entry or a punch detail list', () => {
+        assert.deepEqual(readPunches(entry('2026-01-20', { InTime: '09:12', OutTime: '' })), { in: 552, out: null });
+        assert.deepEqual(readPunches(entry('2026-01-20', { FirstIn: '09:12', LastOut: '00:00' })), { in: 552, out: null });
+        assert.deepEqual(readPunches(entry('2026-01-20')), { in: null, out: null });
+
+        assert.deepEqual(readPunches([{ PunchTime: '2026-01-20T09:12:00' }]), { in: 552, out: null });
+        assert.deepEqual(readPunches([{ PunchTime: '09:12' }, { PunchTime: '13:00' }, { PunchTime: '18:20' }]), { in: 552, out: 1100 });
+    });
+
+    test('weekly offs, holidays and leave need no punches', () => {
+        config.schedule.holidays = ['2026-01-26'];
+        assert.equal(describeDay(entry('2026-01-24', {}, { tags: [{ TagType: 5, TagName: 'Weekly Off' }] })).offReason, 'weekly off');
+        assert.equal(describeDay(entry('2026-01-01', {}, { tags: [{ TagType: 7, TagName: 'New Year' }] })).offReason, 'holiday');
+        assert.equal(describeDay(entry('2026-01-26')).offReason, 'holiday');
+        assert.equal(describeDay(entry('2026-01-21', {}, { tags: [{ TagType: 4, TagName: 'Casual Leave pending approval' }] })).offReason, 'leave');
+        assert.equal(describeDay(entry('2026-01-20')).offReason, null);
+        config.schedule.holidays = [];
+    });
+});
+
+describe('getDueReminders', () => {
+    beforeEach(() => {
+        Object.assign(config.punch, { inBy: '10:00', outGrace: '30m' });
+        config.schedule.timezone = 'Asia/Kolkata';
+        config.schedule.holidays = [];
+    });
+
+    test('no punch-in by PUNCH_IN_BY on a working day is reminded once', () => {
+        const days = [describeDay(entry('2026-01-20'))];
+        const state = {};
+
+        assert.deepEqual(getDueReminders(days, state, ist('2026-01-20T09:59')), []);
+
+        const [reminder] = getDueReminders(days, state, ist('2026-01-20T10:00'));
+        assert.equal(reminder.type, PUNCH_REMINDERS.IN);
+        assert.equal(reminder.date, '2026-01-20');
+
+        markPunchReminded(state, reminder, ist('2026-01-20T10:00'));
+        assert.deepEqual(getDueReminders(days, state, ist('2026-01-20T11:00')), []);
+    });
+
+    test('days already marked present or off are left alone', () => {
+        const present = describeDay(entry('2026-01-20', {}, { tags: [{ TagType: 1, TagName: 'Present' }] }));
+        const weeklyOff = describeDay(entry('2026-01-24', {}, { tags: [{ TagType: 5, TagName: 'Weekly Off' }] }));
+
+        assert.deepEqual(getDueReminders([present], {}, ist('2026-01-20T12:00')), []);
+        assert.deepEqual(getDueReminders([weeklyOff], {}, ist('2026-01-24T12:00')), []);
+    });
+
+    test('no punch-out PUNCH_OUT_GRACE after the shift ends is reminded once', () => {
+        const days = [describeDay(entry('2026-01-20', { InTime: '09:12' }))];
+        const state = {};
+
+        assert.deepEqual(getDueReminders(days, state, ist('2026-01-20T18:29')), []);
+
+        const [reminder] = getDueReminders(days, state, ist('2026-01-20T18:30'));
+        assert.equal(reminder.type, PUNCH_REMINDERS.OUT);
+        assert.equal(reminder.punches.in, 552);
+
+        markPunchReminded(state, reminder);
+        assert.deepEqual(getDueReminders(days, state, ist('2026-01-20T20:00')), []);
+
+        const punchedOut = [describeDay(entry('2026-01-20', { InTime: '09:12', OutTime: '18:02' }))];
+        assert.deepEqual(getDueReminders(punchedOut, {}, ist('2026-01-20T20:00')), []);
+    });
+
+    test('a night shift is reminded to punch out the next morning', () => {
+        const days = [describeDay(entry('2026-01-19', { InTime: '22:05' }, { start: '22:00', end: '06:00' }))];
+
+        assert.deepEqual(getDueReminders(days, {}, ist('2026-01-20T06:00')), []);
+        assert.deepEqual(getDueReminders(days, {}, ist('2026-01-20T06:30')).map(r => [r.date, r.type]), [['2026-01-19', PUNCH_REMINDERS.OUT]]);
+    });
+
+    test('reminded days are forgotten after a week', () => {
+        const state = { punch: { '2026-01-10': { in: '2026-01-10T04:30:00.000Z' } } };
+        markPunchReminded(state, { date: '2026-01-20', type: PUNCH_REMINDERS.OUT }, new Date('2026-01-20T13:00:00Z'));
+        assert.deepEqual(Object.keys(state.punch), ['2026-01-20']);
+        assert.equal(state.punch['2026-01-20'].out, '2026-01-20T13:00:00.000Z');
+    });
+
+    test('invalid settings are reported', () => {
+        Object.assign(config.punch, { schedule: '*/15 8-20 * *', inBy: '25:00', outGrace: 'soon', detailEndpoint: 'punches' });
+        assert.equal(validatePunchMonitor().length, 4);
+        Object.assign(config.punch, { schedule: '', detailEndpoint: undefined });
+    });
+});
+
+describe('hrms-notifier punch', () => {
+    let mock;
+    let harness;
+
+    // Today in India, where the test runs the notifier
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+
+    before(async () => {
+        mock = await startMockHrms();
+        mock.months[today.slice(0, 7)] = {
+            Status: true,
+            Message: 'Success',
+            Data: {
+                CountDetails: {
+                    PresentCount: 0, OnDutyCount: 0, AbsentCount: 0, LeaveCount: 0, HolidayCount: 0,
+                    WeeklyOffCount: 0, RegularizationCount: 0, PayableDaysCount: 0,
+                },
+                DailyAttendanceSummary: [entry(today)],
+            },
+        };
+
+        harness = startCliEnv(mock, { SCHEDULE_TIMEZONE: 'Asia/Kolkata', PUNCH_IN_BY: '00:00' });
+    });
+
+    after(async () => {
+        await mock.close();
+        harness.close();
+    });
+
+    test('--test finds the missing punch-in without sending anything', async () => {
+        const { code, stdout } = await harness.cli(['punch', '--test']);
+        assert.equal(code, 0);
+        assert.match(stdout, new RegExp(`${today}: in --:--, out --:--`));
+        assert.match(stdout, /Test mode: Skipping punch-in reminder/);
+        assert.equal(mock.notifications.length, 0);
+    });
+
+    test('reminds about the missing punch-in once a day', async () => {
+        const { code, stderr } = await harness.cli(['punch']);
+        assert.equal(code, 0, stderr);
+
+        assert.equal(mock.notifications.length, 1);
+        const [notification] = mock.notifications;
+        assert.equal(notification.type, 'punch-reminder');
+        assert.match(notification.subject, /No Punch-In Recorded/);
+        assert.deepEqual(notification.data, {
+            kind: 'in',
+            date: today,
+            shift: { name: 'General Shift', start: '09:00', end: '18:00' },
+            punchIn: null,
+        });
+
+        const again = await harness.cli(['punch']);
+        assert.equal(again.code, 0);
+        assert.match(again.stdout, /No punch reminders due/);
+        assert.equal(mock.notifications.length, 1);
+    });
+});
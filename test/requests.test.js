@@ -0,0 +1,211 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { config } from '../src/config.js';
+import { HrmsError, NetworkError } from '../src/errors.js';
+import { EXIT_CODES } from '../src/exit-codes.js';
+import { formatDate, getToday } from '../src/utils.js';
+import { prepareRequest, submitRequest, trackRequest, findTrackedRequests, applyTrackedRequests } from '../src/requests.js';
+import { startCliEnv } from './helpers/cli.js';
+import { startMockHrms } from './helpers/mock-hrms-server.js';
+
+let mock;
+
+before(async () => {
+    mock = await startMockHrms();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+    mock.scenario = 'ok';
+    mock.queue.length = 0;
+    mock.submissions.length = 0;
+});
+
+describe('prepareRequest', () => {
+    test('builds a regularization body', () => {
+        const request = prepareRequest('regularization', { date: '2026-01-05', reason: ' Forgot to punch ', inTime: '09:30', outTime: '18:30' });
+        assert.deepEqual(request.dates, ['2026-01-05']);
+        assert.deepEqual(request.body, { AttendanceDate: '2026-01-05', InTime: '09:30', OutTime: '18:30', Reason: 'Forgot to punch' });
+    });
+
+    test('reports every problem at once', () => {
+        assert.throws(
+            () => prepareRequest('regularization', { date: '2026-02-30', inTime: '9:30', outTime: '18:00' }),
+            error => error.message.split('\n').length === 3 && /--reason is required/.test(error.message)
+        );
+    });
+
+    test('only past days can be regularized', () => {
+        const tomorrow = getToday();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        assert.throws(() => prepareRequest('regularization', { date: formatDate(tomorrow), reason: 'x' }), /in the future/);
+    });
+
+    test('a leave request covers every day of the range', () => {
+        const request = prepareRequest('leave', { date: '2026-01-30', to: '2026-02-02', leaveType: 'Casual Leave' });
+        assert.deepEqual(request.dates, ['2026-01-30', '2026-01-31', '2026-02-01', '2026-02-02']);
+        assert.equal(request.body.ToDate, '2026-02-02');
+        assert.equal(request.body.IsHalfDay, false);
+    });
+
+    test('rejects a leave without type, a reversed range and a multi-day half day', () => {
+        assert.throws(() => prepareRequest('leave', { date: '2026-01-05' }), /--type is required/);
+        assert.throws(() => prepareRequest('leave', { date: '2026-01-05', to: '2026-01-04', leaveType: 'CL' }), /before/);
+        assert.throws(() => prepareRequest('leave', { date: '2026-01-05', to: '2026-01-06', leaveType: 'CL', halfDay: true }), /single day/);
+    });
+});
+
+describe('submitRequest against the mock HRMS', () => {
+    before(() => {
+        config.hrms.baseUrl = mock.url;
+        Object.assign(config.hrms, { retries: 2, retryDelayMs: 1, timeoutMs: 300 });
+        Object.assign(config.hrms, { accessToken: 'test-token', xsrfToken: 'test-xsrf', mappingId: 'TEST1234' });
+        config.hrms.regularizationEndpoint = '/attendance/regularize';
+    });
+
+    const request = () => prepareRequest('regularization', { date: '2026-01-05', reason: 'Forgot to punch' });
+
+    test('posts the body to the configured endpoint', async () => {
+        const { message } = await submitRequest(request());
+        assert.equal(message, 'Request submitted successfully');
+        assert.equal(mock.submissions.length, 1);
+        assert.equal(mock.submissions[0].path, '/attendance/regularize');
+        assert.equal(mock.submissions[0].body.AttendanceDate, '2026-01-05');
+        assert.equal(mock.submissions[0].headers.authorization, 'Bearer test-token');
+    });
+
+    test('Status: false is an HrmsError with the HRMS message', async () => {
+        mock.scenario = 'rejected';
+        await assert.rejects(submitRequest(request()), error => error instanceof HrmsError && /already exists/.test(error.message));
+    });
+
+    test('a 5xx is not retried, so nothing is submitted twice', async () => {
+        mock.scenario = 'server-error';
+        await assert.rejects(submitRequest(request()), NetworkError);
+        assert.equal(mock.submissions.length, 1);
+    });
+
+    test('a timeout is not retried', async () => {
+        mock.scenario = 'timeout';
+        await assert.rejects(submitRequest(request()), /may still have been received/);
+        assert.equal(mock.submissions.length, 1);
+    });
+
+    test('a 429 is retried', async () => {
+        mock.queue.push('rate-limited');
+        await submitRequest(request());
+        assert.equal(mock.submissions.length, 2);
+    });
+
+    test('an unconfigured endpoint fails before sending anything', async () => {
+        const leave = prepareRequest('leave', { date: '2026-01-05', leaveType: 'CL' });
+        await assert.rejects(submitRequest(leave), /HRMS_LEAVE_ENDPOINT is not set/);
+        assert.equal(mock.submissions.length, 0);
+    });
+});
+
+describe('tracked requests', () => {
+    const checkResult = (...days) => ({ days: days.map(([date, category, status]) => ({ date, category, status })), flaggedDays: [] });
+
+    test('a flagged day with a submitted request is shown as pending', () => {
+        const state = { absences: {}, requests: {} };
+        trackRequest(state, prepareRequest('regularization', { date: '2026-01-05', reason: 'x' }), new Date('2026-01-06T10:00:00Z'));
+
+        const result = checkResult(['2026-01-05', 'actionable', 'Absent'], ['2026-01-20', 'actionable', 'Missing punch']);
+        const outcome = applyTrackedRequests(state, result);
+
+        assert.deepEqual(outcome.pending, ['2026-01-05']);
+        assert.equal(outcome.changed, false);
+        assert.equal(result.days[0].category, 'pending');
+        assert.equal(result.days[0].status, 'Regularization pending (submitted 2026-01-06)');
+        assert.equal(result.days[0].hrmsStatus, 'Absent');
+        assert.deepEqual(result.flaggedDays.map(day => day.category), ['pending', 'actionable']);
+    });
+
+    test('settled days stop being tracked', () => {
+        const state = { absences: {}, requests: {} };
+        trackRequest(state, prepareRequest('leave', { date: '2026-01-05', to: '2026-01-06', leaveType: 'CL' }));
+
+        const outcome = applyTrackedRequests(state, checkResult(['2026-01-05T00:00:00', 'informational', 'Leave'], ['2026-01-06', 'actionable', 'Absent']));
+        assert.deepEqual(outcome.completed, ['2026-01-05']);
+        assert.deepEqual(Object.keys(state.requests), ['2026-01-06']);
+    });
+
+    test('a day flagged again after HRMS showed it pending counts as declined', () => {
+        const state = { absences: {}, requests: {} };
+        trackRequest(state, prepareRequest('regularization', { date: '2026-01-05', reason: 'x' }));
+
+        assert.equal(applyTrackedRequests(state, checkResult(['2026-01-05', 'pending', 'Regularization pending'])).changed, true);
+        assert.ok(state.requests['2026-01-05'].acknowledgedAt);
+
+        const result = checkResult(['2026-01-05', 'actionable', 'Absent']);
+        assert.deepEqual(applyTrackedRequests(state, result).rejected, ['2026-01-05']);
+        assert.equal(result.days[0].category, 'actionable');
+        assert.deepEqual(state.requests, {});
+    });
+
+    test('a declined request un-silences the alert kept under the HRMS timestamp', () => {
+        const state = { absences: {}, requests: {} };
+        trackRequest(state, prepareRequest('regularization', { date: '2026-01-05', reason: 'x' }));
+        state.absences['2026-01-05T00:00:00'] = { status: 'Absent', category: 'actionable', acknowledgedAt: '2026-01-06T10:00:00.000Z' };
+
+        applyTrackedRequests(state, checkResult(['2026-01-05T00:00:00', 'pending', 'Regularization pending']));
+        const outcome = applyTrackedRequests(state, checkResult(['2026-01-05T00:00:00', 'actionable', 'Absent']));
+
+        assert.deepEqual(outcome.rejected, ['2026-01-05']);
+        assert.deepEqual(state.absences, {});
+    });
+
+    test('findTrackedRequests matches the request type', () => {
+        const state = { absences: {}, requests: {} };
+        const request = prepareRequest('regularization', { date: '2026-01-05', reason: 'x' });
+        trackRequest(state, request);
+        assert.equal(findTrackedRequests(state, request).length, 1);
+        assert.equal(findTrackedRequests(state, prepareRequest('leave', { date: '2026-01-05', leaveType: 'CL' })).length, 0);
+    });
+});
+
+describe('regularize CLI', () => {
+    let harness;
+
+    before(() => {
+        harness = startCliEnv(mock, { HRMS_TIMEOUT_MS: '300', HRMS_REGULARIZATION_ENDPOINT: '/attendance/regularize' });
+    });
+
+    after(() => harness.close());
+
+    test('--dry-run sends nothing', async () => {
+        const { code, stdout } = await harness.cli(['regularize', '2026-01-05', '--reason', 'Forgot to punch', '--dry-run']);
+        assert.equal(code, 0);
+        assert.match(stdout, /Dry run/);
+        assert.match(stdout, /"AttendanceDate":"2026-01-05"/);
+        assert.equal(mock.submissions.length, 0);
+        assert.equal(fs.existsSync(harness.env.ALERT_STATE_FILE), false);
+    });
+
+    test('invalid arguments exit with the config code', async () => {
+        const { code, stderr } = await harness.cli(['regularize', '--reason', 'x', '--in', '25:00']);
+        assert.equal(code, EXIT_CODES.CONFIG);
+        assert.match(stderr, /Date is required/);
+        assert.match(stderr, /--in must be a time/);
+    });
+
+    test('a submitted regularization shows as pending in later checks', async () => {
+        const submit = await harness.cli(['regularize', '2026-01-05', '--reason', 'Forgot to punch']);
+        assert.equal(submit.code, 0, submit.stderr);
+        assert.equal(mock.submissions.length, 1);
+
+        const again = await harness.cli(['regularize', '2026-01-05', '--reason', 'Forgot to punch']);
+        assert.equal(again.code, EXIT_CODES.ERROR);
+        assert.match(again.stderr, /Already submitted/);
+        assert.equal(mock.submissions.length, 1);
+
+        const check = await harness.cli(['--test', '--output', 'json', '--period', '2026-01'], { script: 'index.js' });
+        const day = JSON.parse(check.stdout).flaggedDays.find(d => d.date === '2026-01-05');
+        assert.equal(day.category, 'pending');
+        assert.match(day.status, /^Regularization pending \(submitted /);
+        assert.equal(day.hrmsStatus, 'Absent');
+    });
+});
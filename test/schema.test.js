@@ -0,0 +1,89 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import { validatePayload, collectFieldPaths, assertAttendanceSummary } from '../src/schema.js';
+import { ApiSchemaError } from '../src/errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'attendance-2025-12.json'), 'utf-8'));
+
+let workDir;
+
+before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+    config.schema.dumpDir = path.join(workDir, 'dumps');
+    config.schema.fieldsFile = path.join(workDir, 'api-fields.json');
+    config.schema.dumpAll = false;
+});
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+describe('validatePayload', () => {
+    test('accepts the recorded response', () => {
+        assert.deepEqual(validatePayload(fixture()), []);
+    });
+
+    test('reports missing, mistyped and malformed fields once per path', () => {
+        const data = fixture();
+        delete data.Data.CountDetails.AbsentCount;
+        data.Data.CountDetails.PayableDaysCount = '30';
+        data.Data.DailyAttendanceSummary.forEach(day => { day.ShiftDetails.Date = '10/12/2025'; });
+        delete data.Data.DailyAttendanceSummary[3].DailyAttendanceStatus;
+
+        assert.deepEqual(validatePayload(data), [
+            'Data.CountDetails.AbsentCount: missing',
+            'Data.CountDetails.PayableDaysCount: expected number, got string',
+            'Data.DailyAttendanceSummary[].ShiftDetails.Date: "10/12/2025" does not match /^\\d{4}-\\d{2}-\\d{2}/',
+            'Data.DailyAttendanceSummary[].DailyAttendanceStatus: missing',
+        ]);
+    });
+
+    test('rejects a response that is not an object', () => {
+        assert.deepEqual(validatePayload([]), ['response: expected object, got array']);
+        assert.deepEqual(validatePayload({ Data: null }), ['Data: expected object, got null']);
+    });
+
+    test('collectFieldPaths collapses array indexes', () => {
+        const paths = collectFieldPaths({ a: [{ b: 1 }, { c: 2 }] });
+        assert.deepEqual([...paths], ['a', 'a[].b', 'a[].c']);
+    });
+});
+
+describe('assertAttendanceSummary', () => {
+    test('points out new fields next to a missing one and dumps the payload', () => {
+        assertAttendanceSummary(fixture(), 'attendance-2025-12');
+
+        const data = fixture();
+        data.Data.Counts = data.Data.CountDetails;
+        delete data.Data.CountDetails;
+
+        let error;
+        try {
+            assertAttendanceSummary(data, 'attendance-2025-12');
+        } catch (caught) {
+            error = caught;
+        }
+
+        assert.ok(error instanceof ApiSchemaError);
+        assert.deepEqual(error.problems, ['Data.CountDetails: missing']);
+        assert.ok(error.newFields.includes('Data.Counts'));
+        assert.deepEqual(JSON.parse(fs.readFileSync(error.dumpFile, 'utf-8')), data);
+
+        // The invalid payload does not become the new baseline
+        assert.throws(() => assertAttendanceSummary(data, 'attendance-2025-12'), /may be renames: Data\.Counts/);
+    });
+
+    test('--dump-payload saves valid payloads too', () => {
+        config.schema.dumpAll = true;
+        try {
+            assertAttendanceSummary(fixture(), 'attendance-dump-all');
+        } finally {
+            config.schema.dumpAll = false;
+        }
+        assert.ok(fs.readdirSync(config.schema.dumpDir).some(file => file.startsWith('attendance-dump-all-')));
+    });
+});
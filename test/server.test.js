@@ -0,0 +1,88 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { startServer } from '../src/server.js';
+
+describe('status server authorization', () => {
+    let server;
+    let baseUrl;
+    let checks = 0;
+    let status;
+
+    before(async () => {
+        config.server.port = 0;
+
+        // Keep the "listening" line out of the test runner's output
+        const log = console.log;
+        console.log = () => {};
+        try {
+            server = await startServer({
+                getStatus: async () => status,
+                triggerCheck: async () => {
+                    checks++;
+                    return { ok: true };
+                },
+            });
+        } finally {
+            console.log = log;
+        }
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(resolve);
+    }));
+
+    beforeEach(() => {
+        config.server.token = '';
+        checks = 0;
+        status = { profiles: [] };
+    });
+
+    test('/health answers without a token but keeps the problems behind it', async () => {
+        config.server.token = 'status-token';
+        assert.deepEqual(await fetch(`${baseUrl}/health`).then(response => response.json()), { status: 'ok' });
+
+        status = {
+            profiles: [{
+                session: { exists: false, file: '/home/me/hrms/session.json' },
+                lastCheck: { ok: false, errorType: 'network', error: 'connect ECONNREFUSED 10.0.0.5:443' },
+            }],
+        };
+        const health = await fetch(`${baseUrl}/health`);
+        assert.equal(health.status, 503);
+        assert.deepEqual(await health.json(), { status: 'unhealthy' });
+
+        const details = await fetch(`${baseUrl}/api/status`, { headers: { Authorization: 'Bearer status-token' } }).then(response => response.json());
+        assert.equal(details.healthy, false);
+        assert.deepEqual(details.problems, [
+            'session file missing (/home/me/hrms/session.json)',
+            'last check failed (network): connect ECONNREFUSED 10.0.0.5:443',
+        ]);
+    });
+
+    test('STATUS_TOKEN is accepted as Bearer header or ?token=, nothing else', async () => {
+        config.server.token = 'status-token';
+        const check = (url, headers = {}) => fetch(url, { method: 'POST', headers }).then(response => response.status);
+
+        assert.equal(await check(`${baseUrl}/api/check`), 401);
+        assert.equal(await check(`${baseUrl}/api/check`, { Authorization: 'Bearer status-toke' }), 401);
+        assert.equal(await check(`${baseUrl}/api/check?token=status-token-and-more`), 401);
+        assert.equal(await check(`${baseUrl}/api/check`, { Authorization: 'Bearer status-token' }), 200);
+        assert.equal(await check(`${baseUrl}/api/check?token=status-token`), 200);
+        assert.equal(checks, 2);
+    });
+
+    test('without a token, a check cannot be triggered from another site', async () => {
+        const check = headers => fetch(`${baseUrl}/api/check`, { method: 'POST', headers }).then(response => response.status);
+
+        assert.equal(await check({ Origin: 'https://evil.example' }), 401);
+        assert.equal(await check({ Origin: 'null' }), 401);
+        assert.equal(checks, 0);
+
+        assert.equal(await check({ Origin: baseUrl }), 200, 'the dashboard itself');
+        assert.equal(await check({}), 200, 'curl and scripts send no Origin');
+        assert.equal(checks, 2);
+    });
+});
@@ -0,0 +1,162 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { readSession, writeSession, validateSessionStorage } from '../src/session-store.js';
+import { getSessionInfo } from '../src/browser-auth.js';
+import { createSession, runCli } from './helpers/cli.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+const session = createSession();
+
+describe('session files', () => {
+    let workDir;
+    let file;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+        file = path.join(workDir, 'session.json');
+    });
+
+    after(() => {
+        Object.assign(config.session, { passphrase: undefined, keyFile: undefined });
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        Object.assign(config.session, { passphrase: PASSPHRASE, keyFile: undefined });
+        fs.rmSync(file, { force: true });
+    });
+
+    test('are encrypted at rest and private to the owner', () => {
+        writeSession(session, file);
+
+        const raw = fs.readFileSync(file, 'utf-8');
+        assert.doesNotMatch(raw, /hr_atk|e30\./);
+        assert.equal(JSON.parse(raw).format, 'hrms-notifier-session');
+        if (process.platform !== 'win32') {
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        }
+        assert.deepEqual(readSession(file), session);
+    });
+
+    test('a wrong passphrase or an altered file is reported', () => {
+        writeSession(session, file);
+
+        config.session.passphrase = 'not the right passphrase';
+        assert.throws(() => readSession(file), /could not be decrypted/);
+
+        config.session.passphrase = undefined;
+        assert.throws(() => readSession(file), /set SESSION_PASSPHRASE or SESSION_KEY_FILE/);
+
+        config.session.passphrase = PASSPHRASE;
+        const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        content.data = Buffer.from('tampered').toString('base64');
+        fs.writeFileSync(file, JSON.stringify(content));
+        assert.throws(() => readSession(file), /could not be decrypted/);
+    });
+
+    test('scrypt parameters other than the ones written are refused', () => {
+        writeSession(session, file);
+
+        const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        content.kdf.N = 2 ** 30;
+        fs.writeFileSync(file, JSON.stringify(content));
+        assert.throws(() => readSession(file), /unsupported scrypt parameters in the session file \(N=1073741824, r=8, p=1\)/);
+    });
+
+    test('a key file can hold the secret', () => {
+        const keyFile = path.join(workDir, 'session.key');
+        fs.writeFileSync(keyFile, `${'k'.repeat(44)}\n`);
+        Object.assign(config.session, { passphrase: undefined, keyFile });
+
+        writeSession(session, file);
+        assert.deepEqual(readSession(file), session);
+
+        config.session.keyFile = path.join(workDir, 'missing.key');
+        assert.match(validateSessionStorage()[0], /SESSION_KEY_FILE could not be read/);
+    });
+
+    test('plaintext files are encrypted the first time they are read', () => {
+        fs.writeFileSync(file, JSON.stringify(session), { mode: 0o644 });
+
+        const log = console.log;
+        console.log = () => {};
+        try {
+            assert.deepEqual(readSession(file), session);
+        } finally {
+            console.log = log;
+        }
+
+        assert.equal(JSON.parse(fs.readFileSync(file, 'utf-8')).format, 'hrms-notifier-session');
+        assert.equal(getSessionInfo(file).exportedAt, session.exportedAt, 'the status dashboard reads encrypted files');
+    });
+
+    test('encryption is optional, private permissions are not', () => {
+        config.session.passphrase = undefined;
+        writeSession(session, file);
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), session);
+        if (process.platform !== 'win32') {
+            assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+        }
+        assert.throws(() => writeSession(session, file, { encrypt: true }), /needs SESSION_PASSPHRASE or SESSION_KEY_FILE/);
+    });
+
+    test('short passphrases are rejected', () => {
+        config.session.passphrase = 'short';
+        assert.match(validateSessionStorage()[0], /SESSION_PASSPHRASE must be at least 16 characters/);
+    });
+});
+
+describe('hrms-notifier import', () => {
+    let workDir;
+
+    before(() => {
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-test-'));
+    });
+
+    after(() => {
+        config.session.passphrase = undefined;
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Runs the import command from the work directory
+     * @param {string[]} args
+     * @param {Object} env
+     * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+     */
+    const runImport = (args, env) => runCli(['import', ...args], { cwd: workDir, env: { PATH: process.env.PATH, HOME: workDir, ...env } });
+
+    test('installs an encrypted export as the session file', async () => {
+        const exported = path.join(workDir, 'export.json');
+        config.session.passphrase = PASSPHRASE;
+        writeSession(session, exported);
+
+        const target = path.join(workDir, 'session.json');
+        const env = { SESSION_FILE: target, SESSION_PASSPHRASE: PASSPHRASE };
+        const { code, stdout } = await runImport([exported, '--delete'], env);
+
+        assert.equal(code, 0);
+        assert.match(stdout, /Session imported to: .*session\.json \(encrypted\)/);
+        assert.ok(!fs.existsSync(exported), '--delete removes the transferred copy');
+        assert.deepEqual(readSession(target), session);
+    });
+
+    test('fails without the passphrase the file was encrypted with', async () => {
+        const exported = path.join(workDir, 'export.json');
+        config.session.passphrase = PASSPHRASE;
+        writeSession(session, exported);
+
+        const env = { SESSION_FILE: path.join(workDir, 'other.json'), SESSION_PASSPHRASE: 'a different passphrase' };
+        const { code, stderr } = await runImport([exported], env);
+
+        assert.equal(code, 1);
+        assert.match(stderr, /could not be decrypted/);
+        assert.ok(!fs.existsSync(env.SESSION_FILE));
+    });
+});
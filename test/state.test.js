@@ -0,0 +1,31 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { pruneState } from '../src/state.js';
+
+describe('pruneState', () => {
+    const tz = process.env.TZ;
+
+    // West of UTC, new Date('2026-01-26') is still the 25th in local time
+    before(() => {
+        process.env.TZ = 'America/New_York';
+    });
+
+    after(() => {
+        if (tz === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = tz;
+        }
+    });
+
+    test('keeps the first day of the period and drops the days before it', () => {
+        const state = {
+            absences: { '2026-01-25': {}, '2026-01-26': {}, '2026-02-03': {} },
+            requests: { '2026-01-25': {}, '2026-01-26T00:00:00': {} },
+        };
+        pruneState(state, new Date(2026, 0, 26));
+
+        assert.deepEqual(Object.keys(state.absences), ['2026-01-26', '2026-02-03']);
+        assert.deepEqual(Object.keys(state.requests), ['2026-01-26T00:00:00']);
+    });
+});
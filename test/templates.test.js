@@ -0,0 +1,80 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { TEMPLATE_TYPES, renderString, renderTemplate, parseTemplate, validateTemplates } from '../src/templates.js';
+
+describe('renderString', () => {
+    test('escapes values in HTML, except triple braces', () => {
+        const view = { name: '<b>"Tom" & \'Jerry\'</b>' };
+        assert.equal(renderString('{{name}}', view, { html: true }), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+        assert.equal(renderString('{{{name}}}', view, { html: true }), view.name);
+        assert.equal(renderString('{{name}}', view), view.name);
+    });
+
+    test('sections loop over lists and test values', () => {
+        const view = { days: [{ date: 'Mon', tags: ['a', 'b'] }, { date: 'Tue', tags: [] }], none: [], flag: true };
+        assert.equal(renderString('{{#days}}{{date}}[{{#tags}}{{.}}{{/tags}}]{{/days}}', view), 'Mon[ab]Tue[]');
+        assert.equal(renderString('{{#flag}}yes{{/flag}}{{^none}} empty{{/none}}', view), 'yes empty');
+        assert.equal(renderString('{{#missing}}x{{/missing}}{{missing}}{{! note }}', view), '');
+    });
+
+    test('dotted names and outer values are looked up', () => {
+        const view = { user: { name: 'Asha' }, label: 'outer', items: [{ n: 1 }] };
+        assert.equal(renderString('{{user.name}} {{#items}}{{n}}{{label}}{{/items}}', view), 'Asha 1outer');
+    });
+
+    test('section tags on their own line leave no blank line', () => {
+        const source = 'List:\n{{#items}}\n  • {{.}}\n{{/items}}\nEnd';
+        assert.equal(renderString(source, { items: ['a', 'b'] }), 'List:\n  • a\n  • b\nEnd');
+    });
+
+    test('unbalanced sections are errors', () => {
+        assert.throws(() => parseTemplate('{{#a}}x'), /Unclosed \{\{#a\}\}/);
+        assert.throws(() => parseTemplate('{{#a}}x{{/b}}'), /Unexpected \{\{\/b\}\}/);
+    });
+});
+
+describe('built-in templates', () => {
+    test('every notification type has a subject, text and HTML', () => {
+        for (const type of TEMPLATE_TYPES) {
+            const { subject, text, html } = renderTemplate(type, {});
+            assert.ok(subject.length > 0, `${type} subject`);
+            assert.ok(text.length > 0, `${type} text`);
+            assert.match(html, /^<!DOCTYPE html>/, `${type} html`);
+        }
+    });
+});
+
+describe('validateTemplates', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hrms-notifier-templates-'));
+    });
+
+    after(() => {
+        config.templates.dir = undefined;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reports every broken override at once', () => {
+        fs.writeFileSync(path.join(dir, 'error.txt'), 'No subject line\n{{#a}}');
+        fs.writeFileSync(path.join(dir, 'absense.html'), '<p></p>');
+        fs.writeFileSync(path.join(dir, 'test.html'), '<p>fine</p>');
+        config.templates.dir = dir;
+
+        const errors = validateTemplates();
+        assert.equal(errors.length, 3);
+        assert.match(errors.join('\n'), /Unclosed/);
+        assert.match(errors.join('\n'), /must start with a "Subject:" line/);
+        assert.match(errors.join('\n'), /absense\.html does not match a notification type/);
+    });
+
+    test('a missing directory is reported', () => {
+        config.templates.dir = path.join(dir, 'nope');
+        assert.match(validateTemplates()[0], /does not exist/);
+    });
+});
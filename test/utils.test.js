@@ -0,0 +1,114 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { addDays, getDateRange, getPeriodForDate, isDateInRange, parseLocalDate, formatDate } from '../src/utils.js';
+
+/**
+ * Formats a range as "start..end" with its months for compact assertions
+ */
+function describeRange({ startDate, endDate, months }) {
+    return {
+        range: `${formatDate(startDate)}..${formatDate(endDate)}`,
+        months: months.map(m => `${m.year}-${m.month}`),
+    };
+}
+
+beforeEach(() => {
+    Object.assign(config.period, { startDay: 26, endDay: 25, cutoverDay: 28 });
+});
+
+describe('getDateRange (default period with cutover)', () => {
+    test('before the cutover day shows the previous period', () => {
+        assert.deepEqual(describeRange(getDateRange({ today: new Date(2026, 2, 27) })), {
+            range: '2026-02-26..2026-03-25',
+            months: ['2026-2', '2026-3'],
+        });
+    });
+
+    test('on the cutover day switches to the current period', () => {
+        assert.deepEqual(describeRange(getDateRange({ today: new Date(2026, 2, 28) })), {
+            range: '2026-03-26..2026-04-25',
+            months: ['2026-3', '2026-4'],
+        });
+    });
+
+    test('period start day itself is still before the cutover', () => {
+        assert.equal(describeRange(getDateRange({ today: new Date(2026, 2, 26) })).range, '2026-02-26..2026-03-25');
+    });
+
+    test('early January reviews the period that started in December', () => {
+        assert.deepEqual(describeRange(getDateRange({ today: new Date(2026, 0, 10) })), {
+            range: '2025-12-26..2026-01-25',
+            months: ['2025-12', '2026-1'],
+        });
+    });
+
+    test('late December rolls into the period ending in January', () => {
+        assert.deepEqual(describeRange(getDateRange({ today: new Date(2025, 11, 28) })), {
+            range: '2025-12-26..2026-01-25',
+            months: ['2025-12', '2026-1'],
+        });
+    });
+
+    test('a cutover day that does not exist in February falls into March', () => {
+        config.period.cutoverDay = 30;
+        assert.equal(describeRange(getDateRange({ today: new Date(2026, 1, 28) })).range, '2026-01-26..2026-02-25');
+        assert.equal(describeRange(getDateRange({ today: new Date(2026, 2, 2) })).range, '2026-02-26..2026-03-25');
+    });
+
+    test('calendar-month periods', () => {
+        Object.assign(config.period, { startDay: 1, endDay: 31, cutoverDay: 1 });
+        assert.equal(describeRange(getDateRange({ today: new Date(2026, 1, 14) })).range, '2026-02-01..2026-02-28');
+    });
+});
+
+describe('getDateRange (explicit periods)', () => {
+    const today = new Date(2026, 0, 10);
+
+    test('current and previous', () => {
+        assert.equal(describeRange(getDateRange({ period: 'current', today })).range, '2025-12-26..2026-01-25');
+        assert.equal(describeRange(getDateRange({ period: 'previous', today })).range, '2025-11-26..2025-12-25');
+    });
+
+    test('YYYY-MM is the period ending in that month', () => {
+        assert.deepEqual(describeRange(getDateRange({ period: '2026-01', today })), {
+            range: '2025-12-26..2026-01-25',
+            months: ['2025-12', '2026-1'],
+        });
+    });
+
+    test('from/to', () => {
+        assert.equal(describeRange(getDateRange({ from: '2025-12-30', to: '2026-01-02', today })).range, '2025-12-30..2026-01-02');
+    });
+
+    test('rejects invalid input', () => {
+        assert.throws(() => getDateRange({ period: '2026-13', today }), /Invalid --period/);
+        assert.throws(() => getDateRange({ period: 'last', today }), /Invalid --period/);
+        assert.throws(() => getDateRange({ from: '2026-01-01', today }), /must be used together/);
+        assert.throws(() => getDateRange({ from: '2026-01-10', to: '2026-01-01', today }), /is after/);
+        assert.throws(() => getDateRange({ from: '2026-02-30', to: '2026-03-01', today }), /Invalid date/);
+    });
+});
+
+describe('date helpers', () => {
+    test('getPeriodForDate labels periods by their end month', () => {
+        assert.equal(getPeriodForDate('2025-12-26').label, '2026-01');
+        assert.equal(getPeriodForDate('2025-12-25').label, '2025-12');
+        assert.equal(getPeriodForDate('2026-01-25').label, '2026-01');
+    });
+
+    test('isDateInRange includes both boundary days', () => {
+        const start = parseLocalDate('2025-12-26');
+        const end = parseLocalDate('2026-01-25');
+        assert.equal(isDateInRange('2025-12-26', start, end), true);
+        assert.equal(isDateInRange('2026-01-25', start, end), true);
+        assert.equal(isDateInRange('2025-12-25', start, end), false);
+        assert.equal(isDateInRange('2026-01-26', start, end), false);
+    });
+
+    test('addDays moves across month and year ends', () => {
+        assert.equal(addDays('2025-12-31', 1), '2026-01-01');
+        assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+        assert.equal(addDays('2026-03-29', 7), '2026-04-05');
+    });
+});